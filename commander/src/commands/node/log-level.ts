@@ -0,0 +1,80 @@
+/*
+ * LiskHQ/lisk-commander
+ * Copyright © 2017–2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ *
+ */
+import { flags as flagParser } from '@oclif/command';
+import BaseCommand from '../../base';
+import { getAPIClient } from '../../utils/api';
+
+const LOG_LEVELS = [
+	'trace',
+	'debug',
+	'log',
+	'info',
+	'warn',
+	'error',
+	'fatal',
+	'none',
+];
+
+export default class LogLevelCommand extends BaseCommand {
+	static description = `
+	Change the log levels of a Lisk Core instance without restarting it, or display the levels changed since it started if no level or module is provided.
+	Levels of a module apply to its submodules too. Passing only a module removes the levels of the module.
+	`;
+
+	static examples = [
+		'node:log-level',
+		'node:log-level --file=debug --console=info',
+		'node:log-level --module=chain.loader --file=trace',
+		'node:log-level --module=chain.loader',
+	];
+
+	static flags = {
+		...BaseCommand.flags,
+		module: flagParser.string({
+			description:
+				'Alias of the module to change the log levels of, e.g. chain or chain.loader.',
+		}),
+		file: flagParser.string({
+			description: 'Log level of the log file.',
+			options: LOG_LEVELS,
+		}),
+		console: flagParser.string({
+			description: 'Log level of the console.',
+			options: LOG_LEVELS,
+		}),
+	};
+
+	async run(): Promise<void> {
+		const {
+			flags: { module, file: fileLogLevel, console: consoleLogLevel },
+		} = this.parse(LogLevelCommand);
+		const client = getAPIClient(this.userConfig.api);
+
+		if (!module && !fileLogLevel && !consoleLogLevel) {
+			const logLevelsResponse = await client.node.getLogLevels();
+			this.print(logLevelsResponse.data);
+
+			return;
+		}
+
+		const response = await client.node.updateLogLevel({
+			module,
+			fileLogLevel,
+			consoleLogLevel,
+		});
+		this.print(response.data);
+	}
+}
@@ -0,0 +1,84 @@
+/*
+ * LiskHQ/lisk-commander
+ * Copyright © 2017–2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ *
+ */
+import { expect, test } from '@oclif/test';
+import * as config from '../../../src/utils/config';
+import * as printUtils from '../../../src/utils/print';
+import * as apiUtils from '../../../src/utils/api';
+
+describe('node:log-level', () => {
+	const defaultAPIResponse = {
+		data: {
+			fileLogLevel: 'info',
+			modules: {
+				'chain.loader': {
+					fileLogLevel: 'trace',
+				},
+			},
+		},
+	};
+
+	const printMethodStub = sandbox.stub();
+	const apiClientStub = {
+		node: {
+			getLogLevels: sandbox.stub().resolves(defaultAPIResponse),
+			updateLogLevel: sandbox.stub().resolves(defaultAPIResponse),
+		},
+	};
+	const setupTest = () =>
+		test
+			.stub(printUtils, 'print', sandbox.stub().returns(printMethodStub))
+			.stub(config, 'getConfig', sandbox.stub().returns({}))
+			.stub(apiUtils, 'getAPIClient', sandbox.stub().returns(apiClientStub))
+			.stdout();
+
+	describe('node:log-level', () => {
+		setupTest()
+			.command(['node:log-level'])
+			.it('should display the log levels changed at runtime', () => {
+				expect(apiClientStub.node.getLogLevels).to.be.called;
+				expect(apiClientStub.node.updateLogLevel).not.to.be.called;
+				return expect(printMethodStub).to.be.calledWithExactly(
+					defaultAPIResponse.data,
+				);
+			});
+	});
+
+	describe('node:log-level --file=level', () => {
+		setupTest()
+			.command(['node:log-level', '--file=verbose'])
+			.catch((error: Error) =>
+				expect(error.message).to.contain(
+					'Expected --file=verbose to be one of',
+				),
+			)
+			.it('should throw an error when level is not valid');
+	});
+
+	describe('node:log-level --module=alias --file=level', () => {
+		setupTest()
+			.command(['node:log-level', '--module=chain.loader', '--file=trace'])
+			.it('should change the log level of the module', () => {
+				expect(apiClientStub.node.updateLogLevel).to.be.calledWithExactly({
+					module: 'chain.loader',
+					fileLogLevel: 'trace',
+					consoleLogLevel: undefined,
+				});
+				return expect(printMethodStub).to.be.calledWithExactly(
+					defaultAPIResponse.data,
+				);
+			});
+	});
+});
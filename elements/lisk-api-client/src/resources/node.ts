@@ -21,10 +21,12 @@ import { GET, PUT } from '../constants';
 export class NodeResource extends APIResource {
 	public getConstants: APIHandler;
 	public getForgingStatus: APIHandler;
+	public getLogLevels: APIHandler;
 	public getStatus: APIHandler;
 	public getTransactions: APIHandler;
 	public path: string;
 	public updateForgingStatus: APIHandler;
+	public updateLogLevel: APIHandler;
 
 	public constructor(apiClient: APIClient) {
 		super(apiClient);
@@ -50,6 +52,16 @@ export class NodeResource extends APIResource {
 			path: '/status/forging',
 		}).bind(this);
 
+		this.getLogLevels = apiMethod({
+			method: GET,
+			path: '/log_levels',
+		}).bind(this);
+
+		this.updateLogLevel = apiMethod({
+			method: PUT,
+			path: '/log_levels',
+		}).bind(this);
+
 		this.getTransactions = apiMethod({
 			method: GET,
 			path: '/transactions/{state}',
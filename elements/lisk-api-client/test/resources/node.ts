@@ -69,6 +69,18 @@ describe('NodeResource', () => {
 				.which.is.a('function');
 		});
 
+		it('should have a "getLogLevels" function', () => {
+			return expect(resource)
+				.to.have.property('getLogLevels')
+				.which.is.a('function');
+		});
+
+		it('should have a "updateLogLevel" function', () => {
+			return expect(resource)
+				.to.have.property('updateLogLevel')
+				.which.is.a('function');
+		});
+
 		it('should have a "getTransactions" function', () => {
 			return expect(resource)
 				.to.have.property('getTransactions')
@@ -0,0 +1,50 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const RedisBackend = require('./redis_backend');
+const MemoryBackend = require('./memory_backend');
+
+const backends = {
+	redis: RedisBackend,
+	memory: MemoryBackend,
+};
+
+/**
+ * Create the backend of the cache component selected by its configuration.
+ *
+ * @param {Object} options - Cache options
+ * @param {string} [options.backend=redis] - Either "redis" or "memory"
+ * @param {Object} [options.memory] - Limits of the memory backend
+ * @param {Object} logger
+ * @return {Object} Backend
+ * @throws {Error} If backend is not known
+ */
+const createBackend = (options, logger) => {
+	const { enabled, backend = 'redis', memory, ...redisOptions } = options;
+	const Backend = backends[backend];
+
+	if (!Backend) {
+		throw new Error(`Unknown cache backend "${backend}".`);
+	}
+
+	return new Backend(backend === 'memory' ? memory : redisOptions, logger);
+};
+
+module.exports = {
+	RedisBackend,
+	MemoryBackend,
+	createBackend,
+};
@@ -0,0 +1,270 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Convert a glob-style pattern as used by Redis SCAN MATCH to a regular expression.
+ * Supports `*`, `?`, `[abc]`, `[^abc]`, `[a-z]` and `\` escaping the next character.
+ *
+ * @param {string} pattern
+ * @return {RegExp}
+ * @private
+ */
+const globToRegExp = pattern => {
+	const escape = character =>
+		character.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+	let source = '';
+
+	for (let i = 0; i < pattern.length; i += 1) {
+		const character = pattern[i];
+
+		if (character === '\\' && i + 1 < pattern.length) {
+			i += 1;
+			source += escape(pattern[i]);
+		} else if (character === '*') {
+			source += '[\\s\\S]*';
+		} else if (character === '?') {
+			source += '[\\s\\S]';
+		} else if (character === '[' && pattern.indexOf(']', i + 2) !== -1) {
+			const end = pattern.indexOf(']', i + 2);
+			const negated = pattern[i + 1] === '^';
+			const characters = pattern
+				.slice(negated ? i + 2 : i + 1, end)
+				.split('')
+				.map(
+					classCharacter =>
+						classCharacter === '-' ? '-' : escape(classCharacter)
+				)
+				.join('');
+			source += `[${negated ? '^' : ''}${characters}]`;
+			i = end;
+		} else {
+			source += escape(character);
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+};
+
+/**
+ * Cache backend storing entries in the memory of the process, evicting the least recently used
+ * entries when the number of entries or their size exceeds the limits.
+ * Entries are not shared with other processes.
+ *
+ * @class
+ * @memberof components.cache
+ * @requires events
+ */
+class MemoryBackend extends EventEmitter {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.maxEntries=0] - Maximum number of entries, 0 for no limit
+	 * @param {number} [options.maxSize=0] - Maximum size of keys and values in bytes, 0 for no limit
+	 * @param {number} [options.ttl=0] - Time in milliseconds after which entries expire, 0 for never
+	 * @param {Object} logger
+	 */
+	constructor({ maxEntries = 0, maxSize = 0, ttl = 0 } = {}, logger) {
+		super();
+		this.maxEntries = maxEntries;
+		this.maxSize = maxSize;
+		this.ttl = ttl;
+		this.logger = logger;
+		this.shared = false;
+		this.connected = false;
+		this.lastError = null;
+		// Map keeps insertion order, the least recently used entry comes first
+		this.entries = new Map();
+		this.size = 0;
+		// Keys by tag
+		this.tags = new Map();
+	}
+
+	async connect() {
+		this.connected = true;
+		this.logger.info('App connected to in-memory cache');
+		this.emit('ready');
+		return true;
+	}
+
+	isConnected() {
+		return this.connected;
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+
+		if (!entry) {
+			return null;
+		}
+
+		if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+			this._delete(key);
+			return null;
+		}
+
+		// Move entry to the end as the most recently used one
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		return entry.value;
+	}
+
+	/**
+	 * Set value of a key, evicting the least recently used entries if limits are exceeded.
+	 *
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {number} [ttl] - Time in milliseconds after which the key expires, instead of the ttl option
+	 * @return {Promise.<string>}
+	 */
+	async set(key, value, ttl = this.ttl) {
+		this._delete(key);
+
+		const size = Buffer.byteLength(key) + Buffer.byteLength(value);
+		if (this.maxSize && size > this.maxSize) {
+			this.logger.debug(`Cache - Value for key ${key} exceeds maxSize`);
+			return 'OK';
+		}
+
+		this.entries.set(key, {
+			value,
+			size,
+			expiresAt: ttl ? Date.now() + ttl : 0,
+			tags: [],
+		});
+		this.size += size;
+		this._evict();
+
+		return 'OK';
+	}
+
+	/**
+	 * Tag the entry of a key, so it can be deleted by any of its tags.
+	 *
+	 * @param {string} key
+	 * @param {Array.<string>} tags
+	 * @return {Promise.<null>}
+	 */
+	async tag(key, tags) {
+		const entry = this.entries.get(key);
+
+		if (!entry) {
+			return null;
+		}
+
+		tags.forEach(tag => {
+			if (!this.tags.has(tag)) {
+				this.tags.set(tag, new Set());
+			}
+			this.tags.get(tag).add(key);
+		});
+		entry.tags = [...new Set([...entry.tags, ...tags])];
+
+		return null;
+	}
+
+	/**
+	 * Delete entries tagged with any of the tags.
+	 *
+	 * @param {Array.<string>} tags
+	 * @return {Promise.<null>}
+	 */
+	async delByTags(tags) {
+		tags.forEach(tag => {
+			const keys = this.tags.get(tag);
+			if (keys) {
+				[...keys].forEach(key => this._delete(key));
+			}
+		});
+
+		return null;
+	}
+
+	/**
+	 * Delete entries of one or more keys.
+	 *
+	 * @param {string|Array.<string>} keys
+	 * @return {Promise.<number>} Number of deleted entries
+	 */
+	async del(keys) {
+		return [].concat(keys).filter(key => this._delete(key)).length;
+	}
+
+	/**
+	 * Delete entries with keys matching the glob-style pattern, as Redis SCAN MATCH does.
+	 *
+	 * @param {string} pattern
+	 * @return {Promise.<null>}
+	 */
+	async delByPattern(pattern) {
+		const regExp = globToRegExp(pattern);
+
+		[...this.entries.keys()]
+			.filter(key => regExp.test(key))
+			.forEach(key => this._delete(key));
+
+		return null;
+	}
+
+	async flush() {
+		this.entries.clear();
+		this.tags.clear();
+		this.size = 0;
+		return 'OK';
+	}
+
+	async quit() {
+		this.connected = false;
+		return this.flush();
+	}
+
+	_delete(key) {
+		const entry = this.entries.get(key);
+
+		if (!entry) {
+			return false;
+		}
+
+		this.entries.delete(key);
+		this.size -= entry.size;
+		entry.tags.forEach(tag => {
+			const keys = this.tags.get(tag);
+			keys.delete(key);
+			if (keys.size === 0) {
+				this.tags.delete(tag);
+			}
+		});
+		return true;
+	}
+
+	_evict() {
+		const exceedsLimits = () =>
+			(this.maxEntries && this.entries.size > this.maxEntries) ||
+			(this.maxSize && this.size > this.maxSize);
+		const iterator = this.entries.keys();
+		let next = iterator.next();
+
+		while (!next.done && exceedsLimits()) {
+			this._delete(next.value);
+			next = iterator.next();
+		}
+	}
+}
+
+MemoryBackend.globToRegExp = globToRegExp;
+
+module.exports = MemoryBackend;
@@ -0,0 +1,353 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const redis = require('redis');
+const { promisify } = require('util');
+
+// Sets of keys tagged with a tag are stored under this prefix
+const TAG_PREFIX = 'tag:';
+// Sets of tags of a key are stored under this prefix, to remove the key from sets of its tags
+const KEY_TAGS_PREFIX = 'tags:';
+
+// Characters with a meaning in patterns of SCAN MATCH
+const GLOB_CHARACTERS = /[*?[\]\\]/g;
+
+/**
+ * Cache backend storing entries on a Redis server, shared by all processes using it.
+ * The client reconnects with exponential backoff whenever the connection fails.
+ *
+ * Keys are stored under a prefix, so nodes sharing the server only flush their own entries.
+ *
+ * Emits `ready` whenever the client connected, and `end` when the connection is lost.
+ *
+ * @class
+ * @memberof components.cache
+ * @requires events
+ * @requires redis
+ * @requires util
+ */
+class RedisBackend extends EventEmitter {
+	/**
+	 * @param {Object} options - Options of redis.createClient, e.g. host, port, db and password
+	 * @param {string} [options.keyPrefix=lisk:] - Prefix of keys of this node
+	 * @param {Object} [options.reconnect]
+	 * @param {number} [options.reconnect.initialDelay=1000] - Milliseconds before the first attempt to reconnect
+	 * @param {number} [options.reconnect.maxDelay=30000] - Maximum milliseconds between attempts to reconnect
+	 * @param {Object} logger
+	 */
+	constructor({ keyPrefix = 'lisk:', reconnect = {}, ...options }, logger) {
+		super();
+		this.options = options;
+		this.keyPrefix = keyPrefix;
+		this.reconnect = { initialDelay: 1000, maxDelay: 30000, ...reconnect };
+		this.logger = logger;
+		this.shared = true;
+		this.lastError = null;
+		this.quitting = false;
+		this.reconnectTimer = null;
+	}
+
+	/**
+	 * Connect to the Redis server.
+	 * If the server is not available, attempts continue in the background until the client is quit.
+	 *
+	 * @return {Promise.<boolean>} Whether the first attempt connected
+	 */
+	async connect() {
+		this._discardClient();
+
+		return new Promise(resolve => {
+			this.client = redis.createClient({
+				...this.options,
+				retry_strategy: ({
+					attempt,
+					error,
+					times_connected: timesConnected,
+				}) => {
+					const delay = this.getRetryDelay(attempt);
+					if (error) {
+						this._setLastError(error);
+					}
+					if (attempt === 1 && !timesConnected) {
+						this.logger.warn(
+							'App was unable to connect to Cache server',
+							error
+						);
+					}
+					this.logger.debug(
+						`Cache - Reconnecting in ${delay} ms, attempt ${attempt}`
+					);
+					resolve(false);
+					return delay;
+				},
+			});
+
+			this.getAsync = promisify(this.client.get).bind(this.client);
+			this.setAsync = promisify(this.client.set).bind(this.client);
+			this.delAsync = promisify(this.client.del).bind(this.client);
+			this.scanAsync = promisify(this.client.scan).bind(this.client);
+			this.saddAsync = promisify(this.client.sadd).bind(this.client);
+			this.sremAsync = promisify(this.client.srem).bind(this.client);
+			this.smembersAsync = promisify(this.client.smembers).bind(this.client);
+			this.pttlAsync = promisify(this.client.pttl).bind(this.client);
+			this.pexpireAsync = promisify(this.client.pexpire).bind(this.client);
+			this.persistAsync = promisify(this.client.persist).bind(this.client);
+			this.quitAsync = promisify(this.client.quit).bind(this.client);
+
+			this.client.on('error', err => {
+				// Connection errors are passed to retry_strategy, others are logged
+				this._setLastError(err);
+				this.logger.info('Cache:', err);
+				// Client gives up reconnecting after connect_timeout, which is an hour by default
+				if (err.code === 'CONNECTION_BROKEN' && !this.quitting) {
+					clearTimeout(this.reconnectTimer);
+					this.reconnectTimer = setTimeout(
+						() => this.connect(),
+						this.reconnect.maxDelay
+					);
+				}
+			});
+			this.client.on('end', () => {
+				if (this.client.times_connected) {
+					this.logger.warn('App lost connection to Cache server');
+				}
+				this.emit('end');
+			});
+			this.client.on('ready', () => {
+				this.logger.info('App connected to Cache server');
+				resolve(true);
+				this.emit('ready');
+			});
+		});
+	}
+
+	/**
+	 * Close the client which gave up reconnecting, so it neither keeps a connection
+	 * nor emits events once another client replaced it.
+	 *
+	 * @private
+	 */
+	_discardClient() {
+		if (!this.client) {
+			return;
+		}
+
+		const client = this.client;
+		this.client = null;
+		client.removeAllListeners();
+		// Commands still queued are rejected, errors without a callback are not handled anymore
+		client.on('error', () => {});
+		client.end(true);
+	}
+
+	/**
+	 * Milliseconds before an attempt to reconnect, doubled for every failed attempt up to maxDelay.
+	 *
+	 * @param {number} attempt - Starting at 1
+	 * @return {number}
+	 */
+	getRetryDelay(attempt) {
+		const { initialDelay, maxDelay } = this.reconnect;
+		return Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+	}
+
+	_key(key) {
+		return `${this.keyPrefix}${key}`;
+	}
+
+	_setLastError(error) {
+		this.lastError = { message: error.message, time: Date.now() };
+	}
+
+	isConnected() {
+		// Use client.ready because this constant is updated on client connection
+		return !!(this.client && this.client.ready);
+	}
+
+	async get(key) {
+		return this.getAsync(this._key(key));
+	}
+
+	/**
+	 * Set value of a key.
+	 *
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {number} [ttl] - Time in milliseconds after which the key expires
+	 * @return {Promise.<string, Error>}
+	 */
+	async set(key, value, ttl) {
+		if (ttl) {
+			return this.setAsync(this._key(key), value, 'PX', ttl);
+		}
+		return this.setAsync(this._key(key), value);
+	}
+
+	/**
+	 * Add key to the sets of its tags.
+	 * Sets expire no earlier than the key, and never while they have a key which never expires.
+	 *
+	 * @param {string} key
+	 * @param {Array.<string>} tags
+	 * @param {number} [ttl] - Time in milliseconds after which the key expires
+	 * @return {Promise.<null, Error>}
+	 */
+	async tag(key, tags, ttl) {
+		const keyTagsKey = this._key(`${KEY_TAGS_PREFIX}${key}`);
+
+		await this.saddAsync(keyTagsKey, tags);
+		await (ttl
+			? this.pexpireAsync(keyTagsKey, ttl)
+			: this.persistAsync(keyTagsKey));
+
+		await Promise.all(
+			tags.map(tag =>
+				this._addToTag(this._key(`${TAG_PREFIX}${tag}`), key, ttl)
+			)
+		);
+		return null;
+	}
+
+	/**
+	 * Add key to the set of a tag, extending the expiry of the set to the expiry of the key.
+	 *
+	 * @param {string} tagKey
+	 * @param {string} key
+	 * @param {number} [ttl] - Time in milliseconds after which the key expires, the set never expires without it
+	 * @return {Promise.<null, Error>}
+	 * @private
+	 */
+	async _addToTag(tagKey, key, ttl) {
+		// -2 if the set does not exist yet, -1 if it never expires
+		const remaining = await this.pttlAsync(tagKey);
+		await this.saddAsync(tagKey, key);
+
+		if (!ttl) {
+			await this.persistAsync(tagKey);
+		} else if (remaining === -2 || (remaining !== -1 && remaining < ttl)) {
+			await this.pexpireAsync(tagKey, ttl);
+		}
+		return null;
+	}
+
+	/**
+	 * Remove keys from the sets of their tags.
+	 *
+	 * @param {Array.<string>} keys
+	 * @return {Promise.<null, Error>}
+	 * @private
+	 */
+	async _untag(keys) {
+		await Promise.all(
+			keys.map(async key => {
+				const keyTagsKey = this._key(`${KEY_TAGS_PREFIX}${key}`);
+				const tags = await this.smembersAsync(keyTagsKey);
+
+				await Promise.all(
+					tags.map(tag => this.sremAsync(this._key(`${TAG_PREFIX}${tag}`), key))
+				);
+				await this.delAsync(keyTagsKey);
+			})
+		);
+		return null;
+	}
+
+	/**
+	 * Delete keys tagged with any of the tags, together with the sets of the tags.
+	 *
+	 * @param {Array.<string>} tags
+	 * @return {Promise.<null, Error>}
+	 */
+	async delByTags(tags) {
+		const tagKeys = tags.map(tag => this._key(`${TAG_PREFIX}${tag}`));
+		const members = await Promise.all(
+			tagKeys.map(tagKey => this.smembersAsync(tagKey))
+		);
+		const keys = [].concat(...members);
+
+		// Keys are also removed from the sets of their other tags
+		await this._untag(keys);
+		await this.delAsync([...keys.map(key => this._key(key)), ...tagKeys]);
+		return null;
+	}
+
+	async del(key) {
+		const keys = [].concat(key);
+		await this._untag(keys);
+		return this.delAsync(keys.map(item => this._key(item)));
+	}
+
+	/**
+	 * Scan keys of this node matching the glob-style pattern and delete them.
+	 *
+	 * @param {string} pattern
+	 * @return {Promise.<null, Error>}
+	 */
+	async delByPattern(pattern) {
+		const prefixPattern = this.keyPrefix.replace(GLOB_CHARACTERS, '\\$&');
+		let cursor = '0';
+
+		do {
+			// eslint-disable-next-line no-await-in-loop
+			const [nextCursor, keys] = await this.scanAsync(
+				cursor,
+				'MATCH',
+				`${prefixPattern}${pattern}`
+			);
+			cursor = nextCursor;
+
+			if (keys.length > 0) {
+				// eslint-disable-next-line no-await-in-loop
+				await this._untag(keys.map(key => key.slice(this.keyPrefix.length)));
+				// eslint-disable-next-line no-await-in-loop
+				await this.delAsync(keys);
+			}
+		} while (cursor !== '0');
+
+		return null;
+	}
+
+	/**
+	 * Delete all keys of this node, keys of other nodes sharing the server are kept.
+	 *
+	 * @return {Promise.<null, Error>}
+	 */
+	async flush() {
+		return this.delByPattern('*');
+	}
+
+	/**
+	 * Quit the connection, or stop attempts to connect if the server is not available.
+	 *
+	 * @return {Promise.<string, Error>}
+	 */
+	async quit() {
+		this.quitting = true;
+		clearTimeout(this.reconnectTimer);
+
+		if (!this.client) {
+			return null;
+		}
+		if (!this.isConnected()) {
+			this.client.end(false);
+			return null;
+		}
+		return this.quitAsync();
+	}
+}
+
+module.exports = RedisBackend;
@@ -14,75 +14,94 @@
 
 'use strict';
 
-const redis = require('redis');
-const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { createBackend } = require('./backends');
 
 const errorCacheDisabled = 'Cache Disabled';
 
 /**
  * Cache component.
  *
+ * Emits `invalidated` for every removal of entries, and `health` whenever the backend connected
+ * or lost its connection.
+ *
  * @class
  * @memberof components
  * @see Parent: {@link components}
- * @requires redis
- * @requires util
+ * @requires events
+ * @requires backends
  * @param {Object} options - Cache options
+ * @param {string} [options.backend=redis] - Either "redis" or "memory"
  * @param {Object} logger
  */
-class Cache {
+class Cache extends EventEmitter {
 	constructor(options, logger) {
+		super();
 		this.options = options;
 		this.logger = logger;
 		this.cacheReady = false;
+		this.stats = { hits: 0, misses: 0 };
+		this.wasConnected = false;
+		this.backend = createBackend(options, logger);
+		this.backend.on('ready', () => this._onBackendReady());
+		this.backend.on('end', () => this.emit('health', this.getHealth()));
 	}
 
+	/**
+	 * Enables the cache and connects the backend.
+	 * If the cache server is not available, the cache is ready once the backend reconnected.
+	 */
 	async bootstrap() {
-		// TODO: implement retry_strategy
-		// TOFIX: app crashes with FTL error when launchin app with CACHE_ENABLE=true
-		// but cache server is not available.
-		return new Promise(resolve => {
-			this.client = redis.createClient(this.options);
-			this.client.once('error', err => {
-				// Called if the "error" event occured before "ready" event
-				this.logger.warn('App was unable to connect to Cache server', err);
-				// Error handler needs to exist to ignore the error
-				this.client.on('error', () => {});
-				resolve();
-			});
-			this.client.once('ready', () => {
-				this._onReady();
-				resolve();
-			});
-		});
-	}
-
-	_onReady() {
-		// Called after "ready" Cache event
-		this.logger.info('App connected to Cache server');
-
-		this.getAsync = promisify(this.client.get).bind(this.client);
-		this.setAsync = promisify(this.client.set).bind(this.client);
-		this.delAsync = promisify(this.client.del).bind(this.client);
-		this.scanAsync = promisify(this.client.scan).bind(this.client);
-		this.flushdbAsync = promisify(this.client.flushdb).bind(this.client);
-		this.quitAsync = promisify(this.client.quit).bind(this.client);
 		this.enable();
+		await this.backend.connect();
+	}
 
-		this.client.on('error', err => {
-			// Log Cache errors before and after server was connected
-			this.logger.info('Cache:', err);
-		});
+	async _onBackendReady() {
+		if (this.wasConnected) {
+			// Entries invalidated while the connection was lost might be stale
+			try {
+				await this.backend.flush();
+			} catch (error) {
+				this.logger.error('Cache - Failed to flush after reconnecting', error);
+			}
+		}
+		this.wasConnected = true;
+		this.emit('health', this.getHealth());
 	}
 
 	/**
-	 * Gets redis connection status.
+	 * Gets health of the cache: whether it is enabled and connected, hits and misses of
+	 * getJsonForKey and the last error of the backend.
+	 *
+	 * @return {Object}
+	 */
+	getHealth() {
+		return {
+			enabled: this.cacheReady,
+			connected: this.backend.isConnected(),
+			hits: this.stats.hits,
+			misses: this.stats.misses,
+			lastError: this.backend.lastError,
+		};
+	}
+
+	/**
+	 * Whether entries are shared by all processes using the cache, i.e. the Redis backend.
+	 * Entries of the memory backend are invalidated only in the process deleting them.
+	 *
+	 * @return {boolean}
+	 */
+	isShared() {
+		return this.backend.shared;
+	}
+
+	/**
+	 * Gets cache connection status.
 	 *
 	 * @return {boolean}
 	 */
 	isReady() {
-		// Use client.ready because this constant is updated on client connection
-		return this.client && this.client.ready && this.cacheReady;
+		return this.backend.isConnected() && this.cacheReady;
 	}
 
 	/**
@@ -100,7 +119,7 @@ class Cache {
 	}
 
 	/**
-	 * Gets json value for a key from redis.
+	 * Gets json value for a key from the cache.
 	 *
 	 * @param {string} key
 	 * @return {Promise.<value, Error>}
@@ -113,18 +132,26 @@ class Cache {
 			throw new Error(errorCacheDisabled);
 		}
 
-		const value = await this.getAsync(key);
+		const value = await this.backend.get(key);
+		if (value === null) {
+			this.stats.misses += 1;
+		} else {
+			this.stats.hits += 1;
+		}
 		return JSON.parse(value);
 	}
 
 	/**
-	 * Sets json value for a key in redis.
+	 * Sets json value for a key in the cache.
 	 *
 	 * @param {string} key
 	 * @param {Object} value
+	 * @param {Object} [options]
+	 * @param {number} [options.ttl] - Time in milliseconds after which the key expires
+	 * @param {Array.<string>} [options.tags] - Tags to remove the key with, see removeByTags
 	 * @return {Promise.<null, Error>}
 	 */
-	async setJsonForKey(key, value) {
+	async setJsonForKey(key, value, { ttl, tags = [] } = {}) {
 		this.logger.debug(
 			['Cache - Set value for key:', key, '| Status:', this.isReady()].join(' ')
 		);
@@ -133,11 +160,15 @@ class Cache {
 		}
 
 		// Cache server calls toString on objects, which converts it to object [object] so calling stringify before saving
-		return this.setAsync(key, JSON.stringify(value));
+		const result = await this.backend.set(key, JSON.stringify(value), ttl);
+		if (tags.length > 0) {
+			await this.backend.tag(key, tags, ttl);
+		}
+		return result;
 	}
 
 	/**
-	 * Deletes json value for a key in redis.
+	 * Deletes json value for a key in the cache.
 	 *
 	 * @param {string} key
 	 * @return {Promise.<Integer, Error>} 0 if key doesn't exist or 1 if key was found and successfully deleted.
@@ -152,11 +183,13 @@ class Cache {
 			throw new Error(errorCacheDisabled);
 		}
 
-		return this.delAsync(key);
+		const result = await this.backend.del(key);
+		this.emit('invalidated', { key });
+		return result;
 	}
 
 	/**
-	 * Scans keys with provided pattern in redis db and deletes the entries matching the given pattern.
+	 * Scans keys with provided pattern in the cache and deletes the entries matching the given pattern.
 	 *
 	 * @param {string} pattern
 	 * @return {Promise.<null, Error>}
@@ -171,33 +204,32 @@ class Cache {
 		if (!this.isReady()) {
 			throw new Error(errorCacheDisabled);
 		}
-		let keys;
-		let cursor = 0;
-
-		const scan = () =>
-			this.scanAsync(cursor, 'MATCH', pattern).then((res, err) => {
-				if (err) throw err;
-
-				cursor = res[0];
-				keys = res[1];
-
-				if (keys.length > 0) {
-					this.delAsync(keys);
-					return scan();
-				}
-
-				if (cursor === '0') {
-					return null;
-				}
+		const result = await this.backend.delByPattern(pattern);
+		this.emit('invalidated', { pattern });
+		return result;
+	}
 
-				return scan();
-			});
+	/**
+	 * Deletes the entries of keys tagged with any of the given tags, e.g. `address:<address>`.
+	 *
+	 * @param {Array.<string>} tags
+	 * @return {Promise.<null, Error>}
+	 */
+	async removeByTags(tags) {
+		this.logger.debug(
+			['Cache - removeByTags', tags, '| Status:', this.isReady()].join(' ')
+		);
 
-		return scan();
+		if (!this.isReady()) {
+			throw new Error(errorCacheDisabled);
+		}
+		const result = await this.backend.delByTags(tags);
+		this.emit('invalidated', { tags });
+		return result;
 	}
 
 	/**
-	 * Removes all entries from redis db.
+	 * Removes all entries from the cache.
 	 *
 	 * @return {Promise.<null, Error>}
 	 */
@@ -206,11 +238,11 @@ class Cache {
 		if (!this.isReady()) {
 			throw new Error(errorCacheDisabled);
 		}
-		return this.flushdbAsync();
+		return this.backend.flush();
 	}
 
 	/**
-	 * Quits established redis connection upon process exit.
+	 * Quits established cache connection upon process exit.
 	 *
 	 * @return {Promise.<null, Error>}
 	 */
@@ -220,17 +252,14 @@ class Cache {
 	}
 
 	/**
-	 * Quits established redis connection.
+	 * Quits established cache connection.
 	 *
 	 * @return {Promise.<null, Error>}
 	 */
 	async quit() {
 		this.logger.debug('Cache - Quit database');
-		if (!this.isReady()) {
-			// Because connection is not established in the first place
-			return null;
-		}
-		return this.quitAsync();
+		// Backend stops attempts to connect if connection is not established
+		return this.backend.quit();
 	}
 }
 
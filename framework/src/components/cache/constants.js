@@ -24,6 +24,7 @@
  * @property {number} CACHE_KEYS_DELEGATES
  * @property {number} CACHE_KEYS_TRANSACTIONS
  * @property {number} CACHE_KEYS_TRANSACTION_COUNT
+ * @property {string} CACHE_TAG_ADDRESS - Prefix of tags of keys with data of an account
  * @todo Add description for the namespace and the properties.
  */
 module.exports = {
@@ -31,4 +32,5 @@ module.exports = {
 	CACHE_KEYS_DELEGATES: '/api/delegates*',
 	CACHE_KEYS_TRANSACTIONS: '/api/transactions*',
 	CACHE_KEYS_TRANSACTION_COUNT: 'transactionCount',
+	CACHE_TAG_ADDRESS: 'address:',
 };
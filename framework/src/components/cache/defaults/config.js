@@ -27,6 +27,45 @@ const defaultConfig = {
 			type: ['string', 'null'],
 			env: 'LISK_REDIS_DB_PASSWORD',
 		},
+		keyPrefix: {
+			type: 'string',
+			env: 'LISK_CACHE_KEY_PREFIX',
+		},
+		reconnect: {
+			type: 'object',
+			properties: {
+				initialDelay: {
+					type: 'integer',
+					minimum: 1,
+				},
+				maxDelay: {
+					type: 'integer',
+					minimum: 1,
+				},
+			},
+		},
+		backend: {
+			type: 'string',
+			enum: ['redis', 'memory'],
+			env: 'LISK_CACHE_BACKEND',
+		},
+		memory: {
+			type: 'object',
+			properties: {
+				maxEntries: {
+					type: 'integer',
+					minimum: 0,
+				},
+				maxSize: {
+					type: 'integer',
+					minimum: 0,
+				},
+				ttl: {
+					type: 'integer',
+					minimum: 0,
+				},
+			},
+		},
 	},
 	required: ['enabled', 'host', 'port', 'db', 'password'],
 	default: {
@@ -35,6 +74,17 @@ const defaultConfig = {
 		port: 6380,
 		db: 0,
 		password: null,
+		keyPrefix: 'lisk:',
+		reconnect: {
+			initialDelay: 1000,
+			maxDelay: 30000,
+		},
+		backend: 'redis',
+		memory: {
+			maxEntries: 10000,
+			maxSize: 67108864,
+			ttl: 0,
+		},
 	},
 };
 
@@ -27,6 +27,7 @@ if (process.env.NEW_RELIC_LICENSE_KEY) {
 		'setJsonForKey',
 		'deleteJsonForKey',
 		'removeByPattern',
+		'removeByTags',
 	]);
 }
 
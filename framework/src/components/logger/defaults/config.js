@@ -16,12 +16,99 @@ const defaultConfig = {
 			enum: ['trace', 'debug', 'log', 'info', 'warn', 'error', 'fatal', 'none'],
 			env: 'LISK_CONSOLE_LOG_LEVEL',
 		},
+		format: {
+			type: 'string',
+			enum: ['text', 'json'],
+			env: 'LISK_LOG_FORMAT',
+		},
+		rotation: {
+			type: 'object',
+			properties: {
+				maxSize: {
+					type: 'integer',
+					minimum: 0,
+				},
+				interval: {
+					type: 'string',
+					enum: ['none', 'hourly', 'daily'],
+				},
+				maxFiles: {
+					type: 'integer',
+					minimum: 0,
+				},
+				compress: {
+					type: 'boolean',
+				},
+			},
+		},
+		transports: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					type: {
+						type: 'string',
+					},
+					level: {
+						type: 'string',
+						enum: [
+							'trace',
+							'debug',
+							'log',
+							'info',
+							'warn',
+							'error',
+							'fatal',
+							'none',
+						],
+					},
+					format: {
+						type: 'string',
+						enum: ['text', 'json'],
+					},
+				},
+				required: ['type', 'level'],
+			},
+		},
+		// Default rules are in redaction.js, configured lists replace them instead of being merged
+		redaction: {
+			type: 'object',
+			properties: {
+				keys: {
+					type: 'array',
+					items: { type: 'string', format: 'regex' },
+				},
+				exemptKeys: {
+					type: 'array',
+					items: { type: 'string', format: 'regex' },
+				},
+				values: {
+					type: 'array',
+					items: { type: 'string', format: 'regex' },
+				},
+				paths: {
+					type: 'array',
+					items: { type: 'string' },
+				},
+				replacement: {
+					type: 'string',
+				},
+			},
+		},
 	},
 	required: ['fileLogLevel', 'logFileName', 'consoleLogLevel'],
 	default: {
 		fileLogLevel: 'info',
 		consoleLogLevel: 'none',
 		logFileName: 'logs/lisk.log',
+		format: 'text',
+		rotation: {
+			maxSize: 0,
+			interval: 'none',
+			maxFiles: 0,
+			compress: false,
+		},
+		transports: [],
 	},
 };
 
@@ -0,0 +1,74 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const strftime = require('strftime').utc();
+
+const serializeData = data => {
+	if (data instanceof Error) {
+		return { message: data.message, stack: data.stack };
+	}
+	return data;
+};
+
+/**
+ * Format log record as `[sym] time | message - data` text line.
+ *
+ * @param {Object} record - Log record created by the logger
+ * @return {string}
+ */
+const text = record => {
+	const timestamp = strftime('%F %T', record.timestamp);
+	const message = record.traceId
+		? `[${record.traceId}] ${record.message}`
+		: record.message;
+	const data =
+		record.data && typeof record.data === 'object'
+			? JSON.stringify(record.data)
+			: record.data;
+
+	return data
+		? `[${record.symbol}] ${timestamp} | ${message} - ${data}\n`
+		: `[${record.symbol}] ${timestamp} | ${message}\n`;
+};
+
+/**
+ * Format log record as JSON line, with fields of child loggers at the top level.
+ *
+ * @param {Object} record - Log record created by the logger
+ * @return {string}
+ */
+const json = record => {
+	const entry = {
+		time: record.timestamp.toISOString(),
+		level: record.level,
+		message: record.message,
+		...record.fields,
+	};
+
+	if (record.traceId) {
+		entry.traceId = record.traceId;
+	}
+	if (record.data !== undefined) {
+		entry.data = serializeData(record.data);
+	}
+
+	return `${JSON.stringify(entry)}\n`;
+};
+
+module.exports = {
+	text,
+	json,
+};
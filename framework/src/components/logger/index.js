@@ -15,6 +15,8 @@
 'use strict';
 
 const Logger = require('./logger');
+const { registerTransport } = require('./transports');
+const { setLogLevel, getLogLevels, setLogLevels } = require('./log_levels');
 const { config: defaultConfig } = require('./defaults');
 const validator = require('../../controller/helpers/validator');
 
@@ -30,4 +32,8 @@ function createLoggerComponent(options = {}) {
 module.exports = {
 	defaults: defaultConfig,
 	createLoggerComponent,
+	registerTransport,
+	setLogLevel,
+	getLogLevels,
+	setLogLevels,
 };
@@ -0,0 +1,111 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+// Levels changed at runtime, shared by all loggers of the process
+let overrides = {
+	fileLogLevel: undefined,
+	consoleLogLevel: undefined,
+	modules: {},
+};
+
+const pickLevels = ({ fileLogLevel, consoleLogLevel }) => {
+	const levels = {};
+	if (fileLogLevel) {
+		levels.fileLogLevel = fileLogLevel;
+	}
+	if (consoleLogLevel) {
+		levels.consoleLogLevel = consoleLogLevel;
+	}
+	return levels;
+};
+
+/**
+ * Change the file and console log levels of the process, or of one module.
+ * Levels of a module apply to its submodules too, e.g. levels of `chain` apply to `chain.loader`.
+ * Calling it for a module without any level removes the levels of the module.
+ *
+ * @param {Object} options
+ * @param {string} [options.module] - Alias of the module, e.g. `chain.loader`
+ * @param {string} [options.fileLogLevel] - Level of the log file
+ * @param {string} [options.consoleLogLevel] - Level of the console
+ */
+const setLogLevel = ({ module, fileLogLevel, consoleLogLevel }) => {
+	const levels = pickLevels({ fileLogLevel, consoleLogLevel });
+
+	if (!module) {
+		overrides = { ...overrides, ...levels };
+		return;
+	}
+
+	const modules = { ...overrides.modules };
+	if (Object.keys(levels).length === 0) {
+		delete modules[module];
+	} else {
+		modules[module] = { ...modules[module], ...levels };
+	}
+	overrides = { ...overrides, modules };
+};
+
+/**
+ * Get the log levels changed at runtime.
+ *
+ * @return {Object} Levels of the process and levels by module
+ */
+const getLogLevels = () => ({
+	...pickLevels(overrides),
+	modules: { ...overrides.modules },
+});
+
+/**
+ * Replace the log levels changed at runtime, e.g. with the levels of the parent process.
+ *
+ * @param {Object} levels - Levels as returned by getLogLevels
+ */
+const setLogLevels = (levels = {}) => {
+	overrides = {
+		...pickLevels(levels),
+		modules: { ...levels.modules },
+	};
+};
+
+/**
+ * Resolve the level of a record, preferring the levels of the most specific module.
+ *
+ * @param {string} key - Either "fileLogLevel" or "consoleLogLevel"
+ * @param {string} [module] - Alias of the module logging the record
+ * @param {string} configuredLevel - Level from the logger configuration
+ * @return {string}
+ */
+const resolveLevel = (key, module, configuredLevel) => {
+	if (module) {
+		const segments = module.split('.');
+		for (let i = segments.length; i > 0; i -= 1) {
+			const levels = overrides.modules[segments.slice(0, i).join('.')];
+			if (levels && levels[key]) {
+				return levels[key];
+			}
+		}
+	}
+
+	return overrides[key] || configuredLevel;
+};
+
+module.exports = {
+	setLogLevel,
+	getLogLevels,
+	setLogLevels,
+	resolveLevel,
+};
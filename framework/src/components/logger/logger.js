@@ -14,13 +14,12 @@
 
 'use strict';
 
-const fs = require('fs');
-const util = require('util');
-const child_process = require('child_process');
-const path = require('path');
-const strftime = require('strftime').utc();
+const { getTraceId } = require('../../controller/helpers/trace');
+const { createTransport } = require('./transports');
+const { resolveLevel } = require('./log_levels');
+const { createRedactor } = require('./redaction');
 
-require('colors');
+const redactWithDefaultRules = createRedactor();
 
 class Logger {
 	/**
@@ -29,6 +28,10 @@ class Logger {
 	 * @param {string} config.logFileName
 	 * @param {string} config.fileLogLevel
 	 * @param {string} config.consoleLogLevel
+	 * @param {string} [config.format] - Either "text" or "json" for all transports
+	 * @param {Object} [config.rotation] - Size and time limits of the log file
+	 * @param {Array.<Object>} [config.transports] - Additional transports with their type and level
+	 * @param {Object} [config.redaction] - Patterns of keys, values and paths of secrets removed from records
 	 */
 	constructor(config) {
 		// Not exposed via defaultConfig
@@ -57,96 +60,108 @@ class Logger {
 		this.logFileName = `${process.cwd()}/${config.logFileName || 'logs.log'}`;
 		this.fileLogLevel = config.fileLogLevel || 'log';
 		this.consoleLogLevel = config.consoleLogLevel;
+		this.format = config.format || 'text';
+		this.rotation = config.rotation || {};
+		this.transportsConfig = config.transports || [];
+		this.redact = createRedactor(config.redaction);
 	}
 
 	bootstrap() {
-		const logs = {};
-		child_process.execSync(`mkdir -p ${path.dirname(this.logFileName)}`);
-		const log_file = fs.createWriteStream(this.logFileName, {
-			flags: 'a',
+		this.fileTransport = createTransport({
+			...this.rotation,
+			type: 'file',
+			level: this.fileLogLevel,
+			fileName: this.logFileName,
+			format: this.format,
+		});
+		// Created without consoleLogLevel too, so the console can be enabled at runtime
+		this.consoleTransport = createTransport({
+			type: 'console',
+			level: this.consoleLogLevel || 'none',
+			format: this.format,
+		});
+		this.transports = [this.fileTransport, this.consoleTransport];
+
+		this.transportsConfig.forEach(transportConfig => {
+			this.transports.push(
+				createTransport({ format: this.format, ...transportConfig })
+			);
 		});
 
+		return this._createLogs({});
+	}
+
+	/**
+	 * Create logging functions for every level, adding given fields to all records.
+	 * Fields appear in JSON output only.
+	 *
+	 * @param {Object} fields - Fields of the records, e.g. module alias
+	 * @return {Object} Logging functions and `child(fields)` creating a logger with additional fields
+	 * @private
+	 */
+	_createLogs(fields) {
+		const logs = {};
+
 		Object.keys(this.levels).forEach(name => {
-			logs[name] = (message, data) => {
-				const logContext = {
-					level: name,
-					timestamp: strftime('%F %T', new Date()),
-				};
-
-				if (message instanceof Error) {
-					logContext.message = message.stack;
-				} else {
-					logContext.message = message;
-				}
-
-				if (data && util.isObject(data)) {
-					logContext.data = JSON.stringify(Logger.snipFragileData(data));
-				} else {
-					logContext.data = data;
-				}
-
-				logContext.symbol = this.level_abbr[logContext.level]
-					? this.level_abbr[logContext.level]
-					: '???';
-
-				if (this.levels[this.fileLogLevel] <= this.levels[logContext.level]) {
-					if (logContext.data) {
-						log_file.write(
-							util.format(
-								'[%s] %s | %s - %s\n',
-								logContext.symbol,
-								logContext.timestamp,
-								logContext.message,
-								logContext.data
-							)
-						);
-					} else {
-						log_file.write(
-							util.format(
-								'[%s] %s | %s\n',
-								logContext.symbol,
-								logContext.timestamp,
-								logContext.message
-							)
-						);
-					}
-				}
-
-				if (
-					this.consoleLogLevel &&
-					this.levels[this.consoleLogLevel] <= this.levels[logContext.level]
-				) {
-					if (logContext.data) {
-						console.info(
-							`[${logContext.symbol.bgYellow.black}]`,
-							logContext.timestamp.grey,
-							'|',
-							logContext.message,
-							'-',
-							logContext.data
-						);
-					} else {
-						console.info(
-							`[${logContext.symbol.bgYellow.black}]`,
-							logContext.timestamp.grey,
-							'|',
-							logContext.message
-						);
-					}
-				}
-			};
+			logs[name] = (message, data) => this._log(name, message, data, fields);
 		});
 
+		logs.child = childFields => this._createLogs({ ...fields, ...childFields });
+
 		return logs;
 	}
 
+	_log(level, message, data, fields) {
+		const transports = this.transports.filter(
+			transport =>
+				this.levels[this._getTransportLevel(transport, fields)] <=
+				this.levels[level]
+		);
+
+		if (transports.length === 0) {
+			return;
+		}
+
+		const record = {
+			level,
+			symbol: this.level_abbr[level] ? this.level_abbr[level] : '???',
+			timestamp: new Date(),
+			message: this.redact(message instanceof Error ? message.stack : message),
+			// Links the lines logged while handling the same request across modules
+			traceId: getTraceId(),
+			fields,
+			data: this.redact(data),
+		};
+
+		transports.forEach(transport => transport.log(record));
+	}
+
+	/**
+	 * Level of the file and console transports can be changed at runtime, for all or some modules.
+	 *
+	 * @param {Object} transport
+	 * @param {Object} fields - Fields of the record
+	 * @return {string}
+	 * @private
+	 */
+	_getTransportLevel(transport, fields) {
+		if (transport === this.fileTransport) {
+			return resolveLevel('fileLogLevel', fields.module, transport.level);
+		}
+		if (transport === this.consoleTransport) {
+			return resolveLevel('consoleLogLevel', fields.module, transport.level);
+		}
+		return transport.level;
+	}
+
+	/**
+	 * Redact secrets from data with the default rules.
+	 *
+	 * @param {*} data
+	 * @return {*} Copy of data
+	 */
 	static snipFragileData(data) {
-		Object.keys(data).forEach(key => {
-			if (key.search(/passphrase|password/i) > -1) {
-				data[key] = 'XXXXXXXXXX';
-			}
-		});
-		return data;
+		return redactWithDefaultRules(data);
 	}
 }
 
@@ -0,0 +1,148 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const REPLACEMENT = 'XXXXXXXXXX';
+
+// Objects nested deeper are replaced, e.g. in case of circular references
+const MAX_DEPTH = 20;
+
+const defaultRules = {
+	keys: ['passphrase', 'password', 'privateKey', 'secret', 'seed', 'mnemonic'],
+	// Public keys, signatures and hashes are hex strings of the same length as secrets
+	exemptKeys: ['publicKey', 'keysgroup', 'signature', 'hash'],
+	values: [
+		// Private keys in hex
+		'\\b[0-9a-fA-F]{128}\\b',
+		// Private key seeds in hex, told apart from public keys and hashes by the word before them
+		'(?<=(?:[sS]eed|[pP]rivate ?[kK]ey)\\W{0,3})\\b[0-9a-fA-F]{64}\\b',
+		// Mnemonic passphrases of 12, 15, 18, 21 or 24 lowercase words, not part of a longer sentence
+		'(?<![a-z] )\\b(?:[a-z]{3,8} ){11}(?:[a-z]{3,8} [a-z]{3,8} [a-z]{3,8} ){0,4}[a-z]{3,8}\\b(?! [a-z])',
+	],
+	paths: [],
+	replacement: REPLACEMENT,
+};
+
+/**
+ * Split a JSON path like `$.forging.delegates[*].encryptedPassphrase` into segments.
+ *
+ * @param {string} path
+ * @return {Array.<string>}
+ * @private
+ */
+const parsePath = path =>
+	path
+		.replace(/^\$\.?/, '')
+		.replace(/\[(\*|\d+)\]/g, '.$1')
+		.replace(/\['([^']+)'\]/g, '.$1')
+		.split('.')
+		.filter(segment => segment !== '');
+
+const matchesPath = (path, segments) =>
+	path.length === segments.length &&
+	segments.every(
+		(segment, index) => segment === '*' || segment === path[index]
+	);
+
+/**
+ * Create a function redacting secrets from data of log records.
+ * Data is copied, objects passed to the logger are never changed.
+ *
+ * @param {Object} [rules]
+ * @param {Array.<string>} [rules.keys] - Patterns of keys whose values are redacted, case insensitive
+ * @param {Array.<string>} [rules.exemptKeys] - Patterns of keys whose values are not searched for secrets, case insensitive
+ * @param {Array.<string>} [rules.values] - Patterns of secrets redacted from messages and strings in data
+ * @param {Array.<string>} [rules.paths] - JSON paths of values which are redacted, `*` matches any key or index
+ * @param {string} [rules.replacement] - Text secrets are replaced with
+ * @return {Function} Redact function taking data of any type
+ */
+const createRedactor = (rules = {}) => {
+	const { keys, exemptKeys, values, paths, replacement } = {
+		...defaultRules,
+		...rules,
+	};
+
+	const keyPattern = keys.length ? new RegExp(keys.join('|'), 'i') : null;
+	const exemptKeyPattern = exemptKeys.length
+		? new RegExp(exemptKeys.join('|'), 'i')
+		: null;
+	const valuePatterns = values.map(value => new RegExp(value, 'g'));
+	const pathSegments = paths.map(parsePath);
+
+	const redactString = value =>
+		valuePatterns.reduce(
+			(redacted, pattern) => redacted.replace(pattern, replacement),
+			value
+		);
+
+	// Strings are searched for secrets unless they are under keys matching exemptKeys, anywhere below them
+	const redact = (value, path, isExempt) => {
+		if (typeof value === 'string') {
+			return isExempt ? value : redactString(value);
+		}
+
+		if (!value || typeof value !== 'object') {
+			return value;
+		}
+
+		if (path.length >= MAX_DEPTH) {
+			return replacement;
+		}
+
+		if (value instanceof Error) {
+			return redact(
+				{ message: value.message, stack: value.stack },
+				path,
+				isExempt
+			);
+		}
+
+		// Same value as written by JSON.stringify, e.g. for dates and big numbers
+		if (typeof value.toJSON === 'function') {
+			return redact(value.toJSON(), path, isExempt);
+		}
+
+		const isArray = Array.isArray(value);
+		const copy = isArray ? [] : {};
+
+		Object.keys(value).forEach(key => {
+			const childPath = [...path, key];
+
+			if (
+				(!isArray && keyPattern && keyPattern.test(key)) ||
+				pathSegments.some(segments => matchesPath(childPath, segments))
+			) {
+				copy[key] = replacement;
+				return;
+			}
+
+			copy[key] = redact(
+				value[key],
+				childPath,
+				isExempt ||
+					(!isArray && !!exemptKeyPattern && exemptKeyPattern.test(key))
+			);
+		});
+
+		return copy;
+	};
+
+	return data => redact(data, [], false);
+};
+
+module.exports = {
+	defaultRules,
+	createRedactor,
+};
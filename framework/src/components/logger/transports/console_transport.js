@@ -0,0 +1,67 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const strftime = require('strftime').utc();
+const formats = require('../formats');
+
+require('colors');
+
+/**
+ * Transport writing colored text to the console, or JSON lines to stdout
+ * to be collected by container runtimes.
+ *
+ * @class
+ */
+class ConsoleTransport {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.level - Minimum level of logged records
+	 * @param {string} [options.format=text] - Either "text" or "json"
+	 */
+	constructor({ level, format = 'text' }) {
+		this.level = level;
+		this.format = format;
+	}
+
+	log(record) {
+		if (this.format === 'json') {
+			process.stdout.write(formats.json(record));
+			return;
+		}
+
+		const message = record.traceId
+			? `[${record.traceId}] ${record.message}`
+			: record.message;
+		const data =
+			record.data && typeof record.data === 'object'
+				? JSON.stringify(record.data)
+				: record.data;
+		const prefix = [
+			`[${record.symbol.bgYellow.black}]`,
+			strftime('%F %T', record.timestamp).grey,
+			'|',
+			message,
+		];
+
+		if (data) {
+			console.info(...prefix, '-', data);
+		} else {
+			console.info(...prefix);
+		}
+	}
+}
+
+module.exports = ConsoleTransport;
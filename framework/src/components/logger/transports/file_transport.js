@@ -0,0 +1,235 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const strftime = require('strftime').utc();
+const formats = require('../formats');
+
+const INTERVALS = {
+	none: 0,
+	hourly: 60 * 60 * 1000,
+	daily: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Append-only file rotated when it exceeds a size or a time interval passed.
+ * Rotated files are renamed with the time of rotation, optionally gzipped,
+ * and the oldest ones removed.
+ *
+ * @class
+ * @private
+ */
+class RotatingFile {
+	constructor(
+		fileName,
+		{ maxSize = 0, interval = 'none', maxFiles = 0, compress = false }
+	) {
+		this.fileName = fileName;
+		this.maxSize = maxSize;
+		this.interval = INTERVALS[interval];
+		this.maxFiles = maxFiles;
+		this.compress = compress;
+		// Resolves once the last rotated file was closed, compressed and old files were removed
+		this.rotation = Promise.resolve();
+
+		this._open();
+	}
+
+	write(line) {
+		const size = Buffer.byteLength(line);
+
+		if (this._shouldRotate(size)) {
+			this.rotate();
+		}
+
+		this.stream.write(line);
+		this.size += size;
+	}
+
+	rotate() {
+		const stream = this.stream;
+		const rotatedFileName = this._rotatedFileName();
+
+		try {
+			fs.renameSync(this.fileName, rotatedFileName);
+		} catch (error) {
+			// Keep writing to the same file, rotation is attempted again with the next record
+			if (!this.rotationFailed) {
+				console.error(
+					`Failed to rotate log file ${this.fileName}: ${error.message}`
+				);
+			}
+			this.rotationFailed = true;
+			return;
+		}
+		this.rotationFailed = false;
+
+		this._open();
+		const closed = new Promise(resolve => stream.end(resolve));
+		this.rotation = this.rotation
+			.then(() => closed)
+			.then(
+				() =>
+					this.compress ? RotatingFile._compress(rotatedFileName) : undefined
+			)
+			.then(() => this._removeOldFiles())
+			.catch(error => {
+				console.error(
+					`Failed to clean up rotated log file ${rotatedFileName}: ${
+						error.message
+					}`
+				);
+			});
+	}
+
+	// The file is opened synchronously, so it exists and its size is known before anything is written
+	_open() {
+		fs.ensureDirSync(path.dirname(this.fileName));
+		const fd = fs.openSync(this.fileName, 'a');
+		this.stream = fs.createWriteStream(null, { fd });
+		this.size = fs.fstatSync(fd).size;
+		this.period = this._currentPeriod();
+	}
+
+	_shouldRotate(size) {
+		if (this.maxSize && this.size > 0 && this.size + size > this.maxSize) {
+			return true;
+		}
+		return !!this.interval && this._currentPeriod() !== this.period;
+	}
+
+	_currentPeriod() {
+		return this.interval ? Math.floor(Date.now() / this.interval) : 0;
+	}
+
+	_rotatedFileName() {
+		const baseName = `${this.fileName}.${strftime(
+			'%Y%m%d-%H%M%S',
+			new Date()
+		)}`;
+		let rotatedFileName = baseName;
+
+		for (
+			let index = 1;
+			fs.existsSync(rotatedFileName) || fs.existsSync(`${rotatedFileName}.gz`);
+			index += 1
+		) {
+			rotatedFileName = `${baseName}.${index}`;
+		}
+
+		return rotatedFileName;
+	}
+
+	static _compress(fileName) {
+		return new Promise((resolve, reject) =>
+			pipeline(
+				fs.createReadStream(fileName),
+				zlib.createGzip(),
+				fs.createWriteStream(`${fileName}.gz`),
+				error => {
+					if (!error) {
+						resolve(fs.unlink(fileName));
+					} else {
+						fs.unlink(`${fileName}.gz`, () => reject(error));
+					}
+				}
+			)
+		);
+	}
+
+	_removeOldFiles() {
+		if (!this.maxFiles) {
+			return;
+		}
+
+		const directory = path.dirname(this.fileName);
+		const prefix = `${path.basename(this.fileName)}.`;
+		const rotatedFiles = fs
+			.readdirSync(directory)
+			.filter(name => name.startsWith(prefix))
+			.sort();
+
+		rotatedFiles
+			.slice(0, Math.max(rotatedFiles.length - this.maxFiles, 0))
+			.forEach(name => fs.removeSync(path.join(directory, name)));
+	}
+}
+
+// Loggers of the same process writing to the same file have to rotate it together
+const openFiles = new Map();
+
+// Set in processes other than the application process, which write files of their own
+let processName = null;
+
+// E.g. logs/lisk.log is written as logs/lisk.http_api.log by the process of http_api
+const getProcessFileName = fileName => {
+	if (!processName) {
+		return fileName;
+	}
+
+	const extension = path.extname(fileName);
+	return `${fileName.slice(
+		0,
+		fileName.length - extension.length
+	)}.${processName}${extension}`;
+};
+
+/**
+ * Transport appending formatted records to a file, rotated by size or time.
+ *
+ * @class
+ */
+class FileTransport {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.level - Minimum level of logged records
+	 * @param {string} options.fileName - Path of the log file
+	 * @param {string} [options.format=text] - Either "text" or "json"
+	 * @param {number} [options.maxSize=0] - Size in bytes to rotate the file at, 0 disables it
+	 * @param {string} [options.interval=none] - Rotate the file "hourly", "daily" or "none"
+	 * @param {number} [options.maxFiles=0] - Number of rotated files to keep, 0 keeps all
+	 * @param {boolean} [options.compress=false] - Gzip rotated files
+	 */
+	constructor({ level, fileName, format = 'text', ...rotation }) {
+		this.level = level;
+		this.format = format;
+
+		const filePath = path.resolve(getProcessFileName(fileName));
+		if (!openFiles.has(filePath)) {
+			openFiles.set(filePath, new RotatingFile(filePath, rotation));
+		}
+		this.file = openFiles.get(filePath);
+	}
+
+	log(record) {
+		this.file.write(formats[this.format](record));
+	}
+
+	/**
+	 * Name the current process, so files opened afterwards get the name before their extension.
+	 * Rotation is tracked per process, so processes must not write to the same file.
+	 *
+	 * @param {string} name - Name of the process, e.g. alias of the module it runs
+	 */
+	static setProcessName(name) {
+		processName = name;
+	}
+}
+
+module.exports = FileTransport;
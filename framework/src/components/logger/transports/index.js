@@ -0,0 +1,64 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const FileTransport = require('./file_transport');
+const ConsoleTransport = require('./console_transport');
+const SyslogTransport = require('./syslog_transport');
+
+const transports = {
+	file: FileTransport,
+	console: ConsoleTransport,
+	syslog: SyslogTransport,
+};
+
+/**
+ * Register a transport class for the `type` used in logger configuration.
+ * A transport is created with its configuration and must implement `log(record)`.
+ *
+ * @param {string} type - Name of the transport
+ * @param {Function} Transport - Transport class
+ */
+const registerTransport = (type, Transport) => {
+	transports[type] = Transport;
+};
+
+/**
+ * Create a transport from its configuration.
+ *
+ * @param {Object} options - Transport configuration
+ * @param {string} options.type - Name of a registered transport
+ * @param {string} options.level - Minimum level of logged records
+ * @param {string} [options.format] - Either "text" or "json"
+ * @return {Object} Transport
+ * @throws {Error} If transport type is not registered
+ */
+const createTransport = options => {
+	const Transport = transports[options.type];
+
+	if (!Transport) {
+		throw new Error(`Unknown logger transport "${options.type}".`);
+	}
+
+	return new Transport(options);
+};
+
+module.exports = {
+	FileTransport,
+	ConsoleTransport,
+	SyslogTransport,
+	registerTransport,
+	createTransport,
+};
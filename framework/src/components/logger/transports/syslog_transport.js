@@ -0,0 +1,146 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const formats = require('../formats');
+
+const FACILITIES = {
+	kern: 0,
+	user: 1,
+	daemon: 3,
+	local0: 16,
+	local1: 17,
+	local2: 18,
+	local3: 19,
+	local4: 20,
+	local5: 21,
+	local6: 22,
+	local7: 23,
+};
+
+const SEVERITIES = {
+	fatal: 2,
+	error: 3,
+	warn: 4,
+	info: 6,
+	log: 6,
+	debug: 7,
+	trace: 7,
+};
+
+/**
+ * Transport sending RFC 5424 messages to a syslog server over UDP or TCP.
+ * Messages which can not be delivered are dropped.
+ *
+ * @class
+ */
+class SyslogTransport {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.level - Minimum level of logged records
+	 * @param {string} [options.format=json] - Either "text" or "json"
+	 * @param {string} [options.host=127.0.0.1] - Syslog server host
+	 * @param {number} [options.port=514] - Syslog server port
+	 * @param {string} [options.protocol=udp] - Either "udp" or "tcp"
+	 * @param {string} [options.facility=local0] - Syslog facility name
+	 * @param {string} [options.appName=lisk] - APP-NAME field of messages
+	 */
+	constructor({
+		level,
+		format = 'json',
+		host = '127.0.0.1',
+		port = 514,
+		protocol = 'udp',
+		facility = 'local0',
+		appName = 'lisk',
+	}) {
+		if (FACILITIES[facility] === undefined) {
+			throw new Error(`Unknown syslog facility "${facility}".`);
+		}
+
+		this.level = level;
+		this.format = format;
+		this.host = host;
+		this.port = port;
+		this.protocol = protocol;
+		this.facility = FACILITIES[facility];
+		this.appName = appName;
+		this.hostname = os.hostname();
+		this.socket = null;
+	}
+
+	log(record) {
+		const message = Buffer.from(this._formatMessage(record));
+
+		if (this.protocol === 'tcp') {
+			this._sendTcp(message);
+		} else {
+			this._sendUdp(message);
+		}
+	}
+
+	close() {
+		if (this.socket) {
+			if (this.protocol === 'tcp') {
+				this.socket.end();
+			} else {
+				this.socket.close();
+			}
+			this.socket = null;
+		}
+	}
+
+	_formatMessage(record) {
+		const priority = this.facility * 8 + (SEVERITIES[record.level] || 6);
+		const content = formats[this.format](record).replace(/\n$/, '');
+
+		return `<${priority}>1 ${record.timestamp.toISOString()} ${this.hostname} ${
+			this.appName
+		} ${process.pid} - - ${content}`;
+	}
+
+	_sendUdp(message) {
+		if (!this.socket) {
+			this.socket = dgram.createSocket('udp4');
+			this.socket.on('error', () => this.close());
+			this.socket.unref();
+		}
+
+		this.socket.send(message, this.port, this.host, () => {});
+	}
+
+	// Messages are framed with octet counting, RFC 6587
+	_sendTcp(message) {
+		if (!this.socket) {
+			const socket = net.connect({ host: this.host, port: this.port });
+			socket.on('error', () => socket.destroy());
+			socket.on('close', () => {
+				if (this.socket === socket) {
+					this.socket = null;
+				}
+			});
+			socket.unref();
+			this.socket = socket;
+		}
+
+		this.socket.write(`${message.length} `);
+		this.socket.write(message);
+	}
+}
+
+module.exports = SyslogTransport;
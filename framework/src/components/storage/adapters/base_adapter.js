@@ -60,6 +60,10 @@ class BaseAdapter extends EventEmitter {
 		throw new ImplementationPendingError();
 	}
 
+	stream() {
+		throw new ImplementationPendingError();
+	}
+
 	transaction() {
 		throw new ImplementationPendingError();
 	}
@@ -83,6 +87,10 @@ class BaseAdapter extends EventEmitter {
 	parseQueryComponent() {
 		throw new ImplementationPendingError();
 	}
+
+	getStats() {
+		throw new ImplementationPendingError();
+	}
 }
 
 module.exports = BaseAdapter;
@@ -15,14 +15,31 @@
 'use strict';
 
 const path = require('path');
+const { Readable } = require('stream');
 const Promise = require('bluebird');
 const monitor = require('pg-monitor');
 const pgpLib = require('pg-promise');
 const QueryFile = require('pg-promise').QueryFile;
+const { createRedactor } = require('../../logger/redaction');
 const BaseAdapter = require('./base_adapter');
 
+const DEFAULT_SLOW_QUERY_THRESHOLD = 1000;
+// Label of queries which are not loaded from an SQL file
+const INLINE_QUERY_LABEL = 'inline';
+
 const _private = {
 	queryFiles: {},
+	queryFileLabels: new Map(),
+	streamCursorsCount: 0,
+	redactParams: createRedactor(),
+};
+
+const getQueryLabel = sql => {
+	if (sql instanceof QueryFile) {
+		return _private.queryFileLabels.get(sql) || sql.file;
+	}
+
+	return INLINE_QUERY_LABEL;
 };
 
 class PgpAdapter extends BaseAdapter {
@@ -32,6 +49,7 @@ class PgpAdapter extends BaseAdapter {
 	 * @param {Boolean} options.inTest
 	 * @param {string} options.logger
 	 * @param {string} options.sqlDirectory
+	 * @param {Number} [options.slowQueryThreshold=1000] - Duration in ms above which queries are logged as slow, 0 disables it
 	 */
 	constructor(options) {
 		super({
@@ -42,6 +60,10 @@ class PgpAdapter extends BaseAdapter {
 		this.options = options;
 		this.logger = options.logger;
 		this.sqlDirectory = options.sqlDirectory;
+		this.slowQueryThreshold = Number.isInteger(options.slowQueryThreshold)
+			? options.slowQueryThreshold
+			: DEFAULT_SLOW_QUERY_THRESHOLD;
+		this.queryStats = {};
 
 		this.pgpOptions = {
 			capSQL: true,
@@ -137,9 +159,8 @@ class PgpAdapter extends BaseAdapter {
 	 * @return {*}
 	 */
 	executeFile(file, params = {}, options = {}, tx) {
-		return this._getExecutionContext(tx, options.expectedResultCount)(
-			file,
-			params
+		return this._measureQuery(getQueryLabel(file), params, () =>
+			this._getExecutionContext(tx, options.expectedResultCount)(file, params)
 		);
 	}
 
@@ -154,12 +175,124 @@ class PgpAdapter extends BaseAdapter {
 	 * @return {*}
 	 */
 	execute(sql, params = {}, options = {}, tx) {
-		return this._getExecutionContext(tx, options.expectedResultCount)(
-			sql,
-			params
+		return this._measureQuery(getQueryLabel(sql), params, () =>
+			this._getExecutionContext(tx, options.expectedResultCount)(sql, params)
 		);
 	}
 
+	/**
+	 * Get counters of executed queries grouped by the SQL file they are loaded from,
+	 * relative to its SQL directory e.g. `transactions/get_extended.sql`.
+	 * Queries not loaded from a file are grouped as `inline`.
+	 *
+	 * @return {Object} Threshold of slow queries and counters of each SQL file
+	 */
+	getStats() {
+		const queries = {};
+
+		Object.keys(this.queryStats).forEach(label => {
+			const stats = this.queryStats[label];
+			queries[label] = {
+				...stats,
+				averageTime: Math.round(stats.totalTime / stats.count),
+			};
+		});
+
+		return {
+			slowQueryThreshold: this.slowQueryThreshold,
+			queries,
+		};
+	}
+
+	resetStats() {
+		this.queryStats = {};
+	}
+
+	/**
+	 * Stream rows of an SQL file or query, fetched in batches through a server-side cursor.
+	 * Next batch is fetched when rows are consumed, the transaction holding the cursor is
+	 * finished when all rows are read or the stream is destroyed.
+	 *
+	 * @param {string|QueryFile} sql
+	 * @param {Object} [params]
+	 * @param {Object} [options]
+	 * @param {Number} [options.batchSize=100] - Number of rows fetched at once
+	 * @param {function} [options.parseRow] - Function to parse each row before pushing it to the stream
+	 * @param {Object} [tx]
+	 * @return {stream.Readable} Readable stream of rows in object mode, which is async iterable too
+	 */
+	stream(sql, params = {}, options = {}, tx) {
+		const batchSize = options.batchSize || 100;
+		const parseRow = options.parseRow || (row => row);
+		const query = this.parseQueryComponent(sql, params);
+		_private.streamCursorsCount += 1;
+		const cursorName = `stream_cursor_${_private.streamCursorsCount}`;
+
+		let resumeReading = null;
+		const waitForRead = () =>
+			new Promise(resolve => {
+				resumeReading = resolve;
+			});
+		const resume = () => {
+			if (resumeReading) {
+				resumeReading();
+				resumeReading = null;
+			}
+		};
+
+		let isDestroyed = false;
+		const readable = new Readable({
+			objectMode: true,
+			highWaterMark: batchSize,
+			read: resume,
+			destroy: (error, cb) => {
+				isDestroyed = true;
+				resume();
+				cb(error);
+			},
+		});
+
+		const fetchRows = async t => {
+			await t.none(`DECLARE "${cursorName}" NO SCROLL CURSOR FOR ${query}`);
+
+			while (!isDestroyed) {
+				// eslint-disable-next-line no-await-in-loop
+				const rows = await t.any(`FETCH ${batchSize} FROM "${cursorName}"`);
+
+				if (!rows.length) {
+					break;
+				}
+
+				let canPushMore = true;
+				rows.forEach(row => {
+					canPushMore = readable.push(parseRow(row));
+				});
+
+				// Wait until the consumer reads rows, so a slow consumer doesn't fill memory
+				if (!canPushMore && !isDestroyed) {
+					// eslint-disable-next-line no-await-in-loop
+					await waitForRead();
+				}
+			}
+
+			return t.none(`CLOSE "${cursorName}"`);
+		};
+
+		this.transaction(`stream:${cursorName}`, fetchRows, tx)
+			.then(() => {
+				if (!isDestroyed) {
+					readable.push(null);
+				}
+			})
+			.catch(error => {
+				if (!isDestroyed) {
+					readable.destroy(error);
+				}
+			});
+
+		return readable;
+	}
+
 	transaction(name, cb, tx) {
 		return (tx || this.db).tx(name, cb);
 	}
@@ -187,6 +320,7 @@ class PgpAdapter extends BaseAdapter {
 		}
 
 		_private.queryFiles[fullPath] = qf;
+		_private.queryFileLabels.set(qf, filePath);
 
 		return qf;
 	}
@@ -208,6 +342,60 @@ class PgpAdapter extends BaseAdapter {
 		return this.pgp.as.format(query, params);
 	}
 
+	/**
+	 * Execute a query and record its duration, queries slower than the threshold
+	 * are logged with their parameters, secrets in parameters are redacted.
+	 *
+	 * @param {string} label
+	 * @param {Object} params
+	 * @param {function} execute - Function executing the query and returning a promise
+	 * @return {Promise}
+	 * @private
+	 */
+	_measureQuery(label, params, execute) {
+		const start = Date.now();
+		const record = failed => {
+			const duration = Date.now() - start;
+			const stats = this.queryStats[label] || {
+				count: 0,
+				errorCount: 0,
+				slowCount: 0,
+				totalTime: 0,
+				maxTime: 0,
+			};
+
+			stats.count += 1;
+			stats.totalTime += duration;
+			stats.maxTime = Math.max(stats.maxTime, duration);
+
+			if (failed) {
+				stats.errorCount += 1;
+			}
+
+			if (this.slowQueryThreshold && duration > this.slowQueryThreshold) {
+				stats.slowCount += 1;
+				this.logger.warn(`Slow query ${label} took ${duration} ms`, {
+					file: label,
+					duration,
+					params: _private.redactParams(params),
+				});
+			}
+
+			this.queryStats[label] = stats;
+		};
+
+		return Promise.try(execute).then(
+			result => {
+				record(false);
+				return result;
+			},
+			error => {
+				record(true);
+				throw error;
+			}
+		);
+	}
+
 	_getExecutionContext(tx, expectedResultCount) {
 		const count = Number(expectedResultCount);
 		const context = tx || this.db;
@@ -45,6 +45,11 @@ const defaultConfig = {
 		logFileName: {
 			type: 'string',
 		},
+		slowQueryThreshold: {
+			type: 'integer',
+			minimum: 0,
+			env: 'LISK_DB_SLOW_QUERY_THRESHOLD',
+		},
 	},
 	required: [
 		'host',
@@ -70,6 +75,7 @@ const defaultConfig = {
 		reapIntervalMillis: 1000,
 		logEvents: ['error'],
 		logFileName: 'logs/lisk_db.log',
+		slowQueryThreshold: 1000,
 	},
 };
 
@@ -277,6 +277,7 @@ class Account extends BaseEntity {
 		const defaultSort = { sort: 'balance:asc' };
 		this.extendDefaultOptions(defaultSort);
 		this.sortingFields.push('productivity');
+		this.cursorKey = 'address';
 
 		this.SQLs = this.loadSQLFiles('account', sqlFiles);
 	}
@@ -334,6 +335,7 @@ class Account extends BaseEntity {
 	 * @param {Number} [options.offset=0] - Offset to start the records
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {string | Array.<string>} [options.sort] - Sort keys for results
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<BasicAccount|ExtendedAccount, Error>}
 	 */
@@ -351,6 +353,7 @@ class Account extends BaseEntity {
 	 * @param {Number} [options.offset=0] - Offset to start the records
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {string | Array.<string>} [options.sort] - Sort keys for results
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<BasicAccount[]|ExtendedAccount[], Error>}
 	 */
@@ -397,15 +400,26 @@ class Account extends BaseEntity {
 	}
 
 	_getResults(filters, options, tx, expectedResultCount = undefined) {
+		const { sql, params } = this._getSelectQuery(filters, options);
+
+		return this.adapter.executeFile(sql, params, { expectedResultCount }, tx);
+	}
+
+	_getSelectQuery(filters, options) {
 		this.validateFilters(filters);
 		this.validateOptions(options);
 
 		const mergedFilters = this.mergeFilters(filters);
-		const parsedFilters = this.parseFilters(mergedFilters);
 		const parsedOptions = _.defaults(
 			{},
-			_.pick(options, ['limit', 'offset', 'sort', 'extended']),
-			_.pick(this.defaultOptions, ['limit', 'offset', 'sort', 'extended'])
+			_.pick(options, ['limit', 'offset', 'sort', 'extended', 'cursor']),
+			_.pick(this.defaultOptions, [
+				'limit',
+				'offset',
+				'sort',
+				'extended',
+				'cursor',
+			])
 		);
 
 		// To have deterministic pagination add extra sorting
@@ -418,6 +432,13 @@ class Account extends BaseEntity {
 			parsedOptions.sort = ['address:asc'];
 		}
 
+		const parsedFilters = parsedOptions.cursor
+			? this.parseFiltersAfterCursor(
+					mergedFilters,
+					parsedOptions.cursor,
+					parsedOptions.sort
+				)
+			: this.parseFilters(mergedFilters);
 		const parsedSort = this.parseSort(parsedOptions.sort);
 
 		const params = {
@@ -427,12 +448,12 @@ class Account extends BaseEntity {
 			parsedFilters,
 		};
 
-		return this.adapter.executeFile(
-			parsedOptions.extended ? this.SQLs.selectFull : this.SQLs.selectSimple,
+		return {
+			sql: parsedOptions.extended
+				? this.SQLs.selectFull
+				: this.SQLs.selectSimple,
 			params,
-			{ expectedResultCount },
-			tx
-		);
+		};
 	}
 }
 
@@ -20,10 +20,18 @@ const {
 	NonSupportedFilterTypeError,
 	NonSupportedOptionError,
 } = require('../errors');
-const { isSortOptionValid, parseSortString } = require('../utils/sort_option');
+const {
+	isSortOptionValid,
+	parseSortString,
+	parseSortStringToObject,
+} = require('../utils/sort_option');
 const filterTypes = require('../utils/filter_types');
 const Field = require('../utils/field');
-const { filterGenerator } = require('../utils/filters');
+const {
+	filterGenerator,
+	getFilterNames,
+	parseFilterGroups,
+} = require('../utils/filters');
 const { defaultInput } = require('../utils/input_serializers');
 
 class BaseEntity {
@@ -42,8 +50,11 @@ class BaseEntity {
 			offset: 0,
 			sort: false,
 			extended: false,
+			cursor: null,
 		};
 		this.sortingFields = [];
+		// Unique field used as last sort key of cursors, entities without it don't support cursors
+		this.cursorKey = null;
 	}
 
 	/**
@@ -74,6 +85,27 @@ class BaseEntity {
 		throw new ImplementationPendingError();
 	}
 
+	/**
+	 * Stream objects from persistence layer, to read large result sets without loading them
+	 * to memory. Unlike get, all matching objects are streamed unless a limit is given.
+	 *
+	 * @param {string | Object} filters - Multiple filters or just primary key
+	 * @param {Object} options - Extended options, same as options of get
+	 * @param {Number} [options.batchSize=100] - Number of objects fetched from persistence layer at once
+	 * @param {Object} tx - transaction object
+	 *
+	 * @return {stream.Readable} Readable stream of objects, which is async iterable too
+	 */
+	stream(filters = {}, options = {}, tx) {
+		const { batchSize, ...queryOptions } = options;
+		const { sql, params, parseRow } = this._getSelectQuery(filters, {
+			limit: null,
+			...queryOptions,
+		});
+
+		return this.adapter.stream(sql, params, { batchSize, parseRow }, tx);
+	}
+
 	// eslint-disable-next-line class-methods-use-this,no-unused-vars
 	count(filters) {
 		throw new ImplementationPendingError();
@@ -259,7 +291,7 @@ class BaseEntity {
 	}
 
 	/**
-	 * Validate allowed filters
+	 * Validate allowed filters, including filters of nested AND, OR and NOT groups
 	 * @param {Array.<Object>|Object} filters
 	 * @param {Boolean} atLeastOneRequired
 	 * @return {Boolean|Object} true or NonSupportedFilterTypeError
@@ -271,19 +303,7 @@ class BaseEntity {
 			);
 		}
 
-		let flattenedFilters = [];
-		let invalidFilters = [];
-
-		if (Array.isArray(filters)) {
-			flattenedFilters = filters.reduce(
-				(acc, curr) => ({ ...acc, ...curr }),
-				{}
-			);
-		} else {
-			flattenedFilters = filters;
-		}
-
-		invalidFilters = Object.keys(flattenedFilters).filter(
+		const invalidFilters = [...new Set(getFilterNames(filters))].filter(
 			item => !this.getFilters().includes(item)
 		);
 
@@ -325,35 +345,204 @@ class BaseEntity {
 			throw new NonSupportedOptionError('Invalid sort option.', options.sort);
 		}
 
+		if (options.cursor) {
+			this.getCursorSort(options.sort);
+
+			if (options.offset) {
+				throw new NonSupportedOptionError(
+					'Cursor option can not be used together with offset option.',
+					options.offset
+				);
+			}
+		}
+
 		return true;
 	}
 
+	/**
+	 * Parse filters to a WHERE clause
+	 *
+	 * Filters of an object are joined with AND and objects of an array with OR. Objects can
+	 * nest filters in `AND` and `OR` arrays and a `NOT` object or array, e.g.
+	 * `{ height_gt: 10, OR: [{ senderId: 'A' }, { recipientId: 'A' }] }`.
+	 *
+	 * @param {Array.<Object>|Object} filters
+	 * @param {Object} [options]
+	 * @param {string} [options.filterPrefix=WHERE]
+	 * @return {string}
+	 */
 	parseFilters(filters, options = { filterPrefix: 'WHERE' }) {
-		const parseFilterObject = object =>
-			`(${Object.keys(object)
-				.map(key => this.filters[key])
-				.join(' AND ')})`;
-
-		const subQueries = (Array.isArray(filters) ? filters : [filters]).reduce(
-			(accQueries, filterObject) => {
-				const filterString = parseFilterObject(filterObject);
-
-				// TODO: refactor this logic
-				if (filterString === '()') {
-					return accQueries;
-				}
-
-				return [
-					...accQueries,
-					`${this.adapter.parseQueryComponent(filterString, filterObject)}`,
-				];
-			},
-			[]
+		const condition = this._parseFilterCondition(filters);
+
+		return condition ? `${options.filterPrefix} ${condition}` : '';
+	}
+
+	/**
+	 * Parse filters to a WHERE clause only matching records after the cursor
+	 *
+	 * @param {Array.<Object>|Object} filters
+	 * @param {string} cursor - Cursor created by createCursor
+	 * @param {Array.<String>|String} [sortOption] - Sort option the cursor was created for
+	 * @return {string}
+	 * @throws {NonSupportedOptionError} If the cursor is invalid for the sort option
+	 */
+	parseFiltersAfterCursor(filters, cursor, sortOption) {
+		const conditions = [
+			this._parseFilterCondition(filters, true),
+			this.parseCursor(cursor, sortOption),
+		];
+
+		return `WHERE ${conditions.filter(Boolean).join(' AND ')}`;
+	}
+
+	/**
+	 * Get sort keys of cursors, which are the sort option followed by the cursor key
+	 *
+	 * @param {Array.<String>|String} [sortOption]
+	 * @return {Array.<String>} Sort option with a unique sort key
+	 * @throws {NonSupportedOptionError} If cursors are not supported for the sort option
+	 */
+	getCursorSort(sortOption = this.defaultOptions.sort) {
+		if (!this.cursorKey) {
+			throw new NonSupportedOptionError(
+				'Cursor option is not supported by this entity.'
+			);
+		}
+
+		const sortKeys = []
+			.concat(sortOption)
+			.filter(Boolean)
+			.map(parseSortStringToObject);
+
+		if (!sortKeys.some(({ field }) => field === this.cursorKey)) {
+			sortKeys.push({ field: this.cursorKey, method: 'ASC' });
+		}
+
+		// Records are compared by actual fields, so computed or custom fields can't be used
+		const isSupported = sortKeys.every(({ field }) => {
+			const { filterType } = this.fields[field] || {};
+			return !!filterType && filterType !== filterTypes.CUSTOM;
+		});
+
+		if (!isSupported) {
+			throw new NonSupportedOptionError(
+				'Sort option is not supported with cursor option.',
+				sortOption
+			);
+		}
+
+		return sortKeys.map(({ field, method }) => `${field}:${method}`);
+	}
+
+	/**
+	 * Create an opaque cursor pointing after the record, to get the next page of results
+	 *
+	 * @param {Object} record - Last record of the page
+	 * @param {Array.<String>|String} [sortOption] - Sort option used to get the page
+	 * @return {string|null} Cursor or null if cursors are not supported for the sort option
+	 */
+	createCursor(record, sortOption) {
+		let sortKeys;
+		try {
+			sortKeys = this.getCursorSort(sortOption);
+		} catch (error) {
+			return null;
+		}
+
+		const cursor = {
+			sort: sortKeys,
+			values: sortKeys
+				.map(parseSortStringToObject)
+				.map(
+					({ field }) => (record[field] === undefined ? null : record[field])
+				),
+		};
+
+		return Buffer.from(JSON.stringify(cursor)).toString('base64');
+	}
+
+	/**
+	 * Parse a cursor to a condition matching records sorted after it
+	 *
+	 * @param {string} cursor - Cursor created by createCursor
+	 * @param {Array.<String>|String} [sortOption] - Sort option the cursor was created for
+	 * @return {string}
+	 * @throws {NonSupportedOptionError} If the cursor is invalid for the sort option
+	 */
+	parseCursor(cursor, sortOption) {
+		const sort = this.getCursorSort(sortOption);
+		let decodedCursor;
+
+		try {
+			decodedCursor = JSON.parse(Buffer.from(cursor, 'base64').toString());
+		} catch (error) {
+			decodedCursor = null;
+		}
+
+		const isValid =
+			!!decodedCursor &&
+			Array.isArray(decodedCursor.sort) &&
+			Array.isArray(decodedCursor.values) &&
+			decodedCursor.sort.join(',') === sort.join(',') &&
+			decodedCursor.values.length === sort.length &&
+			decodedCursor.values.every(
+				value => value === null || typeof value !== 'object'
+			);
+
+		if (!isValid) {
+			throw new NonSupportedOptionError('Invalid cursor option.', cursor);
+		}
+
+		const params = {};
+		const keys = sort
+			.map(parseSortStringToObject)
+			.map(({ field, method }, index) => {
+				const alias = `cursor_${index}`;
+				const value = decodedCursor.values[index];
+				const column = this.fields[field].fieldName
+					.split('.')
+					.map(name => `"${name}"`)
+					.join('.');
+				params[alias] = value;
+
+				return {
+					column,
+					method,
+					value,
+					placeholder: this.fields[field].inputSerializer.call(
+						this.fields[field],
+						value,
+						'select',
+						alias,
+						this.fields[field].fieldName
+					),
+				};
+			});
+
+		// NULL values are sorted last in ascending and first in descending order
+		const isAfter = ({ column, method, value, placeholder }) => {
+			if (value === null) {
+				return method === 'ASC' ? 'FALSE' : `${column} IS NOT NULL`;
+			}
+			return method === 'ASC'
+				? `(${column} > ${placeholder} OR ${column} IS NULL)`
+				: `${column} < ${placeholder}`;
+		};
+		const isEqual = ({ column, placeholder }) =>
+			`${column} IS NOT DISTINCT FROM ${placeholder}`;
+
+		// (a, b) after (x, y) is expanded to: a after x OR (a = x AND b after y)
+		const conditions = keys.map(
+			(key, index) =>
+				`(${[...keys.slice(0, index).map(isEqual), isAfter(key)].join(
+					' AND '
+				)})`
 		);
 
-		return subQueries.length === 0
-			? ''
-			: `${options.filterPrefix} ${subQueries.join(' OR ')}`;
+		return this.adapter.parseQueryComponent(
+			`(${conditions.join(' OR ')})`,
+			params
+		);
 	}
 
 	/**
@@ -368,6 +557,35 @@ class BaseEntity {
 		return { ...filters, ...this.defaultFilters };
 	}
 
+	/**
+	 * Get the select query of get and stream
+	 *
+	 * @param {string | Object} filters
+	 * @param {Object} options
+	 * @return {{sql: (string|Object), params: Object, parseRow: (function|undefined)}}
+	 */
+	// eslint-disable-next-line class-methods-use-this,no-unused-vars
+	_getSelectQuery(filters, options) {
+		throw new ImplementationPendingError();
+	}
+
+	_parseFilterCondition(filters, nested = false) {
+		const parseFilterObject = filterObject => {
+			const keys = Object.keys(filterObject);
+
+			if (keys.length === 0) {
+				return '';
+			}
+
+			return this.adapter.parseQueryComponent(
+				`(${keys.map(key => this.filters[key]).join(' AND ')})`,
+				filterObject
+			);
+		};
+
+		return parseFilterGroups(filters, parseFilterObject, nested);
+	}
+
 	_getValueSetForObject(data, attributes = undefined, options = {}) {
 		return `(${this.adapter.parseQueryComponent(
 			(attributes || Object.keys(data))
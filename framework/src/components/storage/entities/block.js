@@ -16,7 +16,10 @@
 
 const _ = require('lodash');
 const { stringToByte } = require('../utils/input_serializers');
-const { NonSupportedOperationError } = require('../errors');
+const {
+	NonSupportedOperationError,
+	NonSupportedOptionError,
+} = require('../errors');
 const filterType = require('../utils/filter_types');
 const BaseEntity = require('./base_entity');
 const Transaction = require('./transaction');
@@ -204,6 +207,7 @@ class Block extends BaseEntity {
 
 		const defaultSort = { sort: 'height:desc' };
 		this.extendDefaultOptions(defaultSort);
+		this.cursorKey = 'id';
 
 		this.SQLs = this.loadSQLFiles('block', sqlFiles);
 	}
@@ -259,6 +263,7 @@ class Block extends BaseEntity {
 	 * @param {Object} [options = {}] - Options to filter data
 	 * @param {Number} [options.limit=10] - Number of records to fetch
 	 * @param {Number} [options.offset=0] - Offset to start the records
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<BasicBlock[]|ExtendedBlock[], NonSupportedFilterTypeError|NonSupportedOptionError>}
@@ -274,6 +279,7 @@ class Block extends BaseEntity {
 	 * @param {Object} [options = {}] - Options to filter data
 	 * @param {Number} [options.limit=10] - Number of records to fetch
 	 * @param {Number} [options.offset=0] - Offset to start the records
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<BasicBlock|ExtendedBlock, NonSupportedFilterTypeError|NonSupportedOptionError>}
@@ -331,28 +337,34 @@ class Block extends BaseEntity {
 			.then(result => result.exists);
 	}
 
-	async _getResults(filters, options, tx, expectedResultCount = undefined) {
-		this.validateFilters(filters);
-		this.validateOptions(options);
+	/**
+	 * Stream blocks
+	 *
+	 * @override
+	 * @param {filters.Block|filters.Block[]} [filters = {}]
+	 * @param {Object} [options = {}] - Options to filter data, extended blocks are not supported
+	 * @param {Object} tx - Database transaction object
+	 * @return {stream.Readable}
+	 * @throws {NonSupportedOptionError}
+	 */
+	stream(filters = {}, options = {}, tx) {
+		if (options.extended) {
+			throw new NonSupportedOptionError(
+				'Extended option is not supported when streaming blocks.'
+			);
+		}
 
-		const mergedFilters = this.mergeFilters(filters);
-		const parsedFilters = this.parseFilters(mergedFilters);
-		const parsedOptions = _.defaults(
-			{},
-			_.pick(options, ['limit', 'offset', 'sort', 'extended']),
-			_.pick(this.defaultOptions, ['limit', 'offset', 'sort', 'extended'])
-		);
-		const parsedSort = this.parseSort(parsedOptions.sort);
+		return super.stream(filters, options, tx);
+	}
 
-		const params = {
-			limit: parsedOptions.limit,
-			offset: parsedOptions.offset,
-			parsedSort,
-			parsedFilters,
-		};
+	async _getResults(filters, options, tx, expectedResultCount = undefined) {
+		const { sql, params, parsedOptions } = this._getSelectQuery(
+			filters,
+			options
+		);
 
 		let result = await this.adapter.executeFile(
-			this.SQLs.select,
+			sql,
 			params,
 			{ expectedResultCount },
 			tx
@@ -379,6 +391,47 @@ class Block extends BaseEntity {
 
 		return expectedResultCount === 1 ? result[0] : result;
 	}
+
+	_getSelectQuery(filters, options) {
+		this.validateFilters(filters);
+		this.validateOptions(options);
+
+		const mergedFilters = this.mergeFilters(filters);
+		const parsedOptions = _.defaults(
+			{},
+			_.pick(options, ['limit', 'offset', 'sort', 'extended', 'cursor']),
+			_.pick(this.defaultOptions, [
+				'limit',
+				'offset',
+				'sort',
+				'extended',
+				'cursor',
+			])
+		);
+
+		// To have deterministic pagination add extra sorting
+		parsedOptions.sort = _.flatten([parsedOptions.sort, 'id:asc']).filter(
+			Boolean
+		);
+
+		const parsedFilters = parsedOptions.cursor
+			? this.parseFiltersAfterCursor(
+					mergedFilters,
+					parsedOptions.cursor,
+					parsedOptions.sort
+				)
+			: this.parseFilters(mergedFilters);
+		const parsedSort = this.parseSort(parsedOptions.sort);
+
+		const params = {
+			limit: parsedOptions.limit,
+			offset: parsedOptions.offset,
+			parsedSort,
+			parsedFilters,
+		};
+
+		return { sql: this.SQLs.select, params, parsedOptions };
+	}
 }
 
 module.exports = Block;
@@ -18,6 +18,7 @@ const _ = require('lodash');
 const { stringToByte } = require('../utils/input_serializers');
 const { NonSupportedOperationError } = require('../errors');
 const filterTypes = require('../utils/filter_types');
+const { filterGroups } = require('../utils/filters');
 const BaseEntity = require('./base_entity');
 
 /**
@@ -242,6 +243,8 @@ class Transaction extends BaseEntity {
 				'asset @> \'{ "dapp": { "link": "${dapp_link:value}" } }\'::jsonb',
 		});
 
+		this.cursorKey = 'id';
+
 		this.SQLs = this.loadSQLFiles('transaction', sqlFiles);
 	}
 
@@ -253,6 +256,7 @@ class Transaction extends BaseEntity {
 	 * @param {Number} [options.limit=10] - Number of records to fetch
 	 * @param {Number} [options.offset=0] - Offset to start the records
 	 * @param {string} [options.sort] - Sort key for transaction e.g. amount:asc, amount:desc
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<Transaction, Error>}
@@ -270,6 +274,7 @@ class Transaction extends BaseEntity {
 	 * @param {Number} [options.limit=10] - Number of records to fetch
 	 * @param {Number} [options.offset=0] - Offset to start the records
 	 * @param {string} [options.sort] - Sort key for transaction e.g. amount:asc, amount:desc
+	 * @param {string} [options.cursor] - Cursor to get records after, instead of offset
 	 * @param {Boolean} [options.extended=false] - Get extended fields for entity
 	 * @param {Object} tx - Database transaction object
 	 * @return {Promise.<Transaction[], Error>}
@@ -377,28 +382,58 @@ class Transaction extends BaseEntity {
 	}
 
 	_getResults(filters, options, tx, expectedResultCount = undefined) {
+		const { sql, params, parseRow } = this._getSelectQuery(filters, options);
+
+		return this.adapter
+			.executeFile(sql, params, { expectedResultCount }, tx)
+			.then(resp => {
+				if (expectedResultCount === 1) {
+					return parseRow(resp);
+				}
+
+				return resp.map(parseRow);
+			});
+	}
+
+	_getSelectQuery(filters, options) {
 		filters = Transaction._sanitizeFilters(filters);
 		this.validateFilters(filters);
 		this.validateOptions(options);
 
 		const mergedFilters = this.mergeFilters(filters);
-		const parsedFilters = this.parseFilters(mergedFilters);
 
 		const parsedOptions = _.defaults(
 			{},
-			_.pick(options, ['limit', 'offset', 'sort', 'extended']),
-			_.pick(this.defaultOptions, ['limit', 'offset', 'sort', 'extended'])
+			_.pick(options, ['limit', 'offset', 'sort', 'extended', 'cursor']),
+			_.pick(this.defaultOptions, [
+				'limit',
+				'offset',
+				'sort',
+				'extended',
+				'cursor',
+			])
 		);
 
-		// To have deterministic pagination add extra sorting
+		// To have deterministic pagination add extra sorting by the cursor key, so offset
+		// and cursor pages have the same order. Without sort option the order of rows is kept
 		if (parsedOptions.sort) {
-			parsedOptions.sort = _.flatten([parsedOptions.sort, 'rowId:asc']).filter(
+			parsedOptions.sort = _.flatten([parsedOptions.sort, 'id:asc']).filter(
 				Boolean
 			);
+		} else if (parsedOptions.cursor) {
+			parsedOptions.sort = ['id:asc'];
 		} else {
 			parsedOptions.sort = ['rowId:asc'];
 		}
 
+		const parsedFilters = parsedOptions.cursor
+			? this.parseFiltersAfterCursor(
+					mergedFilters,
+					parsedOptions.cursor,
+					parsedOptions.sort
+				)
+			: this.parseFilters(mergedFilters);
+
 		let parsedSort = this.parseSort(parsedOptions.sort);
 
 		// TODO: improve this logic
@@ -412,53 +447,44 @@ class Transaction extends BaseEntity {
 			parsedFilters,
 		};
 
-		return this.adapter
-			.executeFile(
-				parsedOptions.extended ? this.SQLs.selectExtended : this.SQLs.select,
-				params,
-				{ expectedResultCount },
-				tx
-			)
-			.then(resp => {
-				const parseResponse = transaction => {
-					if (parsedOptions.extended) {
-						transaction.asset = transaction.asset ? transaction.asset : {};
-						if (transaction.transferData) {
-							transaction.asset.data =
-								transaction.transferData.toString('utf8') || null;
-						}
-						delete transaction.transferData;
-					}
-					transaction.signatures = transaction.signatures
-						? transaction.signatures.filter(Boolean)
-						: [];
-					return transaction;
-				};
-
-				if (expectedResultCount === 1) {
-					return parseResponse(resp);
+		const parseRow = transaction => {
+			if (parsedOptions.extended) {
+				transaction.asset = transaction.asset ? transaction.asset : {};
+				if (transaction.transferData) {
+					transaction.asset.data =
+						transaction.transferData.toString('utf8') || null;
 				}
+				delete transaction.transferData;
+			}
+			transaction.signatures = transaction.signatures
+				? transaction.signatures.filter(Boolean)
+				: [];
+			return transaction;
+		};
 
-				return resp.map(parseResponse);
-			});
+		return {
+			sql: parsedOptions.extended ? this.SQLs.selectExtended : this.SQLs.select,
+			params,
+			parseRow,
+		};
 	}
 
 	static _sanitizeFilters(filters = {}) {
 		const sanitizeFilterObject = filterObject => {
+			if (Array.isArray(filterObject)) {
+				return filterObject.map(sanitizeFilterObject);
+			}
 			if (filterObject.data_like) {
 				filterObject.data_like = Buffer.from(filterObject.data_like, 'utf8');
 			}
+			filterGroups.filter(group => filterObject[group]).forEach(group => {
+				filterObject[group] = sanitizeFilterObject(filterObject[group]);
+			});
 			return filterObject;
 		};
 
 		// PostgresSQL does not support null byte buffer so have to parse in javascript
-		if (Array.isArray(filters)) {
-			filters = filters.map(sanitizeFilterObject);
-		} else {
-			filters = sanitizeFilterObject(filters);
-		}
-
-		return filters;
+		return sanitizeFilterObject(filters);
 	}
 }
 
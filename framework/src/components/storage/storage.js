@@ -54,6 +54,15 @@ class Storage {
 		this.isReady = false;
 	}
 
+	/**
+	 * Get timing counters of executed queries grouped by SQL file
+	 *
+	 * @return {Object}
+	 */
+	getStats() {
+		return this.adapter.getStats();
+	}
+
 	/**
 	 * Register an entity by initializing its object.
 	 * It will be accessible through `storage.entities.[identifier]
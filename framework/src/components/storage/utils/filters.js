@@ -36,6 +36,19 @@ function filterGenerator(
 		.map(value => `"${value}"`)
 		.join('.');
 
+	// Filters supported by every type of field, values of `_between` are [from, to] pairs
+	const addCommonFilters = (inFieldName = parsedFieldName) => {
+		filters[`${alias}_between`] = `${parsedFieldName} BETWEEN ${getValue(
+			`${alias}_between.0`
+		)} AND ${getValue(`${alias}_between.1`)}`;
+		filters[
+			`${alias}_is_null`
+		] = `(${parsedFieldName} IS NULL) = $\{${alias}_is_null}`;
+		filters[
+			`${alias}_not_in`
+		] = `${inFieldName} NOT IN ($\{${alias}_not_in:csv})`;
+	};
+
 	switch (filterType) {
 		case filterTypes.BOOLEAN:
 			filters[alias] = `${parsedFieldName} = ${getValue(alias)}`;
@@ -45,6 +58,7 @@ function filterGenerator(
 			filters[`${alias}_ne`] = `${parsedFieldName} <> ${getValue(
 				`${alias}_ne`
 			)}`;
+			addCommonFilters();
 			break;
 
 		case filterTypes.TEXT:
@@ -58,6 +72,7 @@ function filterGenerator(
 
 			filters[`${alias}_in`] = `${parsedFieldName} IN ($\{${alias}_in:csv})`;
 			filters[`${alias}_like`] = `${parsedFieldName} LIKE ($\{${alias}_like})`;
+			addCommonFilters();
 			break;
 
 		case filterTypes.BINARY:
@@ -73,6 +88,7 @@ function filterGenerator(
 				`${alias}_in`
 			] = `ENCODE(${parsedFieldName}, 'hex') IN ($\{${alias}_in:csv})`;
 			filters[`${alias}_like`] = `${parsedFieldName} LIKE ($\{${alias}_like})`;
+			addCommonFilters(`ENCODE(${parsedFieldName}, 'hex')`);
 			break;
 
 		case filterTypes.NUMBER:
@@ -97,6 +113,7 @@ function filterGenerator(
 				`${alias}_lte`
 			)}`;
 			filters[`${alias}_in`] = `${parsedFieldName} IN ($\{${alias}_in:csv})`;
+			addCommonFilters();
 			break;
 
 		case filterTypes.CUSTOM:
@@ -124,6 +141,101 @@ function filterGenerator(
 	return filters;
 }
 
+/**
+ * Keys of filter objects combining nested filters instead of naming a filter, e.g.
+ * `{ height_gt: 10, OR: [{ senderId: 'A' }, { recipientId: 'A' }] }`.
+ * `AND` and `OR` take arrays of filters, `NOT` takes filters.
+ */
+const filterGroups = ['AND', 'OR', 'NOT'];
+
+const joinConditions = (conditions, operator) =>
+	conditions.filter(Boolean).join(` ${operator} `);
+
+// Parenthesize conditions joined together, so they can be combined with other conditions
+const groupConditions = (conditions, operator) => {
+	const nonEmptyConditions = conditions.filter(Boolean);
+	return nonEmptyConditions.length > 1
+		? `(${nonEmptyConditions.join(` ${operator} `)})`
+		: nonEmptyConditions[0] || '';
+};
+
+/**
+ * Get names of all filters used by filters, including filters of nested groups.
+ *
+ * @param {Array.<Object>|Object} filters
+ * @return {Array.<string>}
+ * @throws {NonSupportedFilterTypeError} If filters or filter groups are malformed
+ */
+function getFilterNames(filters) {
+	if (Array.isArray(filters)) {
+		return [].concat(...filters.map(getFilterNames));
+	}
+
+	if (!filters || typeof filters !== 'object') {
+		throw new NonSupportedFilterTypeError(
+			'Filters must be an object or an array of objects.',
+			filters
+		);
+	}
+
+	const { AND, OR, NOT, ...filterObject } = filters;
+	const names = Object.keys(filterObject);
+
+	[['AND', AND], ['OR', OR]].forEach(([group, groupFilters]) => {
+		if (groupFilters === undefined) {
+			return;
+		}
+		if (!Array.isArray(groupFilters)) {
+			throw new NonSupportedFilterTypeError(
+				`Filter group "${group}" must be an array.`,
+				groupFilters
+			);
+		}
+		names.push(...getFilterNames(groupFilters));
+	});
+
+	if (NOT !== undefined) {
+		names.push(...getFilterNames(NOT));
+	}
+
+	return names;
+}
+
+/**
+ * Parse filters with nested groups to a condition.
+ * Filters of an object are joined with AND, objects of an array are joined with OR.
+ *
+ * @param {Array.<Object>|Object} filters
+ * @param {function} parseFilterObject - Parses filters of an object without groups to a condition
+ * @param {Boolean} [nested=false] - Whether to parenthesize the condition
+ * @return {string} Condition or empty string if there are no filters
+ */
+function parseFilterGroups(filters, parseFilterObject, nested = false) {
+	const join = nested ? groupConditions : joinConditions;
+	const parseNested = nestedFilters =>
+		parseFilterGroups(nestedFilters, parseFilterObject, true);
+
+	if (Array.isArray(filters)) {
+		return join(filters.map(parseNested), 'OR');
+	}
+
+	const { AND, OR, NOT, ...filterObject } = filters;
+	const notCondition = NOT === undefined ? '' : parseNested(NOT);
+
+	return join(
+		[
+			parseFilterObject(filterObject),
+			AND && groupConditions(AND.map(parseNested), 'AND'),
+			OR && groupConditions(OR.map(parseNested), 'OR'),
+			notCondition && `NOT ${notCondition}`,
+		],
+		'AND'
+	);
+}
+
 module.exports = {
 	filterGenerator,
+	filterGroups,
+	getFilterNames,
+	parseFilterGroups,
 };
@@ -1,8 +1,12 @@
 const assert = require('assert');
+const { generateTraceId, getTraceId } = require('./helpers/trace');
 
 const moduleNameReg = /^[a-zA-Z][a-zA-Z0-9_]*$/;
 const actionWithModuleNameReg = /^[a-zA-Z][a-zA-Z0-9_]*:[a-zA-Z][a-zA-Z0-9]*$/;
 
+// Hops recorded beyond it are dropped, so actions passed around in a loop stay small
+const MAX_HOPS = 16;
+
 /**
  * An action class which instance will be received by every event listener
  *
@@ -17,8 +21,10 @@ class Action {
 	 * @param {string} name - Can be simple event or be combination of module:event
 	 * @param {Array} [params] - Params associated with the action
 	 * @param {string} [source] - Module name if event name does not have its prefix
+	 * @param {string} [traceId] - Trace id of the request, inherited from the current trace or generated if not provided
+	 * @param {Array.<Object>} [hops] - Modules the action passed through, with the time it reached them
 	 */
-	constructor(name, params = null, source = null) {
+	constructor(name, params = null, source = null, traceId = null, hops = []) {
 		assert(
 			actionWithModuleNameReg.test(name),
 			`Action name "${name}" must be a valid name with module name.`
@@ -33,6 +39,12 @@ class Action {
 			);
 			this.source = source;
 		}
+
+		this.traceId = traceId || getTraceId() || generateTraceId();
+		this.hops = Array.isArray(hops) ? hops : [];
+		if (this.hops.length > MAX_HOPS) {
+			this.hops = this.hops.slice(0, MAX_HOPS);
+		}
 	}
 
 	/**
@@ -46,6 +58,8 @@ class Action {
 			module: this.module,
 			source: this.source,
 			params: this.params,
+			traceId: this.traceId,
+			hops: this.hops,
 		};
 	}
 
@@ -60,10 +74,25 @@ class Action {
 		return new Action(
 			`${parsedAction.module}:${parsedAction.name}`,
 			parsedAction.params,
-			parsedAction.source
+			parsedAction.source,
+			parsedAction.traceId,
+			parsedAction.hops
 		);
 	}
 
+	/**
+	 * Record that the action reached a module, bus or other point on its way.
+	 * Only the first 16 hops are recorded.
+	 *
+	 * @param {string} name - Name of the hop
+	 */
+	addHop(name) {
+		if (this.hops.length >= MAX_HOPS) {
+			return;
+		}
+		this.hops.push({ name, timestamp: Date.now() });
+	}
+
 	/**
 	 * Getter function for source and action label data.
 	 *
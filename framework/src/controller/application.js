@@ -160,6 +160,7 @@ class Application {
 	 * @param {Object} moduleKlass - Module specification
 	 *  @see {@link '../modules/README.md'}
 	 * @param {Object} [options] - Modules configuration object. Provided options will override `moduleKlass.defaults` to generate final configuration used for the module
+	 * @param {Object} [options.permissions] - Restrict the module to invoke only `permissions.invoke` actions and publish only `permissions.publish` events, e.g. `{ invoke: ['app:getComponentConfig', 'chain:*'], publish: [] }`
 	 * @param {string} [alias] - Will use this alias or fallback to `moduleKlass.alias`
 	 */
 	registerModule(moduleKlass, options = {}, alias = undefined) {
@@ -298,6 +299,9 @@ class Application {
 			{
 				components: this.config.components,
 				ipc: this.config.app.ipc,
+				invoke: this.config.app.invoke,
+				eventBuffers: this.config.app.eventBuffers,
+				tracing: this.config.app.tracing,
 				initialState: this.config.initialState,
 			},
 			this.logger
@@ -305,6 +309,39 @@ class Application {
 		return this.controller.load(this.getModules(), this.config.modules);
 	}
 
+	/**
+	 * Load a registered module on the running application
+	 *
+	 * @param {string} alias - Alias of module used during registration
+	 * @return {Promise.<void>}
+	 */
+	async loadModule(alias) {
+		assert(this.controller, 'Application is not running.');
+		return this.controller.loadModule(alias);
+	}
+
+	/**
+	 * Unload a module from the running application
+	 *
+	 * @param {string} alias - Alias of module used during registration
+	 * @return {Promise.<void>}
+	 */
+	async unloadModule(alias) {
+		assert(this.controller, 'Application is not running.');
+		return this.controller.unloadModule(alias);
+	}
+
+	/**
+	 * Unload a module from the running application and load it again
+	 *
+	 * @param {string} alias - Alias of module used during registration
+	 * @return {Promise.<void>}
+	 */
+	async reloadModule(alias) {
+		assert(this.controller, 'Application is not running.');
+		return this.controller.reloadModule(alias);
+	}
+
 	/**
 	 * Stop the running application
 	 *
@@ -1,11 +1,38 @@
+const crypto = require('crypto');
 const axon = require('pm2-axon');
 const { Server: RPCServer, Client: RPCClient } = require('pm2-axon-rpc');
 const { EventEmitter2 } = require('eventemitter2');
 const Action = require('./action');
+const { resolveInvokeOptions, invokeWithPolicy } = require('./helpers/invoke');
+const RingBuffer = require('./helpers/ring_buffer');
+const BusMetrics = require('./bus_metrics');
+const { runWithTraceId } = require('./helpers/trace');
+const { INTERNAL_EVENTS } = require('./channels/base/constants');
+const { validate } = require('./helpers/validator');
+const {
+	tokensMatch,
+	bindSocket,
+	connectSocket,
+	getMessageIdentity,
+} = require('./helpers/ipc_transport');
+const { PermissionDeniedError } = require('../errors');
 
 const CONTROLLER_IDENTIFIER = 'app';
 const SOCKET_TIMEOUT_TIME = 2000;
 
+/**
+ * Check if name matches the permission pattern.
+ * Pattern can be a full name, "module:*" for everything of a module or "*".
+ *
+ * @param {string} pattern - Permission pattern
+ * @param {string} name - Action or event name in module:name format
+ * @return {boolean}
+ */
+const matchesPermission = (pattern, name) =>
+	pattern === '*' ||
+	pattern === name ||
+	(pattern.endsWith(':*') && name.startsWith(pattern.slice(0, -1)));
+
 /**
  * Bus responsible to maintain communication between modules
  *
@@ -31,8 +58,33 @@ class Bus extends EventEmitter2 {
 		// Hash map used instead of arrays for performance.
 		this.actions = {};
 		this.events = {};
+		this.actionSchemas = {};
+		this.eventSchemas = {};
 		this.channels = {};
 		this.rpcClients = {};
+		this.eventBuffers = {};
+		this.metrics = new BusMetrics();
+		// Permissions and connection tokens of modules, given by the controller
+		this.permissions = { ...(config.ipc && config.ipc.permissions) };
+		this.tokens = {};
+	}
+
+	/**
+	 * Set permissions of a module about to be loaded and create the token
+	 * its connections to the bus authenticate with, replacing the previous one.
+	 * Permissions of remote modules are configured in `app.ipc.permissions` instead.
+	 *
+	 * @param {string} moduleAlias - Alias of the module
+	 * @param {Object} [permissions] - Permissions of the module, unrestricted if not provided
+	 * @param {Array.<string>} [permissions.invoke] - Actions the module may invoke
+	 * @param {Array.<string>} [permissions.publish] - Events the module may publish
+	 * @return {string} Token for the channel of a module running in a child process
+	 */
+	authorize(moduleAlias, permissions) {
+		this.permissions[moduleAlias] = permissions;
+		this.tokens[moduleAlias] = crypto.randomBytes(32).toString('hex');
+
+		return this.tokens[moduleAlias];
 	}
 
 	/**
@@ -46,31 +98,86 @@ class Bus extends EventEmitter2 {
 			return true;
 		}
 
+		// Connections of modules are identified by the token they authenticate with
+		const authenticate = token => this._authenticate(token);
+
 		this.pubSocket = axon.socket('pub-emitter');
-		this.pubSocket.bind(this.config.socketsPath.pub);
+		bindSocket(
+			this.pubSocket,
+			this.config.socketsPath.pub,
+			this.config.ipc,
+			authenticate
+		);
 
 		this.subSocket = axon.socket('sub-emitter');
-		this.subSocket.bind(this.config.socketsPath.sub);
+		bindSocket(
+			this.subSocket,
+			this.config.socketsPath.sub,
+			this.config.ipc,
+			authenticate
+		);
 
 		this.rpcSocket = axon.socket('rep');
 		this.rpcServer = new RPCServer(this.rpcSocket);
-		this.rpcSocket.bind(this.config.socketsPath.rpc);
+		bindSocket(
+			this.rpcSocket,
+			this.config.socketsPath.rpc,
+			this.config.ipc,
+			authenticate
+		);
 
 		this.rpcServer.expose(
 			'registerChannel',
 			(moduleAlias, events, actions, options, cb) => {
-				this.registerChannel(moduleAlias, events, actions, options)
-					.then(() => cb(null))
+				const identity = getMessageIdentity(this.rpcSocket);
+
+				Promise.resolve()
+					.then(() => {
+						this._assertRegistrationAllowed(identity, moduleAlias, options);
+						return this.registerChannel(moduleAlias, events, actions, options);
+					})
+					.then(() => {
+						// A remote module authenticated with the shared token is identified once registered
+						identity.moduleAlias = moduleAlias;
+						cb(null);
+					})
 					.catch(error => cb(error));
 			}
 		);
 
-		this.rpcServer.expose('invoke', (action, cb) => {
-			this.invoke(action)
-				.then(data => cb(null, data))
-				.catch(error => cb(error));
+		// Callers without invoke options call it with the action and the callback only
+		this.rpcServer.expose('invoke', (action, options, cb) => {
+			const { moduleAlias } = getMessageIdentity(this.rpcSocket) || {};
+			const [invokeOptions, callback] =
+				typeof options === 'function' ? [{}, options] : [options || {}, cb];
+
+			if (!moduleAlias) {
+				callback(
+					new Error(
+						'Module has to register its channel before invoking actions.'
+					)
+				);
+				return;
+			}
+
+			this.invoke(action, invokeOptions, moduleAlias)
+				.then(data => callback(null, data))
+				.catch(error => callback(error));
 		});
 
+		this.rpcServer.expose('getBufferedEvents', (eventName, since, cb) => {
+			cb(null, this.getBufferedEvents(eventName, since));
+		});
+
+		// Events published by child processes and remote modules do not pass through publish
+		this.subSocket.on('*', (eventName, eventValue) =>
+			this._receiveEvent(
+				eventName,
+				eventValue,
+				getMessageIdentity(this.subSocket)
+			)
+		);
+
 		return Promise.race([
 			this._resolveWhenAllSocketsBound(),
 			this._rejectWhenAnySocketFailsToBind(),
@@ -87,7 +194,10 @@ class Bus extends EventEmitter2 {
 	 * @param {string} moduleAlias - Alias for module used during registration
 	 * @param {Array.<module.Event>} events - List of events
 	 * @param {Array.<module.Action>} actions - List of actions
-	 * @param {Object} options - Options related to registering channel (unused variable)
+	 * @param {Object} options - Options related to registering channel
+	 * @param {Object} [options.schemas] - JSON schemas of action params and event data
+	 * @param {Object.<string, Object>} [options.schemas.actions] - Schemas keyed by action name
+	 * @param {Object.<string, Object>} [options.schemas.events] - Schemas keyed by event name
 	 *
 	 * @throws {Error} If event name is already registered.
 	 */
@@ -97,6 +207,15 @@ class Bus extends EventEmitter2 {
 		actions,
 		options = { type: 'inMemory' }
 	) {
+		// A remote module registering again after a restart replaces its previous channel
+		if (
+			options.type === 'remote' &&
+			this.channels[moduleAlias] &&
+			this.channels[moduleAlias].type === 'remote'
+		) {
+			await this.unregisterChannel(moduleAlias);
+		}
+
 		events.forEach(eventName => {
 			const eventFullName = `${moduleAlias}:${eventName}`;
 			if (this.events[eventFullName]) {
@@ -107,6 +226,16 @@ class Bus extends EventEmitter2 {
 			this.events[eventFullName] = true;
 		});
 
+		const schemas = options.schemas || {};
+		Object.keys(schemas.events || {}).forEach(eventName => {
+			this.eventSchemas[`${moduleAlias}:${eventName}`] =
+				schemas.events[eventName];
+		});
+		Object.keys(schemas.actions || {}).forEach(actionName => {
+			this.actionSchemas[`${moduleAlias}:${actionName}`] =
+				schemas.actions[actionName];
+		});
+
 		actions.forEach(actionName => {
 			const actionFullName = `${moduleAlias}:${actionName}`;
 			if (this.actions[actionFullName]) {
@@ -121,7 +250,7 @@ class Bus extends EventEmitter2 {
 
 		if (options.rpcSocketPath) {
 			const rpcSocket = axon.socket('req');
-			rpcSocket.connect(options.rpcSocketPath);
+			connectSocket(rpcSocket, options.rpcSocketPath, this.config.ipc);
 			channel = new RPCClient(rpcSocket);
 			this.rpcClients[moduleAlias] = rpcSocket;
 		}
@@ -134,40 +263,119 @@ class Bus extends EventEmitter2 {
 		};
 	}
 
+	/**
+	 * Remove channel of a module with all its events and actions from the bus.
+	 *
+	 * @async
+	 * @param {string} moduleAlias - Alias for module used during registration
+	 */
+	async unregisterChannel(moduleAlias) {
+		const channelInfo = this.channels[moduleAlias];
+
+		if (!channelInfo) {
+			return;
+		}
+
+		channelInfo.events.forEach(eventName => {
+			delete this.events[`${moduleAlias}:${eventName}`];
+			delete this.eventSchemas[`${moduleAlias}:${eventName}`];
+		});
+
+		channelInfo.actions.forEach(actionName => {
+			delete this.actions[`${moduleAlias}:${actionName}`];
+			delete this.actionSchemas[`${moduleAlias}:${actionName}`];
+		});
+
+		if (this.rpcClients[moduleAlias]) {
+			this.rpcClients[moduleAlias].close();
+			delete this.rpcClients[moduleAlias];
+		}
+
+		delete this.channels[moduleAlias];
+	}
+
 	/**
 	 * Invoke action on bus.
+	 * Timeout and retry policy is taken from `config.invoke` and can be overridden per call.
 	 *
 	 * @param {Object|string} actionData - Object or stringified object containing action data like name, module, souce, and params.
+	 * @param {Object} [options] - Options for this invocation
+	 * @param {number} [options.timeout] - Time in milliseconds to wait for the response, 0 waits forever
+	 * @param {Object} [options.retry] - Retry policy for timed out invocations
+	 * @param {Promise} [options.cancel] - Settling this promise cancels the invocation
+	 * @param {string} [source] - Alias of the module whose channel the action was received from,
+	 * replacing the source of the action. Actions without it are invoked by the controller and not restricted.
 	 *
 	 * @throws {Error} If action is not registered to bus.
+	 * @throws {Framework.errors.PermissionDeniedError} If source module is not allowed to invoke the action.
+	 * @throws {Framework.errors.SchemaValidationError} If params do not match the schema of the action.
+	 * @throws {Framework.errors.ActionTimeoutError} If action did not respond in time.
+	 * @throws {Framework.errors.ActionCancelledError} If invocation was cancelled.
 	 */
-	async invoke(actionData) {
+	async invoke(actionData, options = {}, source) {
 		const action = Action.deserialize(actionData);
 
-		if (!this.actions[action.key()]) {
-			throw new Error(`Action ${action.key()} is not registered to bus.`);
+		return runWithTraceId(action.traceId, () =>
+			this._invoke(action, options, source)
+		);
+	}
+
+	async _invoke(action, options, source) {
+		const actionName = action.key();
+
+		if (!this.actions[actionName]) {
+			throw new Error(`Action ${actionName} is not registered to bus.`);
 		}
 
-		if (action.module === CONTROLLER_IDENTIFIER) {
-			return this.channels[CONTROLLER_IDENTIFIER].channel.invoke(action);
+		if (source) {
+			action.source = source;
 		}
 
-		if (this.channels[action.module].type === 'inMemory') {
-			return this.channels[action.module].channel.invoke(action);
+		if (
+			source &&
+			source !== action.module &&
+			!this._isAllowed(source, 'invoke', actionName)
+		) {
+			this.logger.warn(
+				`Module "${source}" is not allowed to invoke action "${actionName}".`
+			);
+			throw new PermissionDeniedError(source, 'invoke', actionName);
 		}
 
-		return new Promise((resolve, reject) => {
-			this.channels[action.module].channel.call(
-				'invoke',
-				action.serialize(),
-				(err, data) => {
-					if (err) {
-						return reject(err);
-					}
-					return resolve(data);
-				}
+		if (this.actionSchemas[actionName]) {
+			validate(this.actionSchemas[actionName], action.params);
+		}
+
+		action.addHop('bus');
+		const [{ timestamp: startedAt }] = action.hops;
+		const receivedAt = Date.now();
+
+		let result;
+		try {
+			result = await invokeWithPolicy(
+				() => this.metrics.trackDispatch(action.module, this._dispatch(action)),
+				actionName,
+				resolveInvokeOptions(this.config.invoke, actionName, options)
 			);
-		});
+		} catch (error) {
+			this.metrics.recordInvocation(actionName, Date.now() - receivedAt, true);
+			throw error;
+		}
+
+		this.metrics.recordInvocation(actionName, Date.now() - receivedAt, false);
+
+		this.logger.debug(
+			`Action ${actionName} responded in ${Date.now() - startedAt}ms`,
+			{
+				traceId: action.traceId,
+				hops: action.hops.map(({ name, timestamp }) => ({
+					name,
+					elapsed: timestamp - startedAt,
+				})),
+			}
+		);
+
+		return result;
 	}
 
 	/**
@@ -177,11 +385,14 @@ class Bus extends EventEmitter2 {
 	 * @param {string} eventValue - Attached value for event
 	 *
 	 * @throws {Error} If event name does not exist to bus.
+	 * @throws {Framework.errors.PermissionDeniedError} If module is not allowed to publish the event.
+	 * @throws {Framework.errors.SchemaValidationError} If data does not match the schema of the event.
 	 */
 	publish(eventName, eventValue) {
-		if (!this.getEvents().includes(eventName)) {
-			throw new Error(`Event ${eventName} is not registered to bus.`);
-		}
+		this._assertPublishAllowed(eventName, eventValue);
+
+		this.metrics.recordPublish(eventName);
+		this._bufferEvent(eventName, eventValue);
 
 		// Communicate through event emitter
 		this.emit(eventName, eventValue);
@@ -192,20 +403,92 @@ class Bus extends EventEmitter2 {
 		}
 	}
 
-	subscribe(eventName, cb) {
+	_assertPublishAllowed(eventName, eventValue) {
+		if (!this.getEvents().includes(eventName)) {
+			throw new Error(`Event ${eventName} is not registered to bus.`);
+		}
+
+		const [moduleAlias] = eventName.split(':');
+		const isInternalEvent = INTERNAL_EVENTS.some(
+			internalEvent => eventName === `${moduleAlias}:${internalEvent}`
+		);
+
+		if (
+			!isInternalEvent &&
+			!this._isAllowed(moduleAlias, 'publish', eventName)
+		) {
+			this.logger.warn(
+				`Module "${moduleAlias}" is not allowed to publish event "${eventName}".`
+			);
+			throw new PermissionDeniedError(moduleAlias, 'publish', eventName);
+		}
+
+		// Event value is the serialized event, the schema describes its data
+		if (this.eventSchemas[eventName]) {
+			validate(this.eventSchemas[eventName], eventValue.data);
+		}
+	}
+
+	/**
+	 * Deliver an event received from the connection of a module to the listeners of the controller process,
+	 * if the module is allowed to publish it. Other events are logged and dropped.
+	 *
+	 * @param {string} eventName - Name of the event
+	 * @param {Object} eventValue - Serialized event
+	 * @param {?Object} identity - Identity of the connection the event was received from
+	 * @private
+	 */
+	_receiveEvent(eventName, eventValue, identity) {
+		const [moduleAlias] = eventName.split(':');
+		const channelInfo = this.channels[moduleAlias];
+		// Connections with the shared token of TCP transport publish events of remote modules
+		const publisher =
+			identity &&
+			(identity.moduleAlias ||
+				(channelInfo && channelInfo.type === 'remote' ? moduleAlias : null));
+
+		try {
+			if (publisher !== moduleAlias) {
+				throw new PermissionDeniedError(
+					publisher || 'unknown',
+					'publish',
+					eventName
+				);
+			}
+			this._assertPublishAllowed(eventName, eventValue);
+		} catch (error) {
+			this.logger.warn(`Dropped event "${eventName}": ${error.message}`);
+			return;
+		}
+
+		this.metrics.recordPublish(eventName);
+		this._bufferEvent(eventName, eventValue);
+		this.emit(eventName, eventValue);
+	}
+
+	/**
+	 * Listen to an event.
+	 *
+	 * @param {string} eventName - Name of the event
+	 * @param {Function} cb - Listener called with the event value
+	 * @param {Object} [options]
+	 * @param {number} [options.since] - Replay buffered events published since this timestamp before live delivery
+	 */
+	subscribe(eventName, cb, options = {}) {
 		if (!this.getEvents().includes(eventName)) {
 			this.logger.info(
 				`Event ${eventName} was subscribed but not registered to the bus yet.`
 			);
 		}
 
-		// Communicate through event emitter
-		this.on(eventName, cb);
-
-		// Communicate through unix socket
-		if (this.config.ipc.enabled) {
-			this.subSocket.on(eventName, cb);
+		if (options.since !== undefined) {
+			this.getBufferedEvents(eventName, options.since).forEach(eventValue =>
+				cb(eventValue)
+			);
 		}
+
+		// Events of modules running in child processes are emitted once received
+		this.on(eventName, cb);
 	}
 
 	once(eventName, cb) {
@@ -215,32 +498,126 @@ class Bus extends EventEmitter2 {
 			);
 		}
 
-		// Communicate through event emitter
+		// Events of modules running in child processes are emitted once received
 		super.once(eventName, cb);
+	}
 
-		// TODO: make it `once` instead of `on`
-		// Communicate through unix socket
-		if (this.config.ipc.enabled) {
-			this.subSocket.on(eventName, cb);
+	/**
+	 * Remove listener of an event.
+	 *
+	 * @param {string} eventName - Name of the event
+	 * @param {Function} cb - Listener added with subscribe or once
+	 */
+	unsubscribe(eventName, cb) {
+		this.off(eventName, cb);
+	}
+
+	/**
+	 * Get buffered values of an event, from the oldest to the latest.
+	 * Events are buffered only if a buffer size is configured for them in `eventBuffers`.
+	 *
+	 * @param {string} eventName - Name of the event
+	 * @param {number} [since=0] - Only return events published since this timestamp
+	 * @return {Array}
+	 */
+	getBufferedEvents(eventName, since = 0) {
+		const buffer = this.eventBuffers[eventName];
+
+		if (!buffer) {
+			return [];
 		}
+
+		return buffer
+			.toArray()
+			.filter(({ timestamp }) => timestamp >= since)
+			.map(({ eventValue }) => eventValue);
+	}
+
+	_bufferEvent(eventName, eventValue) {
+		const size = (this.config.eventBuffers || {})[eventName];
+
+		if (!size) {
+			return;
+		}
+
+		if (!this.eventBuffers[eventName]) {
+			this.eventBuffers[eventName] = new RingBuffer(size);
+		}
+
+		this.eventBuffers[eventName].push({ timestamp: Date.now(), eventValue });
+	}
+
+	/**
+	 * Get invocation, publish and channel statistics of the bus.
+	 * Only listeners of the controller process are counted as subscribers.
+	 *
+	 * @return {{actions: Object, events: Object, channels: Object}}
+	 */
+	getStats() {
+		const actions = {};
+		this.getActions().forEach(actionName => {
+			actions[actionName] = this.metrics.getActionStats(actionName);
+		});
+
+		const events = {};
+		this.getEvents().forEach(eventName => {
+			events[eventName] = {
+				...this.metrics.getEventStats(eventName),
+				subscribers: this.listeners(eventName).length,
+			};
+		});
+
+		const channels = {};
+		Object.keys(this.channels).forEach(moduleAlias => {
+			const rpcSocket = this.rpcClients[moduleAlias];
+			channels[moduleAlias] = {
+				type: this.channels[moduleAlias].type,
+				pending: this.metrics.getPendingDispatches(moduleAlias),
+				queued: rpcSocket && rpcSocket.queue ? rpcSocket.queue.length : 0,
+			};
+		});
+
+		return { actions, events, channels };
 	}
 
 	/**
 	 * Get all actions
 	 *
-	 * @return {Array.<module.Action>}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.withSchemas=false] - List actions as objects with name and params schema
+	 * @return {Array.<string>|Array.<{name: string, schema: Object|null}>}
 	 */
-	getActions() {
-		return Object.keys(this.actions);
+	getActions({ withSchemas = false } = {}) {
+		const actionNames = Object.keys(this.actions);
+
+		if (!withSchemas) {
+			return actionNames;
+		}
+
+		return actionNames.map(name => ({
+			name,
+			schema: this.actionSchemas[name] || null,
+		}));
 	}
 
 	/**
 	 * Get all events
 	 *
-	 * @return {Array.<module.Event>}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.withSchemas=false] - List events as objects with name and data schema
+	 * @return {Array.<string>|Array.<{name: string, schema: Object|null}>}
 	 */
-	getEvents() {
-		return Object.keys(this.events);
+	getEvents({ withSchemas = false } = {}) {
+		const eventNames = Object.keys(this.events);
+
+		if (!withSchemas) {
+			return eventNames;
+		}
+
+		return eventNames.map(name => ({
+			name,
+			schema: this.eventSchemas[name] || null,
+		}));
 	}
 
 	/**
@@ -260,6 +637,97 @@ class Bus extends EventEmitter2 {
 		}
 	}
 
+	/**
+	 * Check the permissions the controller gave a module.
+	 *
+	 * @param {string} moduleAlias - Alias of the module performing the operation
+	 * @param {string} operation - Either "invoke" or "publish"
+	 * @param {string} name - Action or event name in module:name format
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isAllowed(moduleAlias, operation, name) {
+		const permissions = this.permissions[moduleAlias];
+
+		if (!permissions || !permissions[operation]) {
+			return true;
+		}
+
+		return permissions[operation].some(pattern =>
+			matchesPermission(pattern, name)
+		);
+	}
+
+	/**
+	 * Identify the module connecting with a token created by authorize.
+	 *
+	 * @param {string} token - Token sent by the connection
+	 * @returns {?{moduleAlias: string}}
+	 * @private
+	 */
+	_authenticate(token) {
+		const moduleAlias = Object.keys(this.tokens).find(alias =>
+			tokensMatch(this.tokens[alias], token)
+		);
+
+		return moduleAlias ? { moduleAlias } : null;
+	}
+
+	/**
+	 * Check that a connection registers the channel of the module it authenticated for.
+	 * Connections with the shared token of TCP transport may only register remote modules
+	 * the controller did not create a token for.
+	 *
+	 * @param {Object} identity - Identity of the connection
+	 * @param {string} moduleAlias - Alias of the registered module
+	 * @param {Object} options - Options of the registered channel
+	 * @throws {Framework.errors.PermissionDeniedError}
+	 * @private
+	 */
+	_assertRegistrationAllowed(identity, moduleAlias, options) {
+		const allowed = identity.moduleAlias
+			? identity.moduleAlias === moduleAlias
+			: options.type === 'remote' && !this.tokens[moduleAlias];
+
+		if (!allowed) {
+			throw new PermissionDeniedError(
+				identity.moduleAlias || 'unknown',
+				'register',
+				moduleAlias
+			);
+		}
+	}
+
+	/**
+	 * Deliver action to the channel of the module it belongs to.
+	 *
+	 * @param {module.Action} action - Action to deliver
+	 * @returns {Promise}
+	 * @private
+	 */
+	async _dispatch(action) {
+		if (action.module === CONTROLLER_IDENTIFIER) {
+			return this.channels[CONTROLLER_IDENTIFIER].channel.invoke(action);
+		}
+
+		if (this.channels[action.module].type === 'inMemory') {
+			return this.channels[action.module].channel.invoke(action);
+		}
+
+		return new Promise((resolve, reject) => {
+			this.channels[action.module].channel.call(
+				'invoke',
+				action.serialize(),
+				(err, data) => {
+					if (err) {
+						return reject(err);
+					}
+					return resolve(data);
+				}
+			);
+		});
+	}
+
 	/**
 	 * Wait for all sockets to bind and then resolve the main promise.
 	 *
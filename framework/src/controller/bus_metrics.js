@@ -0,0 +1,334 @@
+// Upper bounds of latency histogram buckets in milliseconds
+const LATENCY_BUCKETS = Object.freeze([
+	5,
+	10,
+	25,
+	50,
+	100,
+	250,
+	500,
+	1000,
+	2500,
+	5000,
+	10000,
+]);
+
+const MINUTE = 60000;
+
+const escapeLabel = value =>
+	String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n');
+
+const formatMetric = (name, labels, value) => {
+	const formattedLabels = Object.keys(labels)
+		.map(label => `${label}="${escapeLabel(labels[label])}"`)
+		.join(',');
+	return `${name}{${formattedLabels}} ${value}`;
+};
+
+const formatHeader = (name, type, help) => [
+	`# HELP ${name} ${help}`,
+	`# TYPE ${name} ${type}`,
+];
+
+/**
+ * Counters and latency histograms of actions and events passing through the bus
+ *
+ * @class
+ * @memberof framework.controller
+ */
+class BusMetrics {
+	/**
+	 * Create empty metrics.
+	 *
+	 * @param {Array.<number>} [buckets] - Upper bounds of latency histogram buckets in milliseconds
+	 */
+	constructor(buckets = LATENCY_BUCKETS) {
+		this.buckets = buckets;
+		this.actions = {};
+		this.events = {};
+		this.channels = {};
+	}
+
+	/**
+	 * Record a completed invocation of an action.
+	 *
+	 * @param {string} actionName - Name of the action in module:action format
+	 * @param {number} duration - Time in milliseconds the action took to respond
+	 * @param {boolean} failed - Whether the invocation was rejected
+	 */
+	recordInvocation(actionName, duration, failed) {
+		if (!this.actions[actionName]) {
+			this.actions[actionName] = {
+				invocations: 0,
+				errors: 0,
+				latency: {
+					buckets: this.buckets.map(() => 0),
+					sum: 0,
+					count: 0,
+				},
+			};
+		}
+
+		const metrics = this.actions[actionName];
+		metrics.invocations += 1;
+		if (failed) {
+			metrics.errors += 1;
+		}
+
+		metrics.latency.sum += duration;
+		metrics.latency.count += 1;
+		this.buckets.forEach((upperBound, index) => {
+			if (duration <= upperBound) {
+				metrics.latency.buckets[index] += 1;
+			}
+		});
+	}
+
+	/**
+	 * Record a published event.
+	 *
+	 * @param {string} eventName - Name of the event in module:event format
+	 */
+	recordPublish(eventName) {
+		if (!this.events[eventName]) {
+			this.events[eventName] = {
+				published: 0,
+				minute: 0,
+				minuteCount: 0,
+				previousMinuteCount: 0,
+			};
+		}
+
+		const metrics = this.events[eventName];
+		metrics.published += 1;
+		BusMetrics._rollMinute(metrics);
+		metrics.minuteCount += 1;
+	}
+
+	/**
+	 * Track an invocation dispatched to a module channel until it settles.
+	 *
+	 * @param {string} moduleAlias - Alias of the module the action belongs to
+	 * @param {Promise} promise - Pending invocation
+	 * @return {Promise} The same invocation
+	 */
+	trackDispatch(moduleAlias, promise) {
+		this.channels[moduleAlias] = (this.channels[moduleAlias] || 0) + 1;
+
+		const settle = () => {
+			this.channels[moduleAlias] -= 1;
+		};
+		promise.then(settle, settle);
+
+		return promise;
+	}
+
+	/**
+	 * Get statistics of an action, empty if it was never invoked.
+	 *
+	 * @param {string} actionName - Name of the action in module:action format
+	 * @return {Object}
+	 */
+	getActionStats(actionName) {
+		const metrics = this.actions[actionName];
+
+		if (!metrics) {
+			return {
+				invocations: 0,
+				errors: 0,
+				latency: { buckets: {}, sum: 0, count: 0 },
+			};
+		}
+
+		const buckets = {};
+		this.buckets.forEach((upperBound, index) => {
+			buckets[upperBound] = metrics.latency.buckets[index];
+		});
+		buckets['+Inf'] = metrics.latency.count;
+
+		return {
+			invocations: metrics.invocations,
+			errors: metrics.errors,
+			latency: {
+				buckets,
+				sum: metrics.latency.sum,
+				count: metrics.latency.count,
+			},
+		};
+	}
+
+	/**
+	 * Get statistics of an event, empty if it was never published.
+	 *
+	 * @param {string} eventName - Name of the event in module:event format
+	 * @return {{published: number, perMinute: number}} Total count and count within the last full minute
+	 */
+	getEventStats(eventName) {
+		const metrics = this.events[eventName];
+
+		if (!metrics) {
+			return { published: 0, perMinute: 0 };
+		}
+
+		BusMetrics._rollMinute(metrics);
+
+		return {
+			published: metrics.published,
+			perMinute: metrics.previousMinuteCount,
+		};
+	}
+
+	/**
+	 * Get number of invocations dispatched to a module which did not settle yet.
+	 *
+	 * @param {string} moduleAlias - Alias of the module
+	 * @return {number}
+	 */
+	getPendingDispatches(moduleAlias) {
+		return this.channels[moduleAlias] || 0;
+	}
+
+	/**
+	 * Format bus statistics in Prometheus text exposition format.
+	 *
+	 * @param {Object} stats - Statistics as returned by Bus#getStats
+	 * @return {string}
+	 */
+	static toPrometheus({ actions, events, channels }) {
+		const lines = [];
+		const actionNames = Object.keys(actions);
+		const eventNames = Object.keys(events);
+		const moduleAliases = Object.keys(channels);
+
+		lines.push(
+			...formatHeader(
+				'lisk_bus_action_invocations_total',
+				'counter',
+				'Number of action invocations through the bus.'
+			),
+			...actionNames.map(action =>
+				formatMetric(
+					'lisk_bus_action_invocations_total',
+					{ action },
+					actions[action].invocations
+				)
+			),
+			...formatHeader(
+				'lisk_bus_action_errors_total',
+				'counter',
+				'Number of rejected action invocations through the bus.'
+			),
+			...actionNames.map(action =>
+				formatMetric(
+					'lisk_bus_action_errors_total',
+					{ action },
+					actions[action].errors
+				)
+			),
+			...formatHeader(
+				'lisk_bus_action_duration_seconds',
+				'histogram',
+				'Time actions took to respond.'
+			)
+		);
+
+		actionNames.forEach(action => {
+			const { buckets, sum, count } = actions[action].latency;
+
+			Object.keys(buckets).forEach(upperBound => {
+				const le =
+					upperBound === '+Inf' ? upperBound : String(upperBound / 1000);
+				lines.push(
+					formatMetric(
+						'lisk_bus_action_duration_seconds_bucket',
+						{ action, le },
+						buckets[upperBound]
+					)
+				);
+			});
+			lines.push(
+				formatMetric(
+					'lisk_bus_action_duration_seconds_sum',
+					{ action },
+					sum / 1000
+				),
+				formatMetric(
+					'lisk_bus_action_duration_seconds_count',
+					{ action },
+					count
+				)
+			);
+		});
+
+		lines.push(
+			...formatHeader(
+				'lisk_bus_event_published_total',
+				'counter',
+				'Number of events published through the bus.'
+			),
+			...eventNames.map(event =>
+				formatMetric(
+					'lisk_bus_event_published_total',
+					{ event },
+					events[event].published
+				)
+			),
+			...formatHeader(
+				'lisk_bus_event_subscribers',
+				'gauge',
+				'Number of listeners subscribed to an event on the bus.'
+			),
+			...eventNames.map(event =>
+				formatMetric(
+					'lisk_bus_event_subscribers',
+					{ event },
+					events[event].subscribers
+				)
+			),
+			...formatHeader(
+				'lisk_bus_channel_pending_invocations',
+				'gauge',
+				'Number of invocations dispatched to a module which did not settle yet.'
+			),
+			...moduleAliases.map(module =>
+				formatMetric(
+					'lisk_bus_channel_pending_invocations',
+					{ module },
+					channels[module].pending
+				)
+			),
+			...formatHeader(
+				'lisk_bus_channel_queued_messages',
+				'gauge',
+				'Number of messages waiting for the IPC socket of a module to connect.'
+			),
+			...moduleAliases.map(module =>
+				formatMetric(
+					'lisk_bus_channel_queued_messages',
+					{ module },
+					channels[module].queued
+				)
+			)
+		);
+
+		return `${lines.join('\n')}\n`;
+	}
+
+	static _rollMinute(metrics) {
+		const minute = Math.floor(Date.now() / MINUTE);
+
+		if (minute === metrics.minute) {
+			return;
+		}
+
+		metrics.previousMinuteCount =
+			minute === metrics.minute + 1 ? metrics.minuteCount : 0;
+		metrics.minute = minute;
+		metrics.minuteCount = 0;
+	}
+}
+
+module.exports = BusMetrics;
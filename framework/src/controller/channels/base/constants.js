@@ -2,6 +2,8 @@ const INTERNAL_EVENTS = Object.freeze([
 	'registeredToBus',
 	'loading:started',
 	'loading:finished',
+	'unloading:started',
+	'unloading:finished',
 ]);
 
 const eventWithModuleNameReg = /^([^\d][\w]+)((?::[^\d][\w]+)+)$/;
@@ -5,6 +5,7 @@ const { INTERNAL_EVENTS, eventWithModuleNameReg } = require('./base/constants');
 const _eventsList = new WeakMap();
 const _actionsList = new WeakMap();
 const _actions = new WeakMap();
+const _schemas = new WeakMap();
 
 /**
  * BaseChannel class which used as reference to implement others channels for bus to module communication
@@ -20,8 +21,8 @@ class BaseChannel {
 	 * Create the baseChannel object
 	 *
 	 * @param {string} moduleAlias - Label used for module
-	 * @param {module.Event} events - Collection of events for event listener
-	 * @param {module.Action} actions - Collection of actions available
+	 * @param {Array.<string|{name: string, schema: Object}>} events - Names of events, optionally with a JSON schema of their data
+	 * @param {Object.<string, Function|{handler: Function, schema: Object}>} actions - Handlers of actions, optionally with a JSON schema of their params
 	 * @param {Object} [options] - Options impacting events and actions list
 	 * @param {boolean} [options.skipInternalEvents] - Skip internal events
 	 *
@@ -31,9 +32,19 @@ class BaseChannel {
 		this.moduleAlias = moduleAlias;
 		this.options = options;
 
+		const schemas = { actions: {}, events: {} };
+
+		const eventNames = events.map(event => {
+			if (typeof event === 'string') {
+				return event;
+			}
+			schemas.events[event.name] = event.schema;
+			return event.name;
+		});
+
 		const eventList = options.skipInternalEvents
-			? events
-			: [...events, ...INTERNAL_EVENTS];
+			? eventNames
+			: [...eventNames, ...INTERNAL_EVENTS];
 
 		_eventsList.set(
 			this,
@@ -47,7 +58,19 @@ class BaseChannel {
 			)
 		);
 
-		_actions.set(this, actions);
+		const handlers = {};
+		Object.keys(actions).forEach(actionName => {
+			const action = actions[actionName];
+			if (typeof action === 'function') {
+				handlers[actionName] = action;
+				return;
+			}
+			handlers[actionName] = action.handler;
+			schemas.actions[actionName] = action.schema;
+		});
+
+		_actions.set(this, handlers);
+		_schemas.set(this, schemas);
 	}
 
 	get actionsList() {
@@ -62,6 +85,11 @@ class BaseChannel {
 		return _actions.get(this);
 	}
 
+	// JSON schemas of action params and event data keyed by name without module alias
+	get schemas() {
+		return _schemas.get(this);
+	}
+
 	// eslint-disable-next-line class-methods-use-this
 	async registerToBus() {
 		throw new TypeError('This method must be implemented in child classes. ');
@@ -70,8 +98,10 @@ class BaseChannel {
 	// Listen to any event happening in the application
 	// Specified as moduleName:eventName
 	// If its related to your own moduleAlias specify as :eventName
+	// Options can request a replay of buffered events before live delivery:
+	// - since: timestamp in milliseconds, events published since then are replayed
 	// eslint-disable-next-line no-unused-vars, class-methods-use-this
-	subscribe(eventName, cb) {
+	subscribe(eventName, cb, options) {
 		throw new TypeError('This method must be implemented in child classes. ');
 	}
 
@@ -85,8 +115,13 @@ class BaseChannel {
 
 	// Call action of any moduleAlias through controller
 	// Specified as moduleName:actionName
+	// Options can override the configured invoke policy for this call:
+	// - timeout: time in milliseconds to wait for the response, 0 waits forever
+	// - retry: { attempts, delay, factor, maxDelay } to retry timed out calls
+	// - cancel: a promise, when it settles the call rejects with ActionCancelledError
+	// - traceId: trace id of the request the call belongs to, instead of the current trace
 	// eslint-disable-next-line no-unused-vars, class-methods-use-this
-	async invoke(actionName, params) {
+	async invoke(actionName, params, options) {
 		throw new TypeError('This method must be implemented in child classes. ');
 	}
 
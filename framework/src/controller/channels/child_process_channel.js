@@ -6,6 +6,10 @@ const Action = require('../action');
 const Event = require('../event');
 const BaseChannel = require('./base_channel');
 const { setupProcessHandlers } = require('./child_process');
+const { invokeWithPolicy } = require('../helpers/invoke');
+const { runWithTraceId } = require('../helpers/trace');
+const { validate } = require('../helpers/validator');
+const { bindSocket, connectSocket } = require('../helpers/ipc_transport');
 
 const SOCKET_TIMEOUT_TIME = 2000;
 
@@ -20,6 +24,20 @@ const SOCKET_TIMEOUT_TIME = 2000;
  * @type {module.ChildProcessChannel}
  */
 class ChildProcessChannel extends BaseChannel {
+	// Type of the channel registered with the bus
+	static get type() {
+		return 'ipcSocket';
+	}
+
+	/**
+	 * Create the channel of a module running in a child process
+	 *
+	 * @param {string} moduleAlias - Label used for module
+	 * @param {Array} events - Events of the module
+	 * @param {Object} actions - Actions of the module
+	 * @param {Object} [options] - Options of the channel
+	 * @param {string} [options.token] - Token created by the bus for the module, its connections authenticate with
+	 */
 	constructor(moduleAlias, events, actions, options = {}) {
 		super(moduleAlias, events, actions, options);
 		this.localBus = new EventEmitter2();
@@ -27,29 +45,36 @@ class ChildProcessChannel extends BaseChannel {
 		setupProcessHandlers(this);
 	}
 
-	async registerToBus(socketsPath) {
+	/**
+	 * Connect to the sockets of the bus and register the channel.
+	 *
+	 * @param {Object} socketsPath - Addresses of the bus sockets
+	 * @param {Object} [transport] - IPC transport configuration, i.e. `app.ipc`
+	 * @returns {Promise<void>}
+	 */
+	async registerToBus(socketsPath, transport = {}) {
+		const { token } = this.options;
+
 		this.subSocket = axon.socket('sub-emitter');
-		this.subSocket.connect(socketsPath.pub);
+		connectSocket(this.subSocket, socketsPath.pub, transport, token);
 
 		this.busRpcSocket = axon.socket('req');
-		this.busRpcSocket.connect(socketsPath.rpc);
+		connectSocket(this.busRpcSocket, socketsPath.rpc, transport, token);
 		this.busRpcClient = new RPCClient(this.busRpcSocket);
 		this.busRpcClientCallPromisified = util.promisify(this.busRpcClient.call);
 
 		// Channel Publish Socket is only required if the module has events
 		if (this.eventsList.length > 0) {
 			this.pubSocket = axon.socket('pub-emitter');
-			this.pubSocket.connect(socketsPath.sub);
+			connectSocket(this.pubSocket, socketsPath.sub, transport, token);
 		}
 
 		// Channel RPC Server is only required if the module has actions
 		if (this.actionsList.length > 0) {
-			this.rpcSocketPath = `unix://${socketsPath.root}/${
-				this.moduleAlias
-			}_rpc.sock`;
+			this.rpcSocketPath = this._getRpcSocketPath(socketsPath);
 
 			this.rpcSocket = axon.socket('rep');
-			this.rpcSocket.bind(this.rpcSocketPath);
+			bindSocket(this.rpcSocket, this._getRpcBindPath(), transport);
 			this.rpcServer = new RPCServer(this.rpcSocket);
 
 			this.rpcServer.expose('invoke', (action, cb) => {
@@ -72,11 +97,13 @@ class ChildProcessChannel extends BaseChannel {
 		});
 	}
 
-	subscribe(eventName, cb) {
+	subscribe(eventName, cb, options = {}) {
 		const event = new Event(eventName);
 
 		if (event.module === this.moduleAlias) {
 			this.localBus.on(eventName, cb);
+		} else if (options.since !== undefined) {
+			this._subscribeWithReplay(eventName, cb, options.since);
 		} else {
 			this.subSocket.on(eventName, data => {
 				cb(data);
@@ -84,6 +111,33 @@ class ChildProcessChannel extends BaseChannel {
 		}
 	}
 
+	// Live events are held back until the buffered ones are replayed, so nothing is lost
+	// in between. An event published while the replay is requested can be delivered twice.
+	_subscribeWithReplay(eventName, cb, since) {
+		let pending = [];
+
+		this.subSocket.on(eventName, data => {
+			if (!pending) {
+				return cb(data);
+			}
+			return pending.push(data);
+		});
+
+		this.busRpcClient.call(
+			'getBufferedEvents',
+			eventName,
+			since,
+			(err, bufferedEvents) => {
+				const liveEvents = pending;
+				pending = null;
+
+				[...(err ? [] : bufferedEvents), ...liveEvents].forEach(data =>
+					cb(data)
+				);
+			}
+		);
+	}
+
 	once(eventName, cb) {
 		const event = new Event(eventName);
 
@@ -106,6 +160,11 @@ class ChildProcessChannel extends BaseChannel {
 			);
 		}
 
+		// Events of child process modules do not pass through Bus#publish
+		if (this.schemas.events[event.name]) {
+			validate(this.schemas.events[event.name], data);
+		}
+
 		this.localBus.emit(event.key(), event.serialize());
 
 		if (this.pubSocket) {
@@ -113,28 +172,50 @@ class ChildProcessChannel extends BaseChannel {
 		}
 	}
 
-	async invoke(actionName, params) {
+	async invoke(actionName, params, { traceId, ...options } = {}) {
 		const action =
 			typeof actionName === 'string'
-				? new Action(actionName, params, this.moduleAlias)
-				: actionName;
+				? new Action(actionName, params, this.moduleAlias, traceId)
+				: Action.deserialize(actionName);
+
+		action.addHop(this.moduleAlias);
 
 		if (
 			action.module === this.moduleAlias &&
 			typeof this.actions[action.name] === 'function'
 		) {
-			return this.actions[action.name](action);
+			return invokeWithPolicy(
+				async () =>
+					runWithTraceId(action.traceId, () =>
+						this.actions[action.name](action)
+					),
+				action.key(),
+				options
+			);
 		}
 
-		return new Promise((resolve, reject) => {
-			this.busRpcClient.call('invoke', action.serialize(), (err, data) => {
-				if (err) {
-					return reject(err);
-				}
+		// Timeout and retry are applied by the bus, cancel can not cross the process boundary
+		const { cancel, ...busOptions } = options;
 
-				return resolve(data);
-			});
-		});
+		return invokeWithPolicy(
+			() =>
+				new Promise((resolve, reject) => {
+					this.busRpcClient.call(
+						'invoke',
+						action.serialize(),
+						busOptions,
+						(err, data) => {
+							if (err) {
+								return reject(err);
+							}
+
+							return resolve(data);
+						}
+					);
+				}),
+			action.key(),
+			{ cancel }
+		);
 	}
 
 	/**
@@ -200,19 +281,7 @@ class ChildProcessChannel extends BaseChannel {
 			promises.push(
 				new Promise((resolve, reject) => {
 					this.busRpcSocket.once('connect', () => {
-						this.busRpcClient.call(
-							'registerChannel',
-							this.moduleAlias,
-							this.eventsList.map(event => event.name),
-							this.actionsList.map(action => action.name),
-							{ type: 'ipcSocket', rpcSocketPath: this.rpcSocketPath },
-							(err, result) => {
-								if (err) {
-									reject(err);
-								}
-								resolve(result);
-							}
-						);
+						this._registerChannel().then(resolve, reject);
 					});
 				})
 			);
@@ -221,6 +290,55 @@ class ChildProcessChannel extends BaseChannel {
 		return Promise.all(promises);
 	}
 
+	/**
+	 * Register events, actions and the address of the RPC socket with the bus.
+	 *
+	 * @returns {Promise}
+	 * @private
+	 */
+	_registerChannel() {
+		return new Promise((resolve, reject) => {
+			this.busRpcClient.call(
+				'registerChannel',
+				this.moduleAlias,
+				this.eventsList.map(event => event.name),
+				this.actionsList.map(action => action.name),
+				{
+					type: this.constructor.type,
+					rpcSocketPath: this.rpcSocketPath,
+					schemas: this.schemas,
+				},
+				(err, result) => {
+					if (err) {
+						reject(err);
+					}
+					resolve(result);
+				}
+			);
+		});
+	}
+
+	/**
+	 * Address the bus connects to for invoking actions of the module.
+	 *
+	 * @param {Object} socketsPath - Addresses of the bus sockets
+	 * @returns {string}
+	 * @private
+	 */
+	_getRpcSocketPath(socketsPath) {
+		return `unix://${socketsPath.root}/${this.moduleAlias}_rpc.sock`;
+	}
+
+	/**
+	 * Address the RPC socket of the module binds to.
+	 *
+	 * @returns {string}
+	 * @private
+	 */
+	_getRpcBindPath() {
+		return this.rpcSocketPath;
+	}
+
 	/**
 	 * Reject if any of the sockets fails to bind
 	 *
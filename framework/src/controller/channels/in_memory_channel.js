@@ -1,6 +1,8 @@
 const Event = require('../event');
 const Action = require('../action');
 const BaseChannel = require('./base_channel');
+const { invokeWithPolicy } = require('../helpers/invoke');
+const { runWithTraceId } = require('../helpers/trace');
 
 /**
  * Channel responsible to communicate with bus for modules running in same process
@@ -25,6 +27,8 @@ class InMemoryChannel extends BaseChannel {
 	 */
 	constructor(moduleAlias, events, actions, options = {}) {
 		super(moduleAlias, events, actions, options);
+
+		this.subscriptions = [];
 	}
 
 	/**
@@ -38,7 +42,11 @@ class InMemoryChannel extends BaseChannel {
 			this.moduleAlias,
 			this.eventsList.map(event => event.name),
 			this.actionsList.map(action => action.name),
-			{ type: 'inMemory', channel: this }
+			{
+				type: 'inMemory',
+				channel: this,
+				schemas: this.schemas,
+			}
 		);
 	}
 
@@ -47,10 +55,14 @@ class InMemoryChannel extends BaseChannel {
 	 *
 	 * @param {string} eventName - Name of event to subscribe on
 	 * @returns {setImmediateCallback} cb, err, self - The callback that handles events
+	 * @param {Object} [options]
+	 * @param {number} [options.since] - Replay buffered events published since this timestamp first
 	 */
-	subscribe(eventName, cb) {
-		this.bus.subscribe(new Event(eventName).key(), data =>
-			setImmediate(cb, Event.deserialize(data))
+	subscribe(eventName, cb, options = {}) {
+		this.bus.subscribe(
+			new Event(eventName).key(),
+			this._createListener(eventName, cb),
+			options
 		);
 	}
 
@@ -61,11 +73,42 @@ class InMemoryChannel extends BaseChannel {
 	 * @returns {setImmediateCallback} cb, err, self - The callback that handles events
 	 */
 	once(eventName, cb) {
-		this.bus.once(new Event(eventName).key(), data =>
-			setImmediate(cb, Event.deserialize(data))
+		this.bus.once(
+			new Event(eventName).key(),
+			this._createListener(eventName, cb)
 		);
 	}
 
+	/**
+	 * Remove all listeners of the channel from the bus, e.g. when its module is unloaded.
+	 */
+	cleanup() {
+		this.subscriptions.forEach(subscription => {
+			subscription.active = false;
+			this.bus.unsubscribe(subscription.eventKey, subscription.listener);
+		});
+		this.subscriptions = [];
+	}
+
+	_createListener(eventName, cb) {
+		const subscription = {
+			eventKey: new Event(eventName).key(),
+			active: true,
+		};
+
+		// Listeners on IPC socket can not be removed one by one, so they are deactivated instead
+		subscription.listener = data => {
+			if (subscription.active) {
+				const event = Event.deserialize(data);
+				setImmediate(() => runWithTraceId(event.traceId, () => cb(event)));
+			}
+		};
+
+		this.subscriptions.push(subscription);
+
+		return subscription.listener;
+	}
+
 	/**
 	 * Adds a listener to the end of the listeners array for the specified event.
 	 *
@@ -90,28 +133,44 @@ class InMemoryChannel extends BaseChannel {
 	 * @async
 	 * @param {string} actionName - Name of action to invoke
 	 * @param {array} params - Params associated with the action
+	 * @param {Object} [options] - Options for this invocation, see BaseChannel#invoke
 	 * @return {Promise<string>} Data returned by bus.
 	 */
-	async invoke(actionName, params) {
+	async invoke(actionName, params, { traceId, ...options } = {}) {
 		let action = null;
 
 		// Invoked by user module
 		if (typeof actionName === 'string') {
-			action = new Action(actionName, params, this.moduleAlias);
+			action = new Action(actionName, params, this.moduleAlias, traceId);
 
 			// Invoked by bus to preserve the source
 		} else if (typeof actionName === 'object') {
 			action = actionName;
 		}
 
+		action.addHop(this.moduleAlias);
+
 		if (
 			action.module === this.moduleAlias &&
 			typeof this.actions[action.name] === 'function'
 		) {
-			return this.actions[action.name](action);
+			return invokeWithPolicy(
+				async () =>
+					runWithTraceId(action.traceId, () =>
+						this.actions[action.name](action)
+					),
+				action.key(),
+				options
+			);
 		}
 
-		return this.bus.invoke(action.serialize());
+		const { cancel, ...busOptions } = options;
+
+		return invokeWithPolicy(
+			() => this.bus.invoke(action.serialize(), busOptions, this.moduleAlias),
+			action.key(),
+			{ cancel }
+		);
 	}
 }
 
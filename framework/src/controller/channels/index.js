@@ -1,6 +1,7 @@
 const BaseChannel = require('./base_channel.js');
 const InMemoryChannel = require('./in_memory_channel.js');
 const ChildProcessChannel = require('./child_process_channel.js');
+const RemoteChannel = require('./remote_channel.js');
 
 /**
  * @namespace framework.controller.channels
@@ -10,4 +11,5 @@ module.exports = {
 	BaseChannel,
 	InMemoryChannel,
 	ChildProcessChannel,
+	RemoteChannel,
 };
@@ -0,0 +1,74 @@
+const ChildProcessChannel = require('./child_process_channel');
+
+/**
+ * Channel responsible to communicate with bus for modules running on another host,
+ * connected to the bus over the TCP transport
+ *
+ * @class
+ * @memberof framework.controller.channels
+ * @requires channels/child_process_channel
+ * @type {module.RemoteChannel}
+ */
+class RemoteChannel extends ChildProcessChannel {
+	static get type() {
+		return 'remote';
+	}
+
+	/**
+	 * Create the remote channel object
+	 *
+	 * @param {string} moduleAlias - Label used for module
+	 * @param {Array} events - Events of the module
+	 * @param {Object} actions - Actions of the module
+	 * @param {Object} options - Options of the channel
+	 * @param {string} [options.rpcAddress] - Address in tcp://host:port format the bus connects to for invoking actions, required if the module has actions
+	 * @param {string} [options.rpcBindAddress] - Address the RPC socket binds to, if it differs from rpcAddress e.g. behind NAT
+	 */
+	constructor(moduleAlias, events, actions, options = {}) {
+		super(moduleAlias, events, actions, options);
+
+		if (Object.keys(this.actions).length > 0 && !options.rpcAddress) {
+			throw new Error(
+				`Remote module "${moduleAlias}" with actions requires rpcAddress option.`
+			);
+		}
+	}
+
+	/**
+	 * Connect to the sockets of a bus using the TCP transport and register the channel.
+	 * The channel registers again whenever the connection to the bus is restored.
+	 *
+	 * @param {Object} socketsPath - Addresses of the bus sockets in tcp://host:port format
+	 * @param {string} socketsPath.pub - Address of the bus publish socket
+	 * @param {string} socketsPath.sub - Address of the bus subscribe socket
+	 * @param {string} socketsPath.rpc - Address of the bus RPC socket
+	 * @param {Object} transport - IPC transport configuration of the bus, i.e. `app.ipc`
+	 * @param {string} transport.token - Shared token to authenticate with
+	 * @param {Object} [transport.tls] - Paths to key, cert and ca PEM files
+	 * @returns {Promise<void>}
+	 */
+	async registerToBus(socketsPath, transport) {
+		await super.registerToBus(socketsPath, transport);
+
+		// Bus forgets the channel when the controller restarts
+		this.busRpcSocket.on('connect', () => {
+			this._registerChannel().catch(error =>
+				process.emitWarning(
+					`Failed to register remote module "${this.moduleAlias}" again: ${
+						error.message
+					}`
+				)
+			);
+		});
+	}
+
+	_getRpcSocketPath() {
+		return this.options.rpcAddress;
+	}
+
+	_getRpcBindPath() {
+		return this.options.rpcBindAddress || this.options.rpcAddress;
+	}
+}
+
+module.exports = RemoteChannel;
@@ -2,20 +2,42 @@
 const modulePath = process.argv[2];
 
 const { ChildProcessChannel } = require('./channels');
+const { enableAsyncTracing } = require('./helpers/trace');
+const {
+	setLogLevel,
+	setLogLevels,
+} = require('../components/logger/log_levels');
+const { FileTransport } = require('../components/logger/transports');
 // eslint-disable-next-line import/no-dynamic-require
 const Klass = require(modulePath);
 
-const _loadModule = async (config, moduleOptions) => {
-	const module = new Klass(moduleOptions);
+let module = null;
+let channel = null;
+
+const _loadModule = async (config, moduleOptions, logLevels, token) => {
+	// Log levels changed at runtime before the module was loaded
+	setLogLevels(logLevels);
+
+	if (config.tracing && config.tracing.asyncContext) {
+		enableAsyncTracing();
+	}
+
+	// Log files of the module are written apart from the files of the application process
+	FileTransport.setProcessName(Klass.alias);
+
+	module = new Klass(moduleOptions);
 	const moduleAlias = module.constructor.alias;
 
-	const channel = new ChildProcessChannel(
+	channel = new ChildProcessChannel(
 		moduleAlias,
 		module.events,
-		module.actions
+		module.actions,
+		{ token }
 	);
 
-	await channel.registerToBus(config.socketsPath);
+	await channel.registerToBus(config.socketsPath, config.ipc);
+
+	channel.subscribe('app:logLevel:changed', event => setLogLevel(event.data));
 
 	channel.publish(`${moduleAlias}:registeredToBus`);
 	channel.publish(`${moduleAlias}:loading:started`);
@@ -25,11 +47,33 @@ const _loadModule = async (config, moduleOptions) => {
 	channel.publish(`${moduleAlias}:loading:finished`);
 };
 
-process.on('message', ({ loadModule, config, moduleOptions }) => {
-	if (loadModule) {
-		_loadModule(config, moduleOptions);
+const _unloadModule = async () => {
+	const moduleAlias = module.constructor.alias;
+
+	channel.publish(`${moduleAlias}:unloading:started`);
+
+	await module.unload();
+
+	channel.publish(`${moduleAlias}:unloading:finished`);
+
+	await channel.cleanup();
+};
+
+process.on(
+	'message',
+	({ loadModule, unloadModule, config, moduleOptions, logLevels, token }) => {
+		if (loadModule) {
+			_loadModule(config, moduleOptions, logLevels, token);
+		}
+
+		if (unloadModule) {
+			// Controller waits for the exit of the process
+			_unloadModule()
+				.then(() => process.exit(0))
+				.catch(() => process.exit(1));
+		}
 	}
-});
+);
 
 // TODO: Removed after https://github.com/LiskHQ/lisk/issues/3210 is fixed
 process.on('disconnect', () => {
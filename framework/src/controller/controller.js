@@ -5,9 +5,53 @@ const psList = require('ps-list');
 const systemDirs = require('./helpers/sysmtem_dirs');
 const { InMemoryChannel } = require('./channels');
 const Bus = require('./bus');
-const { DuplicateAppInstanceError } = require('../errors');
+const BusMetrics = require('./bus_metrics');
+const Supervisor = require('./supervisor');
+const sortModulesByDependencies = require('./helpers/module_dependencies');
+const {
+	DuplicateAppInstanceError,
+	ModuleDependencyError,
+} = require('../errors');
 const { validateModuleSpec } = require('./helpers/validator');
+const { enableAsyncTracing } = require('./helpers/trace');
 const ApplicationState = require('./application_state');
+const {
+	setLogLevel,
+	getLogLevels,
+} = require('../components/logger/log_levels');
+
+const CHILD_PROCESS_LOAD_TIMEOUT = 2000;
+const CHILD_PROCESS_UNLOAD_TIMEOUT = 5000;
+
+const LOG_LEVELS = [
+	'trace',
+	'debug',
+	'log',
+	'info',
+	'warn',
+	'error',
+	'fatal',
+	'none',
+];
+
+const setLogLevelSchema = {
+	type: 'object',
+	properties: {
+		module: { type: 'string', minLength: 1 },
+		fileLogLevel: { type: 'string', enum: LOG_LEVELS },
+		consoleLogLevel: { type: 'string', enum: LOG_LEVELS },
+	},
+	additionalProperties: false,
+};
+
+const moduleAliasSchema = {
+	type: 'object',
+	required: ['moduleAlias'],
+	properties: {
+		moduleAlias: { type: 'string', minLength: 1 },
+	},
+	additionalProperties: false,
+};
 
 const isPidRunning = async pid =>
 	psList().then(list => list.some(x => x.pid === pid));
@@ -49,8 +93,21 @@ class Controller {
 			},
 		};
 
+		// Bus sockets listen on TCP ports, RPC sockets of child processes stay local
+		if (config.ipc && config.ipc.transport === 'tcp') {
+			const { host, ports } = config.ipc;
+			this.config.socketsPath = {
+				...this.config.socketsPath,
+				pub: `tcp://${host}:${ports.pub}`,
+				sub: `tcp://${host}:${ports.sub}`,
+				rpc: `tcp://${host}:${ports.rpc}`,
+			};
+		}
+
 		this.modules = {};
-		this.childrenList = [];
+		this.moduleChannels = {};
+		this.childProcesses = {};
+		this.supervisors = {};
 		this.channel = null; // Channel for controller
 		this.bus = null;
 	}
@@ -67,7 +124,17 @@ class Controller {
 		await this._setupDirectories();
 		await this._validatePidFile();
 		await this._initState();
+
+		if (this.config.tracing && this.config.tracing.asyncContext) {
+			enableAsyncTracing();
+		}
+
 		await this._setupBus();
+
+		// Kept to load modules again while the application is running
+		this.registeredModules = modules;
+		this.moduleOptions = moduleOptions;
+
 		await this._loadModules(modules, moduleOptions);
 
 		this.logger.info('Bus listening to events', this.bus.getEvents());
@@ -143,12 +210,39 @@ class Controller {
 
 		this.channel = new InMemoryChannel(
 			'app',
-			['ready', 'state:updated'],
+			[
+				'ready',
+				'state:updated',
+				'module:crashed',
+				'module:restarted',
+				'module:loaded',
+				'module:unloaded',
+				'logLevel:changed',
+			],
 			{
 				getComponentConfig: action => this.config.components[action.params],
+				loadModule: {
+					handler: action => this.loadModule(action.params.moduleAlias),
+					schema: moduleAliasSchema,
+				},
+				unloadModule: {
+					handler: action => this.unloadModule(action.params.moduleAlias),
+					schema: moduleAliasSchema,
+				},
+				reloadModule: {
+					handler: action => this.reloadModule(action.params.moduleAlias),
+					schema: moduleAliasSchema,
+				},
+				getBusStats: () => this.bus.getStats(),
+				getBusMetrics: () => BusMetrics.toPrometheus(this.bus.getStats()),
 				getApplicationState: () => this.applicationState.state,
 				updateApplicationState: action =>
 					this.applicationState.update(action.params),
+				setLogLevel: {
+					handler: action => this.setLogLevel(action.params),
+					schema: setLogLevelSchema,
+				},
+				getLogLevels: () => getLogLevels(),
 			},
 			{ skipInternalEvents: true }
 		);
@@ -168,29 +262,54 @@ class Controller {
 		}
 	}
 
+	/**
+	 * Change log levels of the application or of one module at runtime,
+	 * in the controller process and in the child processes of modules.
+	 * Publishes 'app:logLevel:changed'.
+	 *
+	 * @param {Object} levels
+	 * @param {string} [levels.module] - Module alias, e.g. `chain.loader`, levels of the module are removed if no level is given
+	 * @param {string} [levels.fileLogLevel] - Level of the log file
+	 * @param {string} [levels.consoleLogLevel] - Level of the console
+	 * @returns {Object} Log levels changed at runtime
+	 */
+	setLogLevel(levels = {}) {
+		setLogLevel(levels);
+
+		this.logger.info('Log levels changed', levels);
+		this.channel.publish('app:logLevel:changed', levels);
+
+		return getLogLevels();
+	}
+
+	/**
+	 * Load modules one after another, every module after the modules it depends on.
+	 *
+	 * @async
+	 * @param {Object.<string, Object>} modules - Module classes by alias
+	 * @param {Object.<string, Object>} moduleOptions - Module options by alias
+	 * @throws Framework.errors.ModuleDependencyError
+	 */
 	async _loadModules(modules, moduleOptions) {
+		const aliases = sortModulesByDependencies(modules);
+
 		// To perform operations in sequence and not using bluebird
 		// eslint-disable-next-line no-restricted-syntax
-		for (const alias of Object.keys(modules)) {
-			const klass = modules[alias];
-			const options = moduleOptions[alias];
-
-			if (options.loadAsChildProcess) {
-				if (this.config.ipc.enabled) {
-					// eslint-disable-next-line no-await-in-loop
-					await this._loadChildProcessModule(alias, klass, options);
-				} else {
-					this.logger.warn(
-						`IPC is disabled. ${alias} will be loaded in-memory.`
-					);
-					// eslint-disable-next-line no-await-in-loop
-					await this._loadInMemoryModule(alias, klass, options);
-				}
-			} else {
-				// eslint-disable-next-line no-await-in-loop
-				await this._loadInMemoryModule(alias, klass, options);
+		for (const alias of aliases) {
+			// eslint-disable-next-line no-await-in-loop
+			await this._loadModule(alias, modules[alias], moduleOptions[alias]);
+		}
+	}
+
+	async _loadModule(alias, Klass, options) {
+		if (options.loadAsChildProcess) {
+			if (this.config.ipc.enabled) {
+				return this._loadChildProcessModule(alias, Klass, options);
 			}
+			this.logger.warn(`IPC is disabled. ${alias} will be loaded in-memory.`);
 		}
+
+		return this._loadInMemoryModule(alias, Klass, options);
 	}
 
 	async _loadInMemoryModule(alias, Klass, options) {
@@ -204,6 +323,8 @@ class Controller {
 			`Loading module ${name}:${version} with alias "${moduleAlias}"`
 		);
 
+		this.bus.authorize(moduleAlias, options.permissions);
+
 		const channel = new InMemoryChannel(
 			moduleAlias,
 			module.events,
@@ -220,6 +341,7 @@ class Controller {
 		channel.publish(`${moduleAlias}:loading:finished`);
 
 		this.modules[moduleAlias] = module;
+		this.moduleChannels[moduleAlias] = channel;
 
 		this.logger.info(
 			`Module ready with alias: ${moduleAlias}(${name}:${version})`
@@ -243,6 +365,13 @@ class Controller {
 			alias.replace(/([A-Z])/g, $1 => `_${$1.toLowerCase()}`)
 		);
 
+		if (!this.supervisors[moduleAlias]) {
+			this.supervisors[moduleAlias] = new Supervisor(
+				moduleAlias,
+				options.restartPolicy
+			);
+		}
+
 		const program = path.resolve(__dirname, 'child_process_loader.js');
 
 		const parameters = [modulePath];
@@ -256,7 +385,7 @@ class Controller {
 					`--inspect=${Math.floor(
 						Math.random() * (maxPort - minPort) + minPort
 					)}`,
-			  ])
+				])
 			: [];
 
 		const child = child_process.fork(program, parameters, forkedProcessOptions);
@@ -266,34 +395,271 @@ class Controller {
 			loadModule: true,
 			config: this.config,
 			moduleOptions: options,
+			logLevels: getLogLevels(),
+			token: this.bus.authorize(moduleAlias, options.permissions),
 		});
 
-		this.childrenList.push(child);
+		this.childProcesses[moduleAlias] = child;
+
+		child.on('exit', (code, signal) =>
+			this._onChildProcessExit(
+				{ alias, Klass, options, child },
+				code,
+				signal
+			).catch(error => {
+				this.logger.error(`Failed to restart module ${moduleAlias}`, error);
+			})
+		);
+
+		const loadingFinished = `${moduleAlias}:loading:finished`;
+		let timer;
+		let onLoadingFinished;
+
+		return new Promise((resolve, reject) => {
+			onLoadingFinished = () => {
+				this.logger.info(
+					`Module ready with alias: ${moduleAlias}(${name}:${version})`
+				);
+				resolve();
+			};
+			this.bus.once(loadingFinished, onLoadingFinished);
+
+			timer = setTimeout(
+				() =>
+					reject(
+						new Error(
+							`Module ${moduleAlias} did not finish loading within ${CHILD_PROCESS_LOAD_TIMEOUT}ms.`
+						)
+					),
+				CHILD_PROCESS_LOAD_TIMEOUT
+			);
+		}).finally(() => {
+			clearTimeout(timer);
+			this.bus.unsubscribe(loadingFinished, onLoadingFinished);
+		});
+	}
+
+	/**
+	 * Handle unexpected exit of a module running in child process.
+	 * The module is removed from the bus and restarted according to its restart policy.
+	 * Exits the main process if a crashed module is not restarted.
+	 *
+	 * @async
+	 * @param {Object} module - Module the child process was forked for
+	 * @param {string} module.alias - Alias of the module
+	 * @param {Object} module.Klass - Module class
+	 * @param {Object} module.options - Module options
+	 * @param {ChildProcess} module.child - Exited child process
+	 * @param {number|null} code - Exit code of the child process
+	 * @param {string|null} signal - Signal which terminated the child process
+	 */
+	async _onChildProcessExit({ alias, Klass, options, child }, code, signal) {
+		const moduleAlias = alias || Klass.alias;
+		const { name, version } = Klass.info;
+		const supervisor = this.supervisors[moduleAlias];
+
+		this.logger.error(
+			`Module ${moduleAlias}(${name}:${version}) exited with code: ${code} and signal: ${signal}`
+		);
+
+		if (this.childProcesses[moduleAlias] === child) {
+			delete this.childProcesses[moduleAlias];
+		}
+		await this.bus.unregisterChannel(moduleAlias);
+
+		this.channel.publish('app:module:crashed', {
+			moduleAlias,
+			code,
+			signal,
+		});
+
+		if (!supervisor.shouldRestart(code, signal)) {
+			if (!Supervisor.isFailure(code, signal)) {
+				this.logger.warn(
+					`Module ${moduleAlias}(${name}:${version}) will not be restarted.`
+				);
+				return;
+			}
 
-		child.on('exit', (code, signal) => {
 			this.logger.error(
-				`Module ${moduleAlias}(${name}:${version}) exited with code: ${code} and signal: ${signal}`
+				`Module ${moduleAlias}(${name}:${version}) will not be restarted after ${
+					supervisor.restarts
+				} restarts.`
 			);
 			// Exits the main process with a failure code
 			process.exit(1);
+		}
+
+		const delay = supervisor.scheduleRestart();
+		this.logger.info(
+			`Restarting module ${moduleAlias}(${name}:${version}) in ${delay}ms`
+		);
+		await new Promise(resolve => setTimeout(resolve, delay));
+
+		try {
+			await this._loadChildProcessModule(alias, Klass, options);
+		} catch (error) {
+			this.logger.error(
+				`Failed to restart module ${moduleAlias}(${name}:${version})`,
+				error
+			);
+			// Exit of the restarted child is handled as another crash, the failed restart already counts
+			const restartedChild = this.childProcesses[moduleAlias];
+			if (restartedChild) {
+				restartedChild.kill('SIGKILL');
+			}
+			return;
+		}
+
+		this.channel.publish('app:module:restarted', {
+			moduleAlias,
+			restarts: supervisor.restarts,
+		});
+		// Restarted module completes its bootstrap on ready event, same as on startup
+		this.channel.publish('app:ready');
+	}
+
+	/**
+	 * Load a registered module while the application is running.
+	 * Publishes 'app:module:loaded' and 'app:ready', so the module can complete its bootstrap.
+	 *
+	 * @async
+	 * @param {string} alias - Alias of module used during registration
+	 * @throws Framework.errors.ModuleDependencyError
+	 */
+	async loadModule(alias) {
+		const Klass = this.registeredModules[alias];
+
+		if (!Klass) {
+			throw new Error(`Module "${alias}" is not registered.`);
+		}
+
+		if (this._isModuleLoaded(alias)) {
+			throw new Error(`Module "${alias}" is already loaded.`);
+		}
+
+		Object.keys(Klass.dependencies || {}).forEach(dependencyAlias => {
+			if (!this._isModuleLoaded(dependencyAlias)) {
+				throw new ModuleDependencyError(
+					alias,
+					`Module "${alias}" depends on "${dependencyAlias}" which is not loaded.`
+				);
+			}
+		});
+
+		await this._loadModule(alias, Klass, this.moduleOptions[alias]);
+
+		this.channel.publish('app:module:loaded', { moduleAlias: alias });
+		this.channel.publish('app:ready');
+	}
+
+	/**
+	 * Unload a module while the application is running and remove it from the bus.
+	 * Publishes 'app:module:unloaded'.
+	 *
+	 * @async
+	 * @param {string} alias - Alias of module used during registration
+	 * @throws Framework.errors.ModuleDependencyError
+	 */
+	async unloadModule(alias) {
+		if (!this._isModuleLoaded(alias)) {
+			throw new Error(`Module "${alias}" is not loaded.`);
+		}
+
+		const dependentAlias = Object.keys(this.registeredModules).find(
+			moduleAlias =>
+				this._isModuleLoaded(moduleAlias) &&
+				Object.keys(
+					this.registeredModules[moduleAlias].dependencies || {}
+				).includes(alias)
+		);
+
+		if (dependentAlias) {
+			throw new ModuleDependencyError(
+				alias,
+				`Module "${alias}" can not be unloaded because "${dependentAlias}" depends on it.`
+			);
+		}
+
+		if (this.childProcesses[alias]) {
+			await this._unloadChildProcessModule(alias);
+		} else {
+			await this._unloadInMemoryModule(alias);
+		}
+
+		this.channel.publish('app:module:unloaded', { moduleAlias: alias });
+	}
+
+	/**
+	 * Unload a module and load it again while the application is running.
+	 *
+	 * @async
+	 * @param {string} alias - Alias of module used during registration
+	 * @throws Framework.errors.ModuleDependencyError
+	 */
+	async reloadModule(alias) {
+		await this.unloadModule(alias);
+		await this.loadModule(alias);
+	}
+
+	_isModuleLoaded(alias) {
+		return !!(this.modules[alias] || this.childProcesses[alias]);
+	}
+
+	async _unloadInMemoryModule(alias) {
+		const module = this.modules[alias];
+		const channel = this.moduleChannels[alias];
+
+		channel.publish(`${alias}:unloading:started`);
+
+		await module.unload();
+
+		channel.publish(`${alias}:unloading:finished`);
+
+		channel.cleanup();
+		await this.bus.unregisterChannel(alias);
+
+		delete this.modules[alias];
+		delete this.moduleChannels[alias];
+
+		this.logger.info(`Module unloaded with alias: ${alias}`);
+	}
+
+	async _unloadChildProcessModule(alias) {
+		const child = this.childProcesses[alias];
+
+		// Child is stopped on purpose, so it must not be restarted
+		child.removeAllListeners('exit');
+		delete this.childProcesses[alias];
+
+		await new Promise(resolve => {
+			const timer = setTimeout(() => {
+				this.logger.warn(
+					`Module ${alias} did not unload in time, killing its child process.`
+				);
+				child.kill();
+			}, CHILD_PROCESS_UNLOAD_TIMEOUT);
+
+			child.once('exit', () => {
+				clearTimeout(timer);
+				resolve();
+			});
+			child.send({ unloadModule: true });
 		});
 
-		return Promise.race([
-			new Promise(resolve => {
-				this.channel.once(`${moduleAlias}:loading:finished`, () => {
-					this.logger.info(
-						`Module ready with alias: ${moduleAlias}(${name}:${version})`
-					);
-					resolve();
-				});
-			}),
-			new Promise((_, reject) => {
-				setTimeout(reject, 2000);
-			}),
-		]);
+		await this.bus.unregisterChannel(alias);
+
+		this.logger.info(`Module unloaded with alias: ${alias}`);
 	}
 
-	async unloadModules(modules = Object.keys(this.modules)) {
+	/**
+	 * Unload modules one after another, in reverse order of loading by default,
+	 * so no module is unloaded before the modules depending on it.
+	 *
+	 * @async
+	 * @param {Array.<string>} [modules] - Aliases of modules to unload
+	 */
+	async unloadModules(modules = Object.keys(this.modules).reverse()) {
 		// To perform operations in sequence and not using bluebird
 
 		// eslint-disable-next-line no-restricted-syntax
@@ -311,7 +677,11 @@ class Controller {
 			this.logger.error(`Reason: ${reason}`);
 		}
 
-		this.childrenList.forEach(child => child.kill());
+		// Children are killed on purpose, so they must not be restarted
+		Object.values(this.childProcesses).forEach(child => {
+			child.removeAllListeners('exit');
+			child.kill();
+		});
 
 		try {
 			await this.bus.cleanup();
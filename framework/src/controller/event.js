@@ -1,6 +1,7 @@
 const assert = require('assert');
 
 const { eventWithModuleNameReg } = require('./channels/base/constants');
+const { getTraceId } = require('./helpers/trace');
 
 /**
  * An event class which instance will be received by every event listener
@@ -16,13 +17,15 @@ class Event {
 	 *
 	 * @param {string} name - Combination of module:event
 	 * @param {string|Object} [data] - Data associated with the event
+	 * @param {string} [traceId] - Trace id of the request which caused the event, taken from the current trace if not provided
 	 */
-	constructor(name, data = null) {
+	constructor(name, data = null, traceId = getTraceId()) {
 		assert(
 			eventWithModuleNameReg.test(name),
 			`Event name "${name}" must be a valid name with module name.`
 		);
 		this.data = data;
+		this.traceId = traceId;
 		[, this.module, this.name] = eventWithModuleNameReg.exec(name);
 		// Remove the first prefixed ':' symbol
 		this.name = this.name.substring(1);
@@ -38,6 +41,7 @@ class Event {
 			name: this.name,
 			module: this.module,
 			data: this.data,
+			traceId: this.traceId,
 		};
 	}
 
@@ -75,7 +79,8 @@ class Event {
 
 		return new Event(
 			`${parsedEvent.module}:${parsedEvent.name}`,
-			parsedEvent.data
+			parsedEvent.data,
+			parsedEvent.traceId
 		);
 	}
 }
@@ -0,0 +1,127 @@
+const { ActionTimeoutError, ActionCancelledError } = require('../../errors');
+
+const DEFAULT_RETRY = Object.freeze({
+	attempts: 0,
+	delay: 100,
+	factor: 2,
+	maxDelay: 5000,
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Settle with the given promise unless the timeout expires or the caller cancels first.
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {Object} options
+ * @param {string} options.actionName - Action name in module:action format, used in errors
+ * @param {number} [options.timeout] - Time in milliseconds, 0 or undefined waits forever
+ * @param {Promise} [options.cancel] - Settling this promise cancels the wait
+ * @return {Promise}
+ * @throws {ActionTimeoutError|ActionCancelledError}
+ */
+const race = (promise, { actionName, timeout, cancel }) => {
+	const contenders = [promise];
+	let timer;
+
+	if (timeout) {
+		contenders.push(
+			new Promise((_, reject) => {
+				timer = setTimeout(
+					() => reject(new ActionTimeoutError(actionName, timeout)),
+					timeout
+				);
+			})
+		);
+	}
+
+	if (cancel) {
+		contenders.push(
+			new Promise((_, reject) => {
+				const onCancel = () => reject(new ActionCancelledError(actionName));
+				Promise.resolve(cancel).then(onCancel, onCancel);
+			})
+		);
+	}
+
+	return Promise.race(contenders).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Merge invoke options for an action from the configuration and the ones given per call.
+ * Per call options take precedence over per action configuration, which takes
+ * precedence over the defaults.
+ *
+ * @param {Object} [config] - Invoke configuration, `app.invoke`
+ * @param {string} actionName - Action name in module:action format
+ * @param {Object} [options] - Options given per call
+ * @return {{timeout: number, retry: Object, cancel: Promise}}
+ */
+const resolveInvokeOptions = (config = {}, actionName, options = {}) => {
+	const actionConfig = (config.actions && config.actions[actionName]) || {};
+	const [timeout] = [
+		options.timeout,
+		actionConfig.timeout,
+		config.timeout,
+	].filter(value => value !== undefined && value !== null);
+
+	return {
+		timeout,
+		retry: { ...config.retry, ...actionConfig.retry, ...options.retry },
+		cancel: options.cancel,
+	};
+};
+
+/**
+ * Call the function invoking an action, applying the timeout, retry and cancellation policy.
+ * Only timed out attempts are retried, as an error returned by the action itself
+ * would be returned again. Timeout applies to every attempt separately.
+ *
+ * @param {function(): Promise} fn - Function performing one invoke attempt
+ * @param {string} actionName - Action name in module:action format
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Time in milliseconds to wait for each attempt
+ * @param {Object} [options.retry] - Retry policy
+ * @param {number} [options.retry.attempts=0] - Number of retries after the first attempt
+ * @param {number} [options.retry.delay=100] - Time in milliseconds to wait before the first retry
+ * @param {number} [options.retry.factor=2] - Multiplier applied to the delay after every retry
+ * @param {number} [options.retry.maxDelay=5000] - Upper limit of the delay in milliseconds
+ * @param {Promise} [options.cancel] - Settling this promise cancels the invoke
+ * @return {Promise}
+ * @throws {ActionTimeoutError|ActionCancelledError}
+ */
+const invokeWithPolicy = async (
+	fn,
+	actionName,
+	{ timeout, retry = {}, cancel } = {},
+	attempt = 0
+) => {
+	try {
+		return await race(fn(), { actionName, timeout, cancel });
+	} catch (error) {
+		const { attempts, delay, factor, maxDelay } = {
+			...DEFAULT_RETRY,
+			...retry,
+		};
+		if (!(error instanceof ActionTimeoutError) || attempt >= attempts) {
+			throw error;
+		}
+
+		await race(sleep(Math.min(delay * factor ** attempt, maxDelay)), {
+			actionName,
+			cancel,
+		});
+
+		return invokeWithPolicy(
+			fn,
+			actionName,
+			{ timeout, retry, cancel },
+			attempt + 1
+		);
+	}
+};
+
+module.exports = {
+	resolveInvokeOptions,
+	invokeWithPolicy,
+};
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const url = require('url');
+const crypto = require('crypto');
+
+const HANDSHAKE_ACCEPTED = 'OK';
+const HANDSHAKE_MAX_LENGTH = 1024;
+const HANDSHAKE_TIMEOUT = 5000;
+
+// Pub and sub emitter sockets of axon wrap the actual socket
+const getAxonSocket = socket => socket.sock || socket;
+
+/**
+ * Check if address is a TCP address in tcp://host:port format.
+ *
+ * @param {string} address - Socket address
+ * @return {boolean}
+ */
+const isTcpAddress = address => url.parse(address).protocol === 'tcp:';
+
+/**
+ * Compare tokens in constant time.
+ *
+ * @param {string} expected - Configured token
+ * @param {string} received - Token sent by the peer
+ * @return {boolean}
+ */
+const tokensMatch = (expected, received) =>
+	crypto.timingSafeEqual(
+		crypto
+			.createHash('sha256')
+			.update(expected)
+			.digest(),
+		crypto
+			.createHash('sha256')
+			.update(received)
+			.digest()
+	);
+
+/**
+ * Read the first line of a connection, before axon starts reading frames from it.
+ * Data received after the line is put back to the paused connection.
+ *
+ * @param {net.Socket} connection - Connection to read from
+ * @return {Promise.<string>}
+ * @private
+ */
+const readHandshakeLine = connection =>
+	new Promise((resolve, reject) => {
+		let buffer = Buffer.alloc(0);
+		let timer = null;
+		const listeners = {};
+
+		const settle = (error, line) => {
+			clearTimeout(timer);
+			connection.removeListener('data', listeners.data);
+			connection.removeListener('error', listeners.close);
+			connection.removeListener('close', listeners.close);
+
+			if (error) {
+				return reject(error);
+			}
+			return resolve(line);
+		};
+
+		listeners.close = () =>
+			settle(new Error('IPC connection closed during handshake.'));
+
+		listeners.data = chunk => {
+			buffer = Buffer.concat([buffer, chunk]);
+			const index = buffer.indexOf('\n');
+
+			if (index === -1) {
+				if (buffer.length > HANDSHAKE_MAX_LENGTH) {
+					settle(new Error('IPC handshake exceeds maximum length.'));
+				}
+				return;
+			}
+
+			connection.pause();
+			if (index + 1 < buffer.length) {
+				connection.unshift(buffer.slice(index + 1));
+			}
+			settle(null, buffer.slice(0, index).toString());
+		};
+
+		timer = setTimeout(
+			() => settle(new Error('IPC handshake timeout.')),
+			HANDSHAKE_TIMEOUT
+		);
+		connection.on('data', listeners.data);
+		connection.on('error', listeners.close);
+		connection.on('close', listeners.close);
+	});
+
+/**
+ * Read key, certificate and certificate authority files for TLS sockets.
+ *
+ * @param {Object} tlsConfig - Paths to PEM files
+ * @param {string} tlsConfig.key - Private key
+ * @param {string} tlsConfig.cert - Certificate
+ * @param {string} [tlsConfig.ca] - Certificate authority of the peers
+ * @return {Object} Options for tls.createServer and tls.connect
+ * @private
+ */
+const readTlsOptions = tlsConfig => ({
+	key: fs.readFileSync(tlsConfig.key),
+	cert: fs.readFileSync(tlsConfig.cert),
+	ca: tlsConfig.ca ? fs.readFileSync(tlsConfig.ca) : undefined,
+});
+
+const assertToken = transport => {
+	if (!transport.token) {
+		throw new Error('IPC over TCP requires a token to authenticate sockets.');
+	}
+};
+
+const isLoopbackHost = hostname =>
+	hostname === 'localhost' ||
+	hostname === '::1' ||
+	(net.isIPv4(hostname) && hostname.startsWith('127.'));
+
+// The token is sent in plaintext without TLS, which is only safe on the same host
+const assertEncrypted = (hostname, transport) => {
+	if (!transport.tls && !isLoopbackHost(hostname)) {
+		throw new Error(
+			`IPC over TCP on non-loopback host ${hostname} requires TLS.`
+		);
+	}
+};
+
+/**
+ * Make the identity of the connection a message is received from available
+ * while the message is handled, see getMessageIdentity.
+ * Axon handles every message synchronously, so listeners read it before it is reset.
+ *
+ * @param {Object} sock - Actual axon socket
+ * @private
+ */
+const trackMessageIdentity = sock => {
+	const onmessage = sock.onmessage;
+
+	sock.onmessage = connection => {
+		const handle = onmessage.call(sock, connection);
+
+		return function handleWithIdentity(buf) {
+			sock.messageIdentity = connection.identity;
+			try {
+				return handle.call(this, buf);
+			} finally {
+				sock.messageIdentity = null;
+			}
+		};
+	};
+};
+
+/**
+ * Bind axon socket to a unix socket or TCP address.
+ * Connections to a TCP address are accepted only after they sent the token
+ * configured in transport, and are encrypted if transport has TLS files.
+ * With authenticate, connections to a unix socket authenticate the same way,
+ * and the identity of a connection is available to listeners of its messages.
+ *
+ * @param {Object} socket - Axon socket
+ * @param {string} address - Address in unix:///path or tcp://host:port format
+ * @param {Object} [transport] - IPC transport configuration, i.e. `app.ipc`
+ * @param {string} [transport.token] - Shared token peers authenticate with
+ * @param {Object} [transport.tls] - Paths to key, cert and ca PEM files
+ * @param {function(string): ?Object} [authenticate] - Returns the identity of a connection sending the token, if it's not the shared one
+ *
+ * @throws {Error} If address is a TCP address and no token is configured.
+ * @throws {Error} If address is a TCP address of a non-loopback host and no TLS files are configured.
+ */
+const bindSocket = (socket, address, transport = {}, authenticate) => {
+	const isTcp = isTcpAddress(address);
+
+	if (!isTcp && !authenticate) {
+		socket.bind(address);
+		return;
+	}
+
+	if (isTcp) {
+		assertToken(transport);
+	}
+
+	const sock = getAxonSocket(socket);
+
+	const onConnection = connection => {
+		readHandshakeLine(connection)
+			.then(token => {
+				const identity =
+					(authenticate && authenticate(token)) ||
+					(transport.token && tokensMatch(transport.token, token) ? {} : null);
+				if (!identity) {
+					throw new Error('Invalid IPC token.');
+				}
+				connection.identity = identity;
+				connection.write(`${HANDSHAKE_ACCEPTED}\n`);
+				sock.onconnect(connection);
+			})
+			.catch(() => connection.destroy());
+	};
+
+	if (authenticate) {
+		trackMessageIdentity(sock);
+	}
+
+	if (!isTcp) {
+		// Axon takes care of stale socket files, only accepting connections is replaced
+		socket.bind(address);
+		sock.server.removeAllListeners('connection');
+		sock.server.on('connection', onConnection);
+		return;
+	}
+
+	const { hostname, port } = url.parse(address);
+	assertEncrypted(hostname, transport);
+
+	sock.type = 'server';
+
+	if (transport.tls) {
+		const tlsOptions = readTlsOptions(transport.tls);
+		// Clients have to present a certificate when a certificate authority is configured
+		sock.server = tls.createServer(
+			{
+				...tlsOptions,
+				requestCert: !!tlsOptions.ca,
+				rejectUnauthorized: !!tlsOptions.ca,
+			},
+			onConnection
+		);
+	} else {
+		sock.server = net.createServer(onConnection);
+	}
+
+	sock.server.on('listening', () => sock.emit('bind'));
+	sock.server.on('error', error => sock.emit('error', error));
+	sock.server.listen(parseInt(port, 10), hostname);
+};
+
+/**
+ * Get the identity of the connection the message being handled was received from.
+ * Only available synchronously in listeners of messages of a socket bound with authenticate.
+ *
+ * @param {Object} socket - Axon socket
+ * @return {?Object} Identity returned by authenticate, empty for the shared token
+ */
+const getMessageIdentity = socket =>
+	getAxonSocket(socket).messageIdentity || null;
+
+/**
+ * Connect axon socket to a unix socket or TCP address.
+ * TCP connections authenticate with the token configured in transport, are
+ * encrypted if transport has TLS files and reconnect the same way axon does.
+ * Connections to a unix socket authenticate the same way if a token is given.
+ *
+ * @param {Object} socket - Axon socket
+ * @param {string} address - Address in unix:///path or tcp://host:port format
+ * @param {Object} [transport] - IPC transport configuration, i.e. `app.ipc`
+ * @param {string} [transport.token] - Shared token to authenticate with
+ * @param {Object} [transport.tls] - Paths to key, cert and ca PEM files
+ * @param {string} [token] - Token to authenticate with instead of the shared one
+ *
+ * @throws {Error} If address is a TCP address and no token is configured.
+ * @throws {Error} If address is a TCP address of a non-loopback host and no TLS files are configured.
+ */
+const connectSocket = (socket, address, transport = {}, token) => {
+	const isTcp = isTcpAddress(address);
+
+	if (!isTcp && !token) {
+		socket.connect(address);
+		return;
+	}
+
+	const handshakeToken = token || transport.token;
+	assertToken({ token: handshakeToken });
+
+	const sock = getAxonSocket(socket);
+	const { hostname, port, pathname } = url.parse(address);
+	if (isTcp) {
+		assertEncrypted(hostname, transport);
+	}
+	const tlsOptions =
+		isTcp && transport.tls ? readTlsOptions(transport.tls) : null;
+
+	const connect = () => {
+		let connection;
+		if (tlsOptions) {
+			connection = tls.connect({ ...tlsOptions, host: hostname, port });
+		} else if (isTcp) {
+			connection = net.connect({ host: hostname, port });
+		} else {
+			connection = net.connect({ path: pathname });
+		}
+		if (isTcp) {
+			connection.setNoDelay();
+		}
+		sock.handleErrors(connection);
+
+		connection.on('close', () => {
+			sock.connected = false;
+			sock.removeSocket(connection);
+			if (sock.closing) {
+				sock.emit('close');
+				return;
+			}
+
+			const retry = sock.retry || sock.get('retry timeout');
+			if (retry === 0) {
+				sock.emit('close');
+				return;
+			}
+			setTimeout(() => {
+				sock.emit('reconnect attempt');
+				connect();
+				sock.retry = Math.round(
+					Math.min(sock.get('retry max timeout'), retry * 1.5)
+				);
+			}, retry);
+		});
+
+		connection.once(tlsOptions ? 'secureConnect' : 'connect', () => {
+			connection.write(`${handshakeToken}\n`);
+			readHandshakeLine(connection)
+				.then(reply => {
+					if (reply !== HANDSHAKE_ACCEPTED) {
+						throw new Error('IPC handshake rejected.');
+					}
+					sock.connected = true;
+					sock.addSocket(connection);
+					sock.retry = sock.get('retry timeout');
+					sock.emit('connect');
+				})
+				.catch(() => connection.destroy());
+		});
+	};
+
+	sock.type = 'client';
+	connect();
+};
+
+module.exports = {
+	isTcpAddress,
+	tokensMatch,
+	bindSocket,
+	connectSocket,
+	getMessageIdentity,
+};
@@ -0,0 +1,65 @@
+const semver = require('semver');
+const { ModuleDependencyError } = require('../../errors');
+
+const getDependencies = Klass => Klass.dependencies || {};
+
+/**
+ * Sort module aliases so every module comes after the modules it depends on.
+ * Modules without dependencies between them keep the order they were registered in.
+ *
+ * @param {Object.<string, Object>} modules - Module classes by alias
+ * @return {Array.<string>} Module aliases in load order
+ * @throws Framework.errors.ModuleDependencyError
+ */
+const sortModulesByDependencies = modules => {
+	const sorted = [];
+	const visiting = [];
+
+	const visit = alias => {
+		if (sorted.includes(alias)) {
+			return;
+		}
+
+		if (visiting.includes(alias)) {
+			const cycle = [...visiting.slice(visiting.indexOf(alias)), alias];
+			throw new ModuleDependencyError(
+				alias,
+				`Circular dependency between modules: ${cycle.join(' -> ')}.`
+			);
+		}
+
+		visiting.push(alias);
+
+		const dependencies = getDependencies(modules[alias]);
+		Object.keys(dependencies).forEach(dependencyAlias => {
+			const range = dependencies[dependencyAlias];
+			const dependency = modules[dependencyAlias];
+
+			if (!dependency) {
+				throw new ModuleDependencyError(
+					alias,
+					`Module "${alias}" depends on "${dependencyAlias}" which is not registered.`
+				);
+			}
+
+			const { version } = dependency.info;
+			if (!semver.satisfies(version, range)) {
+				throw new ModuleDependencyError(
+					alias,
+					`Module "${alias}" depends on "${dependencyAlias}@${range}" but version ${version} is registered.`
+				);
+			}
+
+			visit(dependencyAlias);
+		});
+
+		visiting.pop();
+		sorted.push(alias);
+	};
+
+	Object.keys(modules).forEach(visit);
+
+	return sorted;
+};
+
+module.exports = sortModulesByDependencies;
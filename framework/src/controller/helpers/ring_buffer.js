@@ -0,0 +1,44 @@
+/**
+ * Fixed size buffer which overwrites its oldest items when full
+ *
+ * @class
+ * @memberof framework.controller.helpers
+ */
+class RingBuffer {
+	/**
+	 * Create an empty buffer.
+	 *
+	 * @param {number} size - Maximum number of items kept
+	 */
+	constructor(size) {
+		this.size = size;
+		this.items = [];
+		this.head = 0;
+	}
+
+	/**
+	 * Add an item, dropping the oldest one if buffer is full.
+	 *
+	 * @param {*} item
+	 */
+	push(item) {
+		if (this.items.length < this.size) {
+			this.items.push(item);
+			return;
+		}
+
+		this.items[this.head] = item;
+		this.head = (this.head + 1) % this.size;
+	}
+
+	/**
+	 * Get items from the oldest to the latest.
+	 *
+	 * @return {Array}
+	 */
+	toArray() {
+		return [...this.items.slice(this.head), ...this.items.slice(0, this.head)];
+	}
+}
+
+module.exports = RingBuffer;
@@ -0,0 +1,104 @@
+const asyncHooks = require('async_hooks');
+const crypto = require('crypto');
+
+// Trace id of every async resource created while a trace is active, by async id
+const traceIds = new Map();
+let hook = null;
+
+// Trace id of the function run synchronously by runWithTraceId
+let currentTraceId;
+
+/**
+ * Follow trace ids into asynchronous continuations, through a process-wide async hook.
+ * The hook runs for every async resource of the process, so it is enabled only on request.
+ */
+const enableAsyncTracing = () => {
+	if (hook) {
+		return;
+	}
+
+	hook = asyncHooks
+		.createHook({
+			init(asyncId) {
+				const traceId = traceIds.get(asyncHooks.executionAsyncId());
+				if (traceId) {
+					traceIds.set(asyncId, traceId);
+				}
+			},
+			destroy(asyncId) {
+				traceIds.delete(asyncId);
+			},
+		})
+		.enable();
+};
+
+/**
+ * Stop following trace ids into asynchronous continuations.
+ */
+const disableAsyncTracing = () => {
+	if (!hook) {
+		return;
+	}
+
+	hook.disable();
+	hook = null;
+	traceIds.clear();
+};
+
+/**
+ * Generate a new random trace id.
+ *
+ * @return {string}
+ */
+const generateTraceId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Get trace id of the current execution, if any.
+ *
+ * @return {string|undefined}
+ */
+const getTraceId = () =>
+	currentTraceId ||
+	(hook ? traceIds.get(asyncHooks.executionAsyncId()) : undefined);
+
+/**
+ * Run function so trace id is available through getTraceId while it runs synchronously,
+ * and in its asynchronous continuations when async tracing is enabled.
+ *
+ * @param {string} traceId - Trace id to run the function with
+ * @param {Function} fn - Function to run
+ * @return {*} Result of the function
+ */
+const runWithTraceId = (traceId, fn) => {
+	if (!traceId) {
+		return fn();
+	}
+
+	const previousTraceId = currentTraceId;
+	currentTraceId = traceId;
+
+	try {
+		if (!hook) {
+			return fn();
+		}
+
+		const resource = new asyncHooks.AsyncResource('LiskTrace');
+		traceIds.set(resource.asyncId(), traceId);
+
+		try {
+			return resource.runInAsyncScope(fn);
+		} finally {
+			resource.emitDestroy();
+		}
+	} finally {
+		currentTraceId = previousTraceId;
+	}
+};
+
+module.exports = {
+	enableAsyncTracing,
+	disableAsyncTracing,
+	generateTraceId,
+	getTraceId,
+	runWithTraceId,
+};
@@ -1,3 +1,38 @@
+const invokePolicy = {
+	timeout: {
+		type: 'integer',
+		minimum: 0,
+		description:
+			'Time in milliseconds to wait for an action response, 0 waits forever',
+	},
+	retry: {
+		type: 'object',
+		properties: {
+			attempts: {
+				type: 'integer',
+				minimum: 0,
+				description: 'Number of retries of a timed out action',
+			},
+			delay: {
+				type: 'integer',
+				minimum: 0,
+				description: 'Time in milliseconds to wait before the first retry',
+			},
+			factor: {
+				type: 'number',
+				minimum: 1,
+				description: 'Multiplier applied to the delay after every retry',
+			},
+			maxDelay: {
+				type: 'integer',
+				minimum: 0,
+				description: 'Upper limit of the delay between retries',
+			},
+		},
+		additionalProperties: false,
+	},
+};
+
 module.exports = {
 	appLabel: {
 		id: '#appLabel',
@@ -165,7 +200,117 @@ module.exports = {
 							enabled: {
 								type: 'boolean',
 							},
+							transport: {
+								type: 'string',
+								enum: ['unix', 'tcp'],
+								description:
+									'Unix sockets for modules on the same host, TCP for modules on other hosts',
+							},
+							host: {
+								type: 'string',
+								description: 'Host the bus sockets bind to on TCP transport',
+							},
+							ports: {
+								type: 'object',
+								properties: {
+									pub: {
+										type: 'integer',
+										minimum: 1,
+										maximum: 65535,
+									},
+									sub: {
+										type: 'integer',
+										minimum: 1,
+										maximum: 65535,
+									},
+									rpc: {
+										type: 'integer',
+										minimum: 1,
+										maximum: 65535,
+									},
+								},
+								required: ['pub', 'sub', 'rpc'],
+							},
+							token: {
+								type: 'string',
+								minLength: 16,
+								description:
+									'Shared secret modules authenticate with on TCP transport',
+							},
+							tls: {
+								type: 'object',
+								description:
+									'Paths to PEM files to encrypt TCP transport, with ca clients must present a certificate signed by it',
+								properties: {
+									key: {
+										type: 'string',
+									},
+									cert: {
+										type: 'string',
+									},
+									ca: {
+										type: 'string',
+									},
+								},
+								required: ['key', 'cert'],
+							},
+							permissions: {
+								type: 'object',
+								description:
+									'Permissions of remote modules keyed by module alias, lists of module:name, module:* or * they may invoke and publish',
+								additionalProperties: {
+									type: 'object',
+									properties: {
+										invoke: {
+											type: 'array',
+											items: { type: 'string' },
+										},
+										publish: {
+											type: 'array',
+											items: { type: 'string' },
+										},
+									},
+									additionalProperties: false,
+								},
+							},
+						},
+					},
+					invoke: {
+						type: 'object',
+						properties: {
+							...invokePolicy,
+							actions: {
+								type: 'object',
+								description:
+									'Policy overrides per action, keyed by module:action name',
+								additionalProperties: {
+									type: 'object',
+									properties: invokePolicy,
+									additionalProperties: false,
+								},
+							},
+						},
+						additionalProperties: false,
+					},
+					eventBuffers: {
+						type: 'object',
+						description:
+							'Number of latest events kept for replay, keyed by module:event name',
+						additionalProperties: {
+							type: 'integer',
+							minimum: 0,
+						},
+					},
+					tracing: {
+						type: 'object',
+						properties: {
+							asyncContext: {
+								type: 'boolean',
+								description:
+									'Follow trace ids into asynchronous continuations of action and event handlers, through a process-wide async hook',
+							},
 						},
+						additionalProperties: false,
 					},
 					initialState: {
 						id: '#/app/initialState',
@@ -286,6 +431,27 @@ module.exports = {
 			app: {
 				ipc: {
 					enabled: false,
+					transport: 'unix',
+					host: '127.0.0.1',
+					ports: {
+						pub: 5010,
+						sub: 5011,
+						rpc: 5012,
+					},
+				},
+				invoke: {
+					timeout: 0,
+					retry: {
+						attempts: 0,
+						delay: 100,
+						factor: 2,
+						maxDelay: 5000,
+					},
+					actions: {},
+				},
+				eventBuffers: {},
+				tracing: {
+					asyncContext: false,
 				},
 				genesisConfig: {
 					EPOCH_TIME: new Date(
@@ -0,0 +1,108 @@
+const assert = require('assert');
+
+const RESTART_POLICIES = Object.freeze(['always', 'on-failure', 'never']);
+
+const DEFAULT_RESTART_POLICY = Object.freeze({
+	policy: 'on-failure',
+	maxRestarts: 5,
+	window: 60000,
+	delay: 1000,
+	factor: 2,
+	maxDelay: 30000,
+});
+
+/**
+ * Supervisor decides if and when a module running in child process is restarted after it exits
+ *
+ * @class
+ * @memberof framework.controller
+ * @requires assert
+ */
+class Supervisor {
+	/**
+	 * Create supervisor for one module.
+	 *
+	 * @param {string} moduleAlias - Alias of the supervised module
+	 * @param {Object} [restartPolicy] - Restart policy of the module
+	 * @param {string} [restartPolicy.policy=on-failure] - One of "always", "on-failure" or "never"
+	 * @param {number} [restartPolicy.maxRestarts=5] - Maximum number of restarts within the window
+	 * @param {number} [restartPolicy.window=60000] - Time window in milliseconds to count restarts in
+	 * @param {number} [restartPolicy.delay=1000] - Time in milliseconds to wait before the first restart
+	 * @param {number} [restartPolicy.factor=2] - Multiplier applied to the delay for every restart within the window
+	 * @param {number} [restartPolicy.maxDelay=30000] - Upper limit of the delay in milliseconds
+	 */
+	constructor(moduleAlias, restartPolicy = {}) {
+		this.moduleAlias = moduleAlias;
+		this.options = { ...DEFAULT_RESTART_POLICY, ...restartPolicy };
+
+		assert(
+			RESTART_POLICIES.includes(this.options.policy),
+			`Restart policy of module "${moduleAlias}" must be one of ${RESTART_POLICIES.join(
+				', '
+			)}.`
+		);
+
+		this.restartTimes = [];
+	}
+
+	/**
+	 * Number of restarts within the current window.
+	 *
+	 * @return {number}
+	 */
+	get restarts() {
+		const now = Date.now();
+		this.restartTimes = this.restartTimes.filter(
+			time => now - time < this.options.window
+		);
+		return this.restartTimes.length;
+	}
+
+	/**
+	 * Check if module should be restarted after it exited.
+	 *
+	 * @param {number|null} code - Exit code of the child process
+	 * @param {string|null} signal - Signal which terminated the child process
+	 * @return {boolean}
+	 */
+	shouldRestart(code, signal) {
+		const { policy, maxRestarts } = this.options;
+
+		if (policy === 'never') {
+			return false;
+		}
+
+		if (policy === 'on-failure' && !Supervisor.isFailure(code, signal)) {
+			return false;
+		}
+
+		return this.restarts < maxRestarts;
+	}
+
+	/**
+	 * Record a restart and get the time to wait before performing it.
+	 *
+	 * @return {number} Delay in milliseconds
+	 */
+	scheduleRestart() {
+		const { delay, factor, maxDelay } = this.options;
+		const restartDelay = Math.min(delay * factor ** this.restarts, maxDelay);
+
+		this.restartTimes.push(Date.now());
+
+		return restartDelay;
+	}
+
+	/**
+	 * Check if exit code and signal denote a failure.
+	 *
+	 * @param {number|null} code - Exit code of the child process
+	 * @param {string|null} signal - Signal which terminated the child process
+	 * @return {boolean}
+	 */
+	static isFailure(code, signal) {
+		return code !== 0 || !!signal;
+	}
+}
+
+module.exports = Supervisor;
@@ -58,9 +58,88 @@ class ImplementationMissingError extends FrameworkError {
 	}
 }
 
+/**
+ * Error occurred when an invoked action does not respond in time
+ * @extends FrameworkError
+ * @namespace Framework.errors
+ */
+class ActionTimeoutError extends FrameworkError {
+	/**
+	 * Create an action timeout error object
+	 *
+	 * @param {string} actionName - Name of the action in module:action format
+	 * @param {number} timeout - Time in milliseconds the action was waited for
+	 */
+	constructor(actionName, timeout) {
+		super(`Action "${actionName}" timed out after ${timeout}ms`);
+		this.actionName = actionName;
+		this.timeout = timeout;
+	}
+}
+
+/**
+ * Error occurred when an in-flight action invocation was cancelled by the caller
+ * @extends FrameworkError
+ * @namespace Framework.errors
+ */
+class ActionCancelledError extends FrameworkError {
+	/**
+	 * Create an action cancelled error object
+	 *
+	 * @param {string} actionName - Name of the action in module:action format
+	 */
+	constructor(actionName) {
+		super(`Action "${actionName}" was cancelled`);
+		this.actionName = actionName;
+	}
+}
+
+/**
+ * Error occurred when a module performs an operation on the bus it has no permission for
+ * @extends FrameworkError
+ * @namespace Framework.errors
+ */
+class PermissionDeniedError extends FrameworkError {
+	/**
+	 * Create a permission denied error object
+	 *
+	 * @param {string} moduleAlias - Alias of the module performing the operation
+	 * @param {string} operation - Operation, either "invoke" or "publish"
+	 * @param {string} target - Action or event name in module:name format
+	 */
+	constructor(moduleAlias, operation, target) {
+		super(`Module "${moduleAlias}" is not allowed to ${operation} "${target}"`);
+		this.moduleAlias = moduleAlias;
+		this.operation = operation;
+		this.target = target;
+	}
+}
+
+/**
+ * Error occurred when dependencies between registered modules can not be satisfied
+ * @extends FrameworkError
+ * @namespace Framework.errors
+ */
+class ModuleDependencyError extends FrameworkError {
+	/**
+	 * Create a module dependency error object
+	 *
+	 * @param {string} moduleAlias - Alias of the module whose dependencies failed
+	 * @param {string} message - Description of the failed dependency
+	 */
+	constructor(moduleAlias, message) {
+		super(message);
+		this.moduleAlias = moduleAlias;
+	}
+}
+
 module.exports = {
 	FrameworkError,
 	SchemaValidationError,
 	DuplicateAppInstanceError,
 	ImplementationMissingError,
+	ActionTimeoutError,
+	ActionCancelledError,
+	PermissionDeniedError,
+	ModuleDependencyError,
 };
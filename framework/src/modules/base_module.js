@@ -15,6 +15,11 @@ module.exports = class BaseModule {
 		throw new ImplementationMissingError();
 	}
 
+	static get dependencies() {
+		// This interface is not required to be implemented
+		return {};
+	}
+
 	get defaults() {
 		// This interface is not required to be implemented
 		return {};
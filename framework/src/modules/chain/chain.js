@@ -80,7 +80,9 @@ module.exports = class Chain {
 			'app:getApplicationState'
 		);
 
-		this.logger = createLoggerComponent(loggerConfig);
+		this.logger = createLoggerComponent(loggerConfig).child({
+			module: this.channel.moduleAlias,
+		});
 		const dbLogger =
 			storageConfig.logFileName &&
 			storageConfig.logFileName === loggerConfig.logFileName
@@ -89,7 +91,7 @@ module.exports = class Chain {
 						Object.assign({}, loggerConfig, {
 							logFileName: storageConfig.logFileName,
 						})
-				  );
+				  ).child({ module: this.channel.moduleAlias });
 
 		// Try to get the last git commit
 		try {
@@ -117,6 +119,15 @@ module.exports = class Chain {
 			// Cache
 			this.logger.debug('Initiating cache...');
 			const cache = createCacheComponent(cacheConfig, this.logger);
+			cache.on('health', health =>
+				this.channel.publish('chain:cache:health', health)
+			);
+			if (!cache.isShared()) {
+				// Entries cached by other modules are kept in their own processes
+				cache.on('invalidated', invalidation =>
+					this.channel.publish('chain:cache:invalidated', invalidation)
+				);
+			}
 
 			// Storage
 			this.logger.debug('Initiating storage...');
@@ -218,8 +229,11 @@ module.exports = class Chain {
 				this.scope.modules.delegates.updateForgingStatus(
 					action.params.publicKey,
 					action.params.password,
-					action.params.forging
+					action.params.forging,
+					action.params.forgingRecord
 				),
+			renewForgingLease: async () =>
+				this.scope.modules.delegates.renewForgingLease(),
 			getPeers: async action =>
 				promisify(this.scope.modules.peers.shared.getPeers)(
 					action.params.parameters
@@ -282,6 +296,7 @@ module.exports = class Chain {
 				}),
 				lastBlock: this.scope.modules.blocks.lastBlock.get(),
 			}),
+			getStorageStats: async () => this.scope.components.storage.getStats(),
 		};
 	}
 
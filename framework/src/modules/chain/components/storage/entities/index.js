@@ -20,5 +20,6 @@ module.exports = {
 	Migration: require('./migration'),
 	Peer: require('./peer'),
 	Round: require('./round'),
+	Snapshot: require('./snapshot'),
 	Transaction: require('./transaction'),
 };
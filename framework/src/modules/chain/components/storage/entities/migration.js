@@ -14,6 +14,7 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 const { defaults, pick } = require('lodash');
@@ -30,8 +31,15 @@ const sqlFiles = {
 	isPersisted: 'migrations/is_persisted.sql',
 	create: 'migrations/create.sql',
 	applyRunTime: 'migrations/runtime.sql',
+	selectApplied: 'migrations/get_applied.sql',
+	updateChecksum: 'migrations/update_checksum.sql',
+	deleteApplied: 'migrations/delete.sql',
 };
 
+// Paths relative to the SQL directory, rollback files have the same name as the update they revert
+const updatesPath = '../sql/migrations/updates';
+const rollbacksPath = '../sql/migrations/rollbacks';
+
 /**
  * Migration
  * @typedef {Object} Migration
@@ -39,6 +47,15 @@ const sqlFiles = {
  * @property {string} name
  */
 
+/**
+ * Migration file status
+ * @typedef {Object} MigrationStatus
+ * @property {string} id
+ * @property {string} name
+ * @property {string} status - One of `applied`, `pending`, `modified` if the file changed after it was applied or `missing` if the file of an applied migration doesn't exist
+ * @property {boolean} reversible - Whether a rollback file exists
+ */
+
 /**
  * Migration Filters
  * @typedef {Object} filters.Migration
@@ -251,6 +268,35 @@ class Migration extends BaseEntity {
 		return result.length ? parseInt(result[0].id) : null;
 	}
 
+	/**
+	 * Reads 'sql/migrations/updates' folder and returns all migration files sorted by id.
+	 *
+	 * @returns {Promise<Array<Object>>}
+	 * Promise object that resolves with an array of objects `{id, name, path}`.
+	 */
+	readAll() {
+		return fs.readdir(path.join(this.sqlDirectory, updatesPath)).then(
+			files =>
+				files
+					.map(migrationFile => {
+						const migration = migrationFile.match(/(\d+)_(.+).sql/);
+						return (
+							migration && {
+								id: migration[1],
+								name: migration[2],
+								path: path.join(updatesPath, migrationFile),
+							}
+						);
+					})
+					.filter(
+						migration =>
+							migration &&
+							fs.statSync(path.join(this.sqlDirectory, migration.path)).isFile()
+					)
+					.sort((a, b) => a.id - b.id) // Sort by migration ID, ascending
+		);
+	}
+
 	/**
 	 * Reads 'sql/migrations/updates' folder and returns an array of objects for further processing.
 	 *
@@ -258,34 +304,156 @@ class Migration extends BaseEntity {
 	 * @returns {Promise<Array<Object>>}
 	 * Promise object that resolves with an array of objects `{id, name, path, file}`.
 	 */
-	readPending(lastMigrationId) {
-		const updatesPath = path.join(__dirname, '../sql/migrations/updates');
-		return fs.readdir(updatesPath).then(files =>
-			files
-				.map(migrationFile => {
-					const migration = migrationFile.match(/(\d+)_(.+).sql/);
-					return (
-						migration && {
-							id: migration[1],
-							name: migration[2],
-							path: path.join('../sql/migrations/updates', migrationFile),
-						}
-					);
-				})
-				.sort((a, b) => a.id - b.id) // Sort by migration ID, ascending
-				.filter(
-					migration =>
-						migration &&
-						fs
-							.statSync(path.join(this.sqlDirectory, migration.path))
-							.isFile() &&
-						(!lastMigrationId || +migration.id > lastMigrationId)
-				)
-				.map(f => {
-					f.file = this.adapter.loadSQLFile(f.path, this.sqlDirectory);
-					return f;
-				})
+	async readPending(lastMigrationId) {
+		const migrations = await this.readAll();
+
+		return migrations
+			.filter(migration => !lastMigrationId || +migration.id > lastMigrationId)
+			.map(f => {
+				f.file = this.adapter.loadSQLFile(f.path, this.sqlDirectory);
+				return f;
+			});
+	}
+
+	/**
+	 * Path of the file reverting a migration, relative to the SQL directory.
+	 *
+	 * @param {Object} migration
+	 * @returns {string|null} Path or null if the migration can't be rolled back
+	 */
+	getRollbackPath(migration) {
+		const rollbackPath = path.join(
+			rollbacksPath,
+			path.basename(migration.path)
+		);
+
+		return fs.existsSync(path.join(this.sqlDirectory, rollbackPath))
+			? rollbackPath
+			: null;
+	}
+
+	/**
+	 * SHA-256 hash of the content of a migration file.
+	 *
+	 * @param {Object} migration
+	 * @returns {string} Hash in hex
+	 */
+	getChecksum(migration) {
+		return crypto
+			.createHash('sha256')
+			.update(fs.readFileSync(path.join(this.sqlDirectory, migration.path)))
+			.digest('hex');
+	}
+
+	/**
+	 * Gets all applied migrations sorted by id, with the checksum of their files
+	 * once the column storing them exists.
+	 *
+	 * @param {Object} [tx]
+	 * @returns {Promise<Array<Object>>}
+	 * Promise object that resolves with an array of objects `{id, name, [checksum]}`.
+	 */
+	getApplied(tx) {
+		return this.adapter.executeFile(this.SQLs.selectApplied, {}, {}, tx);
+	}
+
+	/**
+	 * Lists applied and pending migrations sorted by id.
+	 *
+	 * @returns {Promise<Array<MigrationStatus>>}
+	 */
+	async getStatus() {
+		const migrations = await this.readAll();
+		const applied = (await this.hasMigrations()) ? await this.getApplied() : [];
+
+		return this._mergeStatus(migrations, applied);
+	}
+
+	/**
+	 * Fails if any file of an applied migration was edited after it was applied.
+	 * Expects the migrations table to exist.
+	 *
+	 * @returns {Promise} Promise object that resolves with `undefined`.
+	 * @throws {Error} With the list of modified migrations
+	 */
+	async verifyChecksums() {
+		const migrations = await this.readAll();
+		const applied = await this.getApplied();
+		const modified = this._mergeStatus(migrations, applied).filter(
+			migration => migration.status === 'modified'
+		);
+
+		if (modified.length) {
+			throw new Error(
+				`Files of applied migrations were modified: ${modified
+					.map(({ id, name }) => `${id}_${name}`)
+					.join(', ')}`
+			);
+		}
+	}
+
+	_mergeStatus(migrations, applied) {
+		const appliedById = new Map(applied.map(row => [row.id, row]));
+		const status = migrations.map(migration => {
+			const row = appliedById.get(migration.id);
+			appliedById.delete(migration.id);
+
+			let migrationStatus = 'pending';
+			if (row) {
+				migrationStatus =
+					row.checksum && row.checksum !== this.getChecksum(migration)
+						? 'modified'
+						: 'applied';
+			}
+
+			return {
+				id: migration.id,
+				name: migration.name,
+				status: migrationStatus,
+				reversible: !!this.getRollbackPath(migration),
+			};
+		});
+
+		appliedById.forEach(row =>
+			status.push({
+				id: row.id,
+				name: row.name,
+				status: 'missing',
+				reversible: false,
+			})
 		);
+
+		return status.sort((a, b) => a.id - b.id);
+	}
+
+	/**
+	 * Records checksums of applied migration files which don't have one yet,
+	 * e.g. migrations applied before checksums were introduced.
+	 *
+	 * @returns {Promise} Promise object that resolves with `undefined`.
+	 */
+	async recordChecksums() {
+		const applied = await this.getApplied();
+
+		// Column storing checksums doesn't exist before its migration is applied
+		if (!applied.length || !('checksum' in applied[0])) {
+			return;
+		}
+
+		const migrations = await this.readAll();
+		const withoutChecksum = migrations.filter(migration =>
+			applied.some(row => row.id === migration.id && !row.checksum)
+		);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const migration of withoutChecksum) {
+			// eslint-disable-next-line no-await-in-loop
+			await this.adapter.executeFile(
+				this.SQLs.updateChecksum,
+				{ id: migration.id, checksum: this.getChecksum(migration) },
+				{ expectedResultCount: 0 }
+			);
+		}
 	}
 
 	async applyPendingMigration(pendingMigration, tx) {
@@ -302,12 +470,33 @@ class Migration extends BaseEntity {
 	 * Applies a cumulative update: all pending migrations + runtime.
 	 * Each update+insert execute within their own SAVEPOINT, to ensure data integrity on the updates level.
 	 *
-	 * @returns {Promise} Promise object that resolves with `undefined`.
+	 * @param {Object} [options]
+	 * @param {string} [options.to] - Id of the last migration to apply, all pending migrations by default
+	 * @param {boolean} [options.dryRun=false] - Only resolve with pending migrations without applying them
+	 * @returns {Promise<Array<Object>>} Promise object that resolves with applied migrations.
+	 * @throws {Error} If files of applied migrations were modified or the migration to apply to doesn't exist
 	 */
-	async applyAll() {
+	async applyAll({ to, dryRun = false } = {}) {
 		const hasMigrations = await this.hasMigrations();
+		if (hasMigrations) {
+			await this.verifyChecksums();
+		}
 		const lastId = hasMigrations ? await this.getLastId() : 0;
-		const pendingMigrations = await this.readPending(lastId);
+		let pendingMigrations = await this.readPending(lastId);
+
+		if (to) {
+			const migrations = await this.readAll();
+			if (!migrations.some(migration => migration.id === to)) {
+				throw new Error(`Migration ${to} does not exist.`);
+			}
+			pendingMigrations = pendingMigrations.filter(
+				migration => +migration.id <= +to
+			);
+		}
+
+		if (dryRun) {
+			return pendingMigrations;
+		}
 
 		if (pendingMigrations.length > 0) {
 			// eslint-disable-next-line no-restricted-syntax
@@ -317,6 +506,81 @@ class Migration extends BaseEntity {
 				await this.begin('migrations:applyAll', execute);
 			}
 		}
+
+		await this.recordChecksums();
+
+		return pendingMigrations;
+	}
+
+	async rollbackMigration(migration, tx) {
+		await this.adapter.executeFile(migration.file, {}, {}, tx);
+		await this.adapter.executeFile(
+			this.SQLs.deleteApplied,
+			{ id: migration.id },
+			{ expectedResultCount: 0 },
+			tx
+		);
+	}
+
+	/**
+	 * Rolls back all migrations applied after the given one, latest first.
+	 * Each rollback+delete execute within their own transaction. Nothing is rolled back
+	 * if any of the migrations doesn't have a rollback file.
+	 *
+	 * @param {string} id - Id of the migration which stays applied
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dryRun=false] - Only resolve with migrations to roll back without reverting them
+	 * @returns {Promise<Array<Object>>}
+	 * Promise object that resolves with rolled back migrations `{id, name, path, file}`.
+	 * @throws {Error} If the migration is not applied, files were modified or a rollback file is missing
+	 */
+	async rollbackTo(id, { dryRun = false } = {}) {
+		const applied = (await this.hasMigrations()) ? await this.getApplied() : [];
+
+		if (!applied.some(row => row.id === id)) {
+			throw new Error(`Migration ${id} is not applied.`);
+		}
+
+		await this.verifyChecksums();
+
+		const migrations = await this.readAll();
+		const rollbacks = applied
+			.filter(row => +row.id > +id)
+			.reverse()
+			.map(row => {
+				const migration = migrations.find(
+					({ id: fileId }) => fileId === row.id
+				);
+				const rollbackPath = migration && this.getRollbackPath(migration);
+
+				if (!rollbackPath) {
+					throw new Error(
+						`Migration ${row.id}_${
+							row.name
+						} can not be rolled back, its rollback file does not exist.`
+					);
+				}
+
+				return {
+					id: row.id,
+					name: row.name,
+					path: rollbackPath,
+					file: this.adapter.loadSQLFile(rollbackPath, this.sqlDirectory),
+				};
+			});
+
+		if (dryRun) {
+			return rollbacks;
+		}
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const migration of rollbacks) {
+			const execute = tx => this.rollbackMigration(migration, tx);
+			// eslint-disable-next-line no-await-in-loop
+			await this.begin('migrations:rollbackTo', execute);
+		}
+
+		return rollbacks;
 	}
 }
 
@@ -0,0 +1,134 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const path = require('path');
+const {
+	entities: { BaseEntity },
+} = require('../../../../../components/storage');
+
+const sqlFiles = {
+	selectBlocks: 'snapshots/select_blocks.sql',
+	selectTransactions: 'snapshots/select_transactions.sql',
+	selectState: 'snapshots/select_state.sql',
+	insertRows: 'snapshots/insert_rows.sql',
+	resetSequences: 'snapshots/reset_sequences.sql',
+};
+
+// Binary columns are written as strings accepted by the bytea input of postgres
+const parseRow = row => {
+	Object.keys(row).forEach(key => {
+		if (Buffer.isBuffer(row[key])) {
+			row[key] = `\\x${row[key].toString('hex')}`;
+		}
+	});
+	return row;
+};
+
+/**
+ * Raw rows of blocks, transactions and state tables exported to and imported from snapshots.
+ * Rows are read and written as they are stored, without fields of other entities.
+ */
+class Snapshot extends BaseEntity {
+	/**
+	 * Constructor
+	 * @param {BaseAdapter} adapter - Adapter to retrieve the data from
+	 * @param {Object} defaultFilters - Not used, rows are never filtered
+	 */
+	constructor(adapter, defaultFilters = {}) {
+		super(adapter, defaultFilters);
+
+		this.sqlDirectory = path.join(path.dirname(__filename), '../sql');
+
+		this.SQLs = this.loadSQLFiles('snapshot', sqlFiles, this.sqlDirectory);
+	}
+
+	/**
+	 * Stream blocks after the genesis block, sorted by height.
+	 *
+	 * @param {Number} height - Height of the last block
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {stream.Readable} Readable stream of rows
+	 */
+	streamBlocks(height, tx) {
+		return this.adapter.stream(
+			this.SQLs.selectBlocks,
+			{ height },
+			{ parseRow },
+			tx
+		);
+	}
+
+	/**
+	 * Stream transactions of blocks after the genesis block, sorted by row id.
+	 *
+	 * @param {Number} height - Height of the last block
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {stream.Readable} Readable stream of rows
+	 */
+	streamTransactions(height, tx) {
+		return this.adapter.stream(
+			this.SQLs.selectTransactions,
+			{ height },
+			{ parseRow },
+			tx
+		);
+	}
+
+	/**
+	 * Stream all rows of a state table, e.g. `mem_accounts`, sorted by all columns.
+	 *
+	 * @param {string} table - Name of the table
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {stream.Readable} Readable stream of rows
+	 */
+	streamState(table, tx) {
+		return this.adapter.stream(
+			this.SQLs.selectState,
+			{ table },
+			{ parseRow },
+			tx
+		);
+	}
+
+	/**
+	 * Insert rows read from a snapshot.
+	 *
+	 * @param {string} table - Name of the table
+	 * @param {Array.<Object>} rows - Rows as streamed from a table with the same columns
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise.<null>}
+	 */
+	insertRows(table, rows, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.insertRows,
+			{ table, rows },
+			{ expectedResultCount: 0 },
+			tx
+		);
+	}
+
+	/**
+	 * Continue row id sequences of blocks and transactions after imported rows.
+	 *
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise}
+	 */
+	resetSequences(tx) {
+		return this.adapter.executeFile(this.SQLs.resetSequences, {}, {}, tx);
+	}
+}
+
+module.exports = Snapshot;
@@ -0,0 +1,24 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Record the checksum of an applied migration file, checksums already recorded are never changed.
+
+  PARAMETERS:
+    id - Id of the migration
+    checksum - SHA-256 hash of the migration file in hex
+*/
+
+UPDATE migrations SET "checksum" = ${checksum} WHERE "id" = ${id} AND "checksum" IS NULL
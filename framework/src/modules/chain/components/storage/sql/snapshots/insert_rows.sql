@@ -0,0 +1,24 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Insert rows of a snapshot, columns of each row are read by their names.
+
+  PARAMETERS:
+    table - Name of the table
+    rows - Array of rows
+*/
+
+INSERT INTO ${table:name} SELECT * FROM json_populate_recordset(NULL::${table:name}, ${rows:json})
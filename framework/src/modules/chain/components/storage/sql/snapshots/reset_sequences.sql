@@ -0,0 +1,23 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Continue "rowId" sequences of blocks and transactions after imported rows.
+
+  PARAMETERS: None
+*/
+
+SELECT setval(pg_get_serial_sequence('blocks', 'rowId'), COALESCE(MAX("rowId"), 1)) FROM blocks;
+SELECT setval(pg_get_serial_sequence('trs', 'rowId'), COALESCE(MAX("rowId"), 1)) FROM trs;
@@ -0,0 +1,23 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Get blocks after the genesis block up to a height, to be exported to a snapshot.
+
+  PARAMETERS:
+    height - Height of the last exported block
+*/
+
+SELECT * FROM blocks WHERE "height" > 1 AND "height" <= ${height} ORDER BY "height" ASC
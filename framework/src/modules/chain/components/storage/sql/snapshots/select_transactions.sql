@@ -0,0 +1,26 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Get transactions of blocks after the genesis block up to a height, to be exported to a snapshot.
+
+  PARAMETERS:
+    height - Height of the last exported block
+*/
+
+SELECT trs.* FROM trs
+  INNER JOIN blocks ON trs."blockId" = blocks."id"
+  WHERE blocks."height" > 1 AND blocks."height" <= ${height}
+  ORDER BY trs."rowId" ASC
@@ -80,8 +80,51 @@ const defaultConfig = {
 						},
 					},
 				},
+				signer: {
+					type: 'object',
+					properties: {
+						url: {
+							type: 'string',
+							env: 'LISK_SIGNER_URL',
+						},
+						socket: {
+							type: 'string',
+							env: 'LISK_SIGNER_SOCKET',
+						},
+						timeout: {
+							type: 'integer',
+							minimum: 1,
+						},
+					},
+				},
+				safetyFile: {
+					type: 'string',
+				},
+				standby: {
+					type: 'object',
+					properties: {
+						enabled: {
+							type: 'boolean',
+						},
+						standbyNode: {
+							type: 'string',
+						},
+						missedSlots: {
+							type: 'integer',
+							minimum: 1,
+						},
+						leaseDuration: {
+							type: 'integer',
+							minimum: 1000,
+						},
+						timeout: {
+							type: 'integer',
+							minimum: 1,
+						},
+					},
+				},
 			},
-			required: ['force', 'delegates'],
+			required: ['force', 'delegates', 'safetyFile'],
 		},
 		syncing: {
 			type: 'object',
@@ -104,6 +147,19 @@ const defaultConfig = {
 					type: 'integer',
 					arg: '-s,--snapshot',
 				},
+				snapshotFile: {
+					type: 'string',
+					arg: '-e,--export',
+				},
+				importSnapshotFile: {
+					type: 'string',
+					arg: '-i,--import',
+				},
+				trustedSnapshotDigest: {
+					type: 'string',
+					format: 'hex',
+					arg: '-g,--digest',
+				},
 			},
 			required: ['loadPerIteration'],
 		},
@@ -316,6 +372,7 @@ const defaultConfig = {
 		forging: {
 			force: false,
 			delegates: [],
+			safetyFile: 'forging_safety.json',
 		},
 		syncing: {
 			active: true,
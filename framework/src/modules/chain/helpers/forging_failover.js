@@ -0,0 +1,253 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+/**
+ * Helper module for a standby node watching the active node forging for the same delegates.
+ *
+ * Forging is fenced by a lease the standby grants to the active node. The active node renews it
+ * with `PUT /api/node/status/forging/lease` of the standby's API, and stops forging once it couldn't
+ * renew it for the lease duration. The standby takes over a delegate only once the lease expired
+ * and the active node missed as many slots of the delegate as configured, so an active node which
+ * crashed or is partitioned from the standby has stopped forging before the standby starts.
+ * The endpoint is private, so the standby has to whitelist the active node in `forging.access.whiteList`.
+ *
+ * The lease is granted from the time the standby received the request, and held by the active node
+ * from the time it sent it, so the lease of the active node lapses before the standby sees it expired.
+ *
+ * @module
+ * @see Parent: {@link helpers}
+ * @requires http
+ * @requires https
+ * @requires url
+ */
+
+const DEFAULT_MISSED_SLOTS = 2;
+const DEFAULT_LEASE_DURATION = 20000;
+const DEFAULT_TIMEOUT = 2000;
+
+const requestJSON = (url, method, timeout) =>
+	new Promise((resolve, reject) => {
+		const transport = url.protocol === 'https:' ? https : http;
+		const request = transport.request(url, { method }, response => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', chunk => {
+				body += chunk;
+			});
+			response.on('end', () => {
+				if (response.statusCode !== 200) {
+					return reject(
+						new Error(`Node responded with status ${response.statusCode}`)
+					);
+				}
+				try {
+					return resolve(JSON.parse(body));
+				} catch (error) {
+					return reject(
+						new Error(`Invalid response from node: ${error.message}`)
+					);
+				}
+			});
+			response.on('error', reject);
+		});
+
+		request.setTimeout(timeout, () => {
+			request.abort();
+			reject(new Error(`Node did not respond within ${timeout} ms`));
+		});
+		request.on('error', reject);
+		request.end();
+	});
+
+/**
+ * Forging lease granted by the standby node.
+ *
+ * @typedef {Object} ForgingLease
+ * @property {number} leaseDuration - Time in milliseconds the lease is granted for
+ * @property {Array.<Object>} forgingRecords - Public keys and forging records of the delegates
+ * on the standby node, null if the delegate did not forge on the standby
+ */
+
+/**
+ * Watches the active node forging for delegates, from a standby node.
+ *
+ * @class
+ * @param {Object} options
+ * @param {number} [options.missedSlots=2] - Number of consecutive slots of a delegate
+ * the active node has to miss before the standby takes over
+ * @param {number} [options.leaseDuration=20000] - Time in milliseconds a lease is granted for
+ */
+class ForgingFailover {
+	constructor({
+		missedSlots = DEFAULT_MISSED_SLOTS,
+		leaseDuration = DEFAULT_LEASE_DURATION,
+	}) {
+		this.missedSlots = missedSlots;
+		this.leaseDuration = leaseDuration;
+		// An active node may hold a lease granted before the standby started
+		this.leaseExpiresAt = Date.now() + leaseDuration;
+		// Slots expected to have a block, missed slots and last block, by public key of delegate
+		this.delegates = {};
+	}
+
+	_getDelegate(publicKey) {
+		if (!this.delegates[publicKey]) {
+			this.delegates[publicKey] = {
+				expectedSlots: [],
+				missed: 0,
+				lastBlock: null,
+			};
+		}
+		return this.delegates[publicKey];
+	}
+
+	/**
+	 * Registers a slot of a watched delegate, to be checked for a block once it passed.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @param {number} slot
+	 */
+	expectBlock(publicKey, slot) {
+		const delegate = this._getDelegate(publicKey);
+
+		if (!delegate.expectedSlots.includes(slot)) {
+			delegate.expectedSlots.push(slot);
+		}
+	}
+
+	/**
+	 * Observes an applied block, the active node didn't miss slots of its generator until the block.
+	 *
+	 * @param {string} publicKey - Public key of the generator in hex
+	 * @param {number} slot - Slot of the block
+	 * @param {number} height - Height of the block
+	 */
+	observeBlock(publicKey, slot, height) {
+		const delegate = this._getDelegate(publicKey);
+
+		if (!delegate.lastBlock || slot > delegate.lastBlock.slot) {
+			delegate.lastBlock = { height, slot };
+		}
+		delegate.missed = 0;
+		delegate.expectedSlots = delegate.expectedSlots.filter(
+			expectedSlot => expectedSlot > slot
+		);
+	}
+
+	/**
+	 * Counts expected slots which passed without a block. A slot is checked once the next slot passed,
+	 * so blocks received late are not counted as missed.
+	 *
+	 * @param {number} currentSlot
+	 * @returns {Array.<string>} Public keys of delegates whose slots were missed as many times as configured
+	 */
+	countMissedSlots(currentSlot) {
+		return Object.keys(this.delegates).filter(publicKey => {
+			const delegate = this.delegates[publicKey];
+			const lastSlot = delegate.lastBlock ? delegate.lastBlock.slot : -1;
+
+			delegate.expectedSlots = delegate.expectedSlots.filter(slot => {
+				if (slot + 1 >= currentSlot) {
+					return true;
+				}
+				if (slot > lastSlot) {
+					delegate.missed += 1;
+				}
+				return false;
+			});
+
+			return delegate.missed >= this.missedSlots;
+		});
+	}
+
+	/**
+	 * Gets the number of consecutive slots of a delegate missed by the active node.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @returns {number}
+	 */
+	getMissedSlots(publicKey) {
+		return this.delegates[publicKey] ? this.delegates[publicKey].missed : 0;
+	}
+
+	/**
+	 * Gets height and slot of the last block of a delegate, imported as forging record on takeover,
+	 * so the standby never forges at or below a block of the active node.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @returns {Object|null} Height and slot
+	 */
+	getLastBlock(publicKey) {
+		const delegate = this.delegates[publicKey];
+		return delegate && delegate.lastBlock ? { ...delegate.lastBlock } : null;
+	}
+
+	/**
+	 * Resets missed slots of a delegate after a handover.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 */
+	reset(publicKey) {
+		const delegate = this._getDelegate(publicKey);
+		delegate.missed = 0;
+		delegate.expectedSlots = [];
+	}
+
+	/**
+	 * Grants the lease to the active node, from the time the renewal was received.
+	 */
+	renewLease() {
+		this.leaseExpiresAt = Date.now() + this.leaseDuration;
+	}
+
+	/**
+	 * Tells whether the lease of the active node expired, i.e. the active node has stopped forging.
+	 *
+	 * @returns {boolean}
+	 */
+	isLeaseExpired() {
+		return Date.now() >= this.leaseExpiresAt;
+	}
+
+	/**
+	 * Requests the forging lease from the standby node, from the active node.
+	 *
+	 * @param {string} standbyNode - Base URL of the HTTP API of the standby node,
+	 * e.g. `http://10.0.0.2:7000`
+	 * @param {number} [timeout=2000] - Time in milliseconds to wait for the standby node
+	 * @returns {Promise.<ForgingLease>}
+	 * @throws {Error} When the standby node is not reachable or doesn't grant the lease
+	 */
+	static async requestLease(standbyNode, timeout = DEFAULT_TIMEOUT) {
+		const url = new URL('api/node/status/forging/lease', standbyNode);
+
+		const { data } = await requestJSON(url, 'PUT', timeout);
+		if (
+			!data ||
+			!Number.isInteger(data.leaseDuration) ||
+			!Array.isArray(data.forgingRecords)
+		) {
+			throw new Error('Invalid response from node: no forging lease granted');
+		}
+		return data;
+	}
+}
+
+module.exports = ForgingFailover;
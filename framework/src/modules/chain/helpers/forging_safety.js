@@ -0,0 +1,229 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Helper module keeping a persistent record of the highest height and slot
+ * forged by each delegate, to refuse forging conflicting blocks, e.g. when
+ * a delegate is configured on two nodes or a node is restored from a backup.
+ *
+ * Only slots are compared: a delegate can sign a single block per slot, while
+ * after blocks were deleted, e.g. to recover from a fork, its next honest block
+ * is at the same or a lower height than the recorded one.
+ *
+ * The record is kept in a local file, independent of the database:
+ * `{version, delegates: {[publicKey]: {height, slot}}}`.
+ *
+ * @module
+ * @see Parent: {@link helpers}
+ * @requires fs-extra
+ * @requires path
+ */
+
+const VERSION = 1;
+
+/**
+ * Highest height and slot forged by a delegate.
+ *
+ * @typedef {Object} ForgingRecord
+ * @property {number} height
+ * @property {number} slot
+ */
+
+const isValidRecord = record =>
+	!!record &&
+	Number.isInteger(record.height) &&
+	record.height > 0 &&
+	Number.isInteger(record.slot) &&
+	record.slot >= 0;
+
+/**
+ * Persistent forging records of delegates.
+ *
+ * @class
+ * @param {string} filePath - Path of the file records are kept in, relative to the working directory
+ */
+class ForgingSafety {
+	constructor(filePath) {
+		this.filePath = path.resolve(process.cwd(), filePath);
+		this.records = null;
+		this.updates = Promise.resolve();
+	}
+
+	/**
+	 * Loads records from the file, once. Fails when the file is not valid,
+	 * so forging is refused rather than records being lost.
+	 *
+	 * @returns {Promise}
+	 */
+	load() {
+		if (!this.loading) {
+			this.loading = this._read().then(
+				records => {
+					this.records = records;
+				},
+				error => {
+					this.loading = null;
+					throw error;
+				}
+			);
+		}
+
+		return this.loading;
+	}
+
+	/**
+	 * Gets the record of a delegate.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @returns {Promise.<ForgingRecord|null>}
+	 */
+	async export(publicKey) {
+		await this.load();
+
+		return this.records[publicKey] ? { ...this.records[publicKey] } : null;
+	}
+
+	/**
+	 * Merges the record of a delegate exported from another node,
+	 * keeping the highest height and slot.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @param {ForgingRecord} record
+	 * @returns {Promise.<ForgingRecord>} Merged record
+	 */
+	async import(publicKey, record) {
+		if (!isValidRecord(record)) {
+			throw new Error(
+				'Invalid forging record: height must be a positive integer and slot a non negative integer'
+			);
+		}
+
+		return this._update(() => {
+			const current = this.records[publicKey];
+			const merged = current
+				? {
+						height: Math.max(current.height, record.height),
+						slot: Math.max(current.slot, record.slot),
+					}
+				: { height: record.height, slot: record.slot };
+
+			return this._persist({ ...this.records, [publicKey]: merged }).then(
+				() => ({ ...merged })
+			);
+		});
+	}
+
+	/**
+	 * Records a block about to be forged by a delegate, before it's signed.
+	 * Fails when the delegate already forged a block in the same or a later slot.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @param {ForgingRecord} block - Height and slot of the block
+	 * @returns {Promise}
+	 */
+	async record(publicKey, { height, slot }) {
+		return this._update(() => {
+			const current = this.records[publicKey];
+			if (current && slot <= current.slot) {
+				throw new Error(
+					`Refusing to forge block in slot ${slot} for delegate ${publicKey}, it already forged in slot ${
+						current.slot
+					}`
+				);
+			}
+
+			return this._persist({
+				...this.records,
+				[publicKey]: {
+					height: Math.max(height, current ? current.height : 0),
+					slot,
+				},
+			});
+		});
+	}
+
+	// Updates run one after another, so none of them is based on records being replaced
+	_update(fn) {
+		const update = this.updates.then(() => this.load()).then(fn);
+		this.updates = update.catch(() => {});
+		return update;
+	}
+
+	async _read() {
+		let content;
+		try {
+			content = await fs.readFile(this.filePath, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return {};
+			}
+			throw error;
+		}
+
+		let data;
+		try {
+			data = JSON.parse(content);
+		} catch (error) {
+			throw new Error(
+				`Forging safety file ${this.filePath} is corrupted: ${error.message}`
+			);
+		}
+
+		if (data.version !== VERSION || !data.delegates) {
+			throw new Error(
+				`Forging safety file ${this.filePath} has unsupported version ${
+					data.version
+				}`
+			);
+		}
+
+		const invalid = Object.keys(data.delegates).find(
+			publicKey => !isValidRecord(data.delegates[publicKey])
+		);
+		if (invalid) {
+			throw new Error(
+				`Forging safety file ${
+					this.filePath
+				} has an invalid record for delegate ${invalid}`
+			);
+		}
+
+		return data.delegates;
+	}
+
+	// Records are replaced atomically and synced to disk, so they survive a crash right after forging
+	async _persist(records) {
+		const tmpPath = `${this.filePath}.tmp`;
+		const content = JSON.stringify({ version: VERSION, delegates: records });
+
+		await fs.ensureDir(path.dirname(this.filePath));
+		const fd = await fs.open(tmpPath, 'w');
+		try {
+			await fs.write(fd, content);
+			await fs.fsync(fd);
+		} finally {
+			await fs.close(fd);
+		}
+		await fs.rename(tmpPath, this.filePath);
+
+		this.records = records;
+	}
+}
+
+module.exports = ForgingSafety;
@@ -0,0 +1,249 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const _ = require('lodash');
+
+/**
+ * Helper module for signing blocks with delegate keys held by an external signer process,
+ * so forging nodes never hold private keys of delegates.
+ *
+ * Signers are reached with HTTP, over TCP or a local socket:
+ * - `GET /keys` responds with `{publicKeys}`, public keys of delegates the signer holds
+ * - `POST /sign` with `{publicKey, block}` responds with `{signature}`, where block is
+ *   the unsigned block without transactions, the signer computes the hash it signs
+ *
+ * Errors are responded with a status other than 200 and `{message}`.
+ *
+ * @module
+ * @see Parent: {@link helpers}
+ * @requires http
+ * @requires https
+ * @requires url
+ * @requires lodash
+ */
+
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * Signer of blocks for one delegate.
+ *
+ * @typedef {Object} DelegateSigner
+ * @property {Buffer} publicKey
+ * @property {function} sign - Function taking block hash and unsigned block, returning
+ * a promise resolving with the signature in hex
+ */
+
+const readBody = message =>
+	new Promise((resolve, reject) => {
+		let body = '';
+		message.setEncoding('utf8');
+		message.on('data', chunk => {
+			body += chunk;
+		});
+		message.on('end', () => resolve(body));
+		message.on('error', reject);
+	});
+
+/**
+ * Client of an external signer.
+ *
+ * @class
+ * @param {Object} options
+ * @param {string} [options.url] - Base URL of the signer, e.g. `http://127.0.0.1:7000`
+ * @param {string} [options.socket] - Path of the local socket of the signer, used instead of url
+ * @param {number} [options.timeout=2000] - Time in milliseconds to wait for the signer
+ * @param {Object} ed - Used to verify signatures returned by the signer
+ */
+class RemoteSigner {
+	constructor({ url, socket, timeout = DEFAULT_TIMEOUT }, ed) {
+		if (!url && !socket) {
+			throw new Error('Signer url or socket is required');
+		}
+
+		if (socket) {
+			this.transport = http;
+			this.requestOptions = { socketPath: socket };
+		} else {
+			const { protocol, hostname, port, pathname } = new URL(url);
+			this.transport = protocol === 'https:' ? https : http;
+			this.requestOptions = { protocol, hostname, port };
+			this.basePath = pathname.replace(/\/$/, '');
+		}
+
+		this.timeout = timeout;
+		this.ed = ed;
+	}
+
+	/**
+	 * Gets public keys of delegates held by the signer.
+	 *
+	 * @returns {Promise.<Array.<string>>} Public keys in hex
+	 */
+	async getPublicKeys() {
+		const { publicKeys } = await this._request('GET', '/keys');
+
+		if (!Array.isArray(publicKeys)) {
+			throw new Error('Invalid response from signer: publicKeys is missing');
+		}
+
+		return publicKeys;
+	}
+
+	/**
+	 * Requests the signature of a block, the signature is verified before it's returned.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @param {Buffer} hash - Hash of the unsigned block
+	 * @param {Object} block - Unsigned block
+	 * @returns {Promise.<string>} Block signature in hex
+	 */
+	async sign(publicKey, hash, block) {
+		const { signature } = await this._request('POST', '/sign', {
+			publicKey,
+			block: _.omit(block, 'transactions'),
+		});
+
+		let isValid = false;
+		try {
+			isValid = this.ed.verify(
+				hash,
+				this.ed.hexToBuffer(signature),
+				this.ed.hexToBuffer(publicKey)
+			);
+		} catch (error) {
+			isValid = false;
+		}
+
+		if (!isValid) {
+			throw new Error(`Signer returned an invalid signature for ${publicKey}`);
+		}
+
+		return signature;
+	}
+
+	/**
+	 * Creates the signer of blocks for a delegate held by the signer.
+	 *
+	 * @param {string} publicKey - Public key of the delegate in hex
+	 * @returns {DelegateSigner}
+	 */
+	getDelegateSigner(publicKey) {
+		return {
+			publicKey: Buffer.from(publicKey, 'hex'),
+			sign: (hash, block) => this.sign(publicKey, hash, block),
+		};
+	}
+
+	_request(method, path, data) {
+		const body = data ? JSON.stringify(data) : '';
+
+		return new Promise((resolve, reject) => {
+			const request = this.transport.request(
+				{
+					...this.requestOptions,
+					method,
+					path: `${this.basePath || ''}${path}`,
+					headers: {
+						'Content-Type': 'application/json',
+						'Content-Length': Buffer.byteLength(body),
+					},
+				},
+				response => {
+					readBody(response)
+						.then(responseBody => {
+							let result;
+							try {
+								result = JSON.parse(responseBody);
+							} catch (error) {
+								throw new Error(
+									`Invalid response from signer: ${error.message}`
+								);
+							}
+
+							if (response.statusCode !== 200) {
+								throw new Error(
+									`Signer responded with status ${response.statusCode}: ${
+										result.message
+									}`
+								);
+							}
+
+							return resolve(result);
+						})
+						.catch(reject);
+				}
+			);
+
+			request.setTimeout(this.timeout, () => {
+				request.abort();
+				reject(new Error(`Signer did not respond within ${this.timeout} ms`));
+			});
+			request.on('error', reject);
+			request.end(body);
+		});
+	}
+}
+
+/**
+ * Creates a signer server holding key pairs, e.g. a stand-in for an external signer.
+ * Server is not listening, call `listen` with a port or a socket path.
+ *
+ * @param {Object} keypairs - Key pairs by public key in hex
+ * @param {Object} options
+ * @param {Object} options.ed
+ * @param {function} options.getHash - Function computing the hash of an unsigned block
+ * @returns {http.Server}
+ */
+const createSignerServer = (keypairs, { ed, getHash }) => {
+	const respond = (response, statusCode, result) => {
+		response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+		response.end(JSON.stringify(result));
+	};
+
+	const sign = async request => {
+		const { publicKey, block } = JSON.parse(await readBody(request));
+		const keypair = keypairs[publicKey];
+
+		if (!keypair) {
+			return [404, { message: `Key ${publicKey} not found` }];
+		}
+
+		const signature = ed.sign(getHash(block), keypair.privateKey);
+		return [200, { signature: signature.toString('hex') }];
+	};
+
+	return http.createServer((request, response) => {
+		if (request.method === 'GET' && request.url === '/keys') {
+			return respond(response, 200, { publicKeys: Object.keys(keypairs) });
+		}
+
+		if (request.method === 'POST' && request.url === '/sign') {
+			return sign(request)
+				.then(([statusCode, result]) => respond(response, statusCode, result))
+				.catch(error => respond(response, 400, { message: error.message }));
+		}
+
+		return respond(response, 404, { message: 'Not found' });
+	});
+};
+
+module.exports = {
+	RemoteSigner,
+	createSignerServer,
+};
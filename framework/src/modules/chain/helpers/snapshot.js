@@ -0,0 +1,478 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Helper module for exporting and importing snapshots of the blockchain.
+ *
+ * A snapshot file contains one JSON object per line:
+ * - a header `{format, version, nethash, height, round, lastBlockId, migration, createdAt}`
+ * - rows `{table, row}` of blocks and transactions after the genesis block, then of state tables
+ * - a footer `{stateDigest, checksum}`
+ *
+ * The checksum is the SHA-256 hash of all lines before the footer. The state digest is the
+ * SHA-256 hash of the last block id followed by the lines of all tables. It covers blocks and
+ * transactions too, as they are not verified when the state is imported without replaying them,
+ * so a digest published for a snapshot can be trusted to import blocks and state as they are.
+ *
+ * @module
+ * @see Parent: {@link helpers}
+ * @requires crypto
+ * @requires fs
+ */
+
+const FORMAT = 'lisk-snapshot';
+const VERSION = 1;
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Tables in the order they are written to snapshots
+const TABLES = [
+	{ name: 'blocks', state: false },
+	{ name: 'trs', state: false },
+	{ name: 'mem_accounts', state: true },
+	{ name: 'mem_round', state: true },
+	{ name: 'mem_accounts2delegates', state: true },
+	{ name: 'mem_accounts2u_delegates', state: true },
+	{ name: 'mem_accounts2multisignatures', state: true },
+	{ name: 'mem_accounts2u_multisignatures', state: true },
+	{ name: 'rounds_rewards', state: true },
+];
+
+const tablesByName = new Map(TABLES.map(table => [table.name, table]));
+
+const createStateDigest = lastBlockId =>
+	crypto.createHash('sha256').update(`${lastBlockId}\n`);
+
+const waitForEvent = (emitter, event) =>
+	new Promise((resolve, reject) => {
+		const onEvent = () => {
+			emitter.removeListener('error', onError);
+			resolve();
+		};
+		const onError = error => {
+			emitter.removeListener(event, onEvent);
+			reject(error);
+		};
+		emitter.once(event, onEvent);
+		emitter.once('error', onError);
+	});
+
+/**
+ * Call a function for each chunk of a readable stream, next chunk is read
+ * when the promise returned for the previous one resolves.
+ *
+ * @param {stream.Readable} readable
+ * @param {function} onData - Function returning a promise
+ * @returns {Promise} Promise resolving when all chunks are processed
+ * @private
+ */
+const consumeStream = (readable, onData) =>
+	new Promise((resolve, reject) => {
+		let processing = Promise.resolve();
+		readable.on('data', data => {
+			readable.pause();
+			processing = processing
+				.then(() => onData(data))
+				.then(() => readable.resume())
+				.catch(error => {
+					readable.destroy();
+					reject(error);
+				});
+		});
+		readable.on('end', () => processing.then(resolve));
+		readable.on('error', reject);
+	});
+
+const forEachLine = (filePath, onLine) => {
+	let rest = '';
+	const processLines = lines =>
+		lines.reduce(
+			(processing, line) => processing.then(() => onLine(line)),
+			Promise.resolve()
+		);
+
+	return consumeStream(
+		fs.createReadStream(filePath, { encoding: 'utf8' }),
+		chunk => {
+			const lines = `${rest}${chunk}`.split('\n');
+			rest = lines.pop();
+			return processLines(lines);
+		}
+	).then(() => (rest ? onLine(rest) : undefined));
+};
+
+/**
+ * Read a snapshot file, validating its header, blocks order and checksums.
+ *
+ * @param {string} filePath
+ * @param {Object} expected - Values the header must match, ignored if not given
+ * @param {function} [onRow] - Function called with table name and row, returning a promise
+ * @returns {Promise.<Object>} Promise resolving with `{header, checksum, stateDigest, rows}`
+ * @private
+ */
+const readSnapshot = async (filePath, expected, onRow = () => undefined) => {
+	const checksum = crypto.createHash('sha256');
+	const rows = {};
+	let stateDigest = null;
+	let header = null;
+	let footer = null;
+	let lastBlock = null;
+	let lineNumber = 0;
+
+	const parseLine = line => {
+		try {
+			return JSON.parse(line);
+		} catch (error) {
+			throw new Error(`Snapshot line ${lineNumber} is not valid JSON.`);
+		}
+	};
+
+	const checkHeader = () => {
+		if (header.format !== FORMAT) {
+			throw new Error('File is not a snapshot.');
+		}
+		if (header.version !== VERSION) {
+			throw new Error(`Snapshot version ${header.version} is not supported.`);
+		}
+		['nethash', 'migration'].forEach(key => {
+			if (expected[key] !== undefined && header[key] !== expected[key]) {
+				throw new Error(
+					`Snapshot ${key} ${header[key]} does not match ${expected[key]}.`
+				);
+			}
+		});
+		stateDigest = createStateDigest(header.lastBlockId);
+	};
+
+	const checkBlock = block => {
+		const previousId = lastBlock ? lastBlock.id : expected.genesisBlockId;
+		const previousHeight = lastBlock ? lastBlock.height : 1;
+		if (
+			(previousId !== undefined && block.previousBlock !== previousId) ||
+			block.height !== previousHeight + 1
+		) {
+			const message = `does not follow block at height ${previousHeight}`;
+			throw new Error(`Snapshot block ${block.id} ${message}.`);
+		}
+		lastBlock = block;
+	};
+
+	await forEachLine(filePath, line => {
+		lineNumber += 1;
+		if (footer) {
+			throw new Error('Snapshot has data after its footer.');
+		}
+
+		const entry = parseLine(line);
+		if (!header) {
+			header = entry;
+			checkHeader();
+			checksum.update(`${line}\n`);
+			return undefined;
+		}
+
+		if (entry.checksum) {
+			footer = entry;
+			return undefined;
+		}
+
+		const table = tablesByName.get(entry.table);
+		if (!table) {
+			throw new Error(`Snapshot contains unknown table ${entry.table}.`);
+		}
+		checksum.update(`${line}\n`);
+		stateDigest.update(`${line}\n`);
+		if (table.name === 'blocks') {
+			checkBlock(entry.row);
+		}
+		rows[table.name] = (rows[table.name] || 0) + 1;
+
+		return onRow(table.name, entry.row);
+	});
+
+	if (!footer) {
+		throw new Error('Snapshot is incomplete.');
+	}
+
+	const result = {
+		header,
+		checksum: checksum.digest('hex'),
+		stateDigest: stateDigest.digest('hex'),
+		rows,
+	};
+
+	if (result.checksum !== footer.checksum) {
+		throw new Error('Snapshot checksum does not match its content.');
+	}
+	if (result.stateDigest !== footer.stateDigest) {
+		throw new Error('Snapshot state digest does not match its content.');
+	}
+	const lastBlockId = lastBlock ? lastBlock.id : expected.genesisBlockId;
+	const lastHeight = lastBlock ? lastBlock.height : 1;
+	if (
+		(lastBlockId !== undefined && lastBlockId !== header.lastBlockId) ||
+		lastHeight !== header.height
+	) {
+		throw new Error('Snapshot blocks do not end at its last block.');
+	}
+
+	return result;
+};
+
+/**
+ * Read the header of a snapshot file, without validating the rest of the file.
+ *
+ * @param {string} filePath
+ * @returns {Promise.<Object>} Promise resolving with the header
+ */
+const readSnapshotHeader = filePath =>
+	new Promise((resolve, reject) => {
+		const readable = fs.createReadStream(filePath, { encoding: 'utf8' });
+		let line = '';
+
+		const parseHeader = () => {
+			let header;
+			try {
+				header = JSON.parse(line);
+			} catch (error) {
+				header = null;
+			}
+			if (!header || header.format !== FORMAT) {
+				return reject(new Error('File is not a snapshot.'));
+			}
+			return resolve(header);
+		};
+
+		readable.on('data', chunk => {
+			const end = chunk.indexOf('\n');
+			if (end === -1) {
+				line += chunk;
+				return;
+			}
+			line += chunk.slice(0, end);
+			readable.removeAllListeners('end');
+			readable.destroy();
+			parseHeader();
+		});
+		readable.on('end', parseHeader);
+		readable.on('error', reject);
+	});
+
+/**
+ * Write blocks up to a height and the current state to a snapshot file.
+ * State tables must contain the state at the given height.
+ *
+ * @param {Object} storage - Storage component with the Snapshot entity
+ * @param {string} filePath
+ * @param {Object} header
+ * @param {string} header.nethash
+ * @param {number} header.height - Height of the last block
+ * @param {number} header.round - Round of the last block
+ * @param {string} header.lastBlockId
+ * @param {number} header.migration - Id of the last applied migration
+ * @returns {Promise.<Object>} Promise resolving with `{header, checksum, stateDigest, rows}`
+ */
+const exportSnapshot = async (
+	storage,
+	filePath,
+	{ nethash, height, round, lastBlockId, migration }
+) => {
+	const { Snapshot } = storage.entities;
+	const header = {
+		format: FORMAT,
+		version: VERSION,
+		nethash,
+		height,
+		round,
+		lastBlockId,
+		migration,
+		createdAt: new Date().toISOString(),
+	};
+	const checksum = crypto.createHash('sha256');
+	const stateDigest = createStateDigest(lastBlockId);
+	const rows = {};
+	const file = fs.createWriteStream(filePath);
+	let writeError = null;
+	file.on('error', error => {
+		writeError = error;
+	});
+
+	const writeLine = line => {
+		if (writeError) {
+			throw writeError;
+		}
+		// Wait when the buffer is full, so a slow disk doesn't fill memory
+		return file.write(`${line}\n`) ? undefined : waitForEvent(file, 'drain');
+	};
+
+	const writeTable = (table, readable) =>
+		consumeStream(readable, row => {
+			const line = JSON.stringify({ table: table.name, row });
+			checksum.update(`${line}\n`);
+			stateDigest.update(`${line}\n`);
+			rows[table.name] = (rows[table.name] || 0) + 1;
+			return writeLine(line);
+		});
+
+	const streamTable = (table, tx) => {
+		if (table.name === 'blocks') {
+			return Snapshot.streamBlocks(height, tx);
+		}
+		if (table.name === 'trs') {
+			return Snapshot.streamTransactions(height, tx);
+		}
+		return Snapshot.streamState(table.name, tx);
+	};
+
+	try {
+		const headerLine = JSON.stringify(header);
+		checksum.update(`${headerLine}\n`);
+		await writeLine(headerLine);
+
+		await Snapshot.begin('snapshot:export', async tx => {
+			// eslint-disable-next-line no-restricted-syntax
+			for (const table of TABLES) {
+				// eslint-disable-next-line no-await-in-loop
+				await writeTable(table, streamTable(table, tx));
+			}
+		});
+
+		const result = {
+			header,
+			checksum: checksum.digest('hex'),
+			stateDigest: stateDigest.digest('hex'),
+			rows,
+		};
+		await writeLine(
+			JSON.stringify({
+				stateDigest: result.stateDigest,
+				checksum: result.checksum,
+			})
+		);
+		file.end();
+		await waitForEvent(file, 'finish');
+
+		return result;
+	} catch (error) {
+		// Partial snapshots are never left behind
+		file.destroy();
+		fs.unlink(filePath, () => {});
+		throw error;
+	}
+};
+
+/**
+ * Verify a snapshot file without importing it.
+ *
+ * @param {string} filePath
+ * @param {Object} [expected] - Values the snapshot must match
+ * @param {string} [expected.nethash]
+ * @param {number} [expected.migration] - Id of the last applied migration
+ * @param {string} [expected.genesisBlockId] - Id of the block the first block must follow
+ * @returns {Promise.<Object>} Promise resolving with `{header, checksum, stateDigest, rows}`
+ * @throws {Error} If the snapshot is invalid or doesn't match expected values
+ */
+const verifySnapshot = (filePath, expected = {}) =>
+	readSnapshot(filePath, expected);
+
+/**
+ * Import a snapshot to a database containing only the genesis block.
+ * State is imported only when the state digest of the snapshot matches the trusted one,
+ * otherwise only blocks and transactions are imported and state has to be rebuilt.
+ *
+ * @param {Object} storage - Storage component with the Snapshot and Account entities
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.nethash]
+ * @param {number} [options.migration] - Id of the last applied migration
+ * @param {string} [options.genesisBlockId] - Id of the block the first block must follow
+ * @param {string} [options.trustedDigest] - Trusted state digest of the snapshot
+ * @param {number} [options.batchSize=1000] - Number of rows inserted at once
+ * @returns {Promise.<Object>} Promise resolving with `{header, checksum, stateDigest, rows, stateImported}`
+ * @throws {Error} If the snapshot is invalid, nothing is imported then
+ */
+const importSnapshot = async (
+	storage,
+	filePath,
+	{
+		nethash,
+		migration,
+		genesisBlockId,
+		trustedDigest,
+		batchSize = DEFAULT_BATCH_SIZE,
+	} = {}
+) => {
+	const { Account, Snapshot } = storage.entities;
+	const expected = { nethash, migration, genesisBlockId };
+	const verified = await verifySnapshot(filePath, expected);
+	const stateImported =
+		!!trustedDigest && trustedDigest === verified.stateDigest;
+
+	await Snapshot.begin('snapshot:import', async tx => {
+		let batch = [];
+		let batchTable = null;
+		const insertBatch = async () => {
+			if (batch.length) {
+				const batchRows = batch;
+				batch = [];
+				await Snapshot.insertRows(batchTable, batchRows, tx);
+			}
+		};
+
+		if (stateImported) {
+			await Account.resetMemTables(tx);
+		}
+
+		const imported = await readSnapshot(
+			filePath,
+			expected,
+			async (table, row) => {
+				if (tablesByName.get(table).state && !stateImported) {
+					return;
+				}
+				if (table !== batchTable) {
+					await insertBatch();
+					batchTable = table;
+				}
+				batch.push(row);
+				if (batch.length >= batchSize) {
+					await insertBatch();
+				}
+			}
+		);
+		await insertBatch();
+
+		if (imported.checksum !== verified.checksum) {
+			throw new Error('Snapshot changed while it was imported.');
+		}
+
+		await Snapshot.resetSequences(tx);
+	});
+
+	return { ...verified, stateImported };
+};
+
+module.exports = {
+	FORMAT,
+	VERSION,
+	TABLES,
+	readSnapshotHeader,
+	exportSnapshot,
+	verifySnapshot,
+	importSnapshot,
+};
@@ -42,8 +42,11 @@ module.exports = class ChainModule extends BaseModule {
 			'multisignatures:signature:change',
 			'multisignatures:change',
 			'delegates:fork',
+			'delegates:failover',
 			'loader:sync',
 			'dapps:change',
+			'cache:invalidated',
+			'cache:health',
 		];
 	}
 
@@ -57,6 +60,7 @@ module.exports = class ChainModule extends BaseModule {
 				this.chain.actions.generateDelegateList(action),
 			updateForgingStatus: async action =>
 				this.chain.actions.updateForgingStatus(action),
+			renewForgingLease: async () => this.chain.actions.renewForgingLease(),
 			getPeers: async action => this.chain.actions.getPeers(action),
 			getPeersCountByFilter: async action =>
 				this.chain.actions.getPeersCountByFilter(action),
@@ -80,6 +84,7 @@ module.exports = class ChainModule extends BaseModule {
 			getSlotNumber: async action => this.chain.actions.getSlotNumber(action),
 			calcSlotRound: async action => this.chain.actions.calcSlotRound(action),
 			getNodeStatus: async () => this.chain.actions.getNodeStatus(),
+			getStorageStats: async () => this.chain.actions.getStorageStats(),
 		};
 	}
 
@@ -20,6 +20,7 @@ const {
 	Migration,
 	Peer,
 	Round,
+	Snapshot,
 	Transaction,
 } = require('../components/storage/entities');
 
@@ -34,6 +35,7 @@ module.exports = async ({ components: { storage, logger } }, accountLimit) => {
 		storage.registerEntity('Migration', Migration);
 		storage.registerEntity('Peer', Peer);
 		storage.registerEntity('Round', Round);
+		storage.registerEntity('Snapshot', Snapshot);
 		storage.registerEntity('Transaction', Transaction, {
 			replaceExisting: true,
 		});
@@ -38,7 +38,17 @@ module.exports = async scope => {
 					scope.components.logger.debug('Loading module', moduleName);
 					// eslint-disable-next-line import/no-dynamic-require
 					const DynamicModule = require(modulesList[moduleName]);
-					return new DynamicModule(moduleCb, scope);
+					// Log levels can be changed per submodule, e.g. for "chain.loader"
+					const moduleScope = {
+						...scope,
+						components: {
+							...scope.components,
+							logger: scope.components.logger.child({
+								module: `${scope.channel.moduleAlias}.${moduleName}`,
+							}),
+						},
+					};
+					return new DynamicModule(moduleCb, moduleScope);
 				});
 			})
 	);
@@ -63,6 +63,28 @@ class Block {
 	 * @todo Add description for the params
 	 */
 	create(data) {
+		const block = this.createUnsigned({
+			...data,
+			generatorPublicKey: data.keypair.publicKey.toString('hex'),
+		});
+
+		block.blockSignature = this.sign(block, data.keypair);
+
+		return this.objectNormalize(block);
+	}
+
+	/**
+	 * Generates new block like create, without signing and normalizing it,
+	 * e.g. to be signed by a signer holding the key of the generator.
+	 *
+	 * @param {Object} data
+	 * @param {string} data.generatorPublicKey - Public key of the generator in hex
+	 * @param {number} data.timestamp
+	 * @param {block} data.previousBlock
+	 * @param {Array} data.transactions
+	 * @returns {block} Block without blockSignature
+	 */
+	createUnsigned(data) {
 		const transactions = data.transactions.sort((a, b) => {
 			// Place MULTI transaction after all other transaction types
 			if (
@@ -122,7 +144,7 @@ class Block {
 			payloadHash.update(bytes);
 		}
 
-		let block = {
+		return {
 			version: blockVersion.currentBlockVersion,
 			totalAmount,
 			totalFee,
@@ -132,19 +154,9 @@ class Block {
 			numberOfTransactions: blockTransactions.length,
 			payloadLength: size,
 			previousBlock: data.previousBlock.id,
-			generatorPublicKey: data.keypair.publicKey.toString('hex'),
+			generatorPublicKey: data.generatorPublicKey,
 			transactions: blockTransactions,
 		};
-
-		try {
-			block.blockSignature = this.sign(block, data.keypair);
-
-			block = this.objectNormalize(block);
-		} catch (e) {
-			throw e;
-		}
-
-		return block;
 	}
 
 	/**
@@ -0,0 +1,154 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ *
+ * Usage Example:
+ * 		node src/modules/chain/scripts/migrate.js list -c ../lisk/config/testnet/config.json
+ * 		node src/modules/chain/scripts/migrate.js apply 20190321120000 --dry-run
+ * 		node src/modules/chain/scripts/migrate.js rollback 20190313102300
+ * 		node src/modules/chain/scripts/migrate.js list -d lisk_test
+ *
+ * 	Database connection is configured like storage component of the application,
+ * 	with `components.storage` of the config file and LISK_DB_* environment variables.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const program = require('commander');
+const { createLoggerComponent } = require('../../../components/logger');
+const { createStorageComponent } = require('../../../components/storage');
+const { Migration } = require('../components/storage/entities');
+
+const loadStorageConfig = (configFilePath, database) => {
+	let storageConfig = {};
+
+	if (configFilePath) {
+		const config = JSON.parse(
+			fs.readFileSync(path.resolve(configFilePath), 'utf8')
+		);
+		storageConfig = (config.components && config.components.storage) || {};
+	}
+
+	// Database given on the command line takes precedence over the config file
+	return database ? { ...storageConfig, database } : storageConfig;
+};
+
+const formatMigration = ({ id, name }) => `${id}_${name}`;
+
+const run = command => async (...args) => {
+	const logger = createLoggerComponent({
+		fileLogLevel: 'none',
+		consoleLogLevel: 'warn',
+	});
+	let exitCode = 0;
+
+	try {
+		const storage = createStorageComponent(
+			loadStorageConfig(program.config, program.database),
+			logger
+		);
+		storage.registerEntity('Migration', Migration);
+		await storage.bootstrap();
+		await command(storage.entities.Migration, ...args);
+		storage.cleanup();
+	} catch (error) {
+		console.error(`error: ${error.message}`);
+		exitCode = 1;
+	}
+
+	// Connection pool of the database would keep the process running
+	process.exit(exitCode);
+};
+
+const list = async migrationEntity => {
+	const migrations = await migrationEntity.getStatus();
+
+	migrations.forEach(migration =>
+		console.info(
+			`${formatMigration(migration).padEnd(80)} ${migration.status.padEnd(8)} ${
+				migration.reversible ? 'reversible' : 'irreversible'
+			}`
+		)
+	);
+};
+
+const apply = async (migrationEntity, id) => {
+	const migrations = await migrationEntity.applyAll({
+		to: typeof id === 'string' ? id : undefined,
+		dryRun: !!program.dryRun,
+	});
+
+	if (!migrations.length) {
+		console.info('No pending migrations.');
+		return;
+	}
+
+	console.info(program.dryRun ? 'Pending migrations:' : 'Applied migrations:');
+	migrations.forEach(migration => console.info(formatMigration(migration)));
+};
+
+const rollback = async (migrationEntity, id) => {
+	const migrations = await migrationEntity.rollbackTo(id, {
+		dryRun: !!program.dryRun,
+	});
+
+	if (!migrations.length) {
+		console.info(`No migrations applied after ${id}.`);
+		return;
+	}
+
+	console.info(
+		program.dryRun ? 'Migrations to roll back:' : 'Rolled back migrations:'
+	);
+	migrations.forEach(migration => console.info(formatMigration(migration)));
+};
+
+program
+	.option(
+		'-c, --config <path>',
+		'Config file of the application, its components.storage is used'
+	)
+	.option(
+		'-d, --database <name>',
+		'Database name, instead of the one in the config file'
+	)
+	.option('--dry-run', 'Print migrations without applying or rolling back');
+
+program
+	.command('list')
+	.description('List applied and pending migrations')
+	.action(run(list));
+
+program
+	.command('apply [id]')
+	.description('Apply pending migrations, up to the given migration id')
+	.action(run(apply));
+
+program
+	.command('rollback <id>')
+	.description(
+		'Roll back migrations applied after the given migration id, latest first'
+	)
+	.action(run(rollback));
+
+program.on('command:*', ([command]) => {
+	console.error(`error: unknown command ${command}`);
+	process.exit(1);
+});
+
+program.parse(process.argv);
+
+if (!program.args.length) {
+	program.help();
+}
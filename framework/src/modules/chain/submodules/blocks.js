@@ -15,11 +15,13 @@
 'use strict';
 
 const crypto = require('crypto');
+const { getAddressFromPublicKey } = require('@liskhq/lisk-cryptography');
 
 const { BLOCK_RECEIPT_TIMEOUT, EPOCH_TIME } = global.constants;
 const {
 	CACHE_KEYS_BLOCKS,
 	CACHE_KEYS_TRANSACTIONS,
+	CACHE_TAG_ADDRESS,
 } = require('../../../components/cache');
 // Submodules
 const BlocksVerify = require('./blocks/verify');
@@ -241,7 +243,33 @@ Blocks.prototype.onBind = function(scope) {
 };
 
 /**
- * Clear blocks and transactions API cache and emit socket notification `blocks/change`.
+ * Get cache tags of the accounts a block changes, i.e. of its generator, senders and recipients.
+ *
+ * @private
+ * @param {Block} block
+ * @returns {Array.<string>}
+ */
+__private.getAddressTags = function(block) {
+	const addresses = new Set();
+
+	if (block.generatorPublicKey) {
+		addresses.add(getAddressFromPublicKey(block.generatorPublicKey));
+	}
+	(block.transactions || []).forEach(transaction => {
+		if (transaction.senderId) {
+			addresses.add(transaction.senderId);
+		}
+		if (transaction.recipientId) {
+			addresses.add(transaction.recipientId);
+		}
+	});
+
+	return [...addresses].map(address => `${CACHE_TAG_ADDRESS}${address}`);
+};
+
+/**
+ * Clear blocks and transactions API cache, and API cache tagged with accounts changed by the block,
+ * and emit socket notification `blocks/change`.
  *
  * @param {Block} block
  * @todo Add description for the params
@@ -253,13 +281,19 @@ Blocks.prototype.onNewBlock = async function(block) {
 			['Cache - onNewBlock', '| Status:', components.cache.isReady()].join(' ')
 		);
 		const keys = [CACHE_KEYS_BLOCKS, CACHE_KEYS_TRANSACTIONS];
+		const tags = __private.getAddressTags(block);
 		const tasks = keys.map(key => components.cache.removeByPattern(key));
+		if (tags.length > 0) {
+			tasks.push(components.cache.removeByTags(tags));
+		}
 		try {
 			await Promise.all(tasks);
 			library.logger.debug(
 				[
 					'Cache - Keys with patterns:',
 					keys,
+					'and tags:',
+					tags,
 					'cleared from cache on new Block',
 				].join(' ')
 			);
@@ -528,10 +528,62 @@ Process.prototype.loadBlocksFromPeer = function(peer, cb) {
 	});
 };
 
+/**
+ * Create a block signed with a key pair held by the node, or by a signer
+ * holding the key of the generator, see: helpers.signer.
+ *
+ * @private
+ * @param {Object} signer - Key pair or signer of the generator
+ * @param {Object} data - Data of the block, see: logic.block.create
+ * @param {function} cb - Callback function
+ * @returns {function} cb - Callback function from params (through setImmediate)
+ * @returns {Object} cb.err - Error if occurred
+ * @returns {Object} cb.block - Signed and normalized block
+ */
+__private.createBlock = function(signer, data, cb) {
+	let block;
+
+	if (signer.privateKey) {
+		try {
+			block = library.logic.block.create({ keypair: signer, ...data });
+		} catch (e) {
+			return setImmediate(cb, e);
+		}
+		return setImmediate(cb, null, block);
+	}
+
+	let hash;
+	try {
+		block = library.logic.block.createUnsigned({
+			generatorPublicKey: signer.publicKey.toString('hex'),
+			...data,
+		});
+		hash = library.logic.block.getHash(block);
+	} catch (e) {
+		return setImmediate(cb, e);
+	}
+
+	return signer.sign(hash, block).then(
+		blockSignature => {
+			try {
+				block = library.logic.block.objectNormalize({
+					...block,
+					blockSignature,
+				});
+			} catch (e) {
+				return setImmediate(cb, e);
+			}
+			return setImmediate(cb, null, block);
+		},
+		signError => setImmediate(cb, signError)
+	);
+};
+
 /**
  * Generate new block, see: loader.loadBlockChain (private).
  *
- * @param {Object} keypair - Pair of private and public keys, see: helpers.ed.makeKeypair
+ * @param {Object} keypair - Pair of private and public keys, see: helpers.ed.makeKeypair,
+ * or signer of blocks of the generator, see: helpers.signer
  * @param {number} timestamp - Slot time, see: helpers.slots.getSlotTime
  * @param {function} cb - Callback function
  * @returns {function} cb - Callback function from params (through setImmediate)
@@ -580,23 +632,25 @@ Process.prototype.generateBlock = function(keypair, timestamp, cb) {
 			if (err) {
 				return setImmediate(cb, err);
 			}
-			let block;
 
-			try {
-				// Create a block
-				block = library.logic.block.create({
-					keypair,
+			// Create a block
+			return __private.createBlock(
+				keypair,
+				{
 					timestamp,
 					previousBlock: modules.blocks.lastBlock.get(),
 					transactions: ready,
-				});
-			} catch (e) {
-				library.logger.error(e.stack);
-				return setImmediate(cb, e);
-			}
+				},
+				(createBlockErr, block) => {
+					if (createBlockErr) {
+						library.logger.error(createBlockErr.stack || createBlockErr);
+						return setImmediate(cb, createBlockErr);
+					}
 
-			// Start block processing - broadcast: true, saveBlock: true
-			return modules.blocks.verify.processBlock(block, true, true, cb);
+					// Start block processing - broadcast: true, saveBlock: true
+					return modules.blocks.verify.processBlock(block, true, true, cb);
+				}
+			);
 		}
 	);
 };
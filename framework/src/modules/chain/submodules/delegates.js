@@ -26,6 +26,9 @@ const BlockReward = require('../logic/block_reward');
 const jobsQueue = require('../helpers/jobs_queue');
 const Delegate = require('../logic/delegate');
 const slots = require('../helpers/slots');
+const { RemoteSigner } = require('../helpers/signer');
+const ForgingSafety = require('../helpers/forging_safety');
+const ForgingFailover = require('../helpers/forging_failover');
 
 // Private fields
 let modules;
@@ -38,8 +41,16 @@ const __private = {};
 
 __private.assetTypes = {};
 __private.loaded = false;
+// Key pairs of delegates enabled for forging, or their signers when keys are held by a remote signer
 __private.keypairs = {};
 __private.tmpKeypairs = {};
+__private.signer = null;
+__private.signerPublicKeys = [];
+__private.forgingSafety = null;
+// Watches the active node when the node is a standby, see: helpers.forging_failover
+__private.failover = null;
+// Forging lease held by the active node from its standby node, expiry and next renewal in milliseconds
+__private.lease = { expiresAt: 0, renewAt: 0 };
 __private.forgeInterval = 1000;
 __private.delegatesListCache = {};
 
@@ -54,6 +65,9 @@ __private.delegatesListCache = {};
  * @requires crypto
  * @requires lodash
  * @requires helpers/jobs_queue
+ * @requires helpers/forging_failover
+ * @requires helpers/forging_safety
+ * @requires helpers/signer
  * @requires helpers/slots
  * @requires logic/block_reward
  * @requires logic/delegate
@@ -80,11 +94,31 @@ class Delegates {
 					delegates: scope.config.forging.delegates,
 					force: scope.config.forging.force,
 					defaultPassword: scope.config.forging.defaultPassword,
+					signer: scope.config.forging.signer,
+					safetyFile: scope.config.forging.safetyFile,
+					standby: scope.config.forging.standby,
 				},
 			},
 		};
 		self = this;
 		__private.blockReward = new BlockReward();
+		__private.forgingSafety = new ForgingSafety(
+			library.config.forging.safetyFile
+		);
+		const { signer } = library.config.forging;
+		if (signer && (signer.url || signer.socket)) {
+			__private.signer = new RemoteSigner(signer, library.ed);
+		}
+		const { standby } = library.config.forging;
+		if (standby && standby.enabled) {
+			// Delegates are enabled with the default password on takeover, as when loaded from config
+			if (!__private.signer && !library.config.forging.defaultPassword) {
+				throw new Error(
+					'Standby forging requires forging.defaultPassword to enable delegates on takeover'
+				);
+			}
+			__private.failover = new ForgingFailover(standby);
+		}
 		__private.assetTypes[
 			TRANSACTION_TYPES.DELEGATE
 		] = library.logic.transaction.attachAssetType(
@@ -210,7 +244,8 @@ __private.validateBlockSlot = function(block, source, cb) {
 };
 
 /**
- * Gets the assigned delegate to current slot and returns its keypair if present.
+ * Gets the assigned delegate to current slot and returns its keypair,
+ * or its signer, if present.
  *
  * @private
  * @param {number} slot
@@ -310,39 +345,283 @@ __private.forge = function(cb) {
 				`Broadhash consensus before forging a block: ${modules.peers.getLastConsensus()} %`
 			);
 
-			return modules.blocks.process.generateBlock(
-				delegateKeypair,
-				slots.getSlotTime(currentSlot),
-				blockGenerationErr => {
-					if (blockGenerationErr) {
+			return async.series(
+				[
+					seriesCb => __private.checkForgingLease(seriesCb),
+					seriesCb =>
+						__private.recordForging(
+							delegateKeypair,
+							lastBlock.height + 1,
+							currentSlot,
+							seriesCb
+						),
+				],
+				forgingSafetyErr => {
+					if (forgingSafetyErr) {
 						library.logger.error(
 							'Failed to generate block within delegate slot',
-							blockGenerationErr
+							forgingSafetyErr.message
 						);
-
 						return setImmediate(cb);
 					}
 
-					const forgedBlock = modules.blocks.lastBlock.get();
-					modules.blocks.lastReceipt.update();
-
-					library.logger.info(
-						`Forged new block id: ${forgedBlock.id} height: ${
-							forgedBlock.height
-						} round: ${slots.calcRound(
-							forgedBlock.height
-						)} slot: ${slots.getSlotNumber(forgedBlock.timestamp)} reward: ${
-							forgedBlock.reward
-						}`
-					);
+					return modules.blocks.process.generateBlock(
+						delegateKeypair,
+						slots.getSlotTime(currentSlot),
+						blockGenerationErr => {
+							if (blockGenerationErr) {
+								library.logger.error(
+									'Failed to generate block within delegate slot',
+									blockGenerationErr
+								);
+
+								return setImmediate(cb);
+							}
+
+							const forgedBlock = modules.blocks.lastBlock.get();
+							modules.blocks.lastReceipt.update();
+
+							library.logger.info(
+								`Forged new block id: ${forgedBlock.id} height: ${
+									forgedBlock.height
+								} round: ${slots.calcRound(
+									forgedBlock.height
+								)} slot: ${slots.getSlotNumber(
+									forgedBlock.timestamp
+								)} reward: ${forgedBlock.reward}`
+							);
 
-					return setImmediate(cb);
+							return setImmediate(cb);
+						}
+					);
 				}
 			);
 		}
 	);
 };
 
+/**
+ * Records the block about to be forged by the delegate in the forging safety file,
+ * fails if it conflicts with a block the delegate forged before.
+ *
+ * @private
+ * @param {Object} delegateKeypair - Key pair or signer of the delegate
+ * @param {number} height - Height of the block
+ * @param {number} slot - Slot of the block
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb, err
+ */
+__private.recordForging = function(delegateKeypair, height, slot, cb) {
+	return __private.forgingSafety
+		.record(delegateKeypair.publicKey.toString('hex'), { height, slot })
+		.then(() => setImmediate(cb), err => setImmediate(cb, err));
+};
+
+/**
+ * Checks the forging lease before the active node forges, when a standby node is configured.
+ * Fails once the lease lapsed, as the standby node may take over after it expired.
+ *
+ * @private
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb, err
+ */
+__private.checkForgingLease = function(cb) {
+	const { standby } = library.config.forging;
+
+	if (!standby || !standby.standbyNode || __private.failover) {
+		return setImmediate(cb);
+	}
+
+	if (Date.now() >= __private.lease.expiresAt) {
+		return setImmediate(
+			cb,
+			new Error(
+				'Forging lease from the standby node lapsed, waiting for it to be renewed'
+			)
+		);
+	}
+
+	return setImmediate(cb);
+};
+
+/**
+ * Renews the forging lease from the standby node. Registered by jobs queue every
+ * __private.forgeInterval when a standby node is configured.
+ * The lease is held from the time the renewal was requested and renewed after a third of its duration,
+ * so a single failed renewal doesn't stop forging. Forging records of the standby node are imported,
+ * so the active node never forges in a slot the standby forged in.
+ *
+ * @private
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb
+ */
+__private.renewForgingLease = function(cb) {
+	const { standby } = library.config.forging;
+	const requestedAt = Date.now();
+
+	if (requestedAt < __private.lease.renewAt) {
+		return setImmediate(cb);
+	}
+
+	const renew = async () => {
+		const lease = await ForgingFailover.requestLease(
+			standby.standbyNode,
+			standby.timeout
+		);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { publicKey, forgingRecord } of lease.forgingRecords) {
+			// eslint-disable-next-line no-await-in-loop
+			const current = await __private.forgingSafety.export(publicKey);
+			if (forgingRecord && (!current || forgingRecord.slot > current.slot)) {
+				// eslint-disable-next-line no-await-in-loop
+				await __private.forgingSafety.import(publicKey, forgingRecord);
+			}
+		}
+
+		__private.lease = {
+			expiresAt: requestedAt + lease.leaseDuration,
+			renewAt: requestedAt + Math.floor(lease.leaseDuration / 3),
+		};
+	};
+
+	return renew().then(
+		() => setImmediate(cb),
+		err => {
+			library.logger.warn(
+				'Failed to renew forging lease from the standby node',
+				err.message || err
+			);
+			return setImmediate(cb);
+		}
+	);
+};
+
+/**
+ * Gets public keys of delegates a standby node takes over,
+ * delegates held by the remote signer or delegates from config.
+ *
+ * @private
+ * @returns {Array.<string>} Public keys in hex
+ */
+__private.getStandbyPublicKeys = function() {
+	if (__private.signer) {
+		return __private.signerPublicKeys;
+	}
+
+	return (library.config.forging.delegates || []).map(
+		delegate => delegate.publicKey
+	);
+};
+
+/**
+ * Enables or disables forging of a delegate on a standby node and publishes the handover.
+ * On takeover the last block of the delegate is imported as its forging record,
+ * so the standby never forges at or below a block of the active node.
+ *
+ * @private
+ * @param {string} publicKey - Public key of the delegate in hex
+ * @param {boolean} forging - True when the standby takes over, false when it hands back
+ * @param {string} cause - Reason of the handover
+ * @returns {Promise}
+ */
+__private.handOver = async function(publicKey, forging, cause) {
+	const lastBlock = forging ? __private.failover.getLastBlock(publicKey) : null;
+
+	const status = await self.updateForgingStatus(
+		publicKey,
+		library.config.forging.defaultPassword,
+		forging,
+		lastBlock || undefined
+	);
+	__private.failover.reset(publicKey);
+
+	library.logger.warn(
+		forging
+			? `Standby node took over forging of delegate ${publicKey}: ${cause}`
+			: `Standby node handed back forging of delegate ${publicKey}: ${cause}`
+	);
+	library.channel.publish('chain:delegates:failover', {
+		publicKey,
+		forging,
+		cause,
+		forgingRecord: status.forgingRecord,
+	});
+};
+
+/**
+ * Watches the active node from a standby node, before forging in the current slot.
+ * Takes over forging of delegates whose slots the active node missed as many times as configured,
+ * only once the forging lease of the active node expired, so the active node stopped forging.
+ *
+ * @private
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb
+ */
+__private.watchActiveNode = function(cb) {
+	// Missed slots can't be told apart from blocks not received yet when client is not ready
+	if (
+		!__private.failover ||
+		!__private.loaded ||
+		modules.loader.syncing() ||
+		!modules.rounds.loaded() ||
+		modules.rounds.ticking()
+	) {
+		return setImmediate(cb);
+	}
+
+	const { failover } = __private;
+	const currentSlot = slots.getSlotNumber();
+	const lastBlock = modules.blocks.lastBlock.get();
+	const round = slots.calcRound(lastBlock.height + 1);
+	const publicKeys = __private.getStandbyPublicKeys();
+
+	const watch = async () => {
+		const activeDelegates = await promisify(self.generateDelegateList)(
+			round,
+			null
+		);
+		const currentSlotDelegate = activeDelegates[currentSlot % ACTIVE_DELEGATES];
+
+		if (publicKeys.includes(currentSlotDelegate)) {
+			failover.expectBlock(currentSlotDelegate, currentSlot);
+		}
+
+		const missedDelegates = failover
+			.countMissedSlots(currentSlot)
+			.filter(
+				publicKey =>
+					publicKeys.includes(publicKey) && !__private.keypairs[publicKey]
+			);
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const publicKey of missedDelegates) {
+			const missedSlots = failover.getMissedSlots(publicKey);
+
+			if (!failover.isLeaseExpired()) {
+				library.logger.warn(
+					`Active node missed ${missedSlots} slots of delegate ${publicKey} but holds the forging lease, not taking over`
+				);
+			} else {
+				// eslint-disable-next-line no-await-in-loop
+				await __private.handOver(
+					publicKey,
+					true,
+					`active node missed ${missedSlots} slots and its forging lease expired`
+				);
+			}
+		}
+	};
+
+	return watch().then(
+		() => setImmediate(cb),
+		err => {
+			library.logger.error('Failed to watch active node', err.message || err);
+			return setImmediate(cb);
+		}
+	);
+};
+
 /**
  * Returns the decrypted passphrase by deciphering encrypted passphrase with the password provided using aes-256-gcm algorithm.
  *
@@ -527,7 +806,78 @@ __private.checkDelegates = function(senderPublicKey, votes, state, cb, tx) {
 };
 
 /**
- * Loads delegates from config and stores in private `keypairs`.
+ * Enables forging with a key pair or signer if its account is a delegate.
+ *
+ * @private
+ * @param {Object} keypair - Key pair or signer of the delegate, see: helpers.signer
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb, err
+ */
+__private.enableForging = function(keypair, cb) {
+	const publicKey = keypair.publicKey.toString('hex');
+
+	return modules.accounts.getAccount({ publicKey }, (err, account) => {
+		if (err) {
+			return setImmediate(cb, err);
+		}
+
+		if (!account) {
+			return setImmediate(
+				cb,
+				`Account with public key: ${publicKey} not found`
+			);
+		}
+		if (account.isDelegate) {
+			__private.keypairs[publicKey] = keypair;
+			library.logger.info(`Forging enabled on account: ${account.address}`);
+		} else {
+			library.logger.warn(
+				`Account with public key: ${publicKey} is not a delegate`
+			);
+		}
+
+		return setImmediate(cb);
+	});
+};
+
+/**
+ * Loads delegates held by the remote signer and enables forging with them.
+ *
+ * @private
+ * @param {function} cb - Callback function
+ * @returns {setImmediateCallback} cb, err
+ */
+__private.loadSignerDelegates = function(cb) {
+	return __private.signer.getPublicKeys().then(
+		publicKeys => {
+			__private.signerPublicKeys = publicKeys;
+
+			if (!library.config.forging.force || __private.failover) {
+				return setImmediate(cb);
+			}
+
+			library.logger.info(
+				`Loading ${publicKeys.length} delegates from remote signer`
+			);
+
+			return async.eachSeries(
+				publicKeys,
+				(publicKey, seriesCb) =>
+					__private.enableForging(
+						__private.signer.getDelegateSigner(publicKey),
+						seriesCb
+					),
+				cb
+			);
+		},
+		err => setImmediate(cb, err)
+	);
+};
+
+/**
+ * Loads delegates from config and stores in private `keypairs`,
+ * or loads delegates from the remote signer when it's configured.
+ * Delegates are not enabled on a standby node until it takes over from the active node.
  *
  * @private
  * @param {function} cb - Callback function
@@ -535,13 +885,24 @@ __private.checkDelegates = function(senderPublicKey, votes, state, cb, tx) {
  * @todo Add description for the return value
  */
 __private.loadDelegates = function(cb) {
+	if (__private.failover) {
+		library.logger.info(
+			'Forging in standby mode, delegates are enabled when the active node misses their slots and its forging lease expired'
+		);
+	}
+
+	if (__private.signer) {
+		return __private.loadSignerDelegates(cb);
+	}
+
 	const encryptedList = library.config.forging.delegates;
 
 	if (
 		!encryptedList ||
 		!encryptedList.length ||
 		!library.config.forging.force ||
-		!library.config.forging.defaultPassword
+		!library.config.forging.defaultPassword ||
+		__private.failover
 	) {
 		return setImmediate(cb);
 	}
@@ -585,39 +946,7 @@ __private.loadDelegates = function(cb) {
 				);
 			}
 
-			return modules.accounts.getAccount(
-				{
-					publicKey: keypair.publicKey.toString('hex'),
-				},
-				(err, account) => {
-					if (err) {
-						return setImmediate(seriesCb, err);
-					}
-
-					if (!account) {
-						return setImmediate(
-							seriesCb,
-							`Account with public key: ${keypair.publicKey.toString(
-								'hex'
-							)} not found`
-						);
-					}
-					if (account.isDelegate) {
-						__private.keypairs[keypair.publicKey.toString('hex')] = keypair;
-						library.logger.info(
-							`Forging enabled on account: ${account.address}`
-						);
-					} else {
-						library.logger.warn(
-							`Account with public key: ${keypair.publicKey.toString(
-								'hex'
-							)} is not a delegate`
-						);
-					}
-
-					return setImmediate(seriesCb);
-				}
-			);
+			return __private.enableForging(keypair, seriesCb);
 		},
 		cb
 	);
@@ -628,8 +957,11 @@ __private.loadDelegates = function(cb) {
  * Updates the forging status of an account, valid actions are enable and disable.
  *
  * @param {publicKey} publicKey - Public key of delegate
- * @param {string} password - Password used to decrypt encrypted passphrase
+ * @param {string} password - Password used to decrypt encrypted passphrase,
+ * not used when keys are held by the remote signer
  * @param {boolean} forging - Forging status of a delegate to update
+ * @param {Object} [forgingRecord] - Highest height and slot forged by the delegate,
+ * exported from another node, imported before forging is enabled
  * @param {function} cb - Callback function
  * @returns {setImmediateCallback} cb
  * @todo Add description for the return value
@@ -637,8 +969,17 @@ __private.loadDelegates = function(cb) {
 Delegates.prototype.updateForgingStatus = async function(
 	publicKey,
 	password,
-	forging
+	forging,
+	forgingRecord
 ) {
+	if (__private.signer) {
+		return __private.updateSignerForgingStatus(
+			publicKey,
+			forging,
+			forgingRecord
+		);
+	}
+
 	const encryptedList = library.config.forging.delegates;
 	const encryptedItem = encryptedList.find(
 		item => item.publicKey === publicKey
@@ -671,22 +1012,70 @@ Delegates.prototype.updateForgingStatus = async function(
 		throw new Error('Invalid password and public key combination');
 	}
 
+	return __private.setForgingStatus(keypair, forging, forgingRecord);
+};
+
+/**
+ * Updates the forging status of a delegate held by the remote signer.
+ *
+ * @private
+ * @param {publicKey} publicKey - Public key of delegate
+ * @param {boolean} forging - Forging status of a delegate to update
+ * @param {Object} [forgingRecord] - Forging record to import, see: helpers.forging_safety
+ * @returns {Promise.<Object>} publicKey, forging status and forging record
+ */
+__private.updateSignerForgingStatus = async function(
+	publicKey,
+	forging,
+	forgingRecord
+) {
+	__private.signerPublicKeys = await __private.signer.getPublicKeys();
+
+	if (!__private.signerPublicKeys.includes(publicKey)) {
+		throw new Error(`Delegate with publicKey: ${publicKey} not found`);
+	}
+
+	return __private.setForgingStatus(
+		__private.signer.getDelegateSigner(publicKey),
+		forging,
+		forgingRecord
+	);
+};
+
+/**
+ * Enables or disables forging with a key pair or signer if its account is a delegate.
+ * Forging record of the delegate is exported with the status, so forging can be moved
+ * to another node without forging conflicting blocks.
+ *
+ * @private
+ * @param {Object} keypair - Key pair or signer of the delegate
+ * @param {boolean} forging - Forging status of a delegate to update
+ * @param {Object} [forgingRecord] - Forging record to import, see: helpers.forging_safety
+ * @returns {Promise.<Object>} publicKey, forging status and forging record
+ */
+__private.setForgingStatus = async function(keypair, forging, forgingRecord) {
+	const publicKey = keypair.publicKey.toString('hex');
 	const account = await promisify(modules.accounts.getAccount)({
-		publicKey: keypair.publicKey.toString('hex'),
+		publicKey,
 	});
 
 	if (account && account.isDelegate) {
+		if (forgingRecord) {
+			await __private.forgingSafety.import(publicKey, forgingRecord);
+		}
+
 		if (forging) {
-			__private.keypairs[keypair.publicKey.toString('hex')] = keypair;
+			__private.keypairs[publicKey] = keypair;
 			library.logger.info(`Forging enabled on account: ${account.address}`);
 		} else {
-			delete __private.keypairs[keypair.publicKey.toString('hex')];
+			delete __private.keypairs[publicKey];
 			library.logger.info(`Forging disabled on account: ${account.address}`);
 		}
 
 		return {
 			publicKey,
 			forging,
+			forgingRecord: await __private.forgingSafety.export(publicKey),
 		};
 	}
 	throw new Error('Delegate not found');
@@ -882,7 +1271,8 @@ Delegates.prototype.fork = function(block, cause) {
 };
 
 /**
- * Get an object of key pairs for delegates enabled for forging.
+ * Get an object of key pairs for delegates enabled for forging,
+ * or their signers when keys are held by the remote signer.
  *
  * @returns {object} Of delegate key pairs
  */
@@ -890,19 +1280,86 @@ Delegates.prototype.getForgersKeyPairs = function() {
 	return __private.keypairs;
 };
 
-Delegates.prototype.getForgingStatusForAllDelegates = function() {
+/**
+ * Grants the forging lease to the active node, when the node is a standby. Delegates the standby
+ * took over are handed back first. Runs in the sequence, so no block is being forged while
+ * forging records are exported for the active node.
+ *
+ * @returns {Promise.<Object>} Lease duration in milliseconds, public keys and forging records of the delegates
+ * @throws {Error} When the node is not a standby
+ */
+Delegates.prototype.renewForgingLease = async function() {
+	const { failover } = __private;
+
+	if (!failover) {
+		throw new Error(
+			'Forging lease is only granted by a standby node, with forging.standby.enabled'
+		);
+	}
+
+	const grant = async () => {
+		const publicKeys = __private.getStandbyPublicKeys();
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const publicKey of publicKeys) {
+			if (__private.keypairs[publicKey]) {
+				// eslint-disable-next-line no-await-in-loop
+				await __private.handOver(
+					publicKey,
+					false,
+					'active node renewed its forging lease'
+				);
+			}
+		}
+		failover.renewLease();
+
+		const forgingRecords = await Promise.all(
+			publicKeys.map(async publicKey => ({
+				publicKey,
+				forgingRecord: await __private.forgingSafety.export(publicKey),
+			}))
+		);
+
+		return { leaseDuration: failover.leaseDuration, forgingRecords };
+	};
+
+	return new Promise((resolve, reject) => {
+		library.sequence.add(
+			sequenceCb => grant().then(lease => sequenceCb(null, lease), sequenceCb),
+			(err, lease) => (err ? reject(err) : resolve(lease))
+		);
+	});
+};
+
+/**
+ * Gets the forging status and forging record of delegates from config and from the remote signer,
+ * each delegate once.
+ *
+ * @returns {Promise.<Array.<Object>>} Public key, forging status and forging record of each delegate
+ */
+Delegates.prototype.getForgingStatusForAllDelegates = async function() {
 	const keyPairs = __private.keypairs;
-	const forgingDelegates = library.config.forging.delegates;
+	// A delegate may be both configured and held by the remote signer
+	const forgingDelegates = _.uniqBy(
+		library.config.forging.delegates.concat(
+			__private.signerPublicKeys.map(publicKey => ({ publicKey }))
+		),
+		'publicKey'
+	);
 	const forgersPublicKeys = {};
 
 	Object.keys(keyPairs).forEach(key => {
 		forgersPublicKeys[keyPairs[key].publicKey.toString('hex')] = true;
 	});
 
-	const fullList = forgingDelegates.map(forger => ({
-		forging: !!forgersPublicKeys[forger.publicKey],
-		publicKey: forger.publicKey,
-	}));
+	// Forging records let the active node resume forging after a standby node without conflicts
+	const fullList = await Promise.all(
+		forgingDelegates.map(async forger => ({
+			forging: !!forgersPublicKeys[forger.publicKey],
+			publicKey: forger.publicKey,
+			forgingRecord: await __private.forgingSafety.export(forger.publicKey),
+		}))
+	);
 
 	return fullList;
 };
@@ -928,6 +1385,50 @@ Delegates.prototype.onBind = function(scope) {
 	__private.assetTypes[TRANSACTION_TYPES.DELEGATE].bind(scope.modules.accounts);
 };
 
+/**
+ * Observes blocks of delegates a standby node takes over. Hands back forging of
+ * a delegate when its block was forged by another node, i.e. the active node resumed forging.
+ *
+ * @param {block} block
+ */
+Delegates.prototype.onNewBlock = function(block) {
+	const publicKey = block.generatorPublicKey;
+
+	if (
+		!__private.failover ||
+		!__private.getStandbyPublicKeys().includes(publicKey)
+	) {
+		return;
+	}
+
+	const slot = slots.getSlotNumber(block.timestamp);
+	__private.failover.observeBlock(publicKey, slot, block.height);
+
+	if (!__private.keypairs[publicKey]) {
+		return;
+	}
+
+	__private.forgingSafety
+		.export(publicKey)
+		.then(forgingRecord => {
+			// Blocks forged by this node are recorded before they are signed
+			if (forgingRecord && forgingRecord.slot === slot) {
+				return null;
+			}
+			return __private.handOver(
+				publicKey,
+				false,
+				`block ${block.id} was forged by another node`
+			);
+		})
+		.catch(err => {
+			library.logger.error(
+				'Failed to hand back forging to active node',
+				err.message || err
+			);
+		});
+};
+
 /**
  * Forge the next block and then fill the transaction pool.
  * Registered by jobs queue every __private.forgeInterval.
@@ -936,15 +1437,27 @@ Delegates.prototype.onBind = function(scope) {
  * @param {function} cb - Callback function
  */
 __private.nextForge = function(cb) {
-	async.series([modules.transactions.fillPool, __private.forge], cb);
+	async.series(
+		[modules.transactions.fillPool, __private.watchActiveNode, __private.forge],
+		cb
+	);
 };
 
 /**
- * Loads delegates.
+ * Loads delegates, renewing the forging lease first when a standby node is configured.
  */
 Delegates.prototype.onBlockchainReady = function() {
 	__private.loaded = true;
 
+	const { standby } = library.config.forging;
+	if (standby && standby.standbyNode && !__private.failover) {
+		jobsQueue.register(
+			'delegatesRenewForgingLease',
+			__private.renewForgingLease,
+			__private.forgeInterval
+		);
+	}
+
 	__private.loadDelegates(err => {
 		if (err) {
 			library.logger.error('Failed to load delegates', err);
@@ -17,6 +17,7 @@
 const async = require('async');
 const jobsQueue = require('../helpers/jobs_queue');
 const slots = require('../helpers/slots');
+const snapshot = require('../helpers/snapshot');
 const definitions = require('../schema/definitions');
 require('colors');
 
@@ -74,6 +75,9 @@ class Loader {
 				loading: {
 					loadPerIteration: scope.config.loading.loadPerIteration,
 					snapshotRound: scope.config.loading.snapshotRound,
+					snapshotFile: scope.config.loading.snapshotFile,
+					importSnapshotFile: scope.config.loading.importSnapshotFile,
+					trustedSnapshotDigest: scope.config.loading.trustedSnapshotDigest,
 				},
 				syncing: {
 					active: scope.config.syncing.active,
@@ -354,13 +358,14 @@ __private.loadTransactions = function(cb) {
  * - get genesis block from `blocks` table
  * - count accounts from `mem_accounts` table by block id
  * - get rounds from `mem_round`
- * 2. Matches genesis block with database.
- * 3. Verifies snapshot mode.
- * 4. Recreates memory tables when neccesary:
+ * 2. Imports a snapshot file to a database containing only the genesis block.
+ * 3. Matches genesis block with database.
+ * 4. Verifies snapshot mode.
+ * 5. Recreates memory tables when neccesary:
  *  - Calls logic.account to resetMemTables
  *  - Calls block to load block. When blockchain ready emits a bus message.
- * 5. Detects orphaned blocks in `mem_accounts` and gets delegates.
- * 6. Loads last block and emits a bus message blockchain is ready.
+ * 6. Detects orphaned blocks in `mem_accounts` and gets delegates.
+ * 7. Loads last block and emits a bus message blockchain is ready.
  *
  * @private
  * @emits exit
@@ -497,18 +502,38 @@ __private.loadBlockChain = function() {
 
 			const round = slots.calcRound(blocksCount);
 
+			if (blocksCount === 1 && library.config.loading.importSnapshotFile) {
+				const { header, stateImported } = await __private.importSnapshot();
+				if (stateImported) {
+					return __private.loadBlockChain();
+				}
+				return reload(
+					header.height,
+					'State of the snapshot is not trusted, rebuilding it from blocks'
+				);
+			}
+
 			if (blocksCount === 1) {
 				return reload(blocksCount);
 			}
 
+			if (
+				library.config.loading.importSnapshotFile &&
+				!await __private.isSnapshotImported()
+			) {
+				library.logger.warn(
+					'Snapshot is not imported, database already contains blocks'
+				);
+			}
+
 			matchGenesisBlock(getGenesisBlock);
 
+			const unapplied = getMemRounds.filter(row => row.round !== round);
+
 			if (library.config.loading.snapshotRound) {
-				return __private.createSnapshot(blocksCount);
+				return __private.createSnapshot(blocksCount, unapplied.length === 0);
 			}
 
-			const unapplied = getMemRounds.filter(row => row.round !== round);
-
 			if (unapplied.length > 0) {
 				library.logger.error('Detected unapplied rounds in mem_round', {
 					currentHeight: blocksCount,
@@ -738,13 +763,17 @@ __private.validateOwnChain = cb => {
 };
 
 /**
- * Snapshot creation - performs rebuild of accounts states from blockchain data
+ * Snapshot creation - reverts blocks after the end of the snapshot round when accounts states
+ * are consistent and fewer blocks have to be reverted than replayed, otherwise performs rebuild
+ * of accounts states from blockchain data. Exports the snapshot when a snapshot file is configured.
  *
  * @private
+ * @param {number} height - Current height
+ * @param {boolean} isStateConsistent - Whether accounts states match the current height
  * @emits snapshotFinished
  * @throws {Error} When blockchain is shorter than one round of blocks
  */
-__private.createSnapshot = height => {
+__private.createSnapshot = (height, isStateConsistent) => {
 	library.logger.info('Snapshot mode enabled');
 
 	// Single round contains amount of blocks equal to number of active delegates
@@ -777,35 +806,72 @@ __private.createSnapshot = height => {
 		`Snapshotting to end of round: ${targetRound}, height: ${targetHeight}`
 	);
 
-	let currentHeight = 1;
+	const rebuildSteps = {
+		resetMemTables(seriesCb) {
+			library.logic.account.resetMemTables(seriesCb);
+		},
+		loadBlocksOffset(seriesCb) {
+			let currentHeight = 1;
+			async.until(
+				() => targetHeight < currentHeight,
+				untilCb => {
+					library.logger.info(
+						`Rebuilding accounts states, current round: ${slots.calcRound(
+							currentHeight
+						)}, height: ${currentHeight}`
+					);
+					modules.blocks.process.loadBlocksOffset(
+						ACTIVE_DELEGATES,
+						currentHeight,
+						loadBlocksOffsetErr => {
+							currentHeight += ACTIVE_DELEGATES;
+							return setImmediate(untilCb, loadBlocksOffsetErr);
+						}
+					);
+				},
+				seriesCb
+			);
+		},
+		truncateBlocks(seriesCb) {
+			library.storage.entities.Block.delete({ height_gt: targetHeight })
+				.then(() => setImmediate(seriesCb))
+				.catch(err => setImmediate(seriesCb, err));
+		},
+	};
+
+	const revertSteps = {
+		loadLastBlock(seriesCb) {
+			modules.blocks.utils.loadLastBlock(seriesCb);
+		},
+		deleteLastBlocks(seriesCb) {
+			async.whilst(
+				() => modules.blocks.lastBlock.get().height > targetHeight,
+				whilstCb => modules.blocks.chain.deleteLastBlock(whilstCb),
+				seriesCb
+			);
+		},
+	};
+
+	const revertBlocks =
+		isStateConsistent && height - targetHeight < targetHeight;
+
+	if (revertBlocks) {
+		library.logger.info(
+			`Reverting ${height -
+				targetHeight} blocks to end of round: ${targetRound}`
+		);
+	}
+
 	async.series(
 		{
-			resetMemTables(seriesCb) {
-				library.logic.account.resetMemTables(seriesCb);
-			},
-			loadBlocksOffset(seriesCb) {
-				async.until(
-					() => targetHeight < currentHeight,
-					untilCb => {
-						library.logger.info(
-							`Rebuilding accounts states, current round: ${slots.calcRound(
-								currentHeight
-							)}, height: ${currentHeight}`
-						);
-						modules.blocks.process.loadBlocksOffset(
-							ACTIVE_DELEGATES,
-							currentHeight,
-							loadBlocksOffsetErr => {
-								currentHeight += ACTIVE_DELEGATES;
-								return setImmediate(untilCb, loadBlocksOffsetErr);
-							}
-						);
-					},
-					seriesCb
-				);
-			},
-			truncateBlocks(seriesCb) {
-				library.storage.entities.Block.delete({ height_gt: targetHeight })
+			...(revertBlocks ? revertSteps : rebuildSteps),
+			exportSnapshot(seriesCb) {
+				if (!library.config.loading.snapshotFile) {
+					return setImmediate(seriesCb);
+				}
+
+				return __private
+					.exportSnapshot(targetHeight, targetRound)
 					.then(() => setImmediate(seriesCb))
 					.catch(err => setImmediate(seriesCb, err));
 			},
@@ -814,6 +880,94 @@ __private.createSnapshot = height => {
 	);
 };
 
+/**
+ * Exports blocks and accounts states to the configured snapshot file.
+ *
+ * @private
+ * @param {number} height - Height of the last block of the snapshot
+ * @param {number} round - Round ending at the height
+ * @returns {Promise} Promise resolving when the file is written
+ */
+__private.exportSnapshot = async (height, round) => {
+	const { Block, Migration } = library.storage.entities;
+	const filePath = library.config.loading.snapshotFile;
+	const lastBlock = await Block.getOne({ height });
+
+	library.logger.info(`Exporting snapshot to ${filePath}`);
+
+	const { checksum, stateDigest, rows } = await snapshot.exportSnapshot(
+		library.storage,
+		filePath,
+		{
+			nethash: __private.genesisBlock.block.payloadHash,
+			height,
+			round,
+			lastBlockId: lastBlock.id,
+			migration: await Migration.getLastId(),
+		}
+	);
+
+	library.logger.info('Snapshot exported', {
+		filePath,
+		checksum,
+		stateDigest,
+		rows,
+	});
+};
+
+/**
+ * Imports the configured snapshot file, state is imported only if its digest
+ * matches the trusted one.
+ *
+ * @private
+ * @returns {Promise.<Object>} Promise resolving with `{header, stateImported}`
+ * @throws {Error} When the snapshot is invalid or made for another network or schema
+ */
+__private.importSnapshot = async () => {
+	const { Migration } = library.storage.entities;
+	const filePath = library.config.loading.importSnapshotFile;
+
+	library.logger.info(`Importing snapshot from ${filePath}`);
+
+	const { header, stateDigest, stateImported } = await snapshot.importSnapshot(
+		library.storage,
+		filePath,
+		{
+			nethash: __private.genesisBlock.block.payloadHash,
+			migration: await Migration.getLastId(),
+			genesisBlockId: __private.genesisBlock.block.id,
+			trustedDigest: library.config.loading.trustedSnapshotDigest,
+		}
+	);
+
+	library.logger.info('Snapshot imported', {
+		height: header.height,
+		lastBlockId: header.lastBlockId,
+		stateDigest,
+		stateImported,
+	});
+
+	return { header, stateImported };
+};
+
+/**
+ * Checks if the configured snapshot file was imported before, i.e. the database
+ * contains the last block of the snapshot.
+ *
+ * @private
+ * @returns {Promise.<boolean>}
+ */
+__private.isSnapshotImported = async () => {
+	const header = await snapshot.readSnapshotHeader(
+		library.config.loading.importSnapshotFile
+	);
+
+	return library.storage.entities.Block.isPersisted({
+		id: header.lastBlockId,
+		height: header.height,
+	});
+};
+
 /**
  * Executed when snapshot creation is complete.
  *
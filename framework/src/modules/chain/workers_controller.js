@@ -32,6 +32,7 @@ const PeersUpdateRules = require('./api/ws/workers/peers_update_rules');
 const Rules = require('./api/ws/workers/rules');
 const failureCodes = require('./api/ws/rpc/failure_codes');
 const { createLoggerComponent } = require('../../../src/components/logger');
+const { FileTransport } = require('../../../src/components/logger/transports');
 
 const validator = require('../../controller/helpers/validator');
 const schema = require('./defaults/config');
@@ -73,6 +74,8 @@ SCWorker.create({
 				logger: [
 					'config',
 					function(scope, cb) {
+						// Worker processes write log files of their own
+						FileTransport.setProcessName('chain_worker');
 						cb(null, createLoggerComponent(scope.config.components.logger));
 					},
 				],
@@ -16,8 +16,11 @@
 
 const _ = require('lodash');
 const Promise = require('bluebird');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../components/storage');
 const swaggerHelper = require('../helpers/swagger');
-const { calculateApproval } = require('../helpers/utils');
+const { calculateApproval, getNextCursor } = require('../helpers/utils');
 
 // Private Fields
 let storage;
@@ -103,6 +106,7 @@ AccountsController.getAccounts = async function(context, next) {
 		limit: params.limit.value,
 		offset: params.offset.value,
 		sort: params.sort.value,
+		cursor: params.cursor.value,
 	};
 
 	// Remove filters with null values
@@ -115,7 +119,8 @@ AccountsController.getAccounts = async function(context, next) {
 		);
 		lastBlock = lastBlock[0];
 
-		const data = await storage.entities.Account.get(filters, options).map(
+		const accounts = await storage.entities.Account.get(filters, options);
+		const data = accounts.map(
 			accountFormatter.bind(
 				null,
 				lastBlock.height
@@ -131,9 +136,15 @@ AccountsController.getAccounts = async function(context, next) {
 			meta: {
 				offset: options.offset,
 				limit: options.limit,
+				nextCursor: getNextCursor(storage.entities.Account, accounts, options),
 			},
 		});
 	} catch (err) {
+		if (err instanceof NonSupportedOptionError && options.cursor) {
+			return next(
+				swaggerHelper.generateParamsErrorObject([params.cursor], [err.message])
+			);
+		}
 		return next(err);
 	}
 };
@@ -17,9 +17,13 @@
 const _ = require('lodash');
 const { getAddressFromPublicKey } = require('@liskhq/lisk-cryptography');
 const Bignumber = require('bignumber.js');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../components/storage');
 const ApiError = require('../api_error');
 const apiCodes = require('../api_codes');
 const swaggerHelper = require('../helpers/swagger');
+const { getNextCursor } = require('../helpers/utils');
 
 let library;
 let sortFields;
@@ -78,6 +82,7 @@ BlocksController.getBlocks = function(context, next) {
 		sort: params.sort.value,
 		limit: params.limit.value,
 		offset: params.offset.value,
+		cursor: params.cursor.value,
 	};
 
 	// Remove params with undefined/null values
@@ -86,7 +91,7 @@ BlocksController.getBlocks = function(context, next) {
 		value => value === undefined || value === null
 	);
 
-	return _list(_.clone(parsedParams), (err, data) => {
+	return _list(_.clone(parsedParams), (err, data, nextCursor) => {
 		if (err) {
 			return next(err);
 		}
@@ -112,6 +117,7 @@ BlocksController.getBlocks = function(context, next) {
 			meta: {
 				offset: parsedParams.offset,
 				limit: parsedParams.limit,
+				nextCursor,
 			},
 		});
 	});
@@ -171,10 +177,12 @@ function parseBlockFromDatabase(raw) {
  * @param {number} filter.limit - Limit of blocks to retrieve, default: 100, max: 100
  * @param {number} filter.offset - Offset from where to start
  * @param {string} filter.sort - Sort order, default: height:desc
+ * @param {string} filter.cursor - Cursor to get blocks after, instead of offset
  * @param {function} cb - Callback function
  * @returns {function} cb - Callback function from params (through setImmediate)
  * @returns {Object} cb.err - Error if occurred
  * @returns {Object} cb.data - List of normalized blocks
+ * @returns {string} cb.nextCursor - Cursor of the next page, if there can be more blocks
  */
 function _list(params, cb) {
 	const options = {};
@@ -200,6 +208,7 @@ function _list(params, cb) {
 	options.limit = params.limit ? Math.abs(params.limit) : 100;
 	options.offset = params.offset ? Math.abs(params.offset) : 0;
 	options.sort = params.sort || 'height:desc';
+	options.cursor = params.cursor;
 
 	if (options.limit > 100) {
 		return setImmediate(
@@ -226,9 +235,20 @@ function _list(params, cb) {
 		library.storage.entities.Block.get(filters, options)
 			// FIXME: Can have poor performance because it performs SHA256 hash calculation for each block
 			.then(async rows =>
-				setImmediate(cb, null, rows.map(parseBlockFromDatabase))
+				setImmediate(
+					cb,
+					null,
+					rows.map(parseBlockFromDatabase),
+					getNextCursor(library.storage.entities.Block, rows, options)
+				)
 			)
 			.catch(err => {
+				if (err instanceof NonSupportedOptionError && options.cursor) {
+					return setImmediate(
+						cb,
+						new ApiError(err.message, apiCodes.BAD_REQUEST)
+					);
+				}
 				library.logger.error(err.stack);
 				return setImmediate(
 					cb,
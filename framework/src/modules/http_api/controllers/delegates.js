@@ -16,10 +16,13 @@
 
 const _ = require('lodash');
 const Bignumber = require('bignumber.js');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../components/storage');
 const swaggerHelper = require('../helpers/swagger');
 const apiCodes = require('../api_codes');
 const ApiError = require('../api_error');
-const { calculateApproval } = require('../helpers/utils');
+const { calculateApproval, getNextCursor } = require('../helpers/utils');
 // Private Fields
 let storage;
 let logger;
@@ -72,6 +75,7 @@ DelegatesController.getDelegates = async function(context, next) {
 		limit: params.limit.value,
 		offset: params.offset.value,
 		sort: params.sort.value,
+		cursor: params.cursor.value,
 		extended: true,
 	};
 
@@ -80,15 +84,24 @@ DelegatesController.getDelegates = async function(context, next) {
 	options = _.pickBy(options, v => !(v === undefined || v === null));
 
 	try {
-		const data = await _getDelegates(filters, options);
+		const { data, nextCursor } = await _getDelegates(filters, options);
 		return next(null, {
 			data,
 			meta: {
 				offset: options.offset,
 				limit: options.limit,
+				nextCursor,
 			},
 		});
 	} catch (error) {
+		if (error instanceof NonSupportedOptionError && options.cursor) {
+			return next(
+				swaggerHelper.generateParamsErrorObject(
+					[params.cursor],
+					[error.message]
+				)
+			);
+		}
 		return next(error);
 	}
 };
@@ -155,7 +168,7 @@ DelegatesController.getForgingStatistics = async function(context, next) {
  * @param {int} filters.limit - Limit applied to results
  * @param {int} filters.offset - Offset value for results
  * @param {object} options - Filter options
- * @returns {Promise<*>}
+ * @returns {Promise<Object>} Formatted delegates as data and cursor of the next page as nextCursor
  * @private
  */
 async function _getDelegates(filters, options) {
@@ -172,10 +185,13 @@ async function _getDelegates(filters, options) {
 	const supply = lastBlock.height
 		? await channel.invoke('chain:calculateSupply', {
 				height: lastBlock.height,
-		  })
+			})
 		: 0;
 
-	return delegates.map(delegate => delegateFormatter(supply, delegate));
+	return {
+		data: delegates.map(delegate => delegateFormatter(supply, delegate)),
+		nextCursor: getNextCursor(storage.entities.Account, delegates, options),
+	};
 }
 
 /**
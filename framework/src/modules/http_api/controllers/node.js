@@ -41,6 +41,7 @@ let library;
 function NodeController(scope) {
 	library = {
 		components: {
+			cache: scope.components.cache,
 			storage: scope.components.storage,
 		},
 		config: scope.config,
@@ -134,6 +135,7 @@ NodeController.getStatus = async (context, next) => {
 			networkHeight: networkHeight || 0,
 			syncing,
 			transactions,
+			cache: library.components.cache.getHealth(),
 		};
 
 		return next(null, data);
@@ -184,12 +186,14 @@ NodeController.updateForgingStatus = async (context, next) => {
 	const publicKey = context.request.swagger.params.data.value.publicKey;
 	const password = context.request.swagger.params.data.value.password;
 	const forging = context.request.swagger.params.data.value.forging;
+	const forgingRecord = context.request.swagger.params.data.value.forgingRecord;
 
 	try {
 		const data = await library.channel.invoke('chain:updateForgingStatus', {
 			publicKey,
 			password,
 			forging,
+			forgingRecord,
 		});
 		return next(null, [data]);
 	} catch (err) {
@@ -198,6 +202,79 @@ NodeController.updateForgingStatus = async (context, next) => {
 	}
 };
 
+/**
+ * Grants the forging lease to the active node, when the node is a standby.
+ *
+ * @param {Object} context
+ * @param {function} next
+ */
+NodeController.renewForgingLease = async (context, next) => {
+	if (
+		!checkIpInList(library.config.forging.access.whiteList, context.request.ip)
+	) {
+		context.statusCode = apiCodes.FORBIDDEN;
+		return next(new Error('Access Denied'));
+	}
+
+	try {
+		const data = await library.channel.invoke('chain:renewForgingLease');
+		return next(null, data);
+	} catch (err) {
+		return next(err);
+	}
+};
+
+/**
+ * Responds with log levels changed at runtime.
+ *
+ * @param {Object} context
+ * @param {function} next
+ */
+NodeController.getLogLevels = async (context, next) => {
+	if (
+		!checkIpInList(library.config.forging.access.whiteList, context.request.ip)
+	) {
+		context.statusCode = apiCodes.FORBIDDEN;
+		return next(new Error('Access Denied'));
+	}
+
+	try {
+		const data = await library.channel.invoke('app:getLogLevels');
+		return next(null, data);
+	} catch (err) {
+		return next(err);
+	}
+};
+
+/**
+ * Changes log levels of the application or of a module.
+ *
+ * @param {Object} context
+ * @param {function} next
+ */
+NodeController.updateLogLevel = async (context, next) => {
+	if (
+		!checkIpInList(library.config.forging.access.whiteList, context.request.ip)
+	) {
+		context.statusCode = apiCodes.FORBIDDEN;
+		return next(new Error('Access Denied'));
+	}
+
+	const { module, fileLogLevel, consoleLogLevel } =
+		context.request.swagger.params.data.value || {};
+
+	try {
+		const data = await library.channel.invoke('app:setLogLevel', {
+			module,
+			fileLogLevel,
+			consoleLogLevel,
+		});
+		return next(null, data);
+	} catch (err) {
+		return next(err);
+	}
+};
+
 /**
  * Description of the function.
  *
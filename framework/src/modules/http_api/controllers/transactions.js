@@ -15,7 +15,11 @@
 'use strict';
 
 const _ = require('lodash');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../components/storage');
 const swaggerHelper = require('../helpers/swagger');
+const { getNextCursor } = require('../helpers/utils');
 const ApiError = require('../api_error');
 const apiCodes = require('../api_codes');
 
@@ -93,6 +97,7 @@ TransactionsController.getTransactions = async function(context, next) {
 		sort: params.sort.value,
 		limit: params.limit.value,
 		offset: params.offset.value,
+		cursor: params.cursor.value,
 		extended: true,
 	};
 
@@ -119,9 +124,18 @@ TransactionsController.getTransactions = async function(context, next) {
 				offset: options.offset,
 				limit: options.limit,
 				count,
+				nextCursor: getNextCursor(storage.entities.Transaction, data, options),
 			},
 		});
 	} catch (error) {
+		if (error instanceof NonSupportedOptionError && options.cursor) {
+			return next(
+				swaggerHelper.generateParamsErrorObject(
+					[params.cursor],
+					[error.message]
+				)
+			);
+		}
 		return next(error);
 	}
 };
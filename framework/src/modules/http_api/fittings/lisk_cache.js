@@ -17,6 +17,67 @@
 const debug = require('debug')('swagger:lisk:cache');
 const modules = require('../helpers/swagger_module_registry');
 
+const DEFAULT_COALESCE_TIMEOUT = 5000;
+
+// Responses being computed for cache keys which missed the cache, shared by pre and post response fittings
+const pendingResponses = new Map();
+
+/**
+ * Resolve tags of a cached response from templates like `address:{senderId}`,
+ * skipping templates with parameters missing in the request.
+ *
+ * @private
+ * @param {Array.<string>} templates
+ * @param {Object} params - Swagger parameters of the request
+ * @returns {Array.<string>}
+ */
+const resolveTags = (templates, params) =>
+	templates
+		.map(template =>
+			template.replace(
+				/\{(\w+)\}/g,
+				(match, name) =>
+					params[name] && params[name].value !== undefined
+						? params[name].value
+						: match
+			)
+		)
+		.filter(tag => !/\{\w+\}/.test(tag));
+
+/**
+ * Settle the pending response of a cache key, if it was created by the request.
+ *
+ * @private
+ * @param {string} cacheKey
+ * @param {Object} request
+ * @param {Object} [value] - Response, waiting requests call the API themselves without it
+ */
+const settlePendingResponse = (cacheKey, request, value = null) => {
+	const pending = pendingResponses.get(cacheKey);
+
+	if (pending && pending.request === request) {
+		pendingResponses.delete(cacheKey);
+		pending.resolve(value);
+	}
+};
+
+/**
+ * Wait for the response of a request which missed the cache for the same key.
+ *
+ * @private
+ * @param {Object} pending
+ * @param {number} timeout
+ * @returns {Promise.<Object>} Response or null if it failed or timed out
+ */
+const waitForPendingResponse = (pending, timeout) =>
+	new Promise(resolve => {
+		const timer = setTimeout(() => resolve(null), timeout);
+		pending.promise.then(value => {
+			clearTimeout(timer);
+			resolve(value);
+		});
+	});
+
 /**
  * Description of the function.
  *
@@ -35,6 +96,10 @@ module.exports = function create(fittingDef) {
 	const logger = modules.getLogger();
 	const mode = fittingDef.mode;
 	const cacheSpecKey = fittingDef.swagger_cache_key;
+	const ttlSpecKey = fittingDef.swagger_cache_ttl_key;
+	const tagsSpecKey = fittingDef.swagger_cache_tags_key;
+	const coalesceTimeout =
+		fittingDef.coalesce_timeout || DEFAULT_COALESCE_TIMEOUT;
 
 	debug('create', mode);
 
@@ -75,6 +140,7 @@ module.exports = function create(fittingDef) {
 		}
 
 		const cacheKey = context.request.originalUrl;
+		const { operation } = context.request.swagger;
 
 		// If cache fitting is called before response processing
 		if (mode === 'pre_response') {
@@ -88,6 +154,39 @@ module.exports = function create(fittingDef) {
 						);
 						return context.response.json(cachedValue);
 					}
+
+					// Requests missing the cache at the same time wait for the first one
+					const pending = pendingResponses.get(cacheKey);
+					if (pending) {
+						return waitForPendingResponse(pending, coalesceTimeout).then(
+							value => {
+								if (value) {
+									logger.debug(
+										'Cache - Sending coalesced response for url:',
+										context.request.url
+									);
+									return context.response.json(value);
+								}
+								return next(null, context.input);
+							}
+						);
+					}
+
+					let resolve;
+					const promise = new Promise(resolvePromise => {
+						resolve = resolvePromise;
+					});
+					pendingResponses.set(cacheKey, {
+						request: context.request,
+						promise,
+						resolve,
+					});
+					// Waiting requests are released if the response fails without reaching post_response
+					const release = () =>
+						settlePendingResponse(cacheKey, context.request);
+					context.response.once('finish', release);
+					context.response.once('close', release);
+
 					return next(null, context.input);
 				})
 				.catch(getJsonForKeyErr => {
@@ -103,14 +202,22 @@ module.exports = function create(fittingDef) {
 					'Cache - Setting response cache for url:',
 					context.request.url
 				);
+				settlePendingResponse(cacheKey, context.request, context.input);
 				return cache
-					.setJsonForKey(cacheKey, context.input)
+					.setJsonForKey(cacheKey, context.input, {
+						ttl: operation[ttlSpecKey],
+						tags: resolveTags(
+							operation[tagsSpecKey] || [],
+							context.request.swagger.params || {}
+						),
+					})
 					.then(() => next(null, context.input))
 					.catch(error => {
 						logger.debug(error.message);
 						return next(null, context.input);
 					});
 			}
+			settlePendingResponse(cacheKey, context.request);
 			return next(null, context.input);
 		}
 
@@ -32,6 +32,25 @@ function calculateApproval(votersBalance, totalSupply) {
 	return !approvalBignum.isNaN() ? approvalBignum.toNumber() : 0;
 }
 
+/**
+ * Get cursor of the next page of results, if there can be more results.
+ *
+ * @param {Object} entity - Storage entity the rows were fetched from
+ * @param {Array.<Object>} rows - Rows of the page as returned by the entity
+ * @param {Object} [options] - Options used to fetch the page
+ * @param {number} [options.limit] - Limit applied to rows
+ * @param {string} [options.sort] - Sort order of rows
+ * @returns {string|undefined} Cursor or undefined if there are no more results or sort order doesn't support cursors
+ */
+function getNextCursor(entity, rows, { limit, sort } = {}) {
+	if (!limit || !rows.length || rows.length < limit) {
+		return undefined;
+	}
+
+	return entity.createCursor(rows[rows.length - 1], sort) || undefined;
+}
+
 module.exports = {
 	calculateApproval,
+	getNextCursor,
 };
@@ -31,7 +31,9 @@ module.exports = class HttpApi {
 			'app:getComponentConfig',
 			'logger'
 		);
-		this.logger = createLoggerComponent(loggerConfig);
+		this.logger = createLoggerComponent(loggerConfig).child({
+			module: this.channel.moduleAlias,
+		});
 
 		// Cache
 		this.logger.debug('Initiating cache...');
@@ -40,6 +42,9 @@ module.exports = class HttpApi {
 			'cache'
 		);
 		const cache = createCacheComponent(cacheConfig, this.logger);
+		cache.on('health', health =>
+			this.channel.publish('http_api:cache:health', health)
+		);
 
 		// Storage
 		this.logger.debug('Initiating storage...');
@@ -55,7 +60,7 @@ module.exports = class HttpApi {
 						Object.assign({}, loggerConfig, {
 							logFileName: storageConfig.logFileName,
 						})
-					);
+					).child({ module: this.channel.moduleAlias });
 		const storage = createStorageComponent(storageConfig, dbLogger);
 
 		const applicationState = await this.channel.invoke(
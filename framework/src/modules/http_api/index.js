@@ -28,12 +28,18 @@ class HttpAPIModule extends BaseModule {
 		};
 	}
 
+	static get dependencies() {
+		return {
+			chain: '^0.1.0',
+		};
+	}
+
 	static get defaults() {
 		return defaultConfig;
 	}
 
 	get events() {
-		return [];
+		return ['cache:health'];
 	}
 
 	get actions() {
@@ -145,6 +145,30 @@ const middleware = {
 		return next();
 	},
 
+	/**
+	 * Responds with bus metrics of the application in Prometheus text format.
+	 * Metrics are private, served only to IPs whitelisted for the API, even when the API is public.
+	 *
+	 * @param {Object} config
+	 * @param {Object} channel
+	 * @param {Object} req
+	 * @param {Object} res
+	 * @param {function} next
+	 */
+	busMetrics(config, channel, req, res, next) {
+		if (!checkIpInList(config.access.whiteList, req.ip)) {
+			return res.status(apiCodes.FORBIDDEN).send({
+				message: 'Metrics access denied',
+				errors: ['Metrics are only served to whitelisted IPs.'],
+			});
+		}
+
+		return channel
+			.invoke('app:getBusMetrics')
+			.then(metrics => res.type('text/plain; version=0.0.4').send(metrics))
+			.catch(next);
+	},
+
 	queryParser() {
 		const ignoredPramList = [
 			'id',
@@ -263,6 +287,9 @@ function bootstrapSwagger(app, config, logger, scope, cb) {
 	// Log if there is any error
 	app.use(middleware.errorLogger.bind(null, logger));
 
+	// Bus metrics for Prometheus, outside of the swagger specification
+	app.get('/metrics', middleware.busMetrics.bind(null, config, scope.channel));
+
 	// Load Swagger controllers and bind the scope
 	const controllerFolder = '/controllers/';
 	fs.readdirSync(config.root + controllerFolder).forEach(file => {
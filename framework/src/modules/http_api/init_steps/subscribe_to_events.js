@@ -14,7 +14,7 @@
 
 'use strict';
 
-module.exports = ({ channel }, { wsServer }) => {
+module.exports = ({ channel, components }, { wsServer }) => {
 	channel.subscribe('chain:blocks:change', event => {
 		wsServer.sockets.emit('blocks/change', event.data);
 	});
@@ -36,4 +36,22 @@ module.exports = ({ channel }, { wsServer }) => {
 	channel.subscribe('chain:loader:sync', event => {
 		wsServer.sockets.emit('loader/sync', event.data);
 	});
+	// Published for caches whose entries are not shared between processes
+	channel.subscribe('chain:cache:invalidated', async event => {
+		if (!components || !components.cache || !components.cache.isReady()) {
+			return;
+		}
+		const { key, pattern, tags } = event.data;
+		try {
+			if (pattern) {
+				await components.cache.removeByPattern(pattern);
+			} else if (tags) {
+				await components.cache.removeByTags(tags);
+			} else {
+				await components.cache.deleteJsonForKey(key);
+			}
+		} catch (error) {
+			components.logger.error('Cache - Error clearing keys', error.message);
+		}
+	});
 };
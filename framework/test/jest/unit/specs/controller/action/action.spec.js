@@ -1,4 +1,7 @@
 const Action = require('../../../../../../src/controller/action');
+const {
+	runWithTraceId,
+} = require('../../../../../../src/controller/helpers/trace');
 const {
 	ACTION_NAME,
 	MODULE_NAME,
@@ -48,6 +51,37 @@ describe('Action class', () => {
 			expect(action.source).toBe(VALID_ACTION_SOURCE_ARG);
 		});
 
+		it('should generate trace id when it is not provided.', () => {
+			// Act
+			const action = new Action(VALID_ACTION_NAME_ARG, PARAMS);
+
+			// Assert
+			expect(action.traceId).toMatch(/^[0-9a-f]{16}$/);
+			expect(action.hops).toEqual([]);
+		});
+
+		it('should keep at most 16 hops received with the action.', () => {
+			// Arrange
+			const hops = new Array(20).fill({ name: 'bus', timestamp: 1 });
+
+			// Act
+			const action = new Action(VALID_ACTION_NAME_ARG, null, null, null, hops);
+
+			// Assert
+			expect(action.hops).toHaveLength(16);
+		});
+
+		it('should inherit trace id of the current trace.', () => {
+			// Act
+			const action = runWithTraceId(
+				'#TRACE',
+				() => new Action(VALID_ACTION_NAME_ARG)
+			);
+
+			// Assert
+			expect(action.traceId).toBe('#TRACE');
+		});
+
 		it('should not set source property when source is not provided.', () => {
 			// Act
 			const action = new Action(VALID_ACTION_NAME_ARG, PARAMS);
@@ -76,6 +110,8 @@ describe('Action class', () => {
 					module: MODULE_NAME,
 					params: PARAMS,
 					source: VALID_ACTION_SOURCE_ARG,
+					traceId: action.traceId,
+					hops: [],
 				};
 
 				// Act
@@ -86,6 +122,29 @@ describe('Action class', () => {
 			});
 		});
 
+		describe('#addHop', () => {
+			it('should record hop name with the current time.', () => {
+				// Act
+				action.addHop('bus');
+
+				// Assert
+				expect(action.hops).toEqual([
+					{ name: 'bus', timestamp: expect.any(Number) },
+				]);
+			});
+
+			it('should not record more than 16 hops.', () => {
+				// Act
+				for (let i = 0; i < 20; i += 1) {
+					action.addHop(`hop${i}`);
+				}
+
+				// Assert
+				expect(action.hops).toHaveLength(16);
+				expect(action.hops[15].name).toBe('hop15');
+			});
+		});
+
 		describe('#toString', () => {
 			it('should return Action as string.', () => {
 				// Arrange
@@ -2,6 +2,11 @@ const { EventEmitter2 } = require('eventemitter2');
 
 const Bus = require('../../../../../src/controller/bus');
 const Controller = require('../../../../../src/controller/controller');
+const {
+	ActionTimeoutError,
+	PermissionDeniedError,
+	SchemaValidationError,
+} = require('../../../../../src/errors');
 
 jest.mock('../../../../../src/controller/controller');
 jest.mock('eventemitter2');
@@ -78,6 +83,23 @@ describe('Bus', () => {
 			});
 		});
 
+		it('should replace channel of a remote module registering again.', async () => {
+			// Arrange
+			const moduleAlias = 'alias';
+			await bus.registerChannel(moduleAlias, ['event1'], ['action1'], {
+				type: 'remote',
+			});
+
+			// Act
+			await bus.registerChannel(moduleAlias, ['event2'], ['action1'], {
+				type: 'remote',
+			});
+
+			// Assert
+			expect(bus.getEvents()).toEqual([`${moduleAlias}:event2`]);
+			expect(bus.getActions()).toEqual([`${moduleAlias}:action1`]);
+		});
+
 		it('should throw error when trying to register duplicate actions.', async () => {
 			// Arrange
 			const moduleAlias = 'alias';
@@ -90,10 +112,195 @@ describe('Bus', () => {
 		});
 	});
 
+	describe('#unregisterChannel', () => {
+		it('should remove events and actions of the module.', async () => {
+			// Arrange
+			await bus.registerChannel('alias', ['event1'], ['action1']);
+			await bus.registerChannel('other', ['event1'], ['action1']);
+
+			// Act
+			await bus.unregisterChannel('alias');
+
+			// Assert
+			expect(bus.getEvents()).toEqual(['other:event1']);
+			expect(bus.getActions()).toEqual(['other:action1']);
+			expect(bus.channels.alias).toBeUndefined();
+		});
+
+		it('should allow to register the module again.', async () => {
+			// Arrange
+			await bus.registerChannel('alias', ['event1'], ['action1']);
+			await bus.unregisterChannel('alias');
+
+			// Act && Assert
+			await expect(
+				bus.registerChannel('alias', ['event1'], ['action1'])
+			).resolves.toBeUndefined();
+		});
+
+		it('should close the rpc socket of the module.', async () => {
+			// Arrange
+			const rpcSocket = { close: jest.fn() };
+			await bus.registerChannel('alias', [], []);
+			bus.rpcClients.alias = rpcSocket;
+
+			// Act
+			await bus.unregisterChannel('alias');
+
+			// Assert
+			expect(rpcSocket.close).toHaveBeenCalled();
+			expect(bus.rpcClients.alias).toBeUndefined();
+		});
+	});
+
 	describe('#invoke', () => {
+		const moduleAlias = 'alias';
+		let channel;
+
+		beforeEach(async () => {
+			bus.logger = { debug: jest.fn(), warn: jest.fn() };
+			channel = { invoke: jest.fn().mockResolvedValue('#RESULT') };
+			await bus.registerChannel(moduleAlias, [], ['action1'], {
+				type: 'inMemory',
+				channel,
+			});
+		});
+
 		it.todo('should invoke controller channel action.');
-		it.todo('should invoke module channel action.');
-		it.todo('should throw error if action was not registered.');
+
+		it('should invoke module channel action.', async () => {
+			// Act
+			const result = await bus.invoke({
+				module: moduleAlias,
+				name: 'action1',
+				source: 'app',
+			});
+
+			// Assert
+			expect(result).toBe('#RESULT');
+			expect(channel.invoke).toHaveBeenCalled();
+		});
+
+		it('should record the bus hop and log the response time with trace id.', async () => {
+			// Act
+			await bus.invoke({
+				module: moduleAlias,
+				name: 'action1',
+				source: 'app',
+				traceId: '#TRACE',
+				hops: [{ name: 'app', timestamp: Date.now() }],
+			});
+
+			// Assert
+			const [[action]] = channel.invoke.mock.calls;
+			expect(action.traceId).toBe('#TRACE');
+			expect(action.hops.map(hop => hop.name)).toEqual(['app', 'bus']);
+			expect(bus.logger.debug).toHaveBeenCalledWith(
+				expect.stringContaining('Action alias:action1 responded in'),
+				{
+					traceId: '#TRACE',
+					hops: [
+						{ name: 'app', elapsed: expect.any(Number) },
+						{ name: 'bus', elapsed: expect.any(Number) },
+					],
+				}
+			);
+		});
+
+		it('should throw error if action was not registered.', async () => {
+			// Act && Assert
+			await expect(
+				bus.invoke({ module: moduleAlias, name: 'unregistered' })
+			).rejects.toThrow('Action alias:unregistered is not registered to bus.');
+		});
+
+		it('should reject with PermissionDeniedError when source module is not allowed to invoke the action.', async () => {
+			// Arrange
+			bus.authorize('sandboxed', { invoke: ['app:*'] });
+
+			// Act && Assert
+			await expect(
+				bus.invoke({ module: moduleAlias, name: 'action1' }, {}, 'sandboxed')
+			).rejects.toBeInstanceOf(PermissionDeniedError);
+			expect(bus.logger.warn).toHaveBeenCalled();
+			expect(channel.invoke).not.toHaveBeenCalled();
+		});
+
+		it('should check permissions of the source module and not of the source claimed by the action.', async () => {
+			// Arrange
+			bus.authorize('sandboxed', { invoke: ['app:*'] });
+
+			// Act && Assert
+			await expect(
+				bus.invoke(
+					{ module: moduleAlias, name: 'action1', source: moduleAlias },
+					{},
+					'sandboxed'
+				)
+			).rejects.toBeInstanceOf(PermissionDeniedError);
+		});
+
+		it('should ignore permissions sent by the channel of the module.', async () => {
+			// Arrange
+			bus.authorize('sandboxed', { invoke: ['app:*'] });
+			await bus.registerChannel('sandboxed', [], [], {
+				type: 'inMemory',
+				permissions: { invoke: ['*'] },
+			});
+
+			// Act && Assert
+			await expect(
+				bus.invoke({ module: moduleAlias, name: 'action1' }, {}, 'sandboxed')
+			).rejects.toBeInstanceOf(PermissionDeniedError);
+		});
+
+		it('should invoke the action with the source module when it is allowed to invoke it.', async () => {
+			// Arrange
+			bus.authorize('sandboxed', { invoke: [`${moduleAlias}:*`] });
+
+			// Act
+			const result = await bus.invoke(
+				{ module: moduleAlias, name: 'action1', source: 'app' },
+				{},
+				'sandboxed'
+			);
+
+			// Assert
+			expect(result).toBe('#RESULT');
+			const [[action]] = channel.invoke.mock.calls;
+			expect(action.source).toBe('sandboxed');
+		});
+
+		it('should reject with ActionTimeoutError when configured timeout expires.', async () => {
+			// Arrange
+			bus.config = {
+				...config,
+				invoke: { actions: { 'alias:action1': { timeout: 10 } } },
+			};
+			channel.invoke.mockReturnValue(new Promise(() => {}));
+
+			// Act && Assert
+			await expect(
+				bus.invoke({ module: moduleAlias, name: 'action1' })
+			).rejects.toBeInstanceOf(ActionTimeoutError);
+		});
+
+		it('should retry timed out invocation when retry is given per call.', async () => {
+			// Arrange
+			channel.invoke
+				.mockReturnValueOnce(new Promise(() => {}))
+				.mockResolvedValueOnce('#RETRIED');
+
+			// Act
+			const result = await bus.invoke(
+				{ module: moduleAlias, name: 'action1' },
+				{ timeout: 10, retry: { attempts: 1, delay: 1 } }
+			);
+
+			// Assert
+			expect(result).toBe('#RETRIED');
+			expect(channel.invoke).toHaveBeenCalledTimes(2);
+		});
 	});
 
 	describe('#publish', () => {
@@ -121,6 +328,415 @@ describe('Bus', () => {
 		});
 	});
 
+	describe('#getBufferedEvents', () => {
+		const eventName = 'alias:registeredEvent';
+
+		beforeEach(async () => {
+			bus = new Bus(controller, options, {
+				...config,
+				eventBuffers: { [eventName]: 2 },
+			});
+			await bus.registerChannel('alias', ['registeredEvent', 'other'], []);
+		});
+
+		it('should return the latest published values up to the buffer size.', () => {
+			// Act
+			['#DATA1', '#DATA2', '#DATA3'].forEach(data =>
+				bus.publish(eventName, data)
+			);
+
+			// Assert
+			expect(bus.getBufferedEvents(eventName)).toEqual(['#DATA2', '#DATA3']);
+		});
+
+		it('should only return values published since the given timestamp.', () => {
+			// Arrange
+			bus.publish(eventName, '#DATA1');
+			bus.eventBuffers[eventName].items[0].timestamp = 1000;
+			bus.publish(eventName, '#DATA2');
+
+			// Act && Assert
+			expect(bus.getBufferedEvents(eventName, 2000)).toEqual(['#DATA2']);
+		});
+
+		it('should not buffer events without configured buffer size.', () => {
+			// Act
+			bus.publish('alias:other', '#DATA');
+
+			// Assert
+			expect(bus.getBufferedEvents('alias:other')).toEqual([]);
+		});
+	});
+
+	describe('#subscribe', () => {
+		it('should replay buffered values before live delivery when since is given.', async () => {
+			// Arrange
+			const eventName = 'alias:registeredEvent';
+			const listener = jest.fn();
+			bus = new Bus(controller, options, {
+				...config,
+				eventBuffers: { [eventName]: 10 },
+			});
+			await bus.registerChannel('alias', ['registeredEvent'], []);
+			bus.publish(eventName, '#DATA');
+
+			// Act
+			bus.subscribe(eventName, listener, { since: 0 });
+
+			// Assert
+			expect(listener).toHaveBeenCalledWith('#DATA');
+			expect(EventEmitter2.prototype.on).toHaveBeenCalledWith(
+				eventName,
+				listener
+			);
+		});
+	});
+
+	describe('#unsubscribe', () => {
+		it("should call eventemitter2 library's off method", () => {
+			// Arrange
+			const eventName = 'alias:registeredEvent';
+			const listener = jest.fn();
+
+			// Act
+			bus.unsubscribe(eventName, listener);
+
+			// Assert
+			expect(EventEmitter2.prototype.off).toHaveBeenCalledWith(
+				eventName,
+				listener
+			);
+		});
+	});
+
+	describe('schemas', () => {
+		const moduleAlias = 'alias';
+		const paramsSchema = {
+			type: 'object',
+			required: ['id'],
+			properties: { id: { type: 'string' } },
+		};
+		const dataSchema = { type: 'integer' };
+		let channel;
+
+		beforeEach(async () => {
+			bus.logger = { debug: jest.fn(), warn: jest.fn() };
+			channel = { invoke: jest.fn().mockResolvedValue('#RESULT') };
+			await bus.registerChannel(
+				moduleAlias,
+				['event1', 'event2'],
+				['action1', 'action2'],
+				{
+					type: 'inMemory',
+					channel,
+					schemas: {
+						actions: { action1: paramsSchema },
+						events: { event1: dataSchema },
+					},
+				}
+			);
+		});
+
+		it('should invoke action when params match its schema.', async () => {
+			// Act
+			const result = await bus.invoke({
+				module: moduleAlias,
+				name: 'action1',
+				source: 'app',
+				params: { id: '123' },
+			});
+
+			// Assert
+			expect(result).toBe('#RESULT');
+		});
+
+		it('should reject with SchemaValidationError when params do not match the schema.', async () => {
+			// Act && Assert
+			await expect(
+				bus.invoke({
+					module: moduleAlias,
+					name: 'action1',
+					source: 'app',
+					params: { id: 123 },
+				})
+			).rejects.toBeInstanceOf(SchemaValidationError);
+			expect(channel.invoke).not.toHaveBeenCalled();
+		});
+
+		it('should not validate params of action without schema.', async () => {
+			// Act
+			const result = await bus.invoke({
+				module: moduleAlias,
+				name: 'action2',
+				source: 'app',
+				params: { id: 123 },
+			});
+
+			// Assert
+			expect(result).toBe('#RESULT');
+		});
+
+		it('should throw SchemaValidationError when event data does not match the schema.', () => {
+			// Act && Assert
+			expect(() =>
+				bus.publish(`${moduleAlias}:event1`, { data: 'invalid' })
+			).toThrow(SchemaValidationError);
+			expect(EventEmitter2.prototype.emit).not.toHaveBeenCalledWith(
+				`${moduleAlias}:event1`,
+				{ data: 'invalid' }
+			);
+		});
+
+		it('should publish event when data matches the schema.', () => {
+			// Act
+			bus.publish(`${moduleAlias}:event1`, { data: 5 });
+
+			// Assert
+			expect(EventEmitter2.prototype.emit).toHaveBeenCalledWith(
+				`${moduleAlias}:event1`,
+				{ data: 5 }
+			);
+		});
+
+		it('should list actions and events with their schemas.', () => {
+			// Act && Assert
+			expect(bus.getActions({ withSchemas: true })).toEqual([
+				{ name: `${moduleAlias}:action1`, schema: paramsSchema },
+				{ name: `${moduleAlias}:action2`, schema: null },
+			]);
+			expect(bus.getEvents({ withSchemas: true })).toEqual([
+				{ name: `${moduleAlias}:event1`, schema: dataSchema },
+				{ name: `${moduleAlias}:event2`, schema: null },
+			]);
+		});
+
+		it('should remove schemas when channel is unregistered.', async () => {
+			// Act
+			await bus.unregisterChannel(moduleAlias);
+
+			// Assert
+			expect(bus.actionSchemas).toEqual({});
+			expect(bus.eventSchemas).toEqual({});
+		});
+	});
+
+	describe('#publish with permissions', () => {
+		const moduleAlias = 'sandboxed';
+
+		beforeEach(async () => {
+			bus.logger = { warn: jest.fn() };
+			bus.authorize(moduleAlias, { publish: ['sandboxed:allowed'] });
+			await bus.registerChannel(
+				moduleAlias,
+				['allowed', 'denied', 'loading:started'],
+				[],
+				{ type: 'inMemory' }
+			);
+		});
+
+		it('should throw PermissionDeniedError when module is not allowed to publish the event.', () => {
+			// Act && Assert
+			expect(() => bus.publish('sandboxed:denied', '#DATA')).toThrow(
+				PermissionDeniedError
+			);
+			expect(bus.logger.warn).toHaveBeenCalled();
+			expect(EventEmitter2.prototype.emit).not.toHaveBeenCalledWith(
+				'sandboxed:denied',
+				'#DATA'
+			);
+		});
+
+		it('should publish the event when module is allowed to publish it.', () => {
+			// Act
+			bus.publish('sandboxed:allowed', '#DATA');
+
+			// Assert
+			expect(EventEmitter2.prototype.emit).toHaveBeenCalledWith(
+				'sandboxed:allowed',
+				'#DATA'
+			);
+		});
+
+		it('should always allow internal events of the module.', () => {
+			// Act
+			bus.publish('sandboxed:loading:started', '#DATA');
+
+			// Assert
+			expect(EventEmitter2.prototype.emit).toHaveBeenCalledWith(
+				'sandboxed:loading:started',
+				'#DATA'
+			);
+		});
+	});
+
+	describe('#authorize', () => {
+		it('should create a different token for every module.', () => {
+			// Act
+			const token = bus.authorize('alias');
+
+			// Assert
+			expect(token).toMatch(/^[0-9a-f]{64}$/);
+			expect(bus.authorize('another')).not.toBe(token);
+		});
+
+		it('should identify connections authenticating with the token of the module.', () => {
+			// Act
+			const token = bus.authorize('alias');
+
+			// Assert
+			expect(bus._authenticate(token)).toEqual({ moduleAlias: 'alias' });
+			expect(bus._authenticate('another-token-value')).toBeNull();
+		});
+
+		it('should replace the previous token of the module.', () => {
+			// Act
+			const token = bus.authorize('alias');
+			bus.authorize('alias');
+
+			// Assert
+			expect(bus._authenticate(token)).toBeNull();
+		});
+	});
+
+	describe('#_assertRegistrationAllowed', () => {
+		it('should allow a connection to register the module it authenticated for.', () => {
+			expect(() =>
+				bus._assertRegistrationAllowed({ moduleAlias: 'alias' }, 'alias', {
+					type: 'ipcSocket',
+				})
+			).not.toThrow();
+		});
+
+		it('should throw PermissionDeniedError when a connection registers another module.', () => {
+			expect(() =>
+				bus._assertRegistrationAllowed({ moduleAlias: 'alias' }, 'chain', {
+					type: 'ipcSocket',
+				})
+			).toThrow(PermissionDeniedError);
+		});
+
+		it('should allow connection with the shared token to register only remote modules without token.', () => {
+			// Arrange
+			bus.authorize('chain');
+
+			// Act && Assert
+			expect(() =>
+				bus._assertRegistrationAllowed({}, 'indexer', { type: 'remote' })
+			).not.toThrow();
+			expect(() =>
+				bus._assertRegistrationAllowed({}, 'indexer', { type: 'ipcSocket' })
+			).toThrow(PermissionDeniedError);
+			expect(() =>
+				bus._assertRegistrationAllowed({}, 'chain', { type: 'remote' })
+			).toThrow(PermissionDeniedError);
+		});
+	});
+
+	describe('#_receiveEvent', () => {
+		beforeEach(async () => {
+			bus.logger = { warn: jest.fn() };
+			bus.authorize('sandboxed', { publish: ['sandboxed:allowed'] });
+			await bus.registerChannel('sandboxed', ['allowed', 'denied'], []);
+			await bus.registerChannel('chain', ['blocks:change'], []);
+			await bus.registerChannel('indexer', ['block:indexed'], [], {
+				type: 'remote',
+			});
+		});
+
+		it('should emit the event received from the connection of the module.', () => {
+			// Act
+			bus._receiveEvent('sandboxed:allowed', '#DATA', {
+				moduleAlias: 'sandboxed',
+			});
+
+			// Assert
+			expect(EventEmitter2.prototype.emit).toHaveBeenCalledWith(
+				'sandboxed:allowed',
+				'#DATA'
+			);
+		});
+
+		it('should drop the event of another module.', () => {
+			// Act
+			bus._receiveEvent('chain:blocks:change', '#DATA', {
+				moduleAlias: 'sandboxed',
+			});
+
+			// Assert
+			expect(bus.logger.warn).toHaveBeenCalledWith(
+				'Dropped event "chain:blocks:change": Module "sandboxed" is not allowed to publish "chain:blocks:change"'
+			);
+			expect(EventEmitter2.prototype.emit).not.toHaveBeenCalledWith(
+				'chain:blocks:change',
+				'#DATA'
+			);
+		});
+
+		it('should drop the event the module is not allowed to publish.', () => {
+			// Act
+			bus._receiveEvent('sandboxed:denied', '#DATA', {
+				moduleAlias: 'sandboxed',
+			});
+
+			// Assert
+			expect(bus.logger.warn).toHaveBeenCalled();
+			expect(EventEmitter2.prototype.emit).not.toHaveBeenCalledWith(
+				'sandboxed:denied',
+				'#DATA'
+			);
+		});
+
+		it('should emit events of remote modules received from connection with the shared token.', () => {
+			// Act
+			bus._receiveEvent('indexer:block:indexed', '#DATA', {});
+			bus._receiveEvent('chain:blocks:change', '#DATA', {});
+
+			// Assert
+			expect(EventEmitter2.prototype.emit).toHaveBeenCalledWith(
+				'indexer:block:indexed',
+				'#DATA'
+			);
+			expect(EventEmitter2.prototype.emit).not.toHaveBeenCalledWith(
+				'chain:blocks:change',
+				'#DATA'
+			);
+		});
+	});
+
+	describe('#getStats', () => {
+		it('should return statistics of registered actions, events and channels.', async () => {
+			// Arrange
+			bus.logger = { debug: jest.fn() };
+			EventEmitter2.prototype.listeners.mockReturnValue([jest.fn()]);
+			const channel = { invoke: jest.fn().mockResolvedValue('#RESULT') };
+			await bus.registerChannel('alias', ['event1'], ['action1'], {
+				type: 'inMemory',
+				channel,
+			});
+			await bus.invoke({ module: 'alias', name: 'action1' });
+			bus.publish('alias:event1', '#DATA');
+
+			// Act
+			const stats = bus.getStats();
+
+			// Assert
+			expect(stats.actions['alias:action1']).toMatchObject({
+				invocations: 1,
+				errors: 0,
+			});
+			expect(stats.events['alias:event1']).toEqual({
+				published: 1,
+				perMinute: 0,
+				subscribers: 1,
+			});
+			expect(stats.channels.alias).toEqual({
+				type: 'inMemory',
+				pending: 0,
+				queued: 0,
+			});
+		});
+	});
+
 	describe('#getActions', () => {
 		it('should return the registered actions', async () => {
 			// Arrange
@@ -0,0 +1,109 @@
+const BusMetrics = require('../../../../../src/controller/bus_metrics');
+
+describe('BusMetrics', () => {
+	const actionName = 'module:action';
+	const eventName = 'module:event';
+	let metrics;
+
+	beforeEach(() => {
+		metrics = new BusMetrics([10, 100]);
+	});
+
+	describe('#recordInvocation', () => {
+		it('should count invocations, errors and latency buckets.', () => {
+			// Act
+			metrics.recordInvocation(actionName, 5, false);
+			metrics.recordInvocation(actionName, 50, true);
+			metrics.recordInvocation(actionName, 500, false);
+
+			// Assert
+			expect(metrics.getActionStats(actionName)).toEqual({
+				invocations: 3,
+				errors: 1,
+				latency: {
+					buckets: { 10: 1, 100: 2, '+Inf': 3 },
+					sum: 555,
+					count: 3,
+				},
+			});
+		});
+	});
+
+	describe('#recordPublish', () => {
+		it('should count published events and events of the last full minute.', () => {
+			// Arrange
+			const now = Date.now();
+			const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 60000);
+			metrics.recordPublish(eventName);
+			metrics.recordPublish(eventName);
+			spy.mockReturnValue(now);
+
+			// Act
+			metrics.recordPublish(eventName);
+
+			// Assert
+			expect(metrics.getEventStats(eventName)).toEqual({
+				published: 3,
+				perMinute: 2,
+			});
+		});
+	});
+
+	describe('#trackDispatch', () => {
+		it('should count dispatches until they settle.', async () => {
+			// Arrange
+			let resolve;
+			const dispatch = new Promise(r => {
+				resolve = r;
+			});
+
+			// Act
+			metrics.trackDispatch('module', dispatch);
+			const pending = metrics.getPendingDispatches('module');
+			resolve();
+			await dispatch;
+
+			// Assert
+			expect(pending).toBe(1);
+			expect(metrics.getPendingDispatches('module')).toBe(0);
+		});
+	});
+
+	describe('.toPrometheus', () => {
+		it('should format statistics in Prometheus text format.', () => {
+			// Arrange
+			metrics.recordInvocation(actionName, 5, false);
+			const stats = {
+				actions: { [actionName]: metrics.getActionStats(actionName) },
+				events: { [eventName]: { published: 2, perMinute: 0, subscribers: 1 } },
+				channels: { module: { type: 'ipcSocket', pending: 0, queued: 3 } },
+			};
+
+			// Act
+			const text = BusMetrics.toPrometheus(stats);
+
+			// Assert
+			expect(text).toContain(
+				'# TYPE lisk_bus_action_duration_seconds histogram'
+			);
+			expect(text).toContain(
+				'lisk_bus_action_invocations_total{action="module:action"} 1'
+			);
+			expect(text).toContain(
+				'lisk_bus_action_duration_seconds_bucket{action="module:action",le="0.01"} 1'
+			);
+			expect(text).toContain(
+				'lisk_bus_action_duration_seconds_bucket{action="module:action",le="+Inf"} 1'
+			);
+			expect(text).toContain(
+				'lisk_bus_event_published_total{event="module:event"} 2'
+			);
+			expect(text).toContain(
+				'lisk_bus_event_subscribers{event="module:event"} 1'
+			);
+			expect(text).toContain(
+				'lisk_bus_channel_queued_messages{module="module"} 3'
+			);
+		});
+	});
+});
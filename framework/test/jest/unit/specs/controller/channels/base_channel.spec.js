@@ -110,6 +110,32 @@ describe('Base Channel', () => {
 			// Assert
 			expect(baseChannel.actions).toEqual(params.actions);
 		});
+
+		it('base.schemas should contain schemas of actions and events defined with one', () => {
+			// Arrange
+			const handler = jest.fn();
+			const paramsSchema = { type: 'object' };
+			const dataSchema = { type: 'integer' };
+
+			// Act
+			baseChannel = new BaseChannel(
+				params.moduleAlias,
+				['event1', { name: 'event2', schema: dataSchema }],
+				{
+					action1: jest.fn(),
+					action2: { handler, schema: paramsSchema },
+				},
+				{ skipInternalEvents: true }
+			);
+
+			// Assert
+			expect(Event).toHaveBeenCalledWith(`${params.moduleAlias}:event2`);
+			expect(baseChannel.actions.action2).toBe(handler);
+			expect(baseChannel.schemas).toEqual({
+				actions: { action2: paramsSchema },
+				events: { event2: dataSchema },
+			});
+		});
 	});
 
 	describe('#registerToBus', () => {
@@ -3,6 +3,7 @@ const ChildProcessChannel = require('../../../../../../src/controller/channels/c
 const BaseChannel = require('../../../../../../src/controller/channels/base_channel');
 const Event = require('../../../../../../src/controller/event');
 const Action = require('../../../../../../src/controller/action');
+const { SchemaValidationError } = require('../../../../../../src/errors');
 
 jest.mock('eventemitter2');
 jest.mock('pm2-axon-rpc', () => ({
@@ -171,6 +172,32 @@ describe('ChildProcessChannel Channel', () => {
 				expect.any(Function)
 			);
 		});
+
+		it('should deliver buffered events before live events when since is given', async () => {
+			// Arrange
+			const eventName = 'otherModule:anEventName';
+			const cb = jest.fn();
+
+			// Act
+			childProcessChannel.subscribe(eventName, cb, { since: 0 });
+			const liveListener = childProcessChannel.subSocket.on.mock.calls.pop()[1];
+			liveListener('#LIVE');
+			const [
+				method,
+				name,
+				since,
+				replay,
+			] = childProcessChannel.busRpcClient.call.mock.calls[0];
+			replay(null, ['#BUFFERED']);
+
+			// Assert
+			expect([method, name, since]).toEqual([
+				'getBufferedEvents',
+				eventName,
+				0,
+			]);
+			expect(cb.mock.calls).toEqual([['#BUFFERED'], ['#LIVE']]);
+		});
 	});
 
 	describe('#once', () => {
@@ -252,6 +279,26 @@ describe('ChildProcessChannel Channel', () => {
 			);
 		});
 
+		it('should throw SchemaValidationError when data does not match the event schema', async () => {
+			// Arrange
+			const channelWithSchema = new ChildProcessChannel(
+				params.moduleAlias,
+				[{ name: params.events[0], schema: { type: 'integer' } }],
+				params.actions
+			);
+			jest.spyOn(channelWithSchema, 'setupSockets').mockResolvedValue();
+			await channelWithSchema.registerToBus(socketsPath);
+
+			// Act && Assert
+			expect(() =>
+				channelWithSchema.publish(validEventName, '#INVALID_DATA')
+			).toThrow(SchemaValidationError);
+			expect(channelWithSchema.localBus.emit).not.toHaveBeenCalledWith(
+				validEventName,
+				expect.objectContaining({ data: '#INVALID_DATA' })
+			);
+		});
+
 		it('should not call pubSocket.emit when eventList is empty', async () => {
 			// Arrange
 			const data = '#DATA';
@@ -357,7 +404,11 @@ describe('ChildProcessChannel Channel', () => {
 				childProcessChannel.moduleAlias,
 				childProcessChannel.eventsList.map(event => event.name),
 				childProcessChannel.actionsList.map(action => action.name),
-				{ type: 'ipcSocket', rpcSocketPath: childProcessChannel.rpcSocketPath },
+				{
+					type: 'ipcSocket',
+					rpcSocketPath: childProcessChannel.rpcSocketPath,
+					schemas: childProcessChannel.schemas,
+				},
 				expect.any(Function)
 			);
 		});
@@ -90,7 +90,11 @@ describe('InMemoryChannel Channel', () => {
 				inMemoryChannel.moduleAlias,
 				inMemoryChannel.eventsList.map(event => event.name),
 				inMemoryChannel.actionsList.map(action => action.name),
-				{ type: 'inMemory', channel: inMemoryChannel }
+				{
+					type: 'inMemory',
+					channel: inMemoryChannel,
+					schemas: inMemoryChannel.schemas,
+				}
 			);
 		});
 	});
@@ -142,6 +146,30 @@ describe('InMemoryChannel Channel', () => {
 		it.todo('write integration test to check if event is being listened');
 	});
 
+	describe('#cleanup', () => {
+		it('should unsubscribe all listeners of the channel from the bus', async () => {
+			// Arrange
+			const eventName = 'module:anEventName';
+			const event = new Event(eventName);
+			const cb = jest.fn();
+			await inMemoryChannel.registerToBus(bus);
+			inMemoryChannel.subscribe(eventName, cb);
+			const [[, listener]] = inMemoryChannel.bus.subscribe.mock.calls;
+
+			// Act
+			inMemoryChannel.cleanup();
+			listener(new Event(eventName, '#DATA').serialize());
+			await new Promise(resolve => setImmediate(resolve));
+
+			// Assert
+			expect(inMemoryChannel.bus.unsubscribe).toHaveBeenCalledWith(
+				event.key(),
+				listener
+			);
+			expect(cb).not.toHaveBeenCalled();
+		});
+	});
+
 	describe('#publish', () => {
 		it('should throw TypeError when eventName was not provided', () => {
 			// Assert
@@ -210,5 +238,24 @@ describe('InMemoryChannel Channel', () => {
 			// Assert
 			expect(inMemoryChannel.bus.invoke).toHaveBeenCalled();
 		});
+
+		it('should invoke the action with the trace id given in options', async () => {
+			// Arrange
+			const actionFullName = `aDifferentModule:${actionName}`;
+
+			// Act
+			await inMemoryChannel.registerToBus(bus);
+			await inMemoryChannel.invoke(actionFullName, null, {
+				traceId: '#TRACE',
+				timeout: 100,
+			});
+
+			// Assert
+			expect(inMemoryChannel.bus.invoke).toHaveBeenCalledWith(
+				expect.objectContaining({ traceId: '#TRACE' }),
+				{ timeout: 100 },
+				inMemoryChannel.moduleAlias
+			);
+		});
 	});
 });
@@ -0,0 +1,77 @@
+const RemoteChannel = require('../../../../../../src/controller/channels/remote_channel');
+const ChildProcessChannel = require('../../../../../../src/controller/channels/child_process_channel');
+
+jest.mock('eventemitter2');
+jest.mock('pm2-axon');
+jest.mock('pm2-axon-rpc');
+jest.mock('../../../../../../src/controller/channels/child_process');
+
+describe('RemoteChannel Channel', () => {
+	// Arrange
+	const params = {
+		moduleAlias: 'moduleAlias',
+		events: ['event1'],
+		actions: {
+			action1: jest.fn(),
+		},
+		options: {
+			rpcAddress: 'tcp://indexer.internal:5020',
+		},
+	};
+
+	let remoteChannel;
+
+	beforeEach(() => {
+		remoteChannel = new RemoteChannel(
+			params.moduleAlias,
+			params.events,
+			params.actions,
+			params.options
+		);
+	});
+
+	describe('inheritance', () => {
+		it('should be extended from ChildProcessChannel and register as remote.', () => {
+			expect(RemoteChannel.prototype).toBeInstanceOf(ChildProcessChannel);
+			expect(RemoteChannel.type).toBe('remote');
+		});
+	});
+
+	describe('#constructor', () => {
+		it('should throw when module has actions and no rpcAddress was provided.', () => {
+			expect(
+				() =>
+					new RemoteChannel(params.moduleAlias, params.events, params.actions)
+			).toThrow(
+				'Remote module "moduleAlias" with actions requires rpcAddress option.'
+			);
+		});
+
+		it('should not require rpcAddress when module has no actions.', () => {
+			expect(
+				() => new RemoteChannel(params.moduleAlias, params.events, {})
+			).not.toThrow();
+		});
+	});
+
+	describe('rpc socket addresses', () => {
+		it('should advertise and bind to rpcAddress.', () => {
+			expect(remoteChannel._getRpcSocketPath()).toBe(params.options.rpcAddress);
+			expect(remoteChannel._getRpcBindPath()).toBe(params.options.rpcAddress);
+		});
+
+		it('should bind to rpcBindAddress when provided.', () => {
+			// Arrange
+			remoteChannel = new RemoteChannel(
+				params.moduleAlias,
+				params.events,
+				params.actions,
+				{ ...params.options, rpcBindAddress: 'tcp://0.0.0.0:5020' }
+			);
+
+			// Assert
+			expect(remoteChannel._getRpcSocketPath()).toBe(params.options.rpcAddress);
+			expect(remoteChannel._getRpcBindPath()).toBe('tcp://0.0.0.0:5020');
+		});
+	});
+});
@@ -1,7 +1,14 @@
 const fs = require('fs-extra');
+const childProcess = require('child_process');
 const Controller = require('../../../../../src/controller/controller');
 const Bus = require('../../../../../src/controller/bus');
 const InMemoryChannel = require('../../../../../src/controller/channels/in_memory_channel');
+const { validate } = require('../../../../../src/controller/helpers/validator');
+const { ModuleDependencyError } = require('../../../../../src/errors');
+const {
+	getLogLevels,
+	setLogLevels,
+} = require('../../../../../src/components/logger/log_levels');
 
 jest.mock('fs-extra');
 jest.mock('../../../../../src/controller/bus');
@@ -45,7 +52,7 @@ describe('Controller Class', () => {
 
 	afterEach(async () => {
 		// Act
-		controller.cleanup();
+		await controller.cleanup();
 	});
 
 	describe('#constructor', () => {
@@ -58,6 +65,31 @@ describe('Controller Class', () => {
 			expect(controller.channel).toBeNull();
 			expect(controller.bus).toBeNull();
 		});
+
+		it('should use TCP addresses for bus sockets when ipc transport is tcp.', () => {
+			// Act
+			controller = new Controller(
+				appLabel,
+				{
+					...config,
+					ipc: {
+						enabled: true,
+						transport: 'tcp',
+						host: '0.0.0.0',
+						ports: { pub: 5010, sub: 5011, rpc: 5012 },
+					},
+				},
+				logger
+			);
+
+			// Assert
+			expect(controller.config.socketsPath).toEqual({
+				root: `unix://${systemDirs.sockets}`,
+				pub: 'tcp://0.0.0.0:5010',
+				sub: 'tcp://0.0.0.0:5011',
+				rpc: 'tcp://0.0.0.0:5012',
+			});
+		});
 	});
 
 	describe('#load', () => {
@@ -151,8 +183,11 @@ describe('Controller Class', () => {
 
 	describe('#_setupBus', () => {
 		beforeEach(async () => {
+			// Arrange
+			await controller._initState();
+
 			// Act
-			controller._setupBus();
+			await controller._setupBus();
 		});
 
 		it('should set created `Bus` instance to `controller.bus` property.', () => {
@@ -196,6 +231,19 @@ describe('Controller Class', () => {
 			expect(controller.bus.setup).toHaveBeenCalled();
 		});
 
+		it.each(['loadModule', 'unloadModule', 'reloadModule'])(
+			'should declare `moduleAlias` as required param of `%s` action.',
+			actionName => {
+				// Arrange
+				const { schema } = InMemoryChannel.mock.calls[0][2][actionName];
+
+				// Assert
+				expect(() => validate(schema, undefined)).toThrow();
+				expect(() => validate(schema, {})).toThrow();
+				expect(() => validate(schema, { moduleAlias: 'chain' })).not.toThrow();
+			}
+		);
+
 		it.todo('should log events if level is greater than info.');
 	});
 
@@ -235,6 +283,59 @@ describe('Controller Class', () => {
 		});
 	});
 
+	describe('#_loadModules with dependencies', () => {
+		it('should load modules after the modules they depend on', async () => {
+			// Arrange
+			const spy = jest
+				.spyOn(controller, '_loadInMemoryModule')
+				.mockResolvedValue('');
+			const modules = {
+				dependent: {
+					info: { version: '1.0.0' },
+					dependencies: { dependency: '^1.0.0' },
+				},
+				dependency: { info: { version: '1.2.0' } },
+			};
+			const moduleOptions = { dependent: {}, dependency: {} };
+
+			// Act
+			await controller._loadModules(modules, moduleOptions);
+
+			// Assert
+			expect(spy).toHaveBeenNthCalledWith(
+				1,
+				'dependency',
+				modules.dependency,
+				moduleOptions.dependency
+			);
+			expect(spy).toHaveBeenNthCalledWith(
+				2,
+				'dependent',
+				modules.dependent,
+				moduleOptions.dependent
+			);
+		});
+
+		it('should not load any module if dependencies can not be satisfied', async () => {
+			// Arrange
+			const spy = jest
+				.spyOn(controller, '_loadInMemoryModule')
+				.mockResolvedValue('');
+			const modules = {
+				dependent: {
+					info: { version: '1.0.0' },
+					dependencies: { missing: '^1.0.0' },
+				},
+			};
+
+			// Act && Assert
+			await expect(
+				controller._loadModules(modules, { dependent: {} })
+			).rejects.toBeInstanceOf(ModuleDependencyError);
+			expect(spy).not.toHaveBeenCalled();
+		});
+	});
+
 	describe('#_loadInMemoryModule', () => {
 		it.todo('should call validateModuleSpec function.');
 
@@ -278,16 +379,16 @@ describe('Controller Class', () => {
 			};
 		});
 
-		it('should unload modules in sequence', async () => {
+		it('should unload modules in reverse order of loading', async () => {
 			// Act
 			await controller.unloadModules();
 
 			// Assert
-			expect(stubs.dummyModuleUnload1).toHaveBeenCalled();
+			expect(stubs.dummyModuleUnload3).toHaveBeenCalled();
 			expect(stubs.dummyModuleUnload2).toHaveBeenCalledAfter(
-				stubs.dummyModuleUnload1
+				stubs.dummyModuleUnload3
 			);
-			expect(stubs.dummyModuleUnload3).toHaveBeenCalledAfter(
+			expect(stubs.dummyModuleUnload1).toHaveBeenCalledAfter(
 				stubs.dummyModuleUnload2
 			);
 		});
@@ -312,4 +413,365 @@ describe('Controller Class', () => {
 			});
 		});
 	});
+
+	describe('#_loadChildProcessModule', () => {
+		class ChildModule {
+			static get alias() {
+				return 'childModule';
+			}
+
+			static get info() {
+				return { name: 'child', author: 'author', version: '1.0.0' };
+			}
+
+			constructor() {
+				this.defaults = {};
+				this.events = [];
+				this.actions = {};
+				this.load = jest.fn();
+				this.unload = jest.fn();
+			}
+		}
+
+		beforeEach(() => {
+			jest.useFakeTimers();
+			jest.spyOn(childProcess, 'fork').mockReturnValue({
+				send: jest.fn(),
+				on: jest.fn(),
+				removeAllListeners: jest.fn(),
+				kill: jest.fn(),
+			});
+			controller.bus = {
+				authorize: jest.fn(),
+				once: jest.fn(),
+				unsubscribe: jest.fn(),
+			};
+		});
+
+		afterEach(() => {
+			childProcess.fork.mockRestore();
+			jest.useRealTimers();
+		});
+
+		it('should resolve and remove the listener when the module finished loading.', async () => {
+			// Act
+			const loading = controller._loadChildProcessModule(
+				'childModule',
+				ChildModule,
+				{}
+			);
+			const [[eventName, listener]] = controller.bus.once.mock.calls;
+			listener();
+			await loading;
+
+			// Assert
+			expect(eventName).toBe('childModule:loading:finished');
+			expect(controller.bus.unsubscribe).toHaveBeenCalledWith(
+				eventName,
+				listener
+			);
+		});
+
+		it('should reject with an error and remove the listener when the module does not finish loading in time.', async () => {
+			// Act
+			const loading = controller._loadChildProcessModule(
+				'childModule',
+				ChildModule,
+				{}
+			);
+			jest.advanceTimersByTime(2000);
+
+			// Assert
+			await expect(loading).rejects.toThrow(
+				'Module childModule did not finish loading within 2000ms.'
+			);
+			const [[eventName, listener]] = controller.bus.once.mock.calls;
+			expect(controller.bus.unsubscribe).toHaveBeenCalledWith(
+				eventName,
+				listener
+			);
+		});
+	});
+
+	describe('#_onChildProcessExit', () => {
+		const Klass = {
+			alias: 'childModule',
+			info: { name: 'child', version: '1.0.0' },
+		};
+		const child = {
+			on: jest.fn(),
+			removeAllListeners: jest.fn(),
+			kill: jest.fn(),
+		};
+		let supervisor;
+
+		beforeEach(() => {
+			logger.warn = jest.fn();
+			controller.bus = { unregisterChannel: jest.fn() };
+			controller.channel = { publish: jest.fn() };
+			controller.childProcesses = { childModule: child };
+			supervisor = {
+				restarts: 1,
+				shouldRestart: jest.fn().mockReturnValue(true),
+				scheduleRestart: jest.fn().mockReturnValue(0),
+			};
+			controller.supervisors = { childModule: supervisor };
+			jest.spyOn(controller, '_loadChildProcessModule').mockResolvedValue();
+		});
+
+		it('should unregister the module channel and publish `app:module:crashed` event.', async () => {
+			// Act
+			await controller._onChildProcessExit(
+				{ alias: 'childModule', Klass, options: {}, child },
+				1,
+				null
+			);
+
+			// Assert
+			expect(controller.childProcesses).toEqual({});
+			expect(controller.bus.unregisterChannel).toHaveBeenCalledWith(
+				'childModule'
+			);
+			expect(controller.channel.publish).toHaveBeenCalledWith(
+				'app:module:crashed',
+				{ moduleAlias: 'childModule', code: 1, signal: null }
+			);
+		});
+
+		it('should load the module again and publish `app:module:restarted` event.', async () => {
+			// Arrange
+			const options = { loadAsChildProcess: true };
+
+			// Act
+			await controller._onChildProcessExit(
+				{ alias: 'childModule', Klass, options, child },
+				1,
+				null
+			);
+
+			// Assert
+			expect(controller._loadChildProcessModule).toHaveBeenCalledWith(
+				'childModule',
+				Klass,
+				options
+			);
+			expect(controller.channel.publish).toHaveBeenCalledWith(
+				'app:module:restarted',
+				{ moduleAlias: 'childModule', restarts: 1 }
+			);
+		});
+
+		it('should kill the restarted child process when it fails to load, so the failure counts as a restart.', async () => {
+			// Arrange
+			const restartedChild = {
+				on: jest.fn(),
+				removeAllListeners: jest.fn(),
+				kill: jest.fn(),
+			};
+			controller._loadChildProcessModule.mockImplementation(async () => {
+				controller.childProcesses.childModule = restartedChild;
+				throw new Error('Module childModule did not finish loading');
+			});
+
+			// Act
+			await controller._onChildProcessExit(
+				{ alias: 'childModule', Klass, options: {}, child },
+				1,
+				null
+			);
+
+			// Assert
+			expect(restartedChild.kill).toHaveBeenCalledWith('SIGKILL');
+			expect(logger.error).toHaveBeenCalledWith(
+				'Failed to restart module childModule(child:1.0.0)',
+				expect.any(Error)
+			);
+			expect(controller.channel.publish).not.toHaveBeenCalledWith(
+				'app:module:restarted',
+				expect.anything()
+			);
+		});
+
+		it('should not restart the module which exited cleanly when policy does not allow it.', async () => {
+			// Arrange
+			supervisor.shouldRestart.mockReturnValue(false);
+
+			// Act
+			await controller._onChildProcessExit(
+				{ alias: 'childModule', Klass, options: {}, child },
+				0,
+				null
+			);
+
+			// Assert
+			expect(controller._loadChildProcessModule).not.toHaveBeenCalled();
+			expect(logger.warn).toHaveBeenCalled();
+		});
+	});
+
+	describe('#loadModule', () => {
+		const dependency = { info: { version: '1.0.0' } };
+		const dependent = {
+			info: { version: '1.0.0' },
+			dependencies: { dependency: '^1.0.0' },
+		};
+
+		beforeEach(() => {
+			controller.channel = { publish: jest.fn() };
+			controller.registeredModules = { dependency, dependent };
+			controller.moduleOptions = { dependency: {}, dependent: {} };
+			jest.spyOn(controller, '_loadInMemoryModule').mockResolvedValue();
+		});
+
+		it('should load the module and publish `app:module:loaded` and `app:ready` events.', async () => {
+			// Arrange
+			controller.modules = { dependency: {} };
+
+			// Act
+			await controller.loadModule('dependent');
+
+			// Assert
+			expect(controller._loadInMemoryModule).toHaveBeenCalledWith(
+				'dependent',
+				dependent,
+				controller.moduleOptions.dependent
+			);
+			expect(controller.channel.publish).toHaveBeenCalledWith(
+				'app:module:loaded',
+				{ moduleAlias: 'dependent' }
+			);
+			expect(controller.channel.publish).toHaveBeenLastCalledWith('app:ready');
+		});
+
+		it('should throw error if module is already loaded.', async () => {
+			// Arrange
+			controller.modules = { dependency: {} };
+
+			// Act && Assert
+			await expect(controller.loadModule('dependency')).rejects.toThrow(
+				'Module "dependency" is already loaded.'
+			);
+		});
+
+		it('should throw ModuleDependencyError if dependency is not loaded.', async () => {
+			// Act && Assert
+			await expect(controller.loadModule('dependent')).rejects.toBeInstanceOf(
+				ModuleDependencyError
+			);
+			expect(controller._loadInMemoryModule).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('#unloadModule', () => {
+		const dependency = { info: { version: '1.0.0' } };
+		const dependent = {
+			info: { version: '1.0.0' },
+			dependencies: { dependency: '^1.0.0' },
+		};
+		let module;
+		let channel;
+
+		beforeEach(() => {
+			module = { unload: jest.fn().mockResolvedValue() };
+			channel = { publish: jest.fn(), cleanup: jest.fn() };
+			controller.bus = { unregisterChannel: jest.fn() };
+			controller.channel = { publish: jest.fn() };
+			controller.registeredModules = { dependency, dependent };
+			controller.modules = { dependency: module };
+			controller.moduleChannels = { dependency: channel };
+		});
+
+		it('should unload the module and remove it from the bus.', async () => {
+			// Act
+			await controller.unloadModule('dependency');
+
+			// Assert
+			expect(channel.publish).toHaveBeenNthCalledWith(
+				1,
+				'dependency:unloading:started'
+			);
+			expect(module.unload).toHaveBeenCalled();
+			expect(channel.publish).toHaveBeenNthCalledWith(
+				2,
+				'dependency:unloading:finished'
+			);
+			expect(channel.cleanup).toHaveBeenCalled();
+			expect(controller.bus.unregisterChannel).toHaveBeenCalledWith(
+				'dependency'
+			);
+			expect(controller.modules).toEqual({});
+			expect(controller.channel.publish).toHaveBeenCalledWith(
+				'app:module:unloaded',
+				{ moduleAlias: 'dependency' }
+			);
+		});
+
+		it('should stop the child process of the module without restarting it.', async () => {
+			// Arrange
+			const child = {
+				removeAllListeners: jest.fn(),
+				once: jest.fn((event, cb) => cb()),
+				send: jest.fn(),
+			};
+			controller.modules = {};
+			controller.childProcesses = { dependency: child };
+
+			// Act
+			await controller.unloadModule('dependency');
+
+			// Assert
+			expect(child.removeAllListeners).toHaveBeenCalledWith('exit');
+			expect(child.send).toHaveBeenCalledWith({ unloadModule: true });
+			expect(controller.childProcesses).toEqual({});
+			expect(controller.bus.unregisterChannel).toHaveBeenCalledWith(
+				'dependency'
+			);
+		});
+
+		it('should throw ModuleDependencyError if a loaded module depends on it.', async () => {
+			// Arrange
+			controller.modules.dependent = {};
+
+			// Act && Assert
+			await expect(
+				controller.unloadModule('dependency')
+			).rejects.toBeInstanceOf(ModuleDependencyError);
+			expect(module.unload).not.toHaveBeenCalled();
+		});
+
+		it('should throw error if module is not loaded.', async () => {
+			// Act && Assert
+			await expect(controller.unloadModule('dependent')).rejects.toThrow(
+				'Module "dependent" is not loaded.'
+			);
+		});
+	});
+
+	describe('#setLogLevel', () => {
+		beforeEach(() => {
+			controller.channel = { publish: jest.fn() };
+		});
+
+		afterEach(() => {
+			setLogLevels({});
+		});
+
+		it('should change log levels of the process and publish `app:logLevel:changed` event.', () => {
+			// Arrange
+			const levels = { module: 'chain.loader', fileLogLevel: 'trace' };
+
+			// Act
+			const result = controller.setLogLevel(levels);
+
+			// Assert
+			expect(result).toEqual({
+				modules: { 'chain.loader': { fileLogLevel: 'trace' } },
+			});
+			expect(getLogLevels()).toEqual(result);
+			expect(controller.channel.publish).toHaveBeenCalledWith(
+				'app:logLevel:changed',
+				levels
+			);
+		});
+	});
 });
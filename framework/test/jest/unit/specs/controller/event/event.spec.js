@@ -1,4 +1,7 @@
 const Event = require('../../../../../../src/controller/event');
+const {
+	runWithTraceId,
+} = require('../../../../../../src/controller/helpers/trace');
 const {
 	EVENT_NAME,
 	MODULE_NAME,
@@ -41,6 +44,20 @@ describe('Event Class', () => {
 		});
 	});
 
+	describe('#constructor with trace', () => {
+		it('should take trace id of the current trace.', () => {
+			// Act
+			const event = runWithTraceId(
+				'#TRACE',
+				() => new Event(VALID_EVENT_NAME_ARG)
+			);
+
+			// Assert
+			expect(event.traceId).toBe('#TRACE');
+			expect(Event.deserialize(event.serialize()).traceId).toBe('#TRACE');
+		});
+	});
+
 	describe('methods', () => {
 		let event;
 		beforeEach(() => {
@@ -0,0 +1,150 @@
+const {
+	resolveInvokeOptions,
+	invokeWithPolicy,
+} = require('../../../../../../src/controller/helpers/invoke');
+const {
+	ActionTimeoutError,
+	ActionCancelledError,
+} = require('../../../../../../src/errors');
+
+describe('helpers/invoke.js', () => {
+	const actionName = 'module:action';
+
+	describe('resolveInvokeOptions()', () => {
+		const config = {
+			timeout: 1000,
+			retry: { attempts: 0, delay: 100 },
+			actions: {
+				[actionName]: { timeout: 500, retry: { attempts: 2 } },
+			},
+		};
+
+		it('should use the default policy for actions without configuration', () => {
+			// Act
+			const options = resolveInvokeOptions(config, 'module:other');
+
+			// Assert
+			expect(options).toEqual({
+				timeout: 1000,
+				retry: { attempts: 0, delay: 100 },
+				cancel: undefined,
+			});
+		});
+
+		it('should override the default policy with the action configuration', () => {
+			// Act
+			const options = resolveInvokeOptions(config, actionName);
+
+			// Assert
+			expect(options.timeout).toBe(500);
+			expect(options.retry).toEqual({ attempts: 2, delay: 100 });
+		});
+
+		it('should override the configuration with per call options', () => {
+			// Arrange
+			const cancel = new Promise(() => {});
+
+			// Act
+			const options = resolveInvokeOptions(config, actionName, {
+				timeout: 0,
+				retry: { delay: 10 },
+				cancel,
+			});
+
+			// Assert
+			expect(options).toEqual({
+				timeout: 0,
+				retry: { attempts: 2, delay: 10 },
+				cancel,
+			});
+		});
+
+		it('should not set a timeout when configuration is missing', () => {
+			// Act
+			const options = resolveInvokeOptions(undefined, actionName);
+
+			// Assert
+			expect(options.timeout).toBeUndefined();
+		});
+	});
+
+	describe('invokeWithPolicy()', () => {
+		const never = () => new Promise(() => {});
+
+		it('should resolve with the result of the function', async () => {
+			// Act & Assert
+			await expect(
+				invokeWithPolicy(async () => '#RESULT', actionName, { timeout: 10 })
+			).resolves.toBe('#RESULT');
+		});
+
+		it('should reject with the error of the function without retrying', async () => {
+			// Arrange
+			const error = new Error('#ERROR');
+			const fn = jest.fn().mockRejectedValue(error);
+
+			// Act & Assert
+			await expect(
+				invokeWithPolicy(fn, actionName, { retry: { attempts: 3 } })
+			).rejects.toBe(error);
+			expect(fn).toHaveBeenCalledTimes(1);
+		});
+
+		it('should reject with ActionTimeoutError when function does not respond in time', async () => {
+			// Act & Assert
+			await expect(
+				invokeWithPolicy(never, actionName, { timeout: 10 })
+			).rejects.toBeInstanceOf(ActionTimeoutError);
+		});
+
+		it('should retry timed out attempts with backoff', async () => {
+			// Arrange
+			const fn = jest
+				.fn()
+				.mockImplementationOnce(never)
+				.mockImplementationOnce(never)
+				.mockResolvedValue('#RESULT');
+
+			// Act
+			const result = await invokeWithPolicy(fn, actionName, {
+				timeout: 10,
+				retry: { attempts: 2, delay: 1 },
+			});
+
+			// Assert
+			expect(result).toBe('#RESULT');
+			expect(fn).toHaveBeenCalledTimes(3);
+		});
+
+		it('should reject with ActionTimeoutError when retries are exhausted', async () => {
+			// Arrange
+			const fn = jest.fn().mockImplementation(never);
+
+			// Act & Assert
+			await expect(
+				invokeWithPolicy(fn, actionName, {
+					timeout: 10,
+					retry: { attempts: 1, delay: 1 },
+				})
+			).rejects.toBeInstanceOf(ActionTimeoutError);
+			expect(fn).toHaveBeenCalledTimes(2);
+		});
+
+		it('should reject with ActionCancelledError when cancel promise settles', async () => {
+			// Arrange
+			let cancel;
+			const cancelled = new Promise(resolve => {
+				cancel = resolve;
+			});
+
+			// Act
+			const result = invokeWithPolicy(never, actionName, {
+				cancel: cancelled,
+			});
+			cancel();
+
+			// Assert
+			await expect(result).rejects.toBeInstanceOf(ActionCancelledError);
+		});
+	});
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axon = require('pm2-axon');
+const { Server: RPCServer, Client: RPCClient } = require('pm2-axon-rpc');
+const {
+	isTcpAddress,
+	bindSocket,
+	connectSocket,
+	getMessageIdentity,
+} = require('../../../../../../src/controller/helpers/ipc_transport');
+
+// Sockets are exchanging messages over loopback interface
+jest.unmock('pm2-axon');
+
+describe('helpers/ipc_transport.js', () => {
+	const token = 'a-token-of-16-chars';
+
+	describe('isTcpAddress', () => {
+		it('should return true for tcp:// addresses.', () => {
+			expect(isTcpAddress('tcp://127.0.0.1:5010')).toBe(true);
+			expect(isTcpAddress('unix:///tmp/lisk_pub.sock')).toBe(false);
+		});
+	});
+
+	describe('unix sockets', () => {
+		it('should bind and connect axon socket as it is.', () => {
+			// Arrange
+			const socket = { bind: jest.fn(), connect: jest.fn() };
+
+			// Act
+			bindSocket(socket, 'unix:///tmp/lisk_pub.sock', { token });
+			connectSocket(socket, 'unix:///tmp/lisk_sub.sock', { token });
+
+			// Assert
+			expect(socket.bind).toHaveBeenCalledWith('unix:///tmp/lisk_pub.sock');
+			expect(socket.connect).toHaveBeenCalledWith('unix:///tmp/lisk_sub.sock');
+		});
+	});
+
+	describe('unix sockets with authentication', () => {
+		const moduleToken = 'a-module-token-value';
+		let directory;
+		let repSocket;
+		let reqSocket;
+		let address;
+
+		beforeEach(async () => {
+			directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-ipc-'));
+			address = `unix://${directory}/rpc.sock`;
+
+			repSocket = axon.socket('rep');
+			const server = new RPCServer(repSocket);
+			server.expose('whoami', cb => cb(null, getMessageIdentity(repSocket)));
+
+			bindSocket(
+				repSocket,
+				address,
+				{},
+				received => (received === moduleToken ? { moduleAlias: 'alias' } : null)
+			);
+			await new Promise(resolve => repSocket.once('bind', resolve));
+
+			reqSocket = axon.socket('req');
+		});
+
+		afterEach(() => {
+			reqSocket.close();
+			repSocket.close();
+			fs.rmdirSync(directory);
+		});
+
+		it('should identify messages with the identity of the connection they were received from.', async () => {
+			// Arrange
+			const client = new RPCClient(reqSocket);
+
+			// Act
+			connectSocket(reqSocket, address, {}, moduleToken);
+			const identity = await new Promise((resolve, reject) =>
+				client.call(
+					'whoami',
+					(err, data) => (err ? reject(err) : resolve(data))
+				)
+			);
+
+			// Assert
+			expect(identity).toEqual({ moduleAlias: 'alias' });
+			expect(getMessageIdentity(repSocket)).toBeNull();
+		});
+
+		it('should close connection of client with unknown token.', async () => {
+			// Arrange
+			reqSocket.set('retry timeout', 0);
+			const connected = jest.fn();
+			reqSocket.on('connect', connected);
+
+			// Act
+			connectSocket(reqSocket, address, {}, 'another-token-value');
+			await new Promise(resolve => reqSocket.once('close', resolve));
+
+			// Assert
+			expect(connected).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('tcp sockets', () => {
+		let repSocket;
+		let reqSocket;
+		let address;
+
+		beforeEach(async () => {
+			repSocket = axon.socket('rep');
+			const server = new RPCServer(repSocket);
+			server.expose('double', (value, cb) => cb(null, value * 2));
+
+			bindSocket(repSocket, 'tcp://127.0.0.1:0', { token });
+			await new Promise(resolve => repSocket.once('bind', resolve));
+			address = `tcp://127.0.0.1:${repSocket.server.address().port}`;
+
+			reqSocket = axon.socket('req');
+		});
+
+		afterEach(() => {
+			reqSocket.close();
+			repSocket.close();
+		});
+
+		it('should throw when no token is configured.', () => {
+			expect(() => bindSocket(axon.socket('rep'), address, {})).toThrow(
+				'IPC over TCP requires a token to authenticate sockets.'
+			);
+			expect(() => connectSocket(reqSocket, address)).toThrow(
+				'IPC over TCP requires a token to authenticate sockets.'
+			);
+		});
+
+		it('should throw when TLS is not configured for a non-loopback host.', () => {
+			expect(() =>
+				bindSocket(axon.socket('rep'), 'tcp://0.0.0.0:5010', { token })
+			).toThrow('IPC over TCP on non-loopback host 0.0.0.0 requires TLS.');
+			expect(() =>
+				connectSocket(reqSocket, 'tcp://10.0.0.1:5010', { token })
+			).toThrow('IPC over TCP on non-loopback host 10.0.0.1 requires TLS.');
+		});
+
+		it('should exchange messages when client sent the same token.', async () => {
+			// Arrange
+			const client = new RPCClient(reqSocket);
+
+			// Act
+			connectSocket(reqSocket, address, { token });
+			const result = await new Promise((resolve, reject) =>
+				client.call(
+					'double',
+					21,
+					(err, data) => (err ? reject(err) : resolve(data))
+				)
+			);
+
+			// Assert
+			expect(result).toBe(42);
+		});
+
+		it('should close connection of client with different token.', async () => {
+			// Arrange
+			reqSocket.set('retry timeout', 0);
+			const connected = jest.fn();
+			reqSocket.on('connect', connected);
+
+			// Act
+			connectSocket(reqSocket, address, { token: 'another-token-value' });
+			await new Promise(resolve => reqSocket.once('close', resolve));
+
+			// Assert
+			expect(connected).not.toHaveBeenCalled();
+		});
+	});
+});
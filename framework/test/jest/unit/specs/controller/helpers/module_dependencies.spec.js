@@ -0,0 +1,78 @@
+const sortModulesByDependencies = require('../../../../../../src/controller/helpers/module_dependencies');
+const { ModuleDependencyError } = require('../../../../../../src/errors');
+
+describe('helpers/module_dependencies.js', () => {
+	const createModule = (version, dependencies) => ({
+		info: { version },
+		dependencies,
+	});
+
+	it('should keep registration order of modules without dependencies.', () => {
+		// Arrange
+		const modules = {
+			first: createModule('1.0.0'),
+			second: createModule('1.0.0'),
+		};
+
+		// Act && Assert
+		expect(sortModulesByDependencies(modules)).toEqual(['first', 'second']);
+	});
+
+	it('should sort modules after the modules they depend on.', () => {
+		// Arrange
+		const modules = {
+			api: createModule('1.0.0', { chain: '^1.0.0', indexer: '~2.1.0' }),
+			indexer: createModule('2.1.3', { chain: '>=1.0.0' }),
+			chain: createModule('1.4.0'),
+		};
+
+		// Act && Assert
+		expect(sortModulesByDependencies(modules)).toEqual([
+			'chain',
+			'indexer',
+			'api',
+		]);
+	});
+
+	it('should throw ModuleDependencyError when dependency is not registered.', () => {
+		// Arrange
+		const modules = {
+			api: createModule('1.0.0', { chain: '^1.0.0' }),
+		};
+
+		// Act && Assert
+		expect(() => sortModulesByDependencies(modules)).toThrow(
+			new ModuleDependencyError(
+				'api',
+				'Module "api" depends on "chain" which is not registered.'
+			)
+		);
+	});
+
+	it('should throw ModuleDependencyError when dependency version does not satisfy the range.', () => {
+		// Arrange
+		const modules = {
+			api: createModule('1.0.0', { chain: '^2.0.0' }),
+			chain: createModule('1.4.0'),
+		};
+
+		// Act && Assert
+		expect(() => sortModulesByDependencies(modules)).toThrow(
+			'Module "api" depends on "chain@^2.0.0" but version 1.4.0 is registered.'
+		);
+	});
+
+	it('should throw ModuleDependencyError when dependencies are circular.', () => {
+		// Arrange
+		const modules = {
+			first: createModule('1.0.0', { second: '*' }),
+			second: createModule('1.0.0', { third: '*' }),
+			third: createModule('1.0.0', { first: '*' }),
+		};
+
+		// Act && Assert
+		expect(() => sortModulesByDependencies(modules)).toThrow(
+			'Circular dependency between modules: first -> second -> third -> first.'
+		);
+	});
+});
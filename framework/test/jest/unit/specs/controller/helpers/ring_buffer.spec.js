@@ -0,0 +1,26 @@
+const RingBuffer = require('../../../../../../src/controller/helpers/ring_buffer');
+
+describe('helpers/ring_buffer.js', () => {
+	it('should return items from the oldest to the latest.', () => {
+		// Arrange
+		const buffer = new RingBuffer(3);
+
+		// Act
+		buffer.push(1);
+		buffer.push(2);
+
+		// Assert
+		expect(buffer.toArray()).toEqual([1, 2]);
+	});
+
+	it('should drop the oldest items when full.', () => {
+		// Arrange
+		const buffer = new RingBuffer(3);
+
+		// Act
+		[1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+
+		// Assert
+		expect(buffer.toArray()).toEqual([3, 4, 5]);
+	});
+});
@@ -0,0 +1,99 @@
+const {
+	enableAsyncTracing,
+	disableAsyncTracing,
+	generateTraceId,
+	getTraceId,
+	runWithTraceId,
+} = require('../../../../../../src/controller/helpers/trace');
+
+describe('helpers/trace.js', () => {
+	describe('generateTraceId()', () => {
+		it('should generate unique hex ids', () => {
+			// Act && Assert
+			expect(generateTraceId()).toMatch(/^[0-9a-f]{16}$/);
+			expect(generateTraceId()).not.toBe(generateTraceId());
+		});
+	});
+
+	describe('runWithTraceId()', () => {
+		it('should return the result of the function', () => {
+			// Act && Assert
+			expect(runWithTraceId('#TRACE', () => '#RESULT')).toBe('#RESULT');
+		});
+
+		it('should make trace id available while the function runs synchronously', async () => {
+			// Act
+			const traceIds = await runWithTraceId('#TRACE', async () => {
+				const beforeAwait = getTraceId();
+				await new Promise(resolve => setTimeout(resolve, 1));
+				return [beforeAwait, getTraceId()];
+			});
+
+			// Assert
+			expect(traceIds).toEqual(['#TRACE', undefined]);
+		});
+
+		it('should restore trace id of the outer run', () => {
+			// Act
+			const traceIds = runWithTraceId('#TRACE1', () => [
+				runWithTraceId('#TRACE2', () => getTraceId()),
+				getTraceId(),
+			]);
+
+			// Assert
+			expect(traceIds).toEqual(['#TRACE2', '#TRACE1']);
+		});
+
+		it('should not leak trace id out of the run', () => {
+			// Act
+			runWithTraceId('#TRACE', () => {});
+
+			// Assert
+			expect(getTraceId()).toBeUndefined();
+		});
+
+		describe('with async tracing enabled', () => {
+			beforeEach(() => {
+				enableAsyncTracing();
+			});
+
+			afterEach(() => {
+				disableAsyncTracing();
+			});
+
+			it('should make trace id available in asynchronous continuations', async () => {
+				// Act
+				const traceIds = await runWithTraceId('#TRACE', async () => {
+					const beforeAwait = getTraceId();
+					await new Promise(resolve => setTimeout(resolve, 1));
+					return [beforeAwait, getTraceId()];
+				});
+
+				// Assert
+				expect(traceIds).toEqual(['#TRACE', '#TRACE']);
+			});
+
+			it('should keep trace ids of concurrent runs apart', async () => {
+				// Arrange
+				const run = traceId =>
+					runWithTraceId(traceId, async () => {
+						await new Promise(resolve => setImmediate(resolve));
+						return getTraceId();
+					});
+
+				// Act && Assert
+				await expect(
+					Promise.all([run('#TRACE1'), run('#TRACE2')])
+				).resolves.toEqual(['#TRACE1', '#TRACE2']);
+			});
+
+			it('should not leak trace id out of the run', () => {
+				// Act
+				runWithTraceId('#TRACE', () => {});
+
+				// Assert
+				expect(getTraceId()).toBeUndefined();
+			});
+		});
+	});
+});
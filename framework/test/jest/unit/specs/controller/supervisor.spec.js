@@ -0,0 +1,101 @@
+const Supervisor = require('../../../../../src/controller/supervisor');
+
+describe('Supervisor', () => {
+	const moduleAlias = 'alias';
+
+	describe('#constructor', () => {
+		it('should use the default restart policy.', () => {
+			// Act
+			const supervisor = new Supervisor(moduleAlias);
+
+			// Assert
+			expect(supervisor.options).toEqual({
+				policy: 'on-failure',
+				maxRestarts: 5,
+				window: 60000,
+				delay: 1000,
+				factor: 2,
+				maxDelay: 30000,
+			});
+		});
+
+		it('should throw error if policy is unknown.', () => {
+			// Act && Assert
+			expect(
+				() => new Supervisor(moduleAlias, { policy: 'sometimes' })
+			).toThrow(
+				'Restart policy of module "alias" must be one of always, on-failure, never.'
+			);
+		});
+	});
+
+	describe('#shouldRestart', () => {
+		it('should not restart when policy is "never".', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, { policy: 'never' });
+
+			// Act && Assert
+			expect(supervisor.shouldRestart(1, null)).toBe(false);
+		});
+
+		it('should restart only failed module when policy is "on-failure".', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, { policy: 'on-failure' });
+
+			// Act && Assert
+			expect(supervisor.shouldRestart(0, null)).toBe(false);
+			expect(supervisor.shouldRestart(1, null)).toBe(true);
+			expect(supervisor.shouldRestart(null, 'SIGKILL')).toBe(true);
+		});
+
+		it('should restart exited module when policy is "always".', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, { policy: 'always' });
+
+			// Act && Assert
+			expect(supervisor.shouldRestart(0, null)).toBe(true);
+		});
+
+		it('should not restart more than maxRestarts times within the window.', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, { maxRestarts: 2 });
+
+			// Act
+			supervisor.scheduleRestart();
+			supervisor.scheduleRestart();
+
+			// Assert
+			expect(supervisor.shouldRestart(1, null)).toBe(false);
+		});
+
+		it('should not count restarts outside of the window.', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, {
+				maxRestarts: 1,
+				window: 1000,
+			});
+			supervisor.restartTimes = [Date.now() - 2000];
+
+			// Act && Assert
+			expect(supervisor.shouldRestart(1, null)).toBe(true);
+		});
+	});
+
+	describe('#scheduleRestart', () => {
+		it('should increase the delay for every restart within the window up to maxDelay.', () => {
+			// Arrange
+			const supervisor = new Supervisor(moduleAlias, {
+				delay: 100,
+				factor: 3,
+				maxDelay: 1000,
+			});
+
+			// Act
+			const delays = [1, 2, 3, 4].map(() => supervisor.scheduleRestart());
+
+			// Assert
+			expect(delays).toEqual([100, 300, 900, 1000]);
+			expect(supervisor.restarts).toBe(4);
+		});
+	});
+});
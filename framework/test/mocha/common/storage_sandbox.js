@@ -28,6 +28,7 @@ const {
 	Migration,
 	Peer,
 	Round,
+	Snapshot,
 	Transaction,
 } = require('../../../src/modules/chain/components/storage/entities');
 
@@ -91,6 +92,7 @@ class StorageSandbox extends Storage {
 		this.registerEntity('Migration', Migration);
 		this.registerEntity('Peer', Peer);
 		this.registerEntity('Round', Round);
+		this.registerEntity('Snapshot', Snapshot);
 
 		await this._createSchema();
 		return true;
@@ -66,6 +66,8 @@ const config = {
 			devConfigCopy.modules.chain.network.wsPort = 5000 + index;
 			devConfigCopy.modules.http_api.httpPort = 4000 + index;
 			devConfigCopy.components.logger.logFileName = `../logs/lisk_node_${index}.log`;
+			// Forging records are cleared with logs, as databases are recreated on each launch
+			devConfigCopy.modules.chain.forging.safetyFile = `test/mocha/network/logs/forging_safety_node_${index}.json`;
 			return devConfigCopy;
 		});
 
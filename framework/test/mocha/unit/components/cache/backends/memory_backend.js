@@ -0,0 +1,230 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const MemoryBackend = require('../../../../../../src/components/cache/backends/memory_backend');
+const {
+	createCacheComponent,
+	CACHE_KEYS_BLOCKS,
+} = require('../../../../../../src/components/cache');
+
+describe('components: cache: MemoryBackend', () => {
+	const logger = {
+		debug: () => {},
+		info: () => {},
+	};
+
+	let backend;
+
+	beforeEach(async () => {
+		backend = new MemoryBackend({ maxEntries: 3 }, logger);
+		return backend.connect();
+	});
+
+	afterEach(async () => {
+		sinonSandbox.restore();
+	});
+
+	it('should evict the least recently used entry when maxEntries is exceeded', async () => {
+		await backend.set('a', '1');
+		await backend.set('b', '2');
+		await backend.set('c', '3');
+		await backend.get('a');
+		await backend.set('d', '4');
+
+		expect(await backend.get('b')).to.be.null;
+		expect(await backend.get('a')).to.equal('1');
+		return expect(backend.entries.size).to.equal(3);
+	});
+
+	it('should evict entries when the size of keys and values exceeds maxSize', async () => {
+		backend = new MemoryBackend({ maxSize: 9 }, logger);
+		await backend.set('a', '1234');
+		await backend.set('b', '1234');
+		await backend.set('c', 'this value is too large');
+
+		expect(await backend.get('a')).to.be.null;
+		expect(await backend.get('b')).to.equal('1234');
+		expect(await backend.get('c')).to.be.null;
+		return expect(backend.size).to.equal(5);
+	});
+
+	it('should expire entries after ttl', async () => {
+		const clock = sinonSandbox.useFakeTimers(Date.now());
+		backend = new MemoryBackend({ ttl: 1000 }, logger);
+		await backend.set('a', '1');
+
+		clock.tick(999);
+		expect(await backend.get('a')).to.equal('1');
+		clock.tick(1);
+		return expect(await backend.get('a')).to.be.null;
+	});
+
+	it('should expire entries after ttl passed to set instead of ttl option', async () => {
+		const clock = sinonSandbox.useFakeTimers(Date.now());
+		backend = new MemoryBackend({ ttl: 1000 }, logger);
+		await backend.set('a', '1', 100);
+
+		clock.tick(100);
+		return expect(await backend.get('a')).to.be.null;
+	});
+
+	it('should delete entries tagged with any of the tags', async () => {
+		await backend.set('a', '1');
+		await backend.set('b', '2');
+		await backend.set('c', '3');
+		await backend.tag('a', ['address:1L']);
+		await backend.tag('b', ['address:1L', 'address:2L']);
+		await backend.tag('c', ['address:3L']);
+
+		await backend.delByTags(['address:2L', 'address:4L']);
+		expect([...backend.entries.keys()]).to.eql(['a', 'c']);
+		expect([...backend.tags.keys()]).to.eql(['address:1L', 'address:3L']);
+
+		await backend.delByTags(['address:1L']);
+		expect([...backend.entries.keys()]).to.eql(['c']);
+		return expect([...backend.tags.keys()]).to.eql(['address:3L']);
+	});
+
+	it('should delete keys matching glob-style patterns as redis does', async () => {
+		backend = new MemoryBackend({}, logger);
+		const keys = [
+			'/api/blocks?limit=10',
+			'/api/blocksAndMore',
+			'/api/delegates',
+			'/api/b',
+			'/api/c',
+			'transactionCount',
+		];
+		await Promise.all(keys.map(key => backend.set(key, '{}')));
+
+		await backend.delByPattern(CACHE_KEYS_BLOCKS);
+		expect([...backend.entries.keys()]).to.eql([
+			'/api/delegates',
+			'/api/b',
+			'/api/c',
+			'transactionCount',
+		]);
+
+		await backend.delByPattern('/api/[^b]');
+		expect([...backend.entries.keys()]).to.eql([
+			'/api/delegates',
+			'/api/b',
+			'transactionCount',
+		]);
+
+		await backend.delByPattern('transaction?ount');
+		return expect([...backend.entries.keys()]).to.eql([
+			'/api/delegates',
+			'/api/b',
+		]);
+	});
+
+	it('should return the number of deleted keys', async () => {
+		await backend.set('a', '1');
+		await backend.set('b', '2');
+
+		return expect(await backend.del(['a', 'b', 'c'])).to.equal(2);
+	});
+
+	describe('cache component with memory backend', () => {
+		let cache;
+
+		beforeEach(async () => {
+			cache = createCacheComponent(
+				{ enabled: true, backend: 'memory' },
+				logger
+			);
+			return cache.bootstrap();
+		});
+
+		it('should store values without a cache server', async () => {
+			await cache.setJsonForKey('/api/blocks', { height: 1 });
+
+			expect(cache.isReady()).to.be.true;
+			expect(cache.isShared()).to.be.false;
+			return expect(await cache.getJsonForKey('/api/blocks')).to.eql({
+				height: 1,
+			});
+		});
+
+		it('should remove entries by pattern and emit "invalidated" event', async () => {
+			const listener = sinonSandbox.stub();
+			cache.on('invalidated', listener);
+			await cache.setJsonForKey('/api/blocks?limit=1', {});
+
+			await cache.removeByPattern(CACHE_KEYS_BLOCKS);
+
+			expect(await cache.getJsonForKey('/api/blocks?limit=1')).to.be.null;
+			return expect(listener).to.be.calledWithExactly({
+				pattern: CACHE_KEYS_BLOCKS,
+			});
+		});
+
+		it('should remove entries by tags and emit "invalidated" event', async () => {
+			const listener = sinonSandbox.stub();
+			cache.on('invalidated', listener);
+			await cache.setJsonForKey('/api/transactions?senderId=1L', [], {
+				tags: ['address:1L'],
+			});
+			await cache.setJsonForKey('/api/transactions?senderId=2L', [], {
+				tags: ['address:2L'],
+			});
+
+			await cache.removeByTags(['address:1L']);
+
+			expect(await cache.getJsonForKey('/api/transactions?senderId=1L')).to.be
+				.null;
+			expect(await cache.getJsonForKey('/api/transactions?senderId=2L')).to.eql(
+				[]
+			);
+			return expect(listener).to.be.calledWithExactly({
+				tags: ['address:1L'],
+			});
+		});
+
+		it('should count hits and misses in its health', async () => {
+			await cache.setJsonForKey('/api/blocks', {});
+			await cache.getJsonForKey('/api/blocks');
+			await cache.getJsonForKey('/api/transactions');
+
+			return expect(cache.getHealth()).to.eql({
+				enabled: true,
+				connected: true,
+				hits: 1,
+				misses: 1,
+				lastError: null,
+			});
+		});
+
+		it('should flush entries and emit "health" event when backend reconnected', async () => {
+			const listener = sinonSandbox.stub();
+			cache.on('health', listener);
+			await cache.setJsonForKey('/api/blocks', {});
+
+			await cache._onBackendReady();
+
+			expect(await cache.getJsonForKey('/api/blocks')).to.be.null;
+			return expect(listener).to.be.calledWith(
+				sinonSandbox.match({ enabled: true, connected: true })
+			);
+		});
+
+		it('should throw error for unknown backend', async () =>
+			expect(() =>
+				createCacheComponent({ enabled: true, backend: 'unknown' }, logger)
+			).to.throw());
+	});
+});
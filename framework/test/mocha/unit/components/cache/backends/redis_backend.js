@@ -0,0 +1,275 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+'use strict';
+
+const RedisBackend = require('../../../../../../src/components/cache/backends/redis_backend');
+const {
+	createCacheComponent,
+} = require('../../../../../../src/components/cache');
+
+describe('components: cache: RedisBackend', () => {
+	const logger = {
+		debug: () => {},
+		info: () => {},
+		warn: () => {},
+		error: () => {},
+	};
+	// Nothing listens on port 1, so connecting always fails
+	const unavailableServer = { host: '127.0.0.1', port: 1, db: 0 };
+
+	let backend;
+
+	afterEach(async () => {
+		if (backend) {
+			await backend.quit();
+		}
+	});
+
+	describe('getRetryDelay', () => {
+		it('should double the delay for every attempt up to maxDelay', async () => {
+			backend = new RedisBackend(
+				{ reconnect: { initialDelay: 100, maxDelay: 1000 } },
+				logger
+			);
+
+			return expect(
+				[1, 2, 3, 4, 5, 6].map(attempt => backend.getRetryDelay(attempt))
+			).to.eql([100, 200, 400, 800, 1000, 1000]);
+		});
+	});
+
+	describe('connect', () => {
+		it('should resolve false and keep reconnecting when server is not available', async () => {
+			backend = new RedisBackend(
+				{
+					...unavailableServer,
+					reconnect: { initialDelay: 10, maxDelay: 10 },
+				},
+				logger
+			);
+			const reconnecting = sinonSandbox.stub();
+
+			expect(await backend.connect()).to.be.false;
+			backend.client.on('reconnecting', reconnecting);
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			expect(backend.isConnected()).to.be.false;
+			expect(backend.lastError.message).to.include('ECONNREFUSED');
+			return expect(reconnecting).to.be.called;
+		});
+
+		it('should stop reconnecting when quit', async () => {
+			backend = new RedisBackend(
+				{
+					...unavailableServer,
+					reconnect: { initialDelay: 10, maxDelay: 10 },
+				},
+				logger
+			);
+			const reconnecting = sinonSandbox.stub();
+
+			await backend.connect();
+			await backend.quit();
+			backend.client.on('reconnecting', reconnecting);
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			return expect(reconnecting).to.not.be.called;
+		});
+	});
+
+	describe('broken connection', () => {
+		it('should close the client which gave up before connecting with a new one', async () => {
+			backend = new RedisBackend(
+				{
+					...unavailableServer,
+					reconnect: { initialDelay: 10, maxDelay: 10 },
+				},
+				logger
+			);
+			await backend.connect();
+			const brokenClient = backend.client;
+			const error = new Error('Redis connection gone');
+			error.code = 'CONNECTION_BROKEN';
+
+			brokenClient.emit('error', error);
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			expect(backend.client).to.not.equal(brokenClient);
+			expect(brokenClient.closing).to.be.true;
+			expect(brokenClient.listenerCount('ready')).to.equal(0);
+			return expect(brokenClient.listenerCount('end')).to.equal(0);
+		});
+	});
+
+	describe('tags', () => {
+		// Sets and their time to live in milliseconds, -1 if they never expire
+		let sets;
+		let ttls;
+
+		beforeEach(async () => {
+			backend = new RedisBackend({}, logger);
+			sets = {};
+			ttls = {};
+			backend.saddAsync = async (key, members) => {
+				sets[key] = [...new Set([...(sets[key] || []), ...[].concat(members)])];
+				ttls[key] = key in ttls ? ttls[key] : -1;
+			};
+			backend.sremAsync = async (key, member) => {
+				sets[key] = (sets[key] || []).filter(item => item !== member);
+			};
+			backend.smembersAsync = async key => sets[key] || [];
+			backend.pttlAsync = async key => (key in ttls ? ttls[key] : -2);
+			backend.pexpireAsync = async (key, ttl) => {
+				ttls[key] = ttl;
+			};
+			backend.persistAsync = async key => {
+				ttls[key] = -1;
+			};
+			backend.delAsync = async keys => {
+				[].concat(keys).forEach(key => {
+					delete sets[key];
+					delete ttls[key];
+				});
+			};
+		});
+
+		it('should expire sets of tags no earlier than the tagged key', async () => {
+			await backend.tag('key1', ['tag1'], 1000);
+			await backend.tag('key2', ['tag1'], 5000);
+			await backend.tag('key3', ['tag1'], 2000);
+
+			expect(ttls['lisk:tag:tag1']).to.equal(5000);
+			return expect(ttls['lisk:tags:key1']).to.equal(1000);
+		});
+
+		it('should not expire sets of tags with a key which never expires', async () => {
+			await backend.tag('key1', ['tag1'], 1000);
+			await backend.tag('key2', ['tag1']);
+			await backend.tag('key3', ['tag1'], 2000);
+
+			return expect(ttls['lisk:tag:tag1']).to.equal(-1);
+		});
+
+		it('should remove a deleted key from the sets of its tags', async () => {
+			await backend.tag('key1', ['tag1', 'tag2'], 1000);
+			await backend.tag('key2', ['tag1'], 1000);
+
+			await backend.del('key1');
+
+			expect(sets['lisk:tag:tag1']).to.eql(['key2']);
+			expect(sets['lisk:tag:tag2']).to.eql([]);
+			return expect(sets).to.not.have.property('lisk:tags:key1');
+		});
+
+		it('should remove keys deleted by a tag from the sets of their other tags', async () => {
+			await backend.tag('key1', ['tag1', 'tag2'], 1000);
+			await backend.tag('key2', ['tag2'], 1000);
+
+			await backend.delByTags(['tag1']);
+
+			expect(sets).to.not.have.property('lisk:tag:tag1');
+			return expect(sets['lisk:tag:tag2']).to.eql(['key2']);
+		});
+	});
+
+	describe('delByPattern', () => {
+		beforeEach(async () => {
+			backend = new RedisBackend({}, logger);
+			backend.smembersAsync = sinonSandbox.stub().resolves([]);
+			backend.sremAsync = sinonSandbox.stub().resolves();
+			backend.delAsync = sinonSandbox.stub().resolves();
+		});
+
+		it('should delete keys of every batch and stop when the cursor returns to 0', async () => {
+			backend.scanAsync = sinonSandbox.stub();
+			backend.scanAsync.onFirstCall().resolves(['7', ['lisk:key1']]);
+			backend.scanAsync.onSecondCall().resolves(['0', ['lisk:key2']]);
+
+			await backend.delByPattern('key*');
+
+			expect(backend.scanAsync).to.be.calledTwice;
+			expect(backend.scanAsync.secondCall).to.be.calledWith(
+				'7',
+				'MATCH',
+				'lisk:key*'
+			);
+			expect(backend.smembersAsync).to.be.calledWith('lisk:tags:key2');
+			return expect(backend.delAsync).to.be.calledWith(['lisk:key2']);
+		});
+
+		it('should escape glob characters of the key prefix', async () => {
+			backend = new RedisBackend({ keyPrefix: 'node[1]:' }, logger);
+			backend.scanAsync = sinonSandbox.stub().resolves(['0', []]);
+
+			await backend.delByPattern('key*');
+
+			return expect(backend.scanAsync).to.be.calledWith(
+				'0',
+				'MATCH',
+				'node\\[1\\]:key*'
+			);
+		});
+
+		it('should flush only keys under the key prefix', async () => {
+			backend.scanAsync = sinonSandbox.stub().resolves(['0', ['lisk:key1']]);
+
+			await backend.flush();
+
+			expect(backend.scanAsync).to.be.calledWith('0', 'MATCH', 'lisk:*');
+			return expect(backend.delAsync).to.be.calledWith(['lisk:key1']);
+		});
+
+		it('should reject when deleting keys fails', async () => {
+			backend.scanAsync = sinonSandbox.stub().resolves(['0', ['key1']]);
+			backend.delAsync = sinonSandbox.stub().rejects(new Error('READONLY'));
+
+			return expect(backend.delByPattern('key*')).to.be.rejectedWith(
+				'READONLY'
+			);
+		});
+	});
+
+	describe('cache component with unavailable server', () => {
+		let cache;
+
+		beforeEach(async () => {
+			cache = createCacheComponent(
+				{
+					...unavailableServer,
+					enabled: true,
+					reconnect: { initialDelay: 10, maxDelay: 10 },
+				},
+				logger
+			);
+			backend = cache.backend;
+			return cache.bootstrap();
+		});
+
+		it('should be enabled but not ready until the server is connected', async () => {
+			expect(cache.isReady()).to.be.false;
+			return expect(cache.getHealth()).to.include({
+				enabled: true,
+				connected: false,
+			});
+		});
+
+		it('should report the last error of the connection in its health', async () =>
+			expect(cache.getHealth().lastError)
+				.to.have.property('message')
+				.that.include('ECONNREFUSED'));
+	});
+});
@@ -0,0 +1,348 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+	createLoggerComponent,
+	registerTransport,
+	setLogLevel,
+	getLogLevels,
+	setLogLevels,
+} = require('../../../../../src/components/logger');
+
+describe('components: logger', () => {
+	let directory;
+
+	const readLines = fileName =>
+		fs
+			.readFileSync(path.join(directory, fileName), 'utf8')
+			.split('\n')
+			.filter(line => line);
+
+	const createLogger = options =>
+		createLoggerComponent({
+			consoleLogLevel: 'none',
+			fileLogLevel: 'info',
+			logFileName: path.relative(
+				process.cwd(),
+				path.join(directory, 'lisk.log')
+			),
+			...options,
+		});
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-logger-'));
+	});
+
+	afterEach(async () => {
+		fs.removeSync(directory);
+	});
+
+	describe('text format', () => {
+		it('should write records with level symbol, message and data', async () => {
+			const logger = createLogger();
+
+			logger.info('Block received', { height: 10 });
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const [line] = readLines('lisk.log');
+			return expect(line).to.match(
+				/^\[inf\] \d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} \| Block received - {"height":10}$/
+			);
+		});
+
+		it('should not write records below the file log level', async () => {
+			const logger = createLogger();
+
+			logger.debug('Not written');
+			logger.warn('Written');
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const lines = readLines('lisk.log');
+			expect(lines).to.have.length(1);
+			return expect(lines[0]).to.contain('Written');
+		});
+	});
+
+	describe('json format', () => {
+		it('should write one JSON object per record with fields of child loggers', async () => {
+			const logger = createLogger({ format: 'json' });
+
+			logger
+				.child({ module: 'chain' })
+				.child({ component: 'forger' })
+				.error('Forging failed', { password: 'secret', slot: 3 });
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			expect(record).to.have.property('time');
+			return expect(record).to.deep.include({
+				level: 'error',
+				message: 'Forging failed',
+				module: 'chain',
+				component: 'forger',
+				data: { password: 'XXXXXXXXXX', slot: 3 },
+			});
+		});
+
+		it('should write stack of error messages', async () => {
+			const logger = createLogger({ format: 'json' });
+			const error = new Error('Connection lost');
+
+			logger.error(error);
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			return expect(record.message).to.equal(error.stack);
+		});
+	});
+
+	describe('transports', () => {
+		it('should pass records to registered transports of their level', async () => {
+			const records = [];
+			registerTransport(
+				'memory',
+				class {
+					constructor({ level }) {
+						this.level = level;
+						this.records = records;
+					}
+
+					log(record) {
+						this.records.push(record);
+					}
+				}
+			);
+			const logger = createLogger({
+				transports: [{ type: 'memory', level: 'warn' }],
+			});
+
+			logger.child({ module: 'http_api' }).info('Skipped');
+			logger.child({ module: 'http_api' }).warn('Slow request');
+
+			expect(records).to.have.length(1);
+			return expect(records[0]).to.include({
+				level: 'warn',
+				message: 'Slow request',
+			});
+		});
+
+		it('should throw error for unknown transport type', async () =>
+			expect(() =>
+				createLogger({ transports: [{ type: 'unknown', level: 'info' }] })
+			).to.throw('Unknown logger transport "unknown".'));
+	});
+
+	describe('runtime log levels', () => {
+		afterEach(async () => setLogLevels({}));
+
+		it('should change the file log level of all loggers', async () => {
+			const logger = createLogger();
+
+			logger.debug('Not written');
+			setLogLevel({ fileLogLevel: 'debug' });
+			logger.debug('Written');
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const lines = readLines('lisk.log');
+			expect(lines).to.have.length(1);
+			return expect(lines[0]).to.contain('Written');
+		});
+
+		it('should prefer the level of the most specific module', async () => {
+			const logger = createLogger();
+			setLogLevel({ module: 'chain', fileLogLevel: 'warn' });
+			setLogLevel({ module: 'chain.loader', fileLogLevel: 'trace' });
+
+			logger.child({ module: 'chain' }).info('Chain info');
+			logger.child({ module: 'chain.loader' }).trace('Loader trace');
+			logger.child({ module: 'chain.blocks' }).warn('Blocks warning');
+			logger.child({ module: 'http_api' }).info('API info');
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const lines = readLines('lisk.log');
+			expect(lines).to.have.length(3);
+			expect(lines[0]).to.contain('Loader trace');
+			expect(lines[1]).to.contain('Blocks warning');
+			return expect(lines[2]).to.contain('API info');
+		});
+
+		it('should remove the levels of a module set without levels', async () => {
+			setLogLevel({ consoleLogLevel: 'info' });
+			setLogLevel({ module: 'chain', fileLogLevel: 'trace' });
+			setLogLevel({ module: 'chain' });
+
+			return expect(getLogLevels()).to.eql({
+				consoleLogLevel: 'info',
+				modules: {},
+			});
+		});
+
+		it('should enable the console of a logger created without console log level', async () => {
+			const logger = createLoggerComponent({
+				fileLogLevel: 'none',
+				logFileName: path.relative(
+					process.cwd(),
+					path.join(directory, 'lisk.log')
+				),
+			});
+			sinonSandbox.stub(console, 'info');
+
+			logger.info('Not shown');
+			setLogLevel({ consoleLogLevel: 'info' });
+			logger.info('Shown');
+
+			// eslint-disable-next-line no-console
+			expect(console.info).to.be.calledOnce;
+			// eslint-disable-next-line no-console
+			return expect(console.info.args[0]).to.include('Shown');
+		});
+	});
+
+	describe('redaction', () => {
+		const privateKey = `${'a1'.repeat(32)}${'b2'.repeat(32)}`;
+		const mnemonic =
+			'robust swift grocery peasant forget share enable convince deputy road keep cheap';
+
+		it('should redact secrets in nested objects without changing the data', async () => {
+			const logger = createLogger({ format: 'json' });
+			const data = {
+				forging: {
+					delegates: [
+						{
+							encryptedPassphrase: 'iterations=1&salt=00',
+							publicKey:
+								'9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f',
+						},
+					],
+				},
+				keys: { privateKey },
+			};
+
+			logger.info('Forging config', data);
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			expect(record.data).to.eql({
+				forging: {
+					delegates: [
+						{
+							encryptedPassphrase: 'XXXXXXXXXX',
+							publicKey: data.forging.delegates[0].publicKey,
+						},
+					],
+				},
+				keys: { privateKey: 'XXXXXXXXXX' },
+			});
+			return expect(data.keys.privateKey).to.equal(privateKey);
+		});
+
+		it('should redact secrets matching value patterns in messages and strings', async () => {
+			const logger = createLogger({ format: 'json' });
+			const seed = 'c3'.repeat(32);
+
+			logger.info(`Loaded key ${privateKey} from seed ${seed}`, {
+				signingKey: privateKey,
+				recovery: { note: [`Restore with: ${mnemonic}.`] },
+			});
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			expect(record.message).to.equal(
+				'Loaded key XXXXXXXXXX from seed XXXXXXXXXX'
+			);
+			return expect(record.data).to.eql({
+				signingKey: 'XXXXXXXXXX',
+				recovery: { note: ['Restore with: XXXXXXXXXX.'] },
+			});
+		});
+
+		it('should not redact public keys, signatures and sentences', async () => {
+			const logger = createLogger({ format: 'json' });
+			const publicKey = 'd4'.repeat(32);
+			const signature = 'e5'.repeat(64);
+			const sentence =
+				'the node will retry the sync with other peers once the next block arrives';
+
+			logger.info(`Forging enabled for delegate ${publicKey}, ${sentence}`, {
+				block: { generatorPublicKey: publicKey, blockSignature: signature },
+				note: sentence,
+			});
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			expect(record.message).to.equal(
+				`Forging enabled for delegate ${publicKey}, ${sentence}`
+			);
+			return expect(record.data).to.eql({
+				block: { generatorPublicKey: publicKey, blockSignature: signature },
+				note: sentence,
+			});
+		});
+
+		it('should redact values of configured JSON paths', async () => {
+			const logger = createLogger({
+				format: 'json',
+				redaction: {
+					keys: [],
+					values: [],
+					paths: ['$.peers[*].ip'],
+					replacement: '[redacted]',
+				},
+			});
+
+			logger.info('Peers', {
+				peers: [{ ip: '10.0.0.1', wsPort: 5001 }],
+				password: 'not redacted',
+			});
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+			const record = JSON.parse(readLines('lisk.log')[0]);
+			return expect(record.data).to.eql({
+				peers: [{ ip: '[redacted]', wsPort: 5001 }],
+				password: 'not redacted',
+			});
+		});
+
+		it('should redact secrets before records reach transports', async () => {
+			const records = [];
+			registerTransport(
+				'redacted',
+				class {
+					constructor({ level }) {
+						this.level = level;
+						this.records = records;
+					}
+
+					log(record) {
+						this.records.push(record);
+					}
+				}
+			);
+			const logger = createLogger({
+				transports: [{ type: 'redacted', level: 'info' }],
+			});
+
+			logger.info('Account', { account: { secret: mnemonic } });
+
+			return expect(records[0].data).to.eql({
+				account: { secret: 'XXXXXXXXXX' },
+			});
+		});
+	});
+});
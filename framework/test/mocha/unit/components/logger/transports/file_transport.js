@@ -0,0 +1,145 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+	FileTransport,
+} = require('../../../../../../src/components/logger/transports');
+
+describe('components: logger: FileTransport', () => {
+	let directory;
+
+	const record = message => ({
+		level: 'info',
+		symbol: 'inf',
+		timestamp: new Date(),
+		message,
+		fields: {},
+	});
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-logger-'));
+	});
+
+	afterEach(async () => {
+		sinonSandbox.restore();
+		fs.removeSync(directory);
+	});
+
+	it('should rotate the file when it exceeds maxSize and keep maxFiles rotated files', async () => {
+		const transport = new FileTransport({
+			level: 'info',
+			fileName: path.join(directory, 'size.log'),
+			format: 'json',
+			maxSize: 200,
+			maxFiles: 2,
+		});
+
+		for (let index = 0; index < 10; index += 1) {
+			transport.log(record(`Message number ${index}`));
+		}
+		// Rotated files are closed and the oldest ones removed after rotation
+		await transport.file.rotation;
+
+		const files = fs.readdirSync(directory);
+		expect(files).to.include('size.log');
+		expect(files.filter(name => name.startsWith('size.log.'))).to.have.length(
+			2
+		);
+		return expect(
+			fs.statSync(path.join(directory, 'size.log')).size
+		).to.be.at.most(200);
+	});
+
+	it('should gzip rotated files when compress is enabled', async () => {
+		const transport = new FileTransport({
+			level: 'info',
+			fileName: path.join(directory, 'compressed.log'),
+			maxSize: 10,
+			compress: true,
+		});
+
+		transport.log(record('First message'));
+		transport.log(record('Second message'));
+
+		// Compression finishes after rotation
+		await transport.file.rotation;
+		const rotated = fs
+			.readdirSync(directory)
+			.filter(name => name.startsWith('compressed.log.'));
+		expect(rotated).to.have.length(1);
+		expect(rotated[0]).to.match(/\.gz$/);
+		return expect(
+			zlib
+				.gunzipSync(fs.readFileSync(path.join(directory, rotated[0])))
+				.toString()
+		).to.contain('First message');
+	});
+
+	it('should report a failed rotation and keep writing to the file', async () => {
+		const fileName = path.join(directory, 'failed.log');
+		const transport = new FileTransport({
+			level: 'info',
+			fileName,
+			maxSize: 10,
+		});
+		sinonSandbox.stub(fs, 'renameSync').throws(new Error('EACCES'));
+		sinonSandbox.stub(console, 'error');
+
+		transport.log(record('First message'));
+		transport.log(record('Second message'));
+		transport.log(record('Third message'));
+		await new Promise(resolve => transport.file.stream.write('', resolve));
+
+		// eslint-disable-next-line no-console
+		expect(console.error).to.be.calledOnceWith(
+			`Failed to rotate log file ${fileName}: EACCES`
+		);
+		return expect(fs.readFileSync(fileName, 'utf8')).to.contain(
+			'Third message'
+		);
+	});
+
+	it('should share the file between transports of the same path', async () => {
+		const fileName = path.join(directory, 'shared.log');
+
+		const first = new FileTransport({ level: 'info', fileName });
+		const second = new FileTransport({ level: 'debug', fileName });
+
+		return expect(first.file).to.equal(second.file);
+	});
+
+	describe('with a process name', () => {
+		afterEach(async () => {
+			FileTransport.setProcessName(null);
+		});
+
+		it('should write the file with the process name before its extension', async () => {
+			FileTransport.setProcessName('http_api');
+
+			const transport = new FileTransport({
+				level: 'info',
+				fileName: path.join(directory, 'lisk.log'),
+			});
+			transport.log(record('Message of the process'));
+
+			return expect(fs.readdirSync(directory)).to.eql(['lisk.http_api.log']);
+		});
+	});
+});
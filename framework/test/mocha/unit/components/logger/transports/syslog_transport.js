@@ -0,0 +1,69 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const os = require('os');
+const {
+	SyslogTransport,
+} = require('../../../../../../src/components/logger/transports');
+
+describe('components: logger: SyslogTransport', () => {
+	let server;
+
+	beforeEach(done => {
+		server = dgram.createSocket('udp4');
+		server.bind(0, '127.0.0.1', done);
+	});
+
+	afterEach(done => {
+		server.close(done);
+	});
+
+	it('should send RFC 5424 message with priority of facility and level over UDP', done => {
+		const transport = new SyslogTransport({
+			level: 'info',
+			port: server.address().port,
+			facility: 'local1',
+			appName: 'lisk-test',
+		});
+
+		server.once('message', message => {
+			const [header, content] = message.toString().split(' - - ');
+			expect(header).to.match(
+				new RegExp(`^<139>1 \\S+ ${os.hostname()} lisk-test ${process.pid}$`)
+			);
+			expect(JSON.parse(content)).to.include({
+				level: 'error',
+				message: 'Disk full',
+			});
+			transport.close();
+			done();
+		});
+
+		transport.log({
+			level: 'error',
+			symbol: 'ERR',
+			timestamp: new Date(),
+			message: 'Disk full',
+			fields: {},
+		});
+	});
+
+	it('should throw error for unknown facility', async () =>
+		expect(
+			() => new SyslogTransport({ level: 'info', facility: 'unknown' })
+		).to.throw('Unknown syslog facility "unknown".'));
+});
@@ -69,6 +69,11 @@ describe('BaseAdapter', () => {
 				expect(adapter.connect).to.throw(ImplementationPendingError));
 		});
 
+		describe('stream', () => {
+			it('should throw error', async () =>
+				expect(adapter.stream).to.throw(ImplementationPendingError));
+		});
+
 		describe('transaction', () => {
 			it('should throw error', async () =>
 				expect(adapter.connect).to.throw(ImplementationPendingError));
@@ -93,5 +98,10 @@ describe('BaseAdapter', () => {
 			it('should throw error', async () =>
 				expect(adapter.connect).to.throw(ImplementationPendingError));
 		});
+
+		describe('getStats', () => {
+			it('should throw error', async () =>
+				expect(adapter.getStats).to.throw(ImplementationPendingError));
+		});
 	});
 });
@@ -15,6 +15,7 @@
 
 'use strict';
 
+const path = require('path');
 const Promise = require('bluebird');
 const {
 	adapters: { BaseAdapter, PgpAdapter },
@@ -24,6 +25,7 @@ const loggerStub = {
 	info: sinonSandbox.stub(),
 	log: sinonSandbox.stub(),
 	error: sinonSandbox.stub(),
+	warn: sinonSandbox.stub(),
 };
 
 const validOptions = {
@@ -104,6 +106,239 @@ describe('PgpAdapter', () => {
 		it('should return the promise');
 	});
 
+	describe('query statistics', () => {
+		const sqlDirectory = path.join(
+			__dirname,
+			'../../../../../../src/components/storage/sql'
+		);
+		let adapter;
+		let clock;
+		let dbStub;
+
+		beforeEach(async () => {
+			adapter = new PgpAdapter({ ...validOptions, slowQueryThreshold: 100 });
+			clock = sinonSandbox.useFakeTimers();
+			dbStub = {
+				query: sinonSandbox.stub().callsFake(async () => {
+					clock.tick(20);
+					return [{ id: 1 }];
+				}),
+			};
+			adapter.db = dbStub;
+			loggerStub.warn.resetHistory();
+		});
+
+		it('should set slowQueryThreshold from options', async () =>
+			expect(adapter.slowQueryThreshold).to.be.eql(100));
+
+		it('should set slowQueryThreshold to 1000 by default', async () =>
+			expect(new PgpAdapter(validOptions).slowQueryThreshold).to.be.eql(1000));
+
+		it('should count queries by SQL file path relative to the SQL directory', async () => {
+			const file = adapter.loadSQLFile('transactions/get.sql', sqlDirectory);
+
+			await adapter.executeFile(file, {});
+			await adapter.executeFile(file, {});
+
+			return expect(adapter.getStats().queries).to.be.eql({
+				'transactions/get.sql': {
+					count: 2,
+					errorCount: 0,
+					slowCount: 0,
+					totalTime: 40,
+					maxTime: 20,
+					averageTime: 20,
+				},
+			});
+		});
+
+		it('should count queries not loaded from a file as inline', async () => {
+			await adapter.execute('SELECT 1');
+
+			return expect(adapter.getStats().queries).to.have.all.keys('inline');
+		});
+
+		it('should resolve with the result of the query', async () =>
+			expect(await adapter.execute('SELECT 1')).to.be.eql([{ id: 1 }]));
+
+		it('should count failed queries and reject with the error', async () => {
+			const error = new Error('Query failed');
+			dbStub.query.rejects(error);
+
+			await expect(adapter.execute('SELECT 1')).to.be.rejectedWith(error);
+
+			return expect(adapter.getStats().queries.inline.errorCount).to.be.eql(1);
+		});
+
+		it('should not log queries faster than the threshold', async () => {
+			await adapter.execute('SELECT 1');
+
+			return expect(loggerStub.warn).to.not.be.called;
+		});
+
+		describe('when a query is slower than the threshold', () => {
+			const passphrase =
+				'robust swift grocery peasant forget share enable convince deputy road keep cheap';
+
+			beforeEach(async () => {
+				dbStub.query.callsFake(async () => {
+					clock.tick(150);
+					return [];
+				});
+				const file = adapter.loadSQLFile(
+					'transactions/get_extended.sql',
+					sqlDirectory
+				);
+				await adapter.executeFile(file, {
+					limit: 10,
+					secret: 'secret',
+					parsedFilters: `WHERE "note" = '${passphrase}'`,
+				});
+			});
+
+			it('should count the query as slow', async () =>
+				expect(
+					adapter.getStats().queries['transactions/get_extended.sql'].slowCount
+				).to.be.eql(1));
+
+			it('should log the query with its file, duration and redacted params', async () =>
+				expect(loggerStub.warn).to.be.calledWithExactly(
+					'Slow query transactions/get_extended.sql took 150 ms',
+					{
+						file: 'transactions/get_extended.sql',
+						duration: 150,
+						params: {
+							limit: 10,
+							secret: 'XXXXXXXXXX',
+							parsedFilters: 'WHERE "note" = \'XXXXXXXXXX\'',
+						},
+					}
+				));
+		});
+
+		it('should not log slow queries when threshold is 0', async () => {
+			adapter.slowQueryThreshold = 0;
+			dbStub.query.callsFake(async () => {
+				clock.tick(5000);
+				return [];
+			});
+
+			await adapter.execute('SELECT 1');
+
+			expect(adapter.getStats().queries.inline.slowCount).to.be.eql(0);
+			return expect(loggerStub.warn).to.not.be.called;
+		});
+
+		it('should return slowQueryThreshold with the stats', async () =>
+			expect(adapter.getStats()).to.be.eql({
+				slowQueryThreshold: 100,
+				queries: {},
+			}));
+
+		it('should clear counters on resetStats()', async () => {
+			await adapter.execute('SELECT 1');
+			adapter.resetStats();
+
+			return expect(adapter.getStats().queries).to.be.eql({});
+		});
+	});
+
+	describe('stream()', () => {
+		const rows = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }];
+		let adapter;
+		let txStub;
+
+		const readAll = async readable => {
+			const result = [];
+			// eslint-disable-next-line no-restricted-syntax
+			for await (const row of readable) {
+				result.push(row);
+			}
+			return result;
+		};
+
+		beforeEach(async () => {
+			adapter = new PgpAdapter(validOptions);
+			let fetchedCount = 0;
+			txStub = {
+				none: sinonSandbox.stub().resolves(),
+				any: sinonSandbox.stub().callsFake(async sql => {
+					const batchSize = parseInt(sql.split(' ')[1]);
+					const batch = rows.slice(fetchedCount, fetchedCount + batchSize);
+					fetchedCount += batch.length;
+					return batch;
+				}),
+			};
+			sinonSandbox
+				.stub(adapter, 'transaction')
+				.callsFake((name, cb) => Promise.resolve(cb(txStub)));
+		});
+
+		it('should declare a cursor for the formatted query', async () => {
+			await readAll(
+				adapter.stream('SELECT * FROM t WHERE id > ${id}', { id: 1 })
+			);
+			expect(txStub.none.firstCall.args[0]).to.match(
+				/^DECLARE "stream_cursor_\d+" NO SCROLL CURSOR FOR SELECT \* FROM t WHERE id > 1$/
+			);
+		});
+
+		it('should stream all rows fetched in batches', async () => {
+			const result = await readAll(
+				adapter.stream('SELECT * FROM t', {}, { batchSize: 2 })
+			);
+			expect(result).to.be.eql(rows);
+			expect(txStub.any.callCount).to.be.eql(4);
+			expect(txStub.any.firstCall.args[0]).to.match(
+				/^FETCH 2 FROM "stream_cursor_\d+"$/
+			);
+		});
+
+		it('should close the cursor after reading all rows', async () => {
+			await readAll(adapter.stream('SELECT * FROM t'));
+			expect(txStub.none.lastCall.args[0]).to.match(
+				/^CLOSE "stream_cursor_\d+"$/
+			);
+		});
+
+		it('should parse rows with options.parseRow', async () => {
+			const result = await readAll(
+				adapter.stream('SELECT * FROM t', {}, { parseRow: ({ id }) => id })
+			);
+			expect(result).to.be.eql([1, 2, 3, 4, 5]);
+		});
+
+		it('should not fetch next batch until rows are read', async () => {
+			const readable = adapter.stream('SELECT * FROM t', {}, { batchSize: 2 });
+			await new Promise(resolve => setImmediate(resolve));
+			expect(txStub.any.callCount).to.be.eql(1);
+			readable.read();
+			await new Promise(resolve => setImmediate(resolve));
+			expect(txStub.any.callCount).to.be.eql(2);
+			readable.destroy();
+		});
+
+		it('should stop fetching rows and finish the transaction when destroyed', async () => {
+			const readable = adapter.stream('SELECT * FROM t', {}, { batchSize: 2 });
+			await new Promise(resolve => setImmediate(resolve));
+			readable.destroy();
+			await adapter.transaction.firstCall.returnValue;
+			expect(txStub.any.callCount).to.be.eql(1);
+		});
+
+		it('should emit error if the query fails', async () => {
+			txStub.any.rejects(new Error('Query failed'));
+			const readable = adapter.stream('SELECT * FROM t');
+			await expect(readAll(readable)).to.be.rejectedWith('Query failed');
+		});
+
+		it('should execute the transaction on transaction context if provided', async () => {
+			const tx = {};
+			await readAll(adapter.stream('SELECT * FROM t', {}, {}, tx));
+			expect(adapter.transaction.firstCall.args[2]).to.be.eql(tx);
+		});
+	});
+
 	describe('transaction()', () => {
 		it('should accept three parameters');
 		it('should execute "tx" method for the database');
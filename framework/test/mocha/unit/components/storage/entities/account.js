@@ -145,38 +145,65 @@ describe('Account', () => {
 			'address_ne',
 			'address_in',
 			'address_like',
+			'address_between',
+			'address_is_null',
+			'address_not_in',
 			'publicKey',
 			'publicKey_eql',
 			'publicKey_ne',
 			'publicKey_in',
 			'publicKey_like',
+			'publicKey_between',
+			'publicKey_is_null',
+			'publicKey_not_in',
 			'secondPublicKey',
 			'secondPublicKey_eql',
 			'secondPublicKey_ne',
 			'secondPublicKey_in',
 			'secondPublicKey_like',
+			'secondPublicKey_between',
+			'secondPublicKey_is_null',
+			'secondPublicKey_not_in',
 			'username',
 			'username_eql',
 			'username_ne',
 			'username_in',
 			'username_like',
+			'username_between',
+			'username_is_null',
+			'username_not_in',
 			'u_username',
 			'u_username_eql',
 			'u_username_ne',
 			'u_username_in',
 			'u_username_like',
+			'u_username_between',
+			'u_username_is_null',
+			'u_username_not_in',
 			'isDelegate',
 			'isDelegate_eql',
 			'isDelegate_ne',
+			'isDelegate_between',
+			'isDelegate_is_null',
+			'isDelegate_not_in',
 			'u_isDelegate',
 			'u_isDelegate_eql',
 			'u_isDelegate_ne',
+			'u_isDelegate_between',
+			'u_isDelegate_is_null',
+			'u_isDelegate_not_in',
 			'secondSignature',
 			'secondSignature_eql',
 			'secondSignature_ne',
+			'secondSignature_between',
+			'secondSignature_is_null',
+			'secondSignature_not_in',
 			'u_secondSignature',
 			'u_secondSignature_eql',
 			'u_secondSignature_ne',
+			'u_secondSignature_between',
+			'u_secondSignature_is_null',
+			'u_secondSignature_not_in',
 			'balance',
 			'balance_eql',
 			'balance_ne',
@@ -185,6 +212,9 @@ describe('Account', () => {
 			'balance_lt',
 			'balance_lte',
 			'balance_in',
+			'balance_between',
+			'balance_is_null',
+			'balance_not_in',
 			'multiMin',
 			'multiMin_eql',
 			'multiMin_ne',
@@ -193,6 +223,9 @@ describe('Account', () => {
 			'multiMin_lt',
 			'multiMin_lte',
 			'multiMin_in',
+			'multiMin_between',
+			'multiMin_is_null',
+			'multiMin_not_in',
 			'multiLifetime',
 			'multiLifetime_eql',
 			'multiLifetime_ne',
@@ -201,9 +234,15 @@ describe('Account', () => {
 			'multiLifetime_lt',
 			'multiLifetime_lte',
 			'multiLifetime_in',
+			'multiLifetime_between',
+			'multiLifetime_is_null',
+			'multiLifetime_not_in',
 			'nameExist',
 			'nameExist_eql',
 			'nameExist_ne',
+			'nameExist_between',
+			'nameExist_is_null',
+			'nameExist_not_in',
 			'fees',
 			'fees_eql',
 			'fees_ne',
@@ -212,6 +251,9 @@ describe('Account', () => {
 			'fees_lt',
 			'fees_lte',
 			'fees_in',
+			'fees_between',
+			'fees_is_null',
+			'fees_not_in',
 			'rewards',
 			'rewards_eql',
 			'rewards_ne',
@@ -220,6 +262,9 @@ describe('Account', () => {
 			'rewards_lt',
 			'rewards_lte',
 			'rewards_in',
+			'rewards_between',
+			'rewards_is_null',
+			'rewards_not_in',
 			'producedBlocks',
 			'producedBlocks_eql',
 			'producedBlocks_ne',
@@ -228,6 +273,9 @@ describe('Account', () => {
 			'producedBlocks_lt',
 			'producedBlocks_lte',
 			'producedBlocks_in',
+			'producedBlocks_between',
+			'producedBlocks_is_null',
+			'producedBlocks_not_in',
 			'missedBlocks',
 			'missedBlocks_eql',
 			'missedBlocks_ne',
@@ -236,6 +284,9 @@ describe('Account', () => {
 			'missedBlocks_lt',
 			'missedBlocks_lte',
 			'missedBlocks_in',
+			'missedBlocks_between',
+			'missedBlocks_is_null',
+			'missedBlocks_not_in',
 			'rank',
 			'rank_eql',
 			'rank_ne',
@@ -244,6 +295,9 @@ describe('Account', () => {
 			'rank_lt',
 			'rank_lte',
 			'rank_in',
+			'rank_between',
+			'rank_is_null',
+			'rank_not_in',
 			'vote',
 			'vote_eql',
 			'vote_ne',
@@ -252,6 +306,9 @@ describe('Account', () => {
 			'vote_lt',
 			'vote_lte',
 			'vote_in',
+			'vote_between',
+			'vote_is_null',
+			'vote_not_in',
 			'votedDelegatesPublicKeys_in',
 			'u_votedDelegatesPublicKeys_in',
 			'membersPublicKeys_in',
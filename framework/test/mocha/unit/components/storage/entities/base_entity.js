@@ -18,6 +18,7 @@
 const pgpLib = require('pg-promise');
 const {
 	entities: { BaseEntity },
+	errors: { ImplementationPendingError },
 	utils: { filterTypes: { NUMBER } },
 } = require('../../../../../../src/components/storage');
 
@@ -59,6 +60,7 @@ describe('BaseEntity', () => {
 			offset: 0,
 			sort: false,
 			extended: false,
+			cursor: null,
 		};
 	});
 
@@ -105,6 +107,11 @@ describe('BaseEntity', () => {
 			const baseEntity = new BaseEntity(adapter);
 			expect(baseEntity.defaultOptions).to.be.eql(defaultOptions);
 		});
+
+		it('should setup cursorKey as null', async () => {
+			const baseEntity = new BaseEntity(adapter);
+			expect(baseEntity.cursorKey).to.be.null;
+		});
 	});
 
 	describe('loadSQLFiles()', () => {
@@ -131,6 +138,54 @@ describe('BaseEntity', () => {
 		});
 	});
 
+	describe('stream', () => {
+		let baseEntity;
+
+		beforeEach(async () => {
+			baseEntity = new BaseEntity(adapter);
+			adapter.stream = sinonSandbox.stub().returns('readable');
+			baseEntity._getSelectQuery = sinonSandbox.stub().returns({
+				sql: 'sql',
+				params: { limit: null },
+				parseRow: 'parseRow',
+			});
+		});
+
+		it('should throw error if entity has no select query', async () =>
+			expect(() => new BaseEntity(adapter).stream()).to.throw(
+				ImplementationPendingError
+			));
+
+		it('should get select query without limit by default', async () => {
+			baseEntity.stream({ id: 1 }, { sort: 'id:asc' });
+			expect(baseEntity._getSelectQuery).to.be.calledWithExactly(
+				{ id: 1 },
+				{ limit: null, sort: 'id:asc' }
+			);
+		});
+
+		it('should get select query with given limit', async () => {
+			baseEntity.stream({}, { limit: 1000 });
+			expect(baseEntity._getSelectQuery).to.be.calledWithExactly(
+				{},
+				{ limit: 1000 }
+			);
+		});
+
+		it('should return stream of the adapter', async () => {
+			const tx = {};
+			expect(baseEntity.stream({}, { batchSize: 50 }, tx)).to.be.eql(
+				'readable'
+			);
+			expect(adapter.stream).to.be.calledWithExactly(
+				'sql',
+				{ limit: null },
+				{ batchSize: 50, parseRow: 'parseRow' },
+				tx
+			);
+		});
+	});
+
 	describe('parseFilters', () => {
 		let baseEntity;
 
@@ -159,5 +214,199 @@ describe('BaseEntity', () => {
 			const filter = {};
 			expect(baseEntity.parseFilters(filter)).to.equal('');
 		});
+
+		it('should parse nested AND, OR and NOT groups', async () => {
+			const filter = {
+				id_gt: 10,
+				OR: [{ name: '2' }, { name: '3', id: 11 }],
+				NOT: { name_in: ['4', '5'] },
+			};
+			expect(baseEntity.parseFilters(filter)).to.equal(
+				'WHERE ("id" > 10) AND (("name" = \'2\') OR ("name" = \'3\' AND "id" = 11)) AND NOT ("name" IN (\'4\',\'5\'))'
+			);
+		});
+
+		it('should parse the same filter with different values in nested groups', async () => {
+			const filter = { AND: [{ id_between: [1, 5] }, { id_not_in: [2, 3] }] };
+			expect(baseEntity.parseFilters(filter)).to.equal(
+				'WHERE (("id" BETWEEN 1 AND 5) AND ("id" NOT IN (2,3)))'
+			);
+		});
+
+		it('should parse _is_null filters', async () => {
+			expect(baseEntity.parseFilters({ name_is_null: false })).to.equal(
+				'WHERE (("name" IS NULL) = false)'
+			);
+		});
+	});
+
+	describe('validateFilters', () => {
+		let baseEntity;
+
+		beforeEach(async () => {
+			baseEntity = new BaseEntity(adapter, defaultFilters);
+			defaultFields.forEach(field =>
+				baseEntity.addField(field.name, field.type, field.options)
+			);
+		});
+
+		it('should accept filters of nested groups', async () =>
+			expect(
+				baseEntity.validateFilters({
+					id: 1,
+					OR: [{ name_between: [1, 2] }, { NOT: { id_is_null: true } }],
+				})
+			).to.be.true);
+
+		it('should throw error for unknown filters of nested groups', async () =>
+			expect(() =>
+				baseEntity.validateFilters({ OR: [{ id: 1 }, { unknown: 2 }] })
+			).to.throw('One or more filters are not supported.'));
+
+		it('should throw error for malformed groups', async () =>
+			expect(() => baseEntity.validateFilters({ AND: { id: 1 } })).to.throw(
+				'Filter group "AND" must be an array.'
+			));
+	});
+
+	describe('cursors', () => {
+		let baseEntity;
+		const encode = cursor =>
+			Buffer.from(JSON.stringify(cursor)).toString('base64');
+
+		beforeEach(async () => {
+			baseEntity = new BaseEntity(adapter, defaultFilters);
+			defaultFields.forEach(field =>
+				baseEntity.addField(field.name, field.type, field.options)
+			);
+			baseEntity.addField('rowId', NUMBER);
+			baseEntity.cursorKey = 'id';
+		});
+
+		describe('validateOptions', () => {
+			it('should accept cursor option', async () =>
+				expect(baseEntity.validateOptions({ sort: 'name:desc', cursor: 'abc' }))
+					.to.be.true);
+
+			it('should throw error if entity has no cursor key', async () => {
+				baseEntity.cursorKey = null;
+				expect(() => baseEntity.validateOptions({ cursor: 'abc' })).to.throw(
+					'Cursor option is not supported by this entity.'
+				);
+			});
+
+			it('should throw error if cursor is used with offset', async () =>
+				expect(() =>
+					baseEntity.validateOptions({ cursor: 'abc', offset: 10 })
+				).to.throw(
+					'Cursor option can not be used together with offset option.'
+				));
+		});
+
+		describe('getCursorSort', () => {
+			it('should add cursor key to the sort option', async () =>
+				expect(baseEntity.getCursorSort('name:desc')).to.be.eql([
+					'name:DESC',
+					'id:ASC',
+				]));
+
+			it('should not add cursor key if sorted by it', async () =>
+				expect(baseEntity.getCursorSort(['id:desc', 'name'])).to.be.eql([
+					'id:DESC',
+					'name:ASC',
+				]));
+
+			it('should sort by cursor key without sort option', async () =>
+				expect(baseEntity.getCursorSort(false)).to.be.eql(['id:ASC']));
+
+			it('should throw error if sorted by a field without filters', async () =>
+				expect(() => baseEntity.getCursorSort('rowId:asc')).to.throw(
+					'Sort option is not supported with cursor option.'
+				));
+		});
+
+		describe('createCursor', () => {
+			it('should encode sort keys and values of the record', async () => {
+				const cursor = baseEntity.createCursor(
+					{ id: 5, name: 'a', rowId: 3 },
+					'name:desc'
+				);
+				expect(cursor).to.be.eql(
+					encode({ sort: ['name:DESC', 'id:ASC'], values: ['a', 5] })
+				);
+			});
+
+			it('should encode missing values as null', async () =>
+				expect(baseEntity.createCursor({ id: 5 }, 'name:desc')).to.be.eql(
+					encode({ sort: ['name:DESC', 'id:ASC'], values: [null, 5] })
+				));
+
+			it('should return null if cursors are not supported for sort option', async () =>
+				expect(baseEntity.createCursor({ id: 5 }, 'rowId:asc')).to.be.null);
+		});
+
+		describe('parseCursor', () => {
+			it('should parse cursor created for a record', async () => {
+				const cursor = baseEntity.createCursor({ id: 5, name: 'a' }, 'name');
+				expect(baseEntity.parseCursor(cursor, 'name')).to.be.eql(
+					'((("name" > \'a\' OR "name" IS NULL)) OR ("name" IS NOT DISTINCT FROM \'a\' AND ("id" > 5 OR "id" IS NULL)))'
+				);
+			});
+
+			it('should compare descending sort keys with lower values', async () => {
+				const cursor = baseEntity.createCursor({ id: 5 }, 'id:desc');
+				expect(baseEntity.parseCursor(cursor, 'id:desc')).to.be.eql(
+					'(("id" < 5))'
+				);
+			});
+
+			it('should match records after null values', async () => {
+				const cursor = baseEntity.createCursor({ id: 5 }, 'name:desc');
+				expect(baseEntity.parseCursor(cursor, 'name:desc')).to.be.eql(
+					'(("name" IS NOT NULL) OR ("name" IS NOT DISTINCT FROM null AND ("id" > 5 OR "id" IS NULL)))'
+				);
+			});
+
+			it('should throw error if cursor was created for other sort option', async () => {
+				const cursor = baseEntity.createCursor({ id: 5, name: 'a' }, 'name');
+				expect(() => baseEntity.parseCursor(cursor, 'name:desc')).to.throw(
+					'Invalid cursor option.'
+				);
+			});
+
+			it('should throw error if cursor is malformed', async () => {
+				expect(() => baseEntity.parseCursor('abc', 'name')).to.throw(
+					'Invalid cursor option.'
+				);
+				expect(() =>
+					baseEntity.parseCursor(
+						encode({ sort: ['id:ASC'], values: [{ id: 1 }] }),
+						'id'
+					)
+				).to.throw('Invalid cursor option.');
+			});
+		});
+
+		describe('parseFiltersAfterCursor', () => {
+			it('should join filters and cursor condition', async () => {
+				const cursor = baseEntity.createCursor({ id: 5 }, 'id:desc');
+				expect(
+					baseEntity.parseFiltersAfterCursor(
+						[{ name: '2' }, { name: '3' }],
+						cursor,
+						'id:desc'
+					)
+				).to.be.eql(
+					'WHERE (("name" = \'2\') OR ("name" = \'3\')) AND (("id" < 5))'
+				);
+			});
+
+			it('should only use cursor condition without filters', async () => {
+				const cursor = baseEntity.createCursor({ id: 5 }, 'id:desc');
+				expect(
+					baseEntity.parseFiltersAfterCursor({}, cursor, 'id:desc')
+				).to.be.eql('WHERE (("id" < 5))');
+			});
+		});
 	});
 });
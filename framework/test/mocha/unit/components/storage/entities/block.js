@@ -74,6 +74,9 @@ describe('Block', () => {
 			'blockSignature_in',
 			'blockSignature_like',
 			'blockSignature_ne',
+			'blockSignature_between',
+			'blockSignature_is_null',
+			'blockSignature_not_in',
 			'confirmations',
 			'confirmations_eql',
 			'confirmations_gt',
@@ -82,11 +85,17 @@ describe('Block', () => {
 			'confirmations_lt',
 			'confirmations_lte',
 			'confirmations_ne',
+			'confirmations_between',
+			'confirmations_is_null',
+			'confirmations_not_in',
 			'generatorPublicKey',
 			'generatorPublicKey_eql',
 			'generatorPublicKey_in',
 			'generatorPublicKey_like',
 			'generatorPublicKey_ne',
+			'generatorPublicKey_between',
+			'generatorPublicKey_is_null',
+			'generatorPublicKey_not_in',
 			'height',
 			'height_eql',
 			'height_gt',
@@ -95,11 +104,17 @@ describe('Block', () => {
 			'height_lt',
 			'height_lte',
 			'height_ne',
+			'height_between',
+			'height_is_null',
+			'height_not_in',
 			'id',
 			'id_eql',
 			'id_in',
 			'id_like',
 			'id_ne',
+			'id_between',
+			'id_is_null',
+			'id_not_in',
 			'numberOfTransactions',
 			'numberOfTransactions_eql',
 			'numberOfTransactions_gt',
@@ -108,11 +123,17 @@ describe('Block', () => {
 			'numberOfTransactions_lt',
 			'numberOfTransactions_lte',
 			'numberOfTransactions_ne',
+			'numberOfTransactions_between',
+			'numberOfTransactions_is_null',
+			'numberOfTransactions_not_in',
 			'payloadHash',
 			'payloadHash_eql',
 			'payloadHash_in',
 			'payloadHash_like',
 			'payloadHash_ne',
+			'payloadHash_between',
+			'payloadHash_is_null',
+			'payloadHash_not_in',
 			'payloadLength',
 			'payloadLength_eql',
 			'payloadLength_gt',
@@ -121,11 +142,17 @@ describe('Block', () => {
 			'payloadLength_lt',
 			'payloadLength_lte',
 			'payloadLength_ne',
+			'payloadLength_between',
+			'payloadLength_is_null',
+			'payloadLength_not_in',
 			'previousBlockId',
 			'previousBlockId_eql',
 			'previousBlockId_in',
 			'previousBlockId_like',
 			'previousBlockId_ne',
+			'previousBlockId_between',
+			'previousBlockId_is_null',
+			'previousBlockId_not_in',
 			'reward',
 			'reward_eql',
 			'reward_gt',
@@ -134,6 +161,9 @@ describe('Block', () => {
 			'reward_lt',
 			'reward_lte',
 			'reward_ne',
+			'reward_between',
+			'reward_is_null',
+			'reward_not_in',
 			'timestamp',
 			'timestamp_eql',
 			'timestamp_gt',
@@ -142,6 +172,9 @@ describe('Block', () => {
 			'timestamp_lt',
 			'timestamp_lte',
 			'timestamp_ne',
+			'timestamp_between',
+			'timestamp_is_null',
+			'timestamp_not_in',
 			'totalAmount',
 			'totalAmount_eql',
 			'totalAmount_gt',
@@ -150,6 +183,9 @@ describe('Block', () => {
 			'totalAmount_lt',
 			'totalAmount_lte',
 			'totalAmount_ne',
+			'totalAmount_between',
+			'totalAmount_is_null',
+			'totalAmount_not_in',
 			'totalFee',
 			'totalFee_eql',
 			'totalFee_gt',
@@ -158,6 +194,9 @@ describe('Block', () => {
 			'totalFee_lt',
 			'totalFee_lte',
 			'totalFee_ne',
+			'totalFee_between',
+			'totalFee_is_null',
+			'totalFee_not_in',
 			'version',
 			'version_eql',
 			'version_gt',
@@ -166,6 +205,9 @@ describe('Block', () => {
 			'version_lt',
 			'version_lte',
 			'version_ne',
+			'version_between',
+			'version_is_null',
+			'version_not_in',
 		];
 
 		invalidFilter = {
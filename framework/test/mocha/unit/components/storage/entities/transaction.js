@@ -82,11 +82,17 @@ describe('Transaction', () => {
 			'id_ne',
 			'id_in',
 			'id_like',
+			'id_between',
+			'id_is_null',
+			'id_not_in',
 			'blockId',
 			'blockId_eql',
 			'blockId_ne',
 			'blockId_in',
 			'blockId_like',
+			'blockId_between',
+			'blockId_is_null',
+			'blockId_not_in',
 			'blockHeight',
 			'blockHeight_eql',
 			'blockHeight_ne',
@@ -95,6 +101,9 @@ describe('Transaction', () => {
 			'blockHeight_lt',
 			'blockHeight_lte',
 			'blockHeight_in',
+			'blockHeight_between',
+			'blockHeight_is_null',
+			'blockHeight_not_in',
 			'type',
 			'type_eql',
 			'type_ne',
@@ -103,6 +112,9 @@ describe('Transaction', () => {
 			'type_lt',
 			'type_lte',
 			'type_in',
+			'type_between',
+			'type_is_null',
+			'type_not_in',
 			'timestamp',
 			'timestamp_eql',
 			'timestamp_ne',
@@ -111,31 +123,49 @@ describe('Transaction', () => {
 			'timestamp_lt',
 			'timestamp_lte',
 			'timestamp_in',
+			'timestamp_between',
+			'timestamp_is_null',
+			'timestamp_not_in',
 			'senderPublicKey',
 			'senderPublicKey_eql',
 			'senderPublicKey_ne',
 			'senderPublicKey_in',
 			'senderPublicKey_like',
+			'senderPublicKey_between',
+			'senderPublicKey_is_null',
+			'senderPublicKey_not_in',
 			'recipientPublicKey',
 			'recipientPublicKey_eql',
 			'recipientPublicKey_ne',
 			'recipientPublicKey_in',
 			'recipientPublicKey_like',
+			'recipientPublicKey_between',
+			'recipientPublicKey_is_null',
+			'recipientPublicKey_not_in',
 			'requesterPublicKey',
 			'requesterPublicKey_eql',
 			'requesterPublicKey_ne',
 			'requesterPublicKey_in',
 			'requesterPublicKey_like',
+			'requesterPublicKey_between',
+			'requesterPublicKey_is_null',
+			'requesterPublicKey_not_in',
 			'senderId',
 			'senderId_eql',
 			'senderId_ne',
 			'senderId_in',
 			'senderId_like',
+			'senderId_between',
+			'senderId_is_null',
+			'senderId_not_in',
 			'recipientId',
 			'recipientId_eql',
 			'recipientId_ne',
 			'recipientId_in',
 			'recipientId_like',
+			'recipientId_between',
+			'recipientId_is_null',
+			'recipientId_not_in',
 			'amount',
 			'amount_eql',
 			'amount_ne',
@@ -144,6 +174,9 @@ describe('Transaction', () => {
 			'amount_lt',
 			'amount_lte',
 			'amount_in',
+			'amount_between',
+			'amount_is_null',
+			'amount_not_in',
 			'fee',
 			'fee_eql',
 			'fee_ne',
@@ -152,6 +185,9 @@ describe('Transaction', () => {
 			'fee_lt',
 			'fee_lte',
 			'fee_in',
+			'fee_between',
+			'fee_is_null',
+			'fee_not_in',
 			'data_like',
 			'dapp_name',
 			'dapp_link',
@@ -53,4 +53,8 @@ describe('Storage', () => {
 		it('should change isReady status');
 		it('should disconnect the adapter');
 	});
+
+	describe('getStats()', () => {
+		it('should return query statistics of the adapter');
+	});
 });
@@ -30,9 +30,14 @@ describe('filters', () => {
 
 	afterEach(() => sinonSandbox.restore());
 
-	it('should export one function', async () => {
-		expect(Object.keys(filters).length).to.be.eql(1);
-		expect(Object.keys(filters)[0]).to.be.eql('filterGenerator');
+	it('should export filterGenerator, filterGroups, getFilterNames and parseFilterGroups', async () => {
+		expect(Object.keys(filters)).to.be.eql([
+			'filterGenerator',
+			'filterGroups',
+			'getFilterNames',
+			'parseFilterGroups',
+		]);
+		expect(filters.filterGroups).to.be.eql(['AND', 'OR', 'NOT']);
 		return expect(filters.filterGenerator).to.be.a('function');
 	});
 
@@ -54,6 +59,9 @@ describe('filters', () => {
 							alias: `"name" = ${serializer} serialized value`,
 							alias_eql: `"name" = ${serializer} serialized value`,
 							alias_ne: `"name" <> ${serializer} serialized value`,
+							alias_between: `"name" BETWEEN ${serializer} serialized value AND ${serializer} serialized value`,
+							alias_is_null: '("name" IS NULL) = ${alias_is_null}',
+							alias_not_in: '"name" NOT IN (${alias_not_in:csv})',
 						}));
 
 					it('should return appropriate filters for TEXT type', async () =>
@@ -65,6 +73,9 @@ describe('filters', () => {
 							alias_in: '"name" IN (${alias_in:csv})',
 							alias_like: '"name" LIKE (${alias_like})',
 							alias_ne: `"name" <> ${serializer} serialized value`,
+							alias_between: `"name" BETWEEN ${serializer} serialized value AND ${serializer} serialized value`,
+							alias_is_null: '("name" IS NULL) = ${alias_is_null}',
+							alias_not_in: '"name" NOT IN (${alias_not_in:csv})',
 						}));
 
 					it('should return appropriate filters for NUMBER type', async () =>
@@ -79,6 +90,9 @@ describe('filters', () => {
 							alias_lt: `"name" < ${serializer} serialized value`,
 							alias_lte: `"name" <= ${serializer} serialized value`,
 							alias_ne: `"name" <> ${serializer} serialized value`,
+							alias_between: `"name" BETWEEN ${serializer} serialized value AND ${serializer} serialized value`,
+							alias_is_null: '("name" IS NULL) = ${alias_is_null}',
+							alias_not_in: '"name" NOT IN (${alias_not_in:csv})',
 						}));
 				});
 			});
@@ -111,10 +125,85 @@ describe('filters', () => {
 					).to.be.eql({ alias: '"name" = defaultInput serialized value' }));
 			});
 
+			it('should return filters comparing hex encoded values for BINARY type', async () =>
+				expect(filterGenerator(filterTypes.BINARY, 'alias', 'name')).to.include(
+					{
+						alias_in: 'ENCODE("name", \'hex\') IN (${alias_in:csv})',
+						alias_not_in:
+							'ENCODE("name", \'hex\') NOT IN (${alias_not_in:csv})',
+					}
+				));
+
 			it('throw error if invalid filter type provided', async () =>
 				expect(() => filterGenerator('invalidType', 'alias', 'name')).to.throw(
 					'"invalidType" not supported filter type. Supported types are: TEXT,BINARY,NUMBER,BOOLEAN,CUSTOM.'
 				));
 		});
 	});
+
+	describe('getFilterNames', () => {
+		const getFilterNames = filters.getFilterNames;
+
+		it('should return names of filters of nested groups', async () =>
+			expect(
+				getFilterNames([
+					{ id: 1, OR: [{ name: 'a' }, { AND: [{ id_gt: 2 }] }] },
+					{ NOT: [{ name_in: ['b'] }] },
+				])
+			).to.be.eql(['id', 'name', 'id_gt', 'name_in']));
+
+		it('should throw error if AND or OR group is not an array', async () =>
+			expect(() => getFilterNames({ OR: { id: 1 } })).to.throw(
+				'Filter group "OR" must be an array.'
+			));
+
+		it('should throw error if filters are not objects', async () =>
+			expect(() => getFilterNames({ NOT: 'id' })).to.throw(
+				'Filters must be an object or an array of objects.'
+			));
+	});
+
+	describe('parseFilterGroups', () => {
+		const parseFilterGroups = filters.parseFilterGroups;
+		const parseFilterObject = filterObject => {
+			const keys = Object.keys(filterObject);
+			return keys.length
+				? `(${keys.map(key => `${key} = ${filterObject[key]}`).join(' AND ')})`
+				: '';
+		};
+
+		it('should join filters of an object with AND and objects of an array with OR', async () =>
+			expect(
+				parseFilterGroups([{ a: 1, b: 2 }, { c: 3 }], parseFilterObject)
+			).to.be.eql('(a = 1 AND b = 2) OR (c = 3)'));
+
+		it('should parenthesize nested groups', async () =>
+			expect(
+				parseFilterGroups(
+					{
+						height: 10,
+						OR: [{ a: 1 }, { b: 2, AND: [{ c: 3 }, [{ d: 4 }, { e: 5 }]] }],
+					},
+					parseFilterObject
+				)
+			).to.be.eql(
+				'(height = 10) AND ((a = 1) OR ((b = 2) AND ((c = 3) AND ((d = 4) OR (e = 5)))))'
+			));
+
+		it('should negate NOT group', async () =>
+			expect(
+				parseFilterGroups(
+					{ a: 1, NOT: [{ b: 2 }, { c: 3 }] },
+					parseFilterObject
+				)
+			).to.be.eql('(a = 1) AND NOT ((b = 2) OR (c = 3))'));
+
+		it('should skip empty objects and groups', async () =>
+			expect(
+				parseFilterGroups(
+					[{}, { OR: [], NOT: {} }, { a: 1 }],
+					parseFilterObject
+				)
+			).to.be.eql('(a = 1)'));
+	});
 });
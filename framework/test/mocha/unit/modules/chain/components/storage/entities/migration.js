@@ -15,6 +15,7 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 const {
@@ -61,11 +62,17 @@ describe('Migration', () => {
 			'id_ne',
 			'id_in',
 			'id_like',
+			'id_between',
+			'id_is_null',
+			'id_not_in',
 			'name',
 			'name_eql',
 			'name_ne',
 			'name_in',
 			'name_like',
+			'name_between',
+			'name_is_null',
+			'name_not_in',
 		];
 
 		invalidFilter = {
@@ -489,6 +496,316 @@ describe('Migration', () => {
 			});
 		});
 
+		describe('reversible migrations', () => {
+			const reversibleId = '20190321120000';
+			const sqlFiles = {
+				selectApplied: 'selectApplied SQL File',
+				updateChecksum: 'updateChecksum SQL File',
+				deleteApplied: 'deleteApplied SQL File',
+			};
+			let localAdapter;
+			let migration;
+			let migrations;
+			let checksumOf;
+
+			beforeEach(async () => {
+				localAdapter = {
+					loadSQLFiles: sinonSandbox.stub().returns(sqlFiles),
+					loadSQLFile: sinonSandbox
+						.stub()
+						.callsFake(filePath => `QueryFile ${filePath}`),
+					executeFile: sinonSandbox.stub().resolves(),
+					parseQueryComponent: sinonSandbox.stub(),
+				};
+				migration = new Migration(localAdapter);
+				migrations = await migration.readAll();
+				checksumOf = id =>
+					crypto
+						.createHash('sha256')
+						.update(
+							fs.readFileSync(
+								path.join(
+									migration.sqlDirectory,
+									migrations.find(m => m.id === id).path
+								)
+							)
+						)
+						.digest('hex');
+				sinonSandbox.stub(migration, 'hasMigrations').resolves(true);
+				sinonSandbox.stub(migration, 'getLastId').resolves(+fileIds[1]);
+				sinonSandbox
+					.stub(migration, 'getApplied')
+					.resolves([
+						{ id: fileIds[0], name: 'create_schema', checksum: null },
+						{ id: fileIds[1], name: migrations[1].name, checksum: null },
+					]);
+				sinonSandbox.stub(migration, 'begin').callsFake((name, cb) => cb('tx'));
+			});
+
+			describe('readAll()', () => {
+				it('should resolve with all update files sorted by id', async () =>
+					expect(migrations.map(m => m.id)).to.be.eql(fileIds));
+
+				it('should resolve with the list in correct format', async () =>
+					expect(migrations[0]).to.be.eql({
+						id: '20160723182900',
+						name: 'create_schema',
+						path: '../sql/migrations/updates/20160723182900_create_schema.sql',
+					}));
+			});
+
+			describe('getRollbackPath()', () => {
+				it('should return path of the rollback file with the same name', async () =>
+					expect(
+						migration.getRollbackPath(
+							migrations.find(m => m.id === reversibleId)
+						)
+					).to.be.eql(
+						'../sql/migrations/rollbacks/20190321120000_add_checksum_to_migrations.sql'
+					));
+
+				it('should return null if rollback file does not exist', async () =>
+					expect(migration.getRollbackPath(migrations[0])).to.be.null);
+			});
+
+			describe('getChecksum()', () => {
+				it('should return SHA-256 hash of the file in hex', async () =>
+					expect(migration.getChecksum(migrations[0])).to.be.eql(
+						checksumOf(fileIds[0])
+					));
+			});
+
+			describe('getStatus()', () => {
+				it('should mark not applied migrations as pending', async () => {
+					migration.hasMigrations.resolves(false);
+
+					const status = await migration.getStatus();
+
+					expect(migration.getApplied).to.not.be.called;
+					return expect(status.every(m => m.status === 'pending')).to.be.true;
+				});
+
+				it('should resolve with status of each migration', async () => {
+					migration.getApplied.resolves([
+						{ id: fileIds[0], name: 'create_schema', checksum: null },
+						{
+							id: fileIds[1],
+							name: migrations[1].name,
+							checksum: checksumOf(fileIds[1]),
+						},
+						{ id: fileIds[2], name: migrations[2].name, checksum: 'edited' },
+					]);
+
+					const status = await migration.getStatus();
+
+					expect(status.slice(0, 4).map(m => m.status)).to.be.eql([
+						'applied',
+						'applied',
+						'modified',
+						'pending',
+					]);
+					return expect(status[0]).to.be.eql({
+						id: fileIds[0],
+						name: 'create_schema',
+						status: 'applied',
+						reversible: false,
+					});
+				});
+
+				it('should mark applied migrations without file as missing', async () => {
+					migration.getApplied.resolves([
+						{ id: '30000101000000', name: 'removed', checksum: null },
+					]);
+
+					const status = await migration.getStatus();
+
+					return expect(status[status.length - 1]).to.be.eql({
+						id: '30000101000000',
+						name: 'removed',
+						status: 'missing',
+						reversible: false,
+					});
+				});
+
+				it('should mark migrations with rollback file as reversible', async () => {
+					const status = await migration.getStatus();
+
+					return expect(status.find(m => m.id === reversibleId).reversible).to
+						.be.true;
+				});
+			});
+
+			describe('verifyChecksums()', () => {
+				it('should resolve if checksums match or are not recorded', async () => {
+					migration.getApplied.resolves([
+						{ id: fileIds[0], name: 'create_schema', checksum: null },
+						{
+							id: fileIds[1],
+							name: migrations[1].name,
+							checksum: checksumOf(fileIds[1]),
+						},
+					]);
+
+					return expect(migration.verifyChecksums()).to.be.fulfilled;
+				});
+
+				it('should reject with list of modified migrations', async () => {
+					migration.getApplied.resolves([
+						{ id: fileIds[1], name: migrations[1].name, checksum: 'edited' },
+					]);
+
+					return expect(migration.verifyChecksums()).to.be.rejectedWith(
+						`Files of applied migrations were modified: ${fileIds[1]}_${
+							migrations[1].name
+						}`
+					);
+				});
+			});
+
+			describe('recordChecksums()', () => {
+				it('should not record checksums if the column does not exist', async () => {
+					migration.getApplied.resolves([
+						{ id: fileIds[0], name: 'create_schema' },
+					]);
+
+					await migration.recordChecksums();
+
+					return expect(localAdapter.executeFile).to.not.be.called;
+				});
+
+				it('should record checksums of applied migrations without checksum', async () => {
+					migration.getApplied.resolves([
+						{ id: fileIds[0], name: 'create_schema', checksum: null },
+						{
+							id: fileIds[1],
+							name: migrations[1].name,
+							checksum: checksumOf(fileIds[1]),
+						},
+					]);
+
+					await migration.recordChecksums();
+
+					expect(localAdapter.executeFile).to.be.calledOnce;
+					return expect(localAdapter.executeFile).to.be.calledWithExactly(
+						sqlFiles.updateChecksum,
+						{ id: fileIds[0], checksum: checksumOf(fileIds[0]) },
+						{ expectedResultCount: 0 }
+					);
+				});
+			});
+
+			describe('applyAll()', () => {
+				it('should reject without applying if an applied migration was modified', async () => {
+					sinonSandbox
+						.stub(migration, 'verifyChecksums')
+						.rejects(new Error('Files of applied migrations were modified'));
+
+					await expect(migration.applyAll()).to.be.rejectedWith(
+						'Files of applied migrations were modified'
+					);
+					return expect(migration.begin).to.not.be.called;
+				});
+
+				it('should not verify checksums if migrations table does not exist', async () => {
+					migration.hasMigrations.resolves(false);
+					sinonSandbox.stub(migration, 'verifyChecksums').resolves();
+
+					await migration.applyAll({ dryRun: true });
+
+					return expect(migration.verifyChecksums).to.not.be.called;
+				});
+
+				it('should resolve with pending migrations without applying them when dryRun is true', async () => {
+					const pending = await migration.applyAll({ dryRun: true });
+
+					expect(pending.map(m => m.id)).to.be.eql(fileIds.slice(2));
+					return expect(migration.begin).to.not.be.called;
+				});
+
+				it('should apply pending migrations up to the given migration id', async () => {
+					sinonSandbox.stub(migration, 'applyPendingMigration').resolves();
+
+					const applied = await migration.applyAll({ to: fileIds[3] });
+
+					expect(applied.map(m => m.id)).to.be.eql([fileIds[2], fileIds[3]]);
+					return expect(migration.applyPendingMigration).to.be.calledTwice;
+				});
+
+				it('should reject if the given migration id does not exist', async () =>
+					expect(
+						migration.applyAll({ to: '30000101000000' })
+					).to.be.rejectedWith('Migration 30000101000000 does not exist.'));
+			});
+
+			describe('rollbackTo()', () => {
+				const lastIndex = () => fileIds.indexOf(reversibleId);
+
+				beforeEach(async () => {
+					migration.getApplied.resolves(
+						migrations
+							.slice(0, lastIndex() + 1)
+							.map(({ id, name }) => ({ id, name, checksum: null }))
+					);
+				});
+
+				it('should reject if the given migration is not applied', async () =>
+					expect(migration.rollbackTo('30000101000000')).to.be.rejectedWith(
+						'Migration 30000101000000 is not applied.'
+					));
+
+				it('should reject without rolling back if a rollback file does not exist', async () => {
+					await expect(
+						migration.rollbackTo(fileIds[lastIndex() - 2])
+					).to.be.rejectedWith(
+						`Migration ${fileIds[lastIndex() - 1]}_${
+							migrations[lastIndex() - 1].name
+						} can not be rolled back, its rollback file does not exist.`
+					);
+					return expect(migration.begin).to.not.be.called;
+				});
+
+				it('should resolve with migrations to roll back without reverting them when dryRun is true', async () => {
+					const rollbacks = await migration.rollbackTo(
+						fileIds[lastIndex() - 1],
+						{ dryRun: true }
+					);
+
+					expect(rollbacks).to.be.eql([
+						{
+							id: reversibleId,
+							name: 'add_checksum_to_migrations',
+							path:
+								'../sql/migrations/rollbacks/20190321120000_add_checksum_to_migrations.sql',
+							file:
+								'QueryFile ../sql/migrations/rollbacks/20190321120000_add_checksum_to_migrations.sql',
+						},
+					]);
+					return expect(migration.begin).to.not.be.called;
+				});
+
+				it('should execute rollback file and delete the migration record in a transaction', async () => {
+					await migration.rollbackTo(fileIds[lastIndex() - 1]);
+
+					expect(migration.begin).to.be.calledOnce;
+					expect(migration.begin.firstCall.args[0]).to.be.eql(
+						'migrations:rollbackTo'
+					);
+					expect(localAdapter.executeFile).to.be.calledWithExactly(
+						'QueryFile ../sql/migrations/rollbacks/20190321120000_add_checksum_to_migrations.sql',
+						{},
+						{},
+						'tx'
+					);
+					return expect(localAdapter.executeFile).to.be.calledWithExactly(
+						sqlFiles.deleteApplied,
+						{ id: reversibleId },
+						{ expectedResultCount: 0 },
+						'tx'
+					);
+				});
+			});
+		});
+
 		/* eslint-disable mocha/no-skipped-tests */
 		describe('applyRuntime()', () => {
 			it.skip('should use the correct SQL while in transaction context');
@@ -70,11 +70,17 @@ describe('Peer', () => {
 			'id_lt',
 			'id_lte',
 			'id_in',
+			'id_between',
+			'id_is_null',
+			'id_not_in',
 			'ip',
 			'ip_eql',
 			'ip_ne',
 			'ip_in',
 			'ip_like',
+			'ip_between',
+			'ip_is_null',
+			'ip_not_in',
 			'wsPort',
 			'wsPort_eql',
 			'wsPort_ne',
@@ -83,6 +89,9 @@ describe('Peer', () => {
 			'wsPort_lt',
 			'wsPort_lte',
 			'wsPort_in',
+			'wsPort_between',
+			'wsPort_is_null',
+			'wsPort_not_in',
 			'state',
 			'state_eql',
 			'state_ne',
@@ -91,26 +100,41 @@ describe('Peer', () => {
 			'state_lt',
 			'state_lte',
 			'state_in',
+			'state_between',
+			'state_is_null',
+			'state_not_in',
 			'os',
 			'os_eql',
 			'os_ne',
 			'os_in',
 			'os_like',
+			'os_between',
+			'os_is_null',
+			'os_not_in',
 			'version',
 			'version_eql',
 			'version_ne',
 			'version_in',
 			'version_like',
+			'version_between',
+			'version_is_null',
+			'version_not_in',
 			'protocolVersion',
 			'protocolVersion_eql',
 			'protocolVersion_ne',
 			'protocolVersion_in',
 			'protocolVersion_like',
+			'protocolVersion_between',
+			'protocolVersion_is_null',
+			'protocolVersion_not_in',
 			'broadhash',
 			'broadhash_eql',
 			'broadhash_ne',
 			'broadhash_in',
 			'broadhash_like',
+			'broadhash_between',
+			'broadhash_is_null',
+			'broadhash_not_in',
 			'height',
 			'height_eql',
 			'height_ne',
@@ -119,6 +143,9 @@ describe('Peer', () => {
 			'height_lt',
 			'height_lte',
 			'height_in',
+			'height_between',
+			'height_is_null',
+			'height_not_in',
 		];
 
 		invalidFilter = {
@@ -63,6 +63,9 @@ describe('Round', () => {
 		'address_ne',
 		'address_in',
 		'address_like',
+		'address_between',
+		'address_is_null',
+		'address_not_in',
 		'amount',
 		'amount_eql',
 		'amount_ne',
@@ -71,11 +74,17 @@ describe('Round', () => {
 		'amount_lt',
 		'amount_lte',
 		'amount_in',
+		'amount_between',
+		'amount_is_null',
+		'amount_not_in',
 		'delegatePublicKey',
 		'delegatePublicKey_eql',
 		'delegatePublicKey_ne',
 		'delegatePublicKey_in',
 		'delegatePublicKey_like',
+		'delegatePublicKey_between',
+		'delegatePublicKey_is_null',
+		'delegatePublicKey_not_in',
 		'round',
 		'round_eql',
 		'round_ne',
@@ -84,6 +93,9 @@ describe('Round', () => {
 		'round_lt',
 		'round_lte',
 		'round_in',
+		'round_between',
+		'round_is_null',
+		'round_not_in',
 	];
 
 	const validRoundSQLs = [
@@ -0,0 +1,135 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const {
+	entities: { BaseEntity },
+} = require('../../../../../../../../src/components/storage');
+const {
+	Snapshot,
+} = require('../../../../../../../../src/modules/chain/components/storage/entities');
+
+describe('Snapshot', () => {
+	const sqlFiles = {
+		selectBlocks: 'selectBlocks SQL File',
+		selectTransactions: 'selectTransactions SQL File',
+		selectState: 'selectState SQL File',
+		insertRows: 'insertRows SQL File',
+		resetSequences: 'resetSequences SQL File',
+	};
+	const tx = { name: 'tx' };
+	let adapter;
+	let snapshot;
+
+	beforeEach(async () => {
+		adapter = {
+			loadSQLFiles: sinonSandbox.stub().returns(sqlFiles),
+			executeFile: sinonSandbox.stub().resolves(),
+			stream: sinonSandbox.stub().returns('stream'),
+			parseQueryComponent: sinonSandbox.stub(),
+		};
+		snapshot = new Snapshot(adapter);
+	});
+
+	afterEach(async () => {
+		sinonSandbox.restore();
+	});
+
+	it('should be a constructable function', async () => {
+		expect(Snapshot.prototype.constructor).not.to.be.null;
+		return expect(Snapshot.prototype.constructor.name).to.be.eql('Snapshot');
+	});
+
+	it('should extend BaseEntity', async () =>
+		expect(Snapshot.prototype instanceof BaseEntity).to.be.true);
+
+	it('should load snapshot SQL files', async () =>
+		expect(adapter.loadSQLFiles).to.be.calledWith('snapshot'));
+
+	describe('streamBlocks()', () => {
+		it('should stream blocks up to the height', async () => {
+			expect(snapshot.streamBlocks(202, tx)).to.eql('stream');
+			return expect(adapter.stream).to.be.calledWith(
+				sqlFiles.selectBlocks,
+				{ height: 202 },
+				sinonSandbox.match.has('parseRow'),
+				tx
+			);
+		});
+
+		it('should convert binary columns to hex strings with a \\x prefix', async () => {
+			snapshot.streamBlocks(202);
+
+			const { parseRow } = adapter.stream.firstCall.args[2];
+			return expect(
+				parseRow({ height: 2, payloadHash: Buffer.from('ab01', 'hex') })
+			).to.eql({ height: 2, payloadHash: '\\xab01' });
+		});
+	});
+
+	describe('streamTransactions()', () => {
+		it('should stream transactions of blocks up to the height', async () => {
+			snapshot.streamTransactions(202, tx);
+
+			return expect(adapter.stream).to.be.calledWith(
+				sqlFiles.selectTransactions,
+				{ height: 202 },
+				sinonSandbox.match.has('parseRow'),
+				tx
+			);
+		});
+	});
+
+	describe('streamState()', () => {
+		it('should stream all rows of the table', async () => {
+			snapshot.streamState('mem_accounts', tx);
+
+			return expect(adapter.stream).to.be.calledWith(
+				sqlFiles.selectState,
+				{ table: 'mem_accounts' },
+				sinonSandbox.match.has('parseRow'),
+				tx
+			);
+		});
+	});
+
+	describe('insertRows()', () => {
+		it('should insert rows to the table', async () => {
+			const rows = [{ address: '1L' }];
+
+			await snapshot.insertRows('mem_accounts', rows, tx);
+
+			return expect(adapter.executeFile).to.be.calledWith(
+				sqlFiles.insertRows,
+				{ table: 'mem_accounts', rows },
+				{ expectedResultCount: 0 },
+				tx
+			);
+		});
+	});
+
+	describe('resetSequences()', () => {
+		it('should execute the SQL resetting row id sequences', async () => {
+			await snapshot.resetSequences(tx);
+
+			return expect(adapter.executeFile).to.be.calledWith(
+				sqlFiles.resetSequences,
+				{},
+				{},
+				tx
+			);
+		});
+	});
+});
@@ -0,0 +1,209 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const http = require('http');
+const ForgingFailover = require('../../../../../../src/modules/chain/helpers/forging_failover');
+
+describe('helpers/forging_failover', () => {
+	const publicKey =
+		'9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f';
+	const otherPublicKey =
+		'141b16ac8d5bd150f16b1caa08f689057ca4c4434445e56661831f4e671b7c0a';
+
+	let failover;
+
+	beforeEach(async () => {
+		failover = new ForgingFailover({ missedSlots: 2, leaseDuration: 20000 });
+	});
+
+	describe('countMissedSlots', () => {
+		it('should not count a slot before the next slot passed', async () => {
+			failover.expectBlock(publicKey, 100);
+
+			expect(failover.countMissedSlots(101)).to.eql([]);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(0);
+		});
+
+		it('should count a slot which passed without a block', async () => {
+			failover.expectBlock(publicKey, 100);
+
+			failover.countMissedSlots(102);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(1);
+		});
+
+		it('should count each slot once', async () => {
+			failover.expectBlock(publicKey, 100);
+			failover.expectBlock(publicKey, 100);
+
+			failover.countMissedSlots(102);
+			failover.countMissedSlots(103);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(1);
+		});
+
+		it('should not count a slot with a block of the delegate', async () => {
+			failover.expectBlock(publicKey, 100);
+			failover.observeBlock(publicKey, 100, 50);
+
+			failover.countMissedSlots(102);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(0);
+		});
+
+		it('should return delegates whose slots were missed as many times as configured', async () => {
+			failover.expectBlock(publicKey, 100);
+			failover.expectBlock(otherPublicKey, 150);
+			expect(failover.countMissedSlots(152)).to.eql([]);
+
+			failover.expectBlock(publicKey, 201);
+			return expect(failover.countMissedSlots(203)).to.eql([publicKey]);
+		});
+
+		it('should reset missed slots when a block of the delegate is observed', async () => {
+			failover.expectBlock(publicKey, 100);
+			failover.countMissedSlots(102);
+
+			failover.observeBlock(publicKey, 201, 150);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(0);
+		});
+	});
+
+	describe('getLastBlock', () => {
+		it('should return null when no block of the delegate was observed', async () =>
+			expect(failover.getLastBlock(publicKey)).to.be.null);
+
+		it('should return height and slot of the last block of the delegate', async () => {
+			failover.observeBlock(publicKey, 201, 150);
+			failover.observeBlock(publicKey, 100, 50);
+
+			return expect(failover.getLastBlock(publicKey)).to.eql({
+				height: 150,
+				slot: 201,
+			});
+		});
+	});
+
+	describe('reset', () => {
+		it('should reset missed and expected slots of the delegate', async () => {
+			failover.expectBlock(publicKey, 100);
+			failover.expectBlock(publicKey, 201);
+			failover.countMissedSlots(102);
+
+			failover.reset(publicKey);
+			failover.countMissedSlots(300);
+			return expect(failover.getMissedSlots(publicKey)).to.equal(0);
+		});
+	});
+
+	describe('lease', () => {
+		let clock;
+
+		beforeEach(async () => {
+			clock = sinonSandbox.useFakeTimers(Date.now());
+			failover = new ForgingFailover({ missedSlots: 2, leaseDuration: 20000 });
+		});
+
+		afterEach(async () => clock.restore());
+
+		it('should hold the lease for the lease duration after the standby started', async () => {
+			clock.tick(19999);
+			expect(failover.isLeaseExpired()).to.be.false;
+
+			clock.tick(1);
+			return expect(failover.isLeaseExpired()).to.be.true;
+		});
+
+		it('should expire the lease once it was not renewed for the lease duration', async () => {
+			clock.tick(15000);
+			failover.renewLease();
+
+			clock.tick(19999);
+			expect(failover.isLeaseExpired()).to.be.false;
+
+			clock.tick(1);
+			return expect(failover.isLeaseExpired()).to.be.true;
+		});
+	});
+
+	describe('requestLease', () => {
+		const forgingRecords = [
+			{ publicKey, forgingRecord: { height: 150, slot: 201 } },
+			{ publicKey: otherPublicKey, forgingRecord: null },
+		];
+
+		let server;
+		let respond;
+		let request;
+		let nodeUrl;
+
+		beforeEach(async () => {
+			respond = response =>
+				response.end(
+					JSON.stringify({ data: { leaseDuration: 20000, forgingRecords } })
+				);
+			server = http.createServer((incomingRequest, response) => {
+				request = incomingRequest;
+				respond(response);
+			});
+			await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+			nodeUrl = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		afterEach(async () => {
+			await new Promise(resolve => server.close(resolve));
+		});
+
+		it('should request the lease from the API of the standby node', async () => {
+			await ForgingFailover.requestLease(nodeUrl, 50);
+
+			expect(request.method).to.equal('PUT');
+			return expect(request.url).to.equal('/api/node/status/forging/lease');
+		});
+
+		it('should resolve with the lease duration and forging records of the standby node', async () =>
+			expect(await ForgingFailover.requestLease(nodeUrl, 50)).to.eql({
+				leaseDuration: 20000,
+				forgingRecords,
+			}));
+
+		it('should reject when the standby node responds with an error', async () => {
+			respond = response => {
+				response.statusCode = 403;
+				response.end(JSON.stringify({ message: 'Access Denied' }));
+			};
+
+			return expect(
+				ForgingFailover.requestLease(nodeUrl, 50)
+			).to.be.rejectedWith('Node responded with status 403');
+		});
+
+		it('should reject when the standby node does not grant a lease', async () => {
+			respond = response => response.end(JSON.stringify({ data: {} }));
+
+			return expect(
+				ForgingFailover.requestLease(nodeUrl, 50)
+			).to.be.rejectedWith(
+				'Invalid response from node: no forging lease granted'
+			);
+		});
+
+		it('should reject when the standby node does not respond', async () => {
+			respond = () => {};
+
+			return expect(
+				ForgingFailover.requestLease(nodeUrl, 50)
+			).to.be.rejectedWith('Node did not respond within 50 ms');
+		});
+	});
+});
@@ -0,0 +1,211 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ForgingSafety = require('../../../../../../src/modules/chain/helpers/forging_safety');
+
+describe('helpers/forging_safety', () => {
+	const publicKey =
+		'9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f';
+	const otherPublicKey =
+		'141b16ac8d5bd150f16b1caa08f689057ca4c4434445e56661831f4e671b7c0a';
+
+	let directory;
+	let filePath;
+	let forgingSafety;
+
+	const readFile = () => fs.readJsonSync(filePath);
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-forging-safety-'));
+		filePath = path.join(directory, 'data', 'forging_safety.json');
+		forgingSafety = new ForgingSafety(filePath);
+	});
+
+	afterEach(async () => {
+		fs.removeSync(directory);
+	});
+
+	describe('record', () => {
+		it('should persist the height and slot of the block', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+
+			return expect(readFile()).to.eql({
+				version: 1,
+				delegates: { [publicKey]: { height: 10, slot: 100 } },
+			});
+		});
+
+		it('should keep records of other delegates', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+			await forgingSafety.record(otherPublicKey, { height: 11, slot: 101 });
+
+			return expect(Object.keys(readFile().delegates)).to.eql([
+				publicKey,
+				otherPublicKey,
+			]);
+		});
+
+		it('should accept a block at a higher height and slot', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+			await forgingSafety.record(publicKey, { height: 11, slot: 201 });
+
+			return expect(readFile().delegates[publicKey]).to.eql({
+				height: 11,
+				slot: 201,
+			});
+		});
+
+		it('should reject a block in the same slot', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+
+			await expect(
+				forgingSafety.record(publicKey, { height: 11, slot: 100 })
+			).to.be.rejectedWith(
+				`Refusing to forge block in slot 100 for delegate ${publicKey}, it already forged in slot 100`
+			);
+			return expect(readFile().delegates[publicKey]).to.eql({
+				height: 10,
+				slot: 100,
+			});
+		});
+
+		it('should reject a block in an earlier slot', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+
+			return expect(
+				forgingSafety.record(publicKey, { height: 11, slot: 99 })
+			).to.be.rejectedWith('Refusing to forge block in slot 99');
+		});
+
+		it('should accept a block in a later slot at the same or a lower height, after blocks were deleted', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+			await forgingSafety.record(publicKey, { height: 10, slot: 101 });
+			await forgingSafety.record(publicKey, { height: 9, slot: 102 });
+
+			return expect(readFile().delegates[publicKey]).to.eql({
+				height: 10,
+				slot: 102,
+			});
+		});
+
+		it('should reject a conflicting block recorded by a previous process', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+
+			return expect(
+				new ForgingSafety(filePath).record(publicKey, { height: 8, slot: 80 })
+			).to.be.rejectedWith('Refusing to forge block in slot 80');
+		});
+
+		it('should record only one of concurrent conflicting blocks', async () => {
+			const results = await Promise.all(
+				[
+					forgingSafety.record(publicKey, { height: 10, slot: 100 }),
+					forgingSafety.record(publicKey, { height: 10, slot: 100 }),
+				].map(promise => promise.then(() => 'recorded', () => 'rejected'))
+			);
+
+			return expect(results).to.eql(['recorded', 'rejected']);
+		});
+
+		it('should reject when the file is corrupted', async () => {
+			fs.outputFileSync(filePath, '{"version":1,"deleg');
+
+			return expect(
+				forgingSafety.record(publicKey, { height: 10, slot: 100 })
+			).to.be.rejectedWith(
+				`Forging safety file ${filePath} is corrupted: Unexpected end of JSON input`
+			);
+		});
+
+		it('should reject when the file has an unsupported version', async () => {
+			fs.outputJsonSync(filePath, { version: 2, delegates: {} });
+
+			return expect(
+				forgingSafety.record(publicKey, { height: 10, slot: 100 })
+			).to.be.rejectedWith(
+				`Forging safety file ${filePath} has unsupported version 2`
+			);
+		});
+
+		it('should reject when the file has an invalid record', async () => {
+			fs.outputJsonSync(filePath, {
+				version: 1,
+				delegates: { [publicKey]: { height: '10', slot: 100 } },
+			});
+
+			return expect(
+				forgingSafety.record(publicKey, { height: 11, slot: 101 })
+			).to.be.rejectedWith(
+				`Forging safety file ${filePath} has an invalid record for delegate ${publicKey}`
+			);
+		});
+	});
+
+	describe('export', () => {
+		it('should resolve with null when the delegate did not forge', async () =>
+			expect(await forgingSafety.export(publicKey)).to.be.null);
+
+		it('should resolve with the record of the delegate', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 100 });
+
+			return expect(await forgingSafety.export(publicKey)).to.eql({
+				height: 10,
+				slot: 100,
+			});
+		});
+	});
+
+	describe('import', () => {
+		it('should persist the record of a delegate which did not forge', async () => {
+			const record = await forgingSafety.import(publicKey, {
+				height: 10,
+				slot: 100,
+			});
+
+			expect(record).to.eql({ height: 10, slot: 100 });
+			return expect(readFile().delegates[publicKey]).to.eql(record);
+		});
+
+		it('should keep the highest height and slot', async () => {
+			await forgingSafety.record(publicKey, { height: 10, slot: 120 });
+
+			const record = await forgingSafety.import(publicKey, {
+				height: 12,
+				slot: 110,
+			});
+
+			return expect(record).to.eql({ height: 12, slot: 120 });
+		});
+
+		it('should make blocks conflicting with the imported record rejected', async () => {
+			await forgingSafety.import(publicKey, { height: 10, slot: 100 });
+
+			return expect(
+				forgingSafety.record(publicKey, { height: 11, slot: 100 })
+			).to.be.rejectedWith('Refusing to forge block in slot 100');
+		});
+
+		it('should reject an invalid record', async () =>
+			expect(
+				forgingSafety.import(publicKey, { height: 0, slot: 100 })
+			).to.be.rejectedWith(
+				'Invalid forging record: height must be a positive integer and slot a non negative integer'
+			));
+	});
+});
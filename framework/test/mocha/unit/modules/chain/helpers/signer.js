@@ -0,0 +1,207 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ed = require('../../../../../../src/modules/chain/helpers/ed');
+const Bignum = require('../../../../../../src/modules/chain/helpers/bignum');
+const Block = require('../../../../../../src/modules/chain/logic/block');
+const {
+	RemoteSigner,
+	createSignerServer,
+} = require('../../../../../../src/modules/chain/helpers/signer');
+
+describe('helpers/signer', () => {
+	const blockLogic = new Block(ed);
+	const getHash = block => blockLogic.getHash(block);
+	const keypair = ed.makeKeypair(
+		crypto
+			.createHash('sha256')
+			.update('signer test passphrase', 'utf8')
+			.digest()
+	);
+	const publicKey = keypair.publicKey.toString('hex');
+	const block = {
+		version: 1,
+		totalAmount: new Bignum(0),
+		totalFee: new Bignum(0),
+		reward: new Bignum(500000000),
+		payloadHash:
+			'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+		timestamp: 41287231,
+		numberOfTransactions: 0,
+		payloadLength: 0,
+		previousBlock: '1087874036928524397',
+		generatorPublicKey: publicKey,
+		transactions: [],
+	};
+
+	let directory;
+	let socketPath;
+	let server;
+
+	const listen = (target, listener) =>
+		new Promise(resolve => {
+			const standIn = listener
+				? http.createServer(listener)
+				: createSignerServer({ [publicKey]: keypair }, { ed, getHash });
+			standIn.listen(target, () => resolve(standIn));
+		});
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-signer-'));
+		socketPath = path.join(directory, 'signer.sock');
+	});
+
+	afterEach(async () => {
+		await new Promise(resolve => server.close(resolve));
+		fs.removeSync(directory);
+	});
+
+	describe('RemoteSigner', () => {
+		describe('constructor', () => {
+			beforeEach(async () => {
+				server = await listen(socketPath);
+			});
+
+			it('should throw when neither url nor socket is given', async () =>
+				expect(() => new RemoteSigner({}, ed)).to.throw(
+					'Signer url or socket is required'
+				));
+		});
+
+		describe('when reached over a local socket', () => {
+			let signer;
+
+			beforeEach(async () => {
+				server = await listen(socketPath);
+				signer = new RemoteSigner({ socket: socketPath }, ed);
+			});
+
+			it('should resolve with public keys held by the signer', async () =>
+				expect(await signer.getPublicKeys()).to.eql([publicKey]));
+
+			it('should resolve with a valid block signature', async () => {
+				const signature = await signer.sign(publicKey, getHash(block), block);
+
+				return expect(
+					blockLogic.verifySignature({ ...block, blockSignature: signature })
+				).to.be.true;
+			});
+
+			it('should reject when the signer does not hold the key', async () => {
+				const otherKey = 'ab'.repeat(32);
+
+				return expect(
+					signer.sign(otherKey, getHash(block), block)
+				).to.be.rejectedWith(
+					`Signer responded with status 404: Key ${otherKey} not found`
+				);
+			});
+
+			it('should reject when the signature does not match the hash', async () => {
+				const otherHash = getHash({ ...block, timestamp: 41287241 });
+
+				return expect(
+					signer.sign(publicKey, otherHash, block)
+				).to.be.rejectedWith(
+					`Signer returned an invalid signature for ${publicKey}`
+				);
+			});
+
+			it('should create the signer of a delegate', async () => {
+				const delegateSigner = signer.getDelegateSigner(publicKey);
+				const signature = await delegateSigner.sign(getHash(block), block);
+
+				expect(delegateSigner.publicKey).to.eql(keypair.publicKey);
+				return expect(ed.hexToBuffer(signature)).to.have.length(64);
+			});
+		});
+
+		describe('when reached over HTTP', () => {
+			let signer;
+
+			beforeEach(async () => {
+				server = await listen(0);
+				signer = new RemoteSigner(
+					{ url: `http://127.0.0.1:${server.address().port}/` },
+					ed
+				);
+			});
+
+			it('should resolve with public keys held by the signer', async () =>
+				expect(await signer.getPublicKeys()).to.eql([publicKey]));
+
+			it('should resolve with a valid block signature', async () => {
+				const signature = await signer.sign(publicKey, getHash(block), block);
+
+				return expect(
+					blockLogic.verifySignature({ ...block, blockSignature: signature })
+				).to.be.true;
+			});
+		});
+
+		describe('when the signer does not respond', () => {
+			beforeEach(async () => {
+				server = await listen(socketPath, () => {});
+			});
+
+			it('should reject after the timeout', async () => {
+				const signer = new RemoteSigner(
+					{ socket: socketPath, timeout: 50 },
+					ed
+				);
+
+				return expect(signer.getPublicKeys()).to.be.rejectedWith(
+					'Signer did not respond within 50 ms'
+				);
+			});
+		});
+
+		describe('when the signer responds with an invalid body', () => {
+			beforeEach(async () => {
+				server = await listen(socketPath, (request, response) =>
+					response.end('{}')
+				);
+			});
+
+			it('should reject', async () => {
+				const signer = new RemoteSigner({ socket: socketPath }, ed);
+
+				return expect(signer.getPublicKeys()).to.be.rejectedWith(
+					'Invalid response from signer: publicKeys is missing'
+				);
+			});
+		});
+	});
+
+	describe('createSignerServer', () => {
+		beforeEach(async () => {
+			server = await listen(socketPath);
+		});
+
+		it('should respond with status 404 to unknown requests', async () => {
+			const signer = new RemoteSigner({ socket: socketPath }, ed);
+
+			return expect(signer._request('GET', '/unknown')).to.be.rejectedWith(
+				'Signer responded with status 404: Not found'
+			);
+		});
+	});
+});
@@ -0,0 +1,336 @@
+/*
+ * Copyright © 2018 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+	readSnapshotHeader,
+	exportSnapshot,
+	verifySnapshot,
+	importSnapshot,
+} = require('../../../../../../src/modules/chain/helpers/snapshot');
+
+describe('helpers/snapshot', () => {
+	const genesisBlockId = '6524861224470851795';
+	const header = {
+		nethash: 'da3ed6a45429278bac2666961289ca17ad86595d33b31037615d4b8e8f158bba',
+		height: 3,
+		round: 1,
+		lastBlockId: '3',
+		migration: 20190321120000,
+	};
+	const tables = {
+		blocks: [
+			{ id: '2', height: 2, previousBlock: genesisBlockId, rowId: 2 },
+			{ id: '3', height: 3, previousBlock: '2', rowId: 3 },
+		],
+		trs: [{ id: '10', blockId: '2', rowId: 2, asset: { data: 'a' } }],
+		mem_accounts: [{ address: '1L', balance: '100', publicKey: '\\xab' }],
+		mem_round: [],
+		mem_accounts2delegates: [{ accountId: '1L', dependentId: 'ab' }],
+		mem_accounts2u_delegates: [],
+		mem_accounts2multisignatures: [],
+		mem_accounts2u_multisignatures: [],
+		rounds_rewards: [{ round: 1, fees: '0', reward: '0' }],
+	};
+
+	let directory;
+	let filePath;
+	let storageStub;
+
+	const streamOf = rows => {
+		const readable = new Readable({ objectMode: true, read: () => {} });
+		rows.forEach(row => readable.push({ ...row }));
+		readable.push(null);
+		return readable;
+	};
+
+	const readLines = () =>
+		fs
+			.readFileSync(filePath, 'utf8')
+			.split('\n')
+			.filter(line => line);
+
+	const writeLines = lines =>
+		fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-snapshot-'));
+		filePath = path.join(directory, 'snapshot.ndjson');
+		storageStub = {
+			entities: {
+				Account: {
+					resetMemTables: sinonSandbox.stub().resolves(),
+				},
+				Snapshot: {
+					begin: sinonSandbox.spy((name, cb) => cb({ name })),
+					streamBlocks: sinonSandbox.spy(() => streamOf(tables.blocks)),
+					streamTransactions: sinonSandbox.spy(() => streamOf(tables.trs)),
+					streamState: sinonSandbox.spy(table => streamOf(tables[table])),
+					insertRows: sinonSandbox.stub().resolves(),
+					resetSequences: sinonSandbox.stub().resolves(),
+				},
+			},
+		};
+	});
+
+	afterEach(async () => {
+		fs.removeSync(directory);
+	});
+
+	describe('exportSnapshot', () => {
+		it('should write header, rows of all tables and footer', async () => {
+			await exportSnapshot(storageStub, filePath, header);
+
+			const lines = readLines().map(line => JSON.parse(line));
+			expect(lines[0]).to.include({
+				format: 'lisk-snapshot',
+				version: 1,
+				...header,
+			});
+			expect(lines.slice(1, -1)).to.eql([
+				{ table: 'blocks', row: tables.blocks[0] },
+				{ table: 'blocks', row: tables.blocks[1] },
+				{ table: 'trs', row: tables.trs[0] },
+				{ table: 'mem_accounts', row: tables.mem_accounts[0] },
+				{
+					table: 'mem_accounts2delegates',
+					row: tables.mem_accounts2delegates[0],
+				},
+				{ table: 'rounds_rewards', row: tables.rounds_rewards[0] },
+			]);
+			return expect(lines[lines.length - 1]).to.have.all.keys(
+				'stateDigest',
+				'checksum'
+			);
+		});
+
+		it('should stream blocks and transactions up to the height in one transaction', async () => {
+			await exportSnapshot(storageStub, filePath, header);
+
+			const { Snapshot } = storageStub.entities;
+			expect(Snapshot.begin).to.be.calledOnce;
+			expect(Snapshot.streamBlocks).to.be.calledWith(3, {
+				name: 'snapshot:export',
+			});
+			return expect(Snapshot.streamTransactions).to.be.calledWith(3, {
+				name: 'snapshot:export',
+			});
+		});
+
+		it('should resolve with checksum, state digest and number of rows', async () => {
+			const result = await exportSnapshot(storageStub, filePath, header);
+
+			const footer = JSON.parse(readLines().pop());
+			expect(result.checksum).to.equal(footer.checksum);
+			expect(result.stateDigest).to.equal(footer.stateDigest);
+			return expect(result.rows).to.eql({
+				blocks: 2,
+				trs: 1,
+				mem_accounts: 1,
+				mem_accounts2delegates: 1,
+				rounds_rewards: 1,
+			});
+		});
+
+		it('should remove the file and reject when streaming rows fails', async () => {
+			storageStub.entities.Snapshot.streamState = () => {
+				const readable = new Readable({ objectMode: true, read: () => {} });
+				setImmediate(() => readable.emit('error', new Error('Query failed')));
+				return readable;
+			};
+
+			await expect(
+				exportSnapshot(storageStub, filePath, header)
+			).to.be.rejectedWith('Query failed');
+			await new Promise(resolve => setImmediate(resolve));
+			return expect(fs.existsSync(filePath)).to.be.false;
+		});
+	});
+
+	describe('readSnapshotHeader', () => {
+		it('should resolve with the header of a snapshot', async () => {
+			const exported = await exportSnapshot(storageStub, filePath, header);
+
+			return expect(await readSnapshotHeader(filePath)).to.eql(exported.header);
+		});
+
+		it('should reject when the file is not a snapshot', async () => {
+			fs.writeFileSync(filePath, 'not a snapshot\n');
+
+			return expect(readSnapshotHeader(filePath)).to.be.rejectedWith(
+				'File is not a snapshot.'
+			);
+		});
+	});
+
+	describe('verifySnapshot', () => {
+		let exported;
+
+		beforeEach(async () => {
+			exported = await exportSnapshot(storageStub, filePath, header);
+		});
+
+		it('should resolve with header, checksum and state digest of a valid snapshot', async () => {
+			const result = await verifySnapshot(filePath, {
+				nethash: header.nethash,
+				migration: header.migration,
+				genesisBlockId,
+			});
+
+			expect(result.header).to.eql(exported.header);
+			expect(result.checksum).to.equal(exported.checksum);
+			return expect(result.stateDigest).to.equal(exported.stateDigest);
+		});
+
+		it('should reject when a row was modified', async () => {
+			writeLines(
+				readLines().map(line =>
+					line.replace('"balance":"100"', '"balance":"900"')
+				)
+			);
+
+			return expect(verifySnapshot(filePath)).to.be.rejectedWith(
+				'Snapshot checksum does not match its content.'
+			);
+		});
+
+		it('should reject when the footer is missing', async () => {
+			writeLines(readLines().slice(0, -1));
+
+			return expect(verifySnapshot(filePath)).to.be.rejectedWith(
+				'Snapshot is incomplete.'
+			);
+		});
+
+		it('should reject an unsupported version', async () => {
+			const lines = readLines();
+			lines[0] = JSON.stringify({ ...JSON.parse(lines[0]), version: 2 });
+			writeLines(lines);
+
+			return expect(verifySnapshot(filePath)).to.be.rejectedWith(
+				'Snapshot version 2 is not supported.'
+			);
+		});
+
+		it('should reject a snapshot of another network', async () => {
+			return expect(
+				verifySnapshot(filePath, { nethash: 'other' })
+			).to.be.rejectedWith(/^Snapshot nethash .* does not match other\.$/);
+		});
+
+		it('should reject a snapshot created with another database schema', async () => {
+			return expect(
+				verifySnapshot(filePath, { migration: 20190101000000 })
+			).to.be.rejectedWith(/^Snapshot migration .* does not match/);
+		});
+
+		it('should reject when blocks do not follow the genesis block', async () => {
+			return expect(
+				verifySnapshot(filePath, { genesisBlockId: '1' })
+			).to.be.rejectedWith(
+				'Snapshot block 2 does not follow block at height 1.'
+			);
+		});
+	});
+
+	describe('importSnapshot', () => {
+		let exported;
+
+		beforeEach(async () => {
+			exported = await exportSnapshot(storageStub, filePath, header);
+		});
+
+		it('should import state when the trusted digest matches', async () => {
+			const result = await importSnapshot(storageStub, filePath, {
+				genesisBlockId,
+				trustedDigest: exported.stateDigest,
+			});
+
+			const { Account, Snapshot } = storageStub.entities;
+			expect(result.stateImported).to.be.true;
+			expect(Account.resetMemTables).to.be.calledOnce;
+			expect(Snapshot.insertRows.args.map(([table]) => table)).to.eql([
+				'blocks',
+				'trs',
+				'mem_accounts',
+				'mem_accounts2delegates',
+				'rounds_rewards',
+			]);
+			expect(Snapshot.insertRows.firstCall.args[1]).to.eql(tables.blocks);
+			return expect(Snapshot.resetSequences).to.be.calledOnce;
+		});
+
+		it('should import only blocks and transactions without a trusted digest', async () => {
+			const result = await importSnapshot(storageStub, filePath, {
+				genesisBlockId,
+			});
+
+			const { Account, Snapshot } = storageStub.entities;
+			expect(result.stateImported).to.be.false;
+			expect(Account.resetMemTables).to.not.be.called;
+			return expect(Snapshot.insertRows.args.map(([table]) => table)).to.eql([
+				'blocks',
+				'trs',
+			]);
+		});
+
+		it('should import only blocks and transactions when the trusted digest does not match', async () => {
+			const result = await importSnapshot(storageStub, filePath, {
+				trustedDigest: 'ab'.repeat(32),
+			});
+
+			expect(result.stateImported).to.be.false;
+			return expect(storageStub.entities.Account.resetMemTables).to.not.be
+				.called;
+		});
+
+		it('should import only blocks and transactions when transactions differ from the ones of the trusted digest', async () => {
+			storageStub.entities.Snapshot.streamTransactions = () =>
+				streamOf([{ ...tables.trs[0], amount: '100000000' }]);
+			await exportSnapshot(storageStub, filePath, header);
+
+			const result = await importSnapshot(storageStub, filePath, {
+				genesisBlockId,
+				trustedDigest: exported.stateDigest,
+			});
+
+			expect(result.stateImported).to.be.false;
+			return expect(storageStub.entities.Account.resetMemTables).to.not.be
+				.called;
+		});
+
+		it('should insert rows in batches', async () => {
+			await importSnapshot(storageStub, filePath, { batchSize: 1 });
+
+			const { insertRows } = storageStub.entities.Snapshot;
+			expect(insertRows).to.be.calledWith('blocks', [tables.blocks[0]]);
+			return expect(insertRows).to.be.calledWith('blocks', [tables.blocks[1]]);
+		});
+
+		it('should not insert rows of an invalid snapshot', async () => {
+			writeLines(readLines().slice(0, -1));
+			storageStub.entities.Snapshot.begin.resetHistory();
+
+			await expect(importSnapshot(storageStub, filePath)).to.be.rejectedWith(
+				'Snapshot is incomplete.'
+			);
+			return expect(storageStub.entities.Snapshot.begin).to.not.be.called;
+		});
+	});
+});
@@ -308,7 +308,13 @@ describe('blocks', () => {
 	});
 
 	describe('onNewBlock', () => {
-		const block = { id: 123 };
+		const block = {
+			id: 123,
+			transactions: [
+				{ senderId: '1L', recipientId: '2L' },
+				{ senderId: '1L', recipientId: null },
+			],
+		};
 
 		describe('when cache is enabled', () => {
 			beforeEach(done => {
@@ -317,6 +323,7 @@ describe('blocks', () => {
 					components = Blocks.__get__('components');
 					components.cache = {
 						removeByPattern: sinonSandbox.stub().resolves(),
+						removeByTags: sinonSandbox.stub().resolves(),
 						isReady: sinonSandbox.stub().returns(true),
 					};
 					await blocksInstance.onNewBlock(block);
@@ -329,6 +336,12 @@ describe('blocks', () => {
 				done();
 			});
 
+			it('should call components.cache.removeByTags with tags of senders and recipients', async () =>
+				expect(components.cache.removeByTags).to.be.calledWithExactly([
+					'address:1L',
+					'address:2L',
+				]));
+
 			it('should call library.channel.publish with "chain:blocks:change" and block data', async () => {
 				expect(library.channel.publish).to.be.calledWith(
 					'chain:blocks:change',
@@ -1911,6 +1911,67 @@ describe('blocks/process', () => {
 				});
 			});
 		});
+
+		describe('when keypair is a signer', () => {
+			let signer;
+
+			beforeEach(() => {
+				signer = {
+					publicKey: Buffer.from('123abc', 'hex'),
+					sign: sinonSandbox.stub().resolves('aabb'),
+				};
+				modules.transactions.getUnconfirmedTransactionList.returns([]);
+				library.logic.block.createUnsigned = sinonSandbox
+					.stub()
+					.returns({ transactions: [] });
+				library.logic.block.getHash = sinonSandbox.stub().returns('hash');
+				library.logic.block.objectNormalize.returnsArg(0);
+				return modules.blocks.verify.processBlock.callsArgWith(3, null);
+			});
+
+			it('should create unsigned block with public key of the signer', done => {
+				blocksProcessModule.generateBlock(signer, 41287231, err => {
+					expect(err).to.be.null;
+					expect(library.logic.block.createUnsigned).to.be.calledWithMatch({
+						generatorPublicKey: '123abc',
+						timestamp: 41287231,
+					});
+					done();
+				});
+			});
+
+			it('should process block signed by the signer', done => {
+				blocksProcessModule.generateBlock(signer, 41287231, err => {
+					expect(err).to.be.null;
+					expect(signer.sign).to.be.calledWith('hash', {
+						transactions: [],
+					});
+					expect(modules.blocks.verify.processBlock.args[0][0]).to.eql({
+						transactions: [],
+						blockSignature: 'aabb',
+					});
+					done();
+				});
+			});
+
+			describe('when signer fails', () => {
+				beforeEach(() =>
+					signer.sign.rejects(
+						new Error('Signer did not respond within 2000 ms')
+					)
+				);
+
+				it('should call a callback with error and not process block', done => {
+					blocksProcessModule.generateBlock(signer, 41287231, err => {
+						expect(err.message).to.equal(
+							'Signer did not respond within 2000 ms'
+						);
+						expect(modules.blocks.verify.processBlock).to.not.be.called;
+						done();
+					});
+				});
+			});
+		});
 	});
 
 	describe('__private.validateBlockSlot', () => {
@@ -14,9 +14,14 @@
 
 'use strict';
 
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
 const {
 	getPrivateAndPublicKeyFromPassphrase,
 } = require('@liskhq/lisk-cryptography');
+const ForgingFailover = require('../../../../../../src/modules/chain/helpers/forging_failover');
+const ForgingSafety = require('../../../../../../src/modules/chain/helpers/forging_safety');
 const genesisDelegates = require('../../../../data/genesis_delegates.json');
 const delegatesRoundsList = require('../../../../data/delegates_rounds_list.json');
 const accountFixtures = require('../../../../fixtures/accounts');
@@ -180,6 +185,362 @@ describe('delegates', () => {
 				}
 			);
 		});
+
+		describe('when forging record is given', () => {
+			const forgingRecord = { height: 10, slot: 100 };
+			let forgingSafety;
+
+			beforeEach(async () => {
+				forgingSafety = __private.forgingSafety;
+				__private.forgingSafety = {
+					import: sinonSandbox.stub().resolves(forgingRecord),
+					export: sinonSandbox.stub().resolves(forgingRecord),
+				};
+			});
+
+			afterEach(async () => {
+				__private.forgingSafety = forgingSafety;
+			});
+
+			it('should import the forging record and return it with the status', async () => {
+				const data = await library.modules.delegates.updateForgingStatus(
+					testDelegate.publicKey,
+					testDelegate.password,
+					true,
+					forgingRecord
+				);
+
+				expect(__private.forgingSafety.import).to.be.calledWith(
+					testDelegate.publicKey,
+					forgingRecord
+				);
+				expect(data).to.eql({
+					publicKey: testDelegate.publicKey,
+					forging: true,
+					forgingRecord,
+				});
+			});
+
+			it('should return error and not update forging status when the record is invalid', async () => {
+				const keypair = __private.keypairs[testDelegate.publicKey];
+				__private.forgingSafety.import.rejects(
+					new Error('Invalid forging record')
+				);
+
+				await expect(
+					library.modules.delegates.updateForgingStatus(
+						testDelegate.publicKey,
+						testDelegate.password,
+						false,
+						{ height: 0, slot: 100 }
+					)
+				).to.be.rejectedWith('Invalid forging record');
+				expect(__private.keypairs[testDelegate.publicKey]).to.equal(keypair);
+			});
+		});
+
+		describe('when remote signer is configured', () => {
+			let keypair;
+
+			beforeEach(async () => {
+				keypair = __private.keypairs[testDelegate.publicKey];
+				__private.signer = {
+					getPublicKeys: sinonSandbox.stub().resolves([testDelegate.publicKey]),
+					getDelegateSigner: publicKey => ({
+						publicKey: Buffer.from(publicKey, 'hex'),
+						sign: sinonSandbox.stub(),
+					}),
+				};
+				delete __private.keypairs[testDelegate.publicKey];
+			});
+
+			afterEach(async () => {
+				__private.signer = null;
+				__private.signerPublicKeys = [];
+				if (keypair) {
+					__private.keypairs[testDelegate.publicKey] = keypair;
+				} else {
+					delete __private.keypairs[testDelegate.publicKey];
+				}
+			});
+
+			it('should enable forging with the signer of the delegate without a password', async () => {
+				const data = await library.modules.delegates.updateForgingStatus(
+					testDelegate.publicKey,
+					undefined,
+					true
+				);
+
+				expect(data).to.include({
+					publicKey: testDelegate.publicKey,
+					forging: true,
+				});
+				expect(__private.keypairs[testDelegate.publicKey]).to.have.property(
+					'sign'
+				);
+			});
+
+			it('should return error when the signer does not hold the key', async () => {
+				await expect(
+					library.modules.delegates.updateForgingStatus(
+						accountFixtures.genesis.publicKey,
+						undefined,
+						true
+					)
+				).to.be.rejectedWith(
+					`Delegate with publicKey: ${
+						accountFixtures.genesis.publicKey
+					} not found`
+				);
+			});
+		});
+	});
+
+	describe('getForgingStatusForAllDelegates', () => {
+		let __private;
+		let config;
+		let delegatesList;
+
+		beforeEach(async () => {
+			__private = library.rewiredModules.delegates.__get__('__private');
+			config = library.rewiredModules.delegates.__get__('library.config');
+			delegatesList = config.forging.delegates;
+
+			config.forging.delegates = [
+				{
+					publicKey: testDelegate.publicKey,
+					encryptedPassphrase: testDelegate.encryptedPassphrase,
+				},
+			];
+			__private.signerPublicKeys = [
+				testDelegate.publicKey,
+				accountFixtures.genesis.publicKey,
+			];
+		});
+
+		afterEach(async () => {
+			config.forging.delegates = delegatesList;
+			__private.signerPublicKeys = [];
+		});
+
+		it('should return each delegate from config and from the remote signer once', async () => {
+			const fullList = await library.modules.delegates.getForgingStatusForAllDelegates();
+
+			expect(fullList.map(({ publicKey }) => publicKey)).to.eql([
+				testDelegate.publicKey,
+				accountFixtures.genesis.publicKey,
+			]);
+		});
+	});
+
+	describe('onNewBlock', () => {
+		const forgingRecord = { height: 10, slot: 100 };
+		let __private;
+		let config;
+		let failover;
+		let forgingSafety;
+		let delegatesList;
+		let keypair;
+
+		beforeEach(async () => {
+			__private = library.rewiredModules.delegates.__get__('__private');
+			config = library.rewiredModules.delegates.__get__('library.config');
+			failover = __private.failover;
+			forgingSafety = __private.forgingSafety;
+			delegatesList = config.forging.delegates;
+			keypair = __private.keypairs[testDelegate.publicKey];
+
+			config.forging.delegates = [
+				{
+					publicKey: testDelegate.publicKey,
+					encryptedPassphrase: testDelegate.encryptedPassphrase,
+				},
+			];
+			__private.failover = {
+				observeBlock: sinonSandbox.stub(),
+				reset: sinonSandbox.stub(),
+			};
+			__private.forgingSafety = {
+				export: sinonSandbox.stub().resolves(forgingRecord),
+			};
+			__private.keypairs[testDelegate.publicKey] = {
+				publicKey: Buffer.from(testDelegate.publicKey, 'hex'),
+			};
+			sinonSandbox
+				.stub(library.modules.delegates, 'updateForgingStatus')
+				.resolves({
+					publicKey: testDelegate.publicKey,
+					forging: false,
+					forgingRecord,
+				});
+		});
+
+		afterEach(async () => {
+			__private.failover = failover;
+			__private.forgingSafety = forgingSafety;
+			config.forging.delegates = delegatesList;
+			if (keypair) {
+				__private.keypairs[testDelegate.publicKey] = keypair;
+			} else {
+				delete __private.keypairs[testDelegate.publicKey];
+			}
+		});
+
+		const blockInSlot = slot => ({
+			id: '123',
+			height: 11,
+			generatorPublicKey: testDelegate.publicKey,
+			timestamp: slot * 10,
+		});
+
+		it('should observe blocks of delegates the standby node takes over', async () => {
+			library.modules.delegates.onNewBlock(blockInSlot(100));
+
+			expect(__private.failover.observeBlock).to.be.calledWith(
+				testDelegate.publicKey,
+				100,
+				11
+			);
+		});
+
+		it('should not observe blocks of other delegates', async () => {
+			library.modules.delegates.onNewBlock({
+				...blockInSlot(100),
+				generatorPublicKey: accountFixtures.genesis.publicKey,
+			});
+
+			expect(__private.failover.observeBlock).to.not.be.called;
+		});
+
+		it('should hand back forging when the block of a delegate forging on this node was forged by another node', async () => {
+			library.modules.delegates.onNewBlock(blockInSlot(101));
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(library.modules.delegates.updateForgingStatus).to.be.calledWith(
+				testDelegate.publicKey,
+				defaultPassword,
+				false
+			);
+			expect(
+				library.rewiredModules.delegates.__get__('library.channel').publish
+			).to.be.calledWith('chain:delegates:failover', {
+				publicKey: testDelegate.publicKey,
+				forging: false,
+				cause: 'block 123 was forged by another node',
+				forgingRecord,
+			});
+		});
+
+		it('should not hand back forging when the block was forged by this node', async () => {
+			library.modules.delegates.onNewBlock(blockInSlot(100));
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(library.modules.delegates.updateForgingStatus).to.not.be.called;
+		});
+
+		it('should do nothing when the node is not a standby', async () => {
+			__private.failover = null;
+
+			library.modules.delegates.onNewBlock(blockInSlot(101));
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(library.modules.delegates.updateForgingStatus).to.not.be.called;
+		});
+	});
+
+	describe('renewForgingLease', () => {
+		const forgingRecord = { height: 10, slot: 100 };
+		let __private;
+		let config;
+		let failover;
+		let forgingSafety;
+		let delegatesList;
+		let keypair;
+
+		beforeEach(async () => {
+			__private = library.rewiredModules.delegates.__get__('__private');
+			config = library.rewiredModules.delegates.__get__('library.config');
+			failover = __private.failover;
+			forgingSafety = __private.forgingSafety;
+			delegatesList = config.forging.delegates;
+			keypair = __private.keypairs[testDelegate.publicKey];
+
+			config.forging.delegates = [
+				{
+					publicKey: testDelegate.publicKey,
+					encryptedPassphrase: testDelegate.encryptedPassphrase,
+				},
+			];
+			delete __private.keypairs[testDelegate.publicKey];
+			__private.failover = {
+				leaseDuration: 20000,
+				renewLease: sinonSandbox.stub(),
+				reset: sinonSandbox.stub(),
+			};
+			__private.forgingSafety = {
+				export: sinonSandbox.stub().resolves(forgingRecord),
+			};
+			sinonSandbox
+				.stub(library.modules.delegates, 'updateForgingStatus')
+				.resolves({
+					publicKey: testDelegate.publicKey,
+					forging: false,
+					forgingRecord,
+				});
+		});
+
+		afterEach(async () => {
+			__private.failover = failover;
+			__private.forgingSafety = forgingSafety;
+			config.forging.delegates = delegatesList;
+			if (keypair) {
+				__private.keypairs[testDelegate.publicKey] = keypair;
+			} else {
+				delete __private.keypairs[testDelegate.publicKey];
+			}
+		});
+
+		it('should grant the forging lease with forging records of the delegates', async () => {
+			expect(await library.modules.delegates.renewForgingLease()).to.eql({
+				leaseDuration: 20000,
+				forgingRecords: [{ publicKey: testDelegate.publicKey, forgingRecord }],
+			});
+			expect(__private.failover.renewLease).to.be.calledOnce;
+			return expect(library.modules.delegates.updateForgingStatus).to.not.be
+				.called;
+		});
+
+		it('should hand back forging of delegates the standby node took over', async () => {
+			__private.keypairs[testDelegate.publicKey] = {
+				publicKey: Buffer.from(testDelegate.publicKey, 'hex'),
+			};
+
+			await library.modules.delegates.renewForgingLease();
+
+			expect(library.modules.delegates.updateForgingStatus).to.be.calledWith(
+				testDelegate.publicKey,
+				defaultPassword,
+				false
+			);
+			return expect(
+				library.rewiredModules.delegates.__get__('library.channel').publish
+			).to.be.calledWith('chain:delegates:failover', {
+				publicKey: testDelegate.publicKey,
+				forging: false,
+				cause: 'active node renewed its forging lease',
+				forgingRecord,
+			});
+		});
+
+		it('should reject when the node is not a standby', async () => {
+			__private.failover = null;
+
+			return expect(
+				library.modules.delegates.renewForgingLease()
+			).to.be.rejectedWith(
+				'Forging lease is only granted by a standby node, with forging.standby.enabled'
+			);
+		});
 	});
 
 	describe('generateDelegateList', () => {
@@ -725,6 +1086,472 @@ describe('delegates', () => {
 					done();
 				});
 			});
+
+			describe('when remote signer is configured', () => {
+				let signer;
+
+				beforeEach(done => {
+					signer = {
+						getPublicKeys: sinonSandbox
+							.stub()
+							.resolves([
+								testDelegate.publicKey,
+								accountFixtures.genesis.publicKey,
+							]),
+						getDelegateSigner: sinonSandbox.spy(publicKey => ({
+							publicKey: Buffer.from(publicKey, 'hex'),
+							sign: sinonSandbox.stub(),
+						})),
+					};
+					__private.signer = signer;
+					config.forging.delegates = delegates;
+					done();
+				});
+
+				afterEach(done => {
+					__private.signer = null;
+					__private.signerPublicKeys = [];
+					done();
+				});
+
+				it('should enable forging with signers of delegates held by the signer', done => {
+					loadDelegates(err => {
+						expect(err).to.not.exist;
+						expect(Object.keys(__private.keypairs)).to.eql([
+							testDelegate.publicKey,
+						]);
+						expect(signer.getDelegateSigner).to.be.calledWith(
+							testDelegate.publicKey
+						);
+						expect(
+							__private.keypairs[testDelegate.publicKey]
+						).to.not.have.property('privateKey');
+						done();
+					});
+				});
+
+				it('should not load any delegates when forging.force is false', done => {
+					config.forging.force = false;
+
+					loadDelegates(err => {
+						expect(err).to.not.exist;
+						expect(Object.keys(__private.keypairs).length).to.equal(0);
+						expect(__private.signerPublicKeys).to.have.length(2);
+						done();
+					});
+				});
+
+				it('should return error when the signer is unreachable', done => {
+					signer.getPublicKeys.rejects(
+						new Error('Signer did not respond within 2000 ms')
+					);
+
+					loadDelegates(err => {
+						expect(err.message).to.equal(
+							'Signer did not respond within 2000 ms'
+						);
+						expect(Object.keys(__private.keypairs).length).to.equal(0);
+						done();
+					});
+				});
+			});
+		});
+
+		describe('watchActiveNode', () => {
+			const lastBlock = { height: 10, slot: 100 };
+			let watchActiveNode;
+			let __private;
+			let config;
+			let failover;
+			let delegatesList;
+			let keypair;
+
+			before(done => {
+				watchActiveNode = library.rewiredModules.delegates.__get__(
+					'__private.watchActiveNode'
+				);
+				__private = library.rewiredModules.delegates.__get__('__private');
+				config = library.rewiredModules.delegates.__get__('library.config');
+				done();
+			});
+
+			beforeEach(done => {
+				failover = __private.failover;
+				delegatesList = config.forging.delegates;
+				keypair = __private.keypairs[testDelegate.publicKey];
+
+				config.forging.delegates = [
+					{
+						publicKey: testDelegate.publicKey,
+						encryptedPassphrase: testDelegate.encryptedPassphrase,
+					},
+				];
+				delete __private.keypairs[testDelegate.publicKey];
+				__private.failover = {
+					expectBlock: sinonSandbox.stub(),
+					countMissedSlots: sinonSandbox.stub().returns([]),
+					getMissedSlots: sinonSandbox.stub().returns(2),
+					getLastBlock: sinonSandbox.stub().returns(lastBlock),
+					isLeaseExpired: sinonSandbox.stub().returns(true),
+					reset: sinonSandbox.stub(),
+				};
+				sinonSandbox.stub(library.modules.loader, 'syncing').returns(false);
+				sinonSandbox.stub(library.modules.rounds, 'loaded').returns(true);
+				sinonSandbox.stub(library.modules.rounds, 'ticking').returns(false);
+				// Every slot is a slot of the test delegate
+				sinonSandbox
+					.stub(library.modules.delegates, 'generateDelegateList')
+					.callsArgWith(2, null, new Array(101).fill(testDelegate.publicKey));
+				sinonSandbox
+					.stub(library.modules.delegates, 'updateForgingStatus')
+					.callsFake(async (publicKey, password, forging) => ({
+						publicKey,
+						forging,
+						forgingRecord: lastBlock,
+					}));
+				done();
+			});
+
+			afterEach(done => {
+				__private.failover = failover;
+				config.forging.delegates = delegatesList;
+				if (keypair) {
+					__private.keypairs[testDelegate.publicKey] = keypair;
+				} else {
+					delete __private.keypairs[testDelegate.publicKey];
+				}
+				done();
+			});
+
+			it('should expect a block in the current slot of a delegate the standby node takes over', done => {
+				watchActiveNode(() => {
+					expect(__private.failover.expectBlock).to.be.calledWith(
+						testDelegate.publicKey
+					);
+					expect(library.modules.delegates.updateForgingStatus).to.not.be
+						.called;
+					done();
+				});
+			});
+
+			it('should take over forging with the last block of the delegate as forging record when the active node missed its slots', done => {
+				__private.failover.countMissedSlots.returns([testDelegate.publicKey]);
+
+				watchActiveNode(() => {
+					expect(
+						library.modules.delegates.updateForgingStatus
+					).to.be.calledWith(
+						testDelegate.publicKey,
+						defaultPassword,
+						true,
+						lastBlock
+					);
+					expect(__private.failover.reset).to.be.calledWith(
+						testDelegate.publicKey
+					);
+					expect(
+						library.rewiredModules.delegates.__get__('library.channel').publish
+					).to.be.calledWith('chain:delegates:failover', {
+						publicKey: testDelegate.publicKey,
+						forging: true,
+						cause: 'active node missed 2 slots and its forging lease expired',
+						forgingRecord: lastBlock,
+					});
+					done();
+				});
+			});
+
+			it('should not take over forging while the active node holds the forging lease', done => {
+				__private.failover.countMissedSlots.returns([testDelegate.publicKey]);
+				__private.failover.isLeaseExpired.returns(false);
+
+				watchActiveNode(() => {
+					expect(library.modules.delegates.updateForgingStatus).to.not.be
+						.called;
+					done();
+				});
+			});
+
+			it('should not take over forging when the forging lease expired but no slots were missed', done => {
+				watchActiveNode(() => {
+					expect(library.modules.delegates.updateForgingStatus).to.not.be
+						.called;
+					done();
+				});
+			});
+
+			it('should not watch the active node while syncing', done => {
+				library.modules.loader.syncing.returns(true);
+
+				watchActiveNode(() => {
+					expect(library.modules.delegates.generateDelegateList).to.not.be
+						.called;
+					done();
+				});
+			});
+
+			it('should not watch the active node when the node is not a standby', done => {
+				__private.failover = null;
+
+				watchActiveNode(() => {
+					expect(library.modules.delegates.generateDelegateList).to.not.be
+						.called;
+					done();
+				});
+			});
+		});
+
+		describe('checkForgingLease', () => {
+			let checkForgingLease;
+			let __private;
+			let config;
+			let standby;
+			let lease;
+
+			before(done => {
+				checkForgingLease = library.rewiredModules.delegates.__get__(
+					'__private.checkForgingLease'
+				);
+				__private = library.rewiredModules.delegates.__get__('__private');
+				config = library.rewiredModules.delegates.__get__('library.config');
+				done();
+			});
+
+			beforeEach(done => {
+				standby = config.forging.standby;
+				lease = __private.lease;
+				config.forging.standby = {
+					standbyNode: 'http://127.0.0.1:7001',
+					timeout: 50,
+				};
+				done();
+			});
+
+			afterEach(done => {
+				config.forging.standby = standby;
+				__private.lease = lease;
+				done();
+			});
+
+			it('should call a callback without error while the forging lease is held', done => {
+				__private.lease = { expiresAt: Date.now() + 20000, renewAt: 0 };
+
+				checkForgingLease(err => {
+					expect(err).to.not.exist;
+					done();
+				});
+			});
+
+			it('should call a callback with error once the forging lease lapsed', done => {
+				__private.lease = { expiresAt: Date.now() - 1, renewAt: 0 };
+
+				checkForgingLease(err => {
+					expect(err.message).to.equal(
+						'Forging lease from the standby node lapsed, waiting for it to be renewed'
+					);
+					done();
+				});
+			});
+
+			it('should call a callback without error when the standby node is not configured', done => {
+				config.forging.standby = undefined;
+				__private.lease = { expiresAt: 0, renewAt: 0 };
+
+				checkForgingLease(err => {
+					expect(err).to.not.exist;
+					done();
+				});
+			});
+		});
+
+		describe('renewForgingLease', () => {
+			const delegateKeypair = {
+				publicKey: Buffer.from(testDelegate.publicKey, 'hex'),
+			};
+			const forgingRecord = { height: 12, slot: 105 };
+			let renewForgingLease;
+			let recordForging;
+			let __private;
+			let config;
+			let standby;
+			let lease;
+			let forgingSafety;
+			let directory;
+
+			before(done => {
+				renewForgingLease = library.rewiredModules.delegates.__get__(
+					'__private.renewForgingLease'
+				);
+				recordForging = library.rewiredModules.delegates.__get__(
+					'__private.recordForging'
+				);
+				__private = library.rewiredModules.delegates.__get__('__private');
+				config = library.rewiredModules.delegates.__get__('library.config');
+				done();
+			});
+
+			beforeEach(done => {
+				standby = config.forging.standby;
+				lease = __private.lease;
+				forgingSafety = __private.forgingSafety;
+				directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lisk-forging-'));
+				config.forging.standby = {
+					standbyNode: 'http://127.0.0.1:7001',
+					timeout: 50,
+				};
+				__private.lease = { expiresAt: 0, renewAt: 0 };
+				__private.forgingSafety = new ForgingSafety(
+					path.join(directory, 'forging_safety.json')
+				);
+				sinonSandbox.stub(ForgingFailover, 'requestLease').resolves({
+					leaseDuration: 20000,
+					forgingRecords: [
+						{ publicKey: testDelegate.publicKey, forgingRecord: null },
+					],
+				});
+				done();
+			});
+
+			afterEach(done => {
+				config.forging.standby = standby;
+				__private.lease = lease;
+				__private.forgingSafety = forgingSafety;
+				fs.removeSync(directory);
+				done();
+			});
+
+			it('should request the forging lease from the standby node', done => {
+				renewForgingLease(() => {
+					expect(ForgingFailover.requestLease).to.be.calledWith(
+						'http://127.0.0.1:7001',
+						50
+					);
+					done();
+				});
+			});
+
+			it('should hold the forging lease for the lease duration from the time it was requested', done => {
+				const requestedAt = Date.now();
+
+				renewForgingLease(() => {
+					expect(__private.lease.expiresAt).to.be.within(
+						requestedAt + 20000,
+						Date.now() + 20000
+					);
+					expect(__private.lease.renewAt).to.be.within(
+						requestedAt + 6666,
+						Date.now() + 6666
+					);
+					done();
+				});
+			});
+
+			it('should not renew the forging lease before a third of its duration passed', done => {
+				__private.lease = {
+					expiresAt: Date.now() + 20000,
+					renewAt: Date.now() + 6666,
+				};
+
+				renewForgingLease(() => {
+					expect(ForgingFailover.requestLease).to.not.be.called;
+					done();
+				});
+			});
+
+			it('should keep the forging lease until it lapses when the standby node is not reachable', done => {
+				const heldLease = { expiresAt: Date.now() + 10000, renewAt: 0 };
+				__private.lease = heldLease;
+				ForgingFailover.requestLease.rejects(
+					new Error('Node did not respond within 50 ms')
+				);
+
+				renewForgingLease(err => {
+					expect(err).to.not.exist;
+					expect(__private.lease).to.equal(heldLease);
+					done();
+				});
+			});
+
+			it('should not forge in a slot the standby node forged in before it handed back forging', done => {
+				ForgingFailover.requestLease.resolves({
+					leaseDuration: 20000,
+					forgingRecords: [
+						{ publicKey: testDelegate.publicKey, forgingRecord },
+					],
+				});
+
+				renewForgingLease(() => {
+					recordForging(delegateKeypair, 12, 105, conflictErr => {
+						expect(conflictErr.message).to.include(
+							'Refusing to forge block in slot 105'
+						);
+
+						recordForging(delegateKeypair, 12, 206, recordErr => {
+							expect(recordErr).to.not.exist;
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		describe('recordForging', () => {
+			let recordForging;
+			let __private;
+			let forgingSafety;
+
+			before(done => {
+				recordForging = library.rewiredModules.delegates.__get__(
+					'__private.recordForging'
+				);
+				__private = library.rewiredModules.delegates.__get__('__private');
+				done();
+			});
+
+			beforeEach(done => {
+				forgingSafety = __private.forgingSafety;
+				__private.forgingSafety = {
+					record: sinonSandbox.stub().resolves(),
+				};
+				done();
+			});
+
+			afterEach(done => {
+				__private.forgingSafety = forgingSafety;
+				done();
+			});
+
+			it('should record height and slot of the block for the delegate', done => {
+				recordForging(
+					{ publicKey: Buffer.from(testDelegate.publicKey, 'hex') },
+					10,
+					100,
+					err => {
+						expect(err).to.not.exist;
+						expect(__private.forgingSafety.record).to.be.calledWith(
+							testDelegate.publicKey,
+							{ height: 10, slot: 100 }
+						);
+						done();
+					}
+				);
+			});
+
+			it('should call a callback with error when the block conflicts with the record', done => {
+				__private.forgingSafety.record.rejects(
+					new Error('Refusing to forge block')
+				);
+
+				recordForging(
+					{ publicKey: Buffer.from(testDelegate.publicKey, 'hex') },
+					10,
+					100,
+					err => {
+						expect(err.message).to.equal('Refusing to forge block');
+						done();
+					}
+				);
+			});
 		});
 
 		describe('getDelegateKeypairForCurrentSlot', () => {
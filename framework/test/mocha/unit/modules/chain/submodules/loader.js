@@ -217,12 +217,20 @@ describe('loader', () => {
 		let loadBlocksOffsetStub;
 		let resetMemTablesStub;
 		let deleteStub;
+		let loadLastBlockStub;
+		let deleteLastBlockStub;
+		let lastBlockHeight;
 		let RewiredLoader;
 
 		beforeEach(done => {
 			resetMemTablesStub = sinonSandbox.stub().callsArgWith(0, null, true);
 			loadBlocksOffsetStub = sinonSandbox.stub().callsArgWith(2, null, true);
 			deleteStub = sinonSandbox.stub().resolves();
+			loadLastBlockStub = sinonSandbox.stub().callsArgWith(0, null, true);
+			deleteLastBlockStub = sinonSandbox.spy(cb => {
+				lastBlockHeight -= 1;
+				setImmediate(cb, null, { height: lastBlockHeight });
+			});
 
 			loggerStub = {
 				trace: sinonSandbox.spy(),
@@ -274,7 +282,12 @@ describe('loader', () => {
 				},
 				modules: {
 					transactions: sinonSandbox.stub(),
-					blocks: { process: { loadBlocksOffset: loadBlocksOffsetStub } },
+					blocks: {
+						process: { loadBlocksOffset: loadBlocksOffsetStub },
+						utils: { loadLastBlock: loadLastBlockStub },
+						chain: { deleteLastBlock: deleteLastBlockStub },
+						lastBlock: { get: () => ({ height: lastBlockHeight }) },
+					},
 					peers: sinonSandbox.stub(),
 					rounds: sinonSandbox.stub(),
 					transport: sinonSandbox.stub(),
@@ -526,6 +539,87 @@ describe('loader', () => {
 				__privateVar.createSnapshot(blocksAvailable);
 			});
 		});
+		describe('when accounts states are consistent', () => {
+			it('should revert blocks after the end of the snapshot round when fewer blocks have to be reverted', done => {
+				lastBlockHeight = ACTIVE_DELEGATES * 2 + 10;
+				libraryVar.config.loading.snapshotRound = 0;
+				__privateVar.snapshotFinished = err => {
+					expect(err).to.not.exist;
+					expect(loadLastBlockStub).to.be.calledOnce;
+					expect(deleteLastBlockStub).to.have.callCount(10);
+					expect(lastBlockHeight).to.equal(ACTIVE_DELEGATES * 2);
+					expect(resetMemTablesStub).to.not.be.called;
+					expect(loadBlocksOffsetStub).to.not.be.called;
+					expect(deleteStub).to.not.be.called;
+					done();
+				};
+
+				__privateVar.createSnapshot(lastBlockHeight, true);
+			});
+
+			it('should rebuild accounts states when more blocks have to be reverted than replayed', done => {
+				lastBlockHeight = ACTIVE_DELEGATES * 3;
+				libraryVar.config.loading.snapshotRound = 1;
+				__privateVar.snapshotFinished = err => {
+					expect(err).to.not.exist;
+					expect(deleteLastBlockStub).to.not.be.called;
+					expect(resetMemTablesStub).to.be.calledOnce;
+					expect(deleteStub).to.be.calledWith({ height_gt: ACTIVE_DELEGATES });
+					done();
+				};
+
+				__privateVar.createSnapshot(lastBlockHeight, true);
+			});
+
+			it('should emit an event with proper error when deleteLastBlock fails', done => {
+				lastBlockHeight = ACTIVE_DELEGATES * 2 + 10;
+				libraryVar.config.loading.snapshotRound = 0;
+				RewiredLoader.__get__(
+					'modules'
+				).blocks.chain.deleteLastBlock = sinonSandbox
+					.stub()
+					.callsArgWith(0, 'deleteLastBlock#ERR');
+				__privateVar.snapshotFinished = err => {
+					expect(err).to.eql('deleteLastBlock#ERR');
+					done();
+				};
+
+				__privateVar.createSnapshot(lastBlockHeight, true);
+			});
+		});
+
+		describe('when snapshot file is configured', () => {
+			let exportSnapshotStub;
+
+			beforeEach(async () => {
+				exportSnapshotStub = sinonSandbox.stub().resolves();
+				__privateVar.exportSnapshot = exportSnapshotStub;
+				libraryVar.config.loading.snapshotFile = '/tmp/snapshot.ndjson';
+			});
+
+			it('should export the snapshot at the end of the snapshot round', done => {
+				libraryVar.config.loading.snapshotRound = 1;
+				__privateVar.snapshotFinished = err => {
+					expect(err).to.not.exist;
+					expect(exportSnapshotStub).to.be.calledOnce;
+					expect(exportSnapshotStub).to.be.calledWith(ACTIVE_DELEGATES, 1);
+					expect(exportSnapshotStub).to.be.calledAfter(deleteStub);
+					done();
+				};
+
+				__privateVar.createSnapshot(ACTIVE_DELEGATES * 2);
+			});
+
+			it('should emit an event with proper error when export fails', done => {
+				exportSnapshotStub.rejects(new Error('exportSnapshot#ERR'));
+				__privateVar.snapshotFinished = err => {
+					expect(err.message).to.eql('exportSnapshot#ERR');
+					done();
+				};
+
+				__privateVar.createSnapshot(ACTIVE_DELEGATES);
+			});
+		});
 	});
 
 	describe('__private.loadBlocksFromNetwork', () => {
@@ -15,6 +15,9 @@
 'use strict';
 
 const rewire = require('rewire');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../../../../src/components/storage');
 
 const BlocksController = rewire(
 	'../../../../../../src/modules/http_api/controllers/blocks'
@@ -297,6 +300,54 @@ describe('blocks/api', () => {
 						});
 					});
 				});
+
+				describe('cursor', () => {
+					beforeEach(async () => {
+						storageStub.entities.Block.createCursor = sinonSandbox
+							.stub()
+							.returns('nextCursor');
+					});
+
+					it('should query storage with cursor param when filter.cursor exists', done => {
+						_list({ cursor: 'cursor' }, async () => {
+							expect(storageStub.entities.Block.get.args[0][1].cursor).to.equal(
+								'cursor'
+							);
+							done();
+						});
+					});
+
+					it('should call callback with cursor of the last block if limit is reached', done => {
+						storageStub.entities.Block.get = sinonSandbox
+							.stub()
+							.resolves([rawBlock]);
+						_list({ limit: 1 }, async (err, data, nextCursor) => {
+							expect(
+								storageStub.entities.Block.createCursor
+							).to.be.calledWithExactly(rawBlock, 'height:desc');
+							expect(nextCursor).to.equal('nextCursor');
+							done();
+						});
+					});
+
+					it('should call callback without cursor if limit is not reached', done => {
+						_list({ limit: 10 }, async (err, data, nextCursor) => {
+							expect(nextCursor).to.be.undefined;
+							done();
+						});
+					});
+
+					it('should return error with code 400 when cursor is invalid', done => {
+						storageStub.entities.Block.get = sinonSandbox
+							.stub()
+							.rejects(new NonSupportedOptionError('Invalid cursor option.'));
+						_list({ cursor: 'invalid' }, err => {
+							expect(err.message).to.equal('Invalid cursor option.');
+							expect(err.code).to.equal(400);
+							done();
+						});
+					});
+				});
 			});
 
 			describe('when storageStub.entities.Block.get fails', () => {
@@ -57,6 +57,7 @@ describe('delegates/api', () => {
 						isDelegate: 4,
 					}),
 					get: sinonSandbox.stub().resolves(dummyDelegates),
+					createCursor: sinonSandbox.stub().returns('nextCursor'),
 					delegateBlocksRewards: sinonSandbox.stub(),
 				},
 				Block: {
@@ -180,7 +181,24 @@ describe('delegates/api', () => {
 		it('should return data returned by the call to delegates.map()', async () => {
 			sinonSandbox.stub(Array.prototype, 'map').returns(dummyDelegates);
 			const result = await __private.getDelegates();
-			expect(result).to.equal(dummyDelegates);
+			expect(result.data).to.equal(dummyDelegates);
+		});
+
+		it('should return cursor of the last delegate if limit is reached', async () => {
+			const result = await __private.getDelegates(filters, {
+				limit: 2,
+				sort: 'rank:asc',
+			});
+			expect(storageStub.entities.Account.createCursor).to.be.calledWithExactly(
+				dummyDelegates[1],
+				'rank:asc'
+			);
+			expect(result.nextCursor).to.equal('nextCursor');
+		});
+
+		it('should not return cursor if limit is not reached', async () => {
+			const result = await __private.getDelegates(filters, { limit: 10 });
+			expect(result.nextCursor).to.be.undefined;
 		});
 	});
 
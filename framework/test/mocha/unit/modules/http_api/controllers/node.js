@@ -25,6 +25,7 @@ describe('node/api', () => {
 	let privateLibrary;
 	let channelStub;
 	let storageStub;
+	let cacheStub;
 	let configStub;
 	let getStatus;
 
@@ -41,8 +42,19 @@ describe('node/api', () => {
 			},
 		};
 
+		cacheStub = {
+			getHealth: sinonSandbox.stub().returns({
+				enabled: true,
+				connected: false,
+				hits: 10,
+				misses: 2,
+				lastError: { message: 'Connection refused', time: 1533558858128 },
+			}),
+		};
+
 		library = {
 			components: {
+				cache: cacheStub,
 				storage: storageStub,
 			},
 			config: configStub,
@@ -65,6 +77,13 @@ describe('node/api', () => {
 
 	describe('constructor', () => {
 		describe('library', () => {
+			it('should assign cache', () => {
+				return expect(privateLibrary).to.have.nested.property(
+					'components.cache',
+					library.components.cache
+				);
+			});
+
 			it('should assign storage', () => {
 				return expect(privateLibrary).to.have.nested.property(
 					'components.storage',
@@ -135,6 +154,13 @@ describe('node/api', () => {
 				total: 10,
 			},
 			currentTime: now,
+			cache: {
+				enabled: true,
+				connected: false,
+				hits: 10,
+				misses: 2,
+				lastError: { message: 'Connection refused', time: 1533558858128 },
+			},
 		};
 
 		beforeEach(async () => {
@@ -183,6 +209,84 @@ describe('node/api', () => {
 
 	describe('updateForgingStatus', () => {});
 
+	describe('renewForgingLease', () => {
+		let context;
+
+		beforeEach(async () => {
+			privateLibrary.config = {
+				forging: { access: { whiteList: ['127.0.0.1'] } },
+			};
+			context = { request: { ip: '127.0.0.1' } };
+		});
+
+		afterEach(async () => {
+			privateLibrary.config = library.config;
+		});
+
+		it('should invoke chain:renewForgingLease and respond with the lease', async () => {
+			const lease = { leaseDuration: 20000, forgingRecords: [] };
+			channelStub.invoke.withArgs('chain:renewForgingLease').resolves(lease);
+
+			return NodeController.renewForgingLease(context, (err, response) => {
+				expect(err).to.be.null;
+				expect(response).to.eql(lease);
+			});
+		});
+
+		it('should deny access to IPs which are not whitelisted', async () => {
+			context.request.ip = '10.0.0.1';
+
+			return NodeController.renewForgingLease(context, err => {
+				expect(err.message).to.equal('Access Denied');
+				expect(context.statusCode).to.equal(403);
+			});
+		});
+	});
+
+	describe('updateLogLevel', () => {
+		const levels = { module: 'chain.loader', fileLogLevel: 'trace' };
+		let context;
+
+		beforeEach(async () => {
+			privateLibrary.config = {
+				forging: { access: { whiteList: ['127.0.0.1'] } },
+			};
+			context = {
+				request: {
+					ip: '127.0.0.1',
+					swagger: { params: { data: { value: levels } } },
+				},
+			};
+		});
+
+		afterEach(async () => {
+			privateLibrary.config = library.config;
+		});
+
+		it('should invoke app:setLogLevel and respond with changed levels', async () => {
+			const changedLevels = { modules: { 'chain.loader': levels } };
+			channelStub.invoke.withArgs('app:setLogLevel').resolves(changedLevels);
+
+			return NodeController.updateLogLevel(context, (err, response) => {
+				expect(err).to.be.null;
+				expect(channelStub.invoke).to.be.calledWith('app:setLogLevel', {
+					...levels,
+					consoleLogLevel: undefined,
+				});
+				expect(response).to.eql(changedLevels);
+			});
+		});
+
+		it('should deny access to IPs which are not whitelisted', async () => {
+			context.request.ip = '10.0.0.1';
+
+			return NodeController.updateLogLevel(context, err => {
+				expect(err.message).to.equal('Access Denied');
+				expect(context.statusCode).to.equal(403);
+			});
+		});
+	});
+
 	describe('getPooledTransactions', () => {});
 
 	describe('_getForgingStatus', () => {});
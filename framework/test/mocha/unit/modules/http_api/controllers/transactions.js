@@ -15,6 +15,9 @@
 'use strict';
 
 const rewire = require('rewire');
+const {
+	errors: { NonSupportedOptionError },
+} = require('../../../../../../src/components/storage');
 const apiCodes = require('../../../../../../src/modules/http_api/api_codes');
 const ApiError = require('../../../../../../src/modules/http_api/api_error');
 
@@ -117,4 +120,96 @@ describe('transactions/api', () => {
 				));
 		});
 	});
+
+	describe('getTransactions', () => {
+		let getTransactionsContext;
+		const transactions = [
+			{ id: '1', type: 0, amount: '1' },
+			{ id: '2', type: 0, amount: '2' },
+		];
+
+		const getParams = values =>
+			[
+				'id',
+				'blockId',
+				'recipientId',
+				'recipientPublicKey',
+				'senderId',
+				'senderPublicKey',
+				'senderIdOrRecipientId',
+				'type',
+				'height',
+				'fromTimestamp',
+				'toTimestamp',
+				'minAmount',
+				'maxAmount',
+				'data',
+				'sort',
+				'limit',
+				'offset',
+				'cursor',
+			].reduce(
+				(params, name) => ({
+					...params,
+					[name]: {
+						value: values[name],
+						parameterObject: { name, in: 'query' },
+					},
+				}),
+				{}
+			);
+
+		beforeEach(async () => {
+			getTransactionsContext = {
+				request: {
+					query: {},
+					swagger: {
+						params: getParams({
+							sort: 'amount:asc',
+							limit: 2,
+							offset: 0,
+							cursor: 'cursor',
+						}),
+					},
+				},
+			};
+			storageStub.entities.Transaction = {
+				get: sinonSandbox.stub().resolves(transactions),
+				count: sinonSandbox.stub().resolves(10),
+				createCursor: sinonSandbox.stub().returns('nextCursor'),
+			};
+		});
+
+		it('should query storage with cursor option', async () =>
+			TransactionsController.getTransactions(getTransactionsContext, () =>
+				expect(storageStub.entities.Transaction.get.args[0][1].cursor).to.equal(
+					'cursor'
+				)
+			));
+
+		it('should call callback with cursor of the last transaction as nextCursor', async () =>
+			TransactionsController.getTransactions(
+				getTransactionsContext,
+				(err, resp) => {
+					expect(
+						storageStub.entities.Transaction.createCursor
+					).to.be.calledWithExactly(transactions[1], 'amount:asc');
+					expect(resp.meta.nextCursor).to.equal('nextCursor');
+				}
+			));
+
+		it('should call callback with validation error when cursor is invalid', async () => {
+			storageStub.entities.Transaction.get.rejects(
+				new NonSupportedOptionError('Invalid cursor option.')
+			);
+			return TransactionsController.getTransactions(
+				getTransactionsContext,
+				err => {
+					expect(err.statusCode).to.equal(400);
+					expect(err.errors[0].name).to.equal('cursor');
+					expect(err.errors[0].message).to.equal('Invalid cursor option.');
+				}
+			);
+		});
+	});
 });
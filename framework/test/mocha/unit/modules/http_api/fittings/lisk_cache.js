@@ -14,9 +14,113 @@
 
 'use strict';
 
-/* eslint-disable mocha/no-pending-tests */
+const { EventEmitter } = require('events');
+const httpMocks = require('node-mocks-http');
+const swaggerModuleRegistry = require('../../../../../../src/modules/http_api/helpers/swagger_module_registry');
+const fitting = require('../../../../../../src/modules/http_api/fittings/lisk_cache');
+const {
+	createCacheComponent,
+} = require('../../../../../../src/components/cache');
+
+describe('lisk_cache', () => {
+	const logger = {
+		debug: () => {},
+		info: () => {},
+	};
+	const operation = {
+		'x-lisk-cache-enabled': true,
+		'x-lisk-cache-ttl': 60000,
+		'x-lisk-cache-tags': ['address:{senderId}', 'address:{recipientId}'],
+	};
+	const fittingDef = {
+		swagger_cache_key: 'x-lisk-cache-enabled',
+		swagger_cache_ttl_key: 'x-lisk-cache-ttl',
+		swagger_cache_tags_key: 'x-lisk-cache-tags',
+		coalesce_timeout: 1000,
+	};
+	const url = '/api/transactions?senderId=1L';
+
+	let cache;
+	let preResponse;
+	let postResponse;
+
+	const createContext = () => ({
+		request: httpMocks.createRequest({
+			originalUrl: url,
+			url,
+			swagger: {
+				operation,
+				params: {
+					senderId: { value: '1L' },
+					recipientId: { value: undefined },
+				},
+			},
+		}),
+		response: httpMocks.createResponse({ eventEmitter: EventEmitter }),
+		statusCode: 200,
+	});
+
+	beforeEach(async () => {
+		cache = createCacheComponent({ enabled: true, backend: 'memory' }, logger);
+		await cache.bootstrap();
+		swaggerModuleRegistry.bind({
+			config: __testContext.config.modules.http_api,
+			components: {
+				cache,
+				logger,
+			},
+		});
+		preResponse = fitting({ ...fittingDef, mode: 'pre_response' });
+		postResponse = fitting({ ...fittingDef, mode: 'post_response' });
+	});
+
+	it('should cache responses with ttl and tags of the operation', async () => {
+		const context = createContext();
+		context.input = { data: [] };
+		sinonSandbox.spy(cache, 'setJsonForKey');
+
+		await new Promise(resolve => postResponse(context, resolve));
+
+		return expect(cache.setJsonForKey).to.be.calledWithExactly(
+			url,
+			context.input,
+			{ ttl: 60000, tags: ['address:1L'] }
+		);
+	});
+
+	it('should not call the next fitting for requests waiting for the response of the first request', async () => {
+		const first = createContext();
+		const second = createContext();
+		const next = sinonSandbox.spy();
+
+		await new Promise(resolve => preResponse(first, resolve));
+		const waiting = preResponse(second, next);
+		// Let the second request miss the cache before the first one is cached
+		await new Promise(resolve => setImmediate(resolve));
+		first.input = { data: [{ id: '1' }] };
+		await new Promise(resolve => postResponse(first, resolve));
+		await waiting;
+
+		expect(next).to.not.be.called;
+		return expect(second.response._getJSONData()).to.eql(first.input);
+	});
+
+	it('should call the next fitting for waiting requests when the response fails', async () => {
+		const first = createContext();
+		const second = createContext();
+		const next = sinonSandbox.spy();
+
+		await new Promise(resolve => preResponse(first, resolve));
+		const waiting = preResponse(second, next);
+		await new Promise(resolve => setImmediate(resolve));
+		first.response.emit('close');
+		await waiting;
+
+		return expect(next).to.be.calledOnce;
+	});
+
+	/* eslint-disable mocha/no-pending-tests */
 
-describe('lisk_compression', () => {
 	it('should be a factory function that names 2 arguments');
 
 	it('should create a middleware accepting 2 arguments');
@@ -32,6 +136,6 @@ describe('lisk_compression', () => {
 	it(
 		'should not cache responses for endpoints for which "swagger_cache_key" is set false or not provided'
 	);
-});
 
-/* eslint-enable mocha/no-pending-tests */
+	/* eslint-enable mocha/no-pending-tests */
+});
@@ -32,7 +32,9 @@ describe('HttpApi', () => {
 
 	beforeEach(async () => {
 		stubs.channel = {
+			moduleAlias: 'http_api',
 			invoke: sinonSandbox.stub(),
+			publish: sinonSandbox.stub(),
 			subscribe: sinonSandbox.stub(),
 		};
 		stubs.options = {
@@ -42,9 +44,13 @@ describe('HttpApi', () => {
 		};
 		stubs.logger = {
 			debug: sinonSandbox.stub(),
+			child: sinonSandbox.stub(),
 		};
+		stubs.logger.child.returns(stubs.logger);
 		stubs.storage = sinonSandbox.stub();
-		stubs.cache = sinonSandbox.stub();
+		stubs.cache = {
+			on: sinonSandbox.stub(),
+		};
 		stubs.servers = {
 			expressApp: sinonSandbox.stub(),
 			httpServer: sinonSandbox.stub(),
@@ -141,6 +147,12 @@ describe('HttpApi', () => {
 			expect(httpApi.logger).to.be.equal(stubs.logger);
 		});
 
+		it('should create child logger with the module alias', async () => {
+			expect(stubs.logger.child).to.be.calledWithExactly({
+				module: stubs.channel.moduleAlias,
+			});
+		});
+
 		describe('dbLogger', () => {
 			it('should set to logger if main log file is same as storage log file', async () => {
 				storageConfig.logFileName = loggerConfig.logFileName;
@@ -155,7 +167,9 @@ describe('HttpApi', () => {
 				loggerConfig.logFileName = 'aDifferentFile.log';
 				const dbLogger = {
 					debug: sinonSandbox.stub(),
+					child: sinonSandbox.stub(),
 				};
+				dbLogger.child.returns(dbLogger);
 
 				stubs.createLoggerComponent.returns(dbLogger);
 				await httpApi.bootstrap();
@@ -184,6 +198,15 @@ describe('HttpApi', () => {
 				stubs.logger
 			);
 		});
+		it('should publish health of cache component as "http_api:cache:health" event', async () => {
+			const health = { enabled: true, connected: true };
+			expect(stubs.cache.on).to.be.calledWith('health');
+			stubs.cache.on.withArgs('health').firstCall.args[1](health);
+			expect(stubs.channel.publish).to.be.calledWithExactly(
+				'http_api:cache:health',
+				health
+			);
+		});
 		it('should log "Initiating storage..."', async () => {
 			expect(stubs.logger.debug).to.be.calledWith('Initiating storage...');
 		});
@@ -101,4 +101,22 @@ describe('init_steps/subscribeToEvents', () => {
 			callbackObject.data
 		);
 	});
+
+	it('should subscribe to "cache:invalidated" on channel and remove the keys from cache', async () => {
+		const cache = {
+			isReady: sinonSandbox.stub().returns(true),
+			removeByPattern: sinonSandbox.stub().resolves(),
+		};
+		const channel = {
+			subscribe: sinonSandbox
+				.stub()
+				.withArgs('chain:cache:invalidated')
+				.yields({ data: { pattern: '/api/blocks*' } }),
+		};
+
+		subToEvents({ channel, components: { cache } }, stub.arg2);
+
+		expect(channel.subscribe).to.be.calledWith('chain:cache:invalidated');
+		expect(cache.removeByPattern).to.be.calledWithExactly('/api/blocks*');
+	});
 });